@@ -0,0 +1,21 @@
+/**
+ * Lets the NetworkStatus component know when a new deploy of the site has
+ * been downloaded by the service worker.
+ */
+exports.onClientEntry = () => {
+  if (!('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker.ready.then(registration => {
+    registration.addEventListener('updatefound', () => {
+      let worker = registration.installing;
+      if (!worker) return;
+
+      worker.addEventListener('statechange', () => {
+        // Without a controller, this is the first install, not an update.
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          window.dispatchEvent(new Event('serviceWorkerUpdate'));
+        }
+      });
+    });
+  });
+};
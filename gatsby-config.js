@@ -1,11 +1,126 @@
+const siteMetadata = require('./src/siteMetadata.json');
+const { bastionChannels } = require('./gatsby/channels.js');
+
 module.exports = {
-  siteMetadata: {},
+  siteMetadata: siteMetadata,
   plugins: [
     'gatsby-plugin-react-helmet',
+    {
+      resolve: 'gatsby-source-filesystem',
+      options: {
+        name: 'images',
+        path: `${__dirname}/src/assets/images`
+      },
+    },
+    {
+      resolve: 'gatsby-source-filesystem',
+      options: {
+        name: 'donate',
+        path: `${__dirname}/src/pages/donate`
+      },
+    },
+    {
+      resolve: 'gatsby-source-filesystem',
+      options: {
+        name: 'sponsors',
+        path: `${__dirname}/src/pages/sponsors`
+      },
+    },
+    {
+      resolve: 'gatsby-source-filesystem',
+      options: {
+        name: 'tools',
+        path: `${__dirname}/src/pages/tools`
+      },
+    },
+    'gatsby-transformer-json',
+    'gatsby-plugin-sharp',
+    'gatsby-transformer-sharp',
+    {
+      resolve: 'gatsby-plugin-sitemap',
+      options: {
+        exclude: [ '/404/', '/404.html', '/dev-404-page/' ]
+      },
+    },
     {
       resolve: 'gatsby-plugin-nprogress',
       options: {
-        color: '#62d7fb'
+        // The accent color of the theme, see `src/theme.json`.
+        color: 'var(--color-accent)'
+      },
+    },
+    {
+      resolve: 'gatsby-plugin-offline',
+      options: {
+        // Precache the pages (but not every command's own page), along with
+        // the app shell and the fonts the plugin precaches by default. These
+        // replace the plugin's own globs, so they list all of them.
+        staticFileGlobs: [
+          'public/index.html',
+          'public/*/index.html',
+          'public/*/*/index.html',
+          'public/offline-plugin-app-shell-fallback/index.html',
+          'public/manifest.json',
+          'public/manifest.webmanifest',
+          'public/site.webmanifest',
+          'public/search.json',
+          'public/commons-*.js',
+          'public/app-*.js',
+          // The code of the pages, and of the layout, which they need to be
+          // rendered when they're navigated to.
+          'public/component---*.js',
+          // The data of the pages and of the layout. The data of the commands'
+          // pages (`/commands/<module>/<command>/`) is left out, like their
+          // HTML.
+          'public/layout---*.js',
+          'public/path---!(*commands-*-*).js',
+          'public/**/*.{woff,woff2}'
+        ],
+        runtimeCaching: [
+          {
+            // The page data, which has the commands in it. Cached data is
+            // served right away and updated in the background.
+            urlPattern: /\/path---[^/]*\.js$/,
+            handler: 'fastest'
+          },
+          {
+            urlPattern: /\.(?:png|jpg|jpeg|svg|webp|gif)$/,
+            handler: 'fastest'
+          }
+        ]
+      },
+    },
+    {
+      resolve: 'gatsby-source-bastion-commands',
+      options: {
+        repository: 'TheBastionBot/Bastion',
+        // The release channels of `src/pages/add/versions.json`, pinned to a
+        // commit by `npm run snapshot`. The first one is the default channel
+        // of the Commands page.
+        channels: bastionChannels().map((channel, i) => {
+          return {
+            name: channel.name,
+            ref: channel.commit,
+            // Set `BASTION_PATH` to a local checkout of Bastion to build the
+            // default channel's commands from it, instead of downloading them.
+            path: i === 0 ? process.env.BASTION_PATH : undefined
+          };
+        }),
+        snapshots: `${__dirname}/data/bastion`
+      },
+    },
+    {
+      resolve: 'gatsby-source-bastion-releases',
+      options: {
+        repository: 'TheBastionBot/Bastion',
+        // Set `BASTION_RELEASES_PATH` to a directory of markdown release
+        // notes to build the changelog from them, instead of the releases on
+        // GitHub.
+        path: process.env.BASTION_RELEASES_PATH,
+        // The releases on GitHub are read from the snapshot that
+        // `npm run snapshot` saves, so the changelog only changes when it's
+        // refreshed.
+        snapshot: `${__dirname}/data/bastion/releases.json`
       },
     }
   ]
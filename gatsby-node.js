@@ -0,0 +1,269 @@
+const fs = require('fs');
+const path = require('path');
+const { GraphQLString } = require('graphql');
+const QRCode = require('qrcode');
+const siteMetadata = require('./src/siteMetadata.json');
+const { checkDataURIs } = require('./gatsby/data-uris.js');
+const { checkContent } = require('./gatsby/content.js');
+const { buildAtomFeed } = require('./gatsby/feed.js');
+const { FEED_PATH } = require('./src/utils/releases.js');
+const { SEARCH_INDEX_PATH } = require('./src/utils/searchIndex.js');
+const { buildSearchDocuments } = require('./gatsby/search-index.js');
+const { sponsorFields } = require('./gatsby/sponsors.js');
+const { ADDRESS_KINDS, paymentURI, paymentLink } = require('./gatsby/addresses.js');
+const { bastionChannels } = require('./gatsby/channels.js');
+
+exports.onPreBootstrap = () => {
+  checkDataURIs(path.resolve('src'));
+  checkContent(path.resolve('.'));
+};
+
+exports.onCreateNode = ({ node, boundActionCreators }) => {
+  const { createNodeField } = boundActionCreators;
+
+  // Sponsors are only shown while they're sponsoring, so they drop off when
+  // the site is built after their sponsorship ends.
+  if (node.internal.type === 'SponsorsJson') {
+    let fields = sponsorFields(node, Date.now());
+    for (let name of Object.keys(fields)) {
+      createNodeField({
+        node,
+        name: name,
+        value: fields[name]
+      });
+    }
+    return;
+  }
+
+  // SVGs aren't processed by sharp, so their size is read from the file to
+  // reserve their space on the page.
+  if (node.internal.type !== 'File' || node.extension !== 'svg') return;
+
+  let svg = fs.readFileSync(node.absolutePath, 'utf8');
+  let root = svg.match(/<svg\b[^>]*>/);
+  let width = root && root[0].match(/\bwidth="([\d.]+)(px)?"/);
+  let height = root && root[0].match(/\bheight="([\d.]+)(px)?"/);
+  if (!width || !height) return;
+
+  createNodeField({
+    node,
+    name: 'width',
+    value: Number(width[1])
+  });
+  createNodeField({
+    node,
+    name: 'height',
+    value: Number(height[1])
+  });
+};
+
+/**
+ * Donation methods can have an address instead of a URL. Their fields are set
+ * here, since they can't be inferred while none of the methods has one, and
+ * the QR codes of the addresses are made when the site is built.
+ */
+exports.setFieldsOnGraphQLNodeType = ({ type }) => {
+  if (type.name !== 'MethodsJson') return {};
+
+  return {
+    kind: {
+      type: GraphQLString,
+      resolve: method => method.kind || null
+    },
+    kindTitle: {
+      type: GraphQLString,
+      resolve: method => method.kind ? ADDRESS_KINDS[method.kind].title : null
+    },
+    address: {
+      type: GraphQLString,
+      resolve: method => method.address || null
+    },
+    paymentURI: {
+      type: GraphQLString,
+      resolve: method => method.address ? paymentURI(method) : null
+    },
+    paymentLink: {
+      type: GraphQLString,
+      description: 'The payment URI, if payment apps can open it from a link.',
+      resolve: method => method.address ? paymentLink(method) : null
+    },
+    qrCode: {
+      type: GraphQLString,
+      description: 'The QR code of the payment URI, as an SVG.',
+      resolve: method => {
+        if (!method.address) return null;
+        return QRCode.toString(paymentURI(method), { type: 'svg', margin: 1 });
+      }
+    }
+  };
+};
+
+exports.onCreatePage = ({ page, boundActionCreators }) => {
+  const { createPage, deletePage } = boundActionCreators;
+
+  // The Commands page is built for every locale, the one in `src/pages` is
+  // the one in the default locale.
+  if (page.path === '/commands/' && !page.context.locale) {
+    deletePage(page);
+    createPage(Object.assign({}, page, {
+      context: Object.assign({}, page.context, {
+        locale: 'en'
+      })
+    }));
+  }
+
+  // The Setup page lists the modules of the default release channel.
+  if (page.path === '/setup/' && !page.context.channel) {
+    deletePage(page);
+    createPage(Object.assign({}, page, {
+      context: Object.assign({}, page.context, {
+        channel: bastionChannels()[0].name
+      })
+    }));
+  }
+};
+
+exports.createPages = ({ graphql, boundActionCreators }) => {
+  const { createPage } = boundActionCreators;
+
+  return graphql(`
+    {
+      allBastionChannel(filter: { isDefault: { eq: true } }) {
+        edges {
+          node {
+            name
+          }
+        }
+      }
+      allBastionLocale {
+        edges {
+          node {
+            locale
+            channel
+            isDefault
+            path
+          }
+        }
+      }
+      allBastionCommand {
+        edges {
+          node {
+            id
+            name
+            module
+            channel
+            locale
+            text
+            slug
+          }
+        }
+      }
+      allBastionRelease(
+        filter: { placeholder: { eq: false } }
+        sort: { fields: [date], order: DESC }
+      ) {
+        edges {
+          node {
+            id
+            slug
+          }
+        }
+      }
+    }
+  `).then(result => {
+    if (result.errors) {
+      throw result.errors[0];
+    }
+
+    // Only the default release channel is built in every locale, and only its
+    // commands get their own pages.
+    let channel = result.data.allBastionChannel.edges[0].node.name;
+
+    for (let edge of result.data.allBastionLocale.edges) {
+      if (edge.node.channel !== channel || edge.node.isDefault) continue;
+
+      createPage({
+        path: edge.node.path,
+        component: path.resolve('src/pages/commands/index.js'),
+        context: {
+          locale: edge.node.locale
+        }
+      });
+    }
+
+    for (let edge of result.data.allBastionCommand.edges) {
+      if (edge.node.channel !== channel) continue;
+
+      createPage({
+        path: edge.node.slug,
+        component: path.resolve('src/templates/command.js'),
+        context: {
+          id: edge.node.id,
+          name: edge.node.name,
+          module: edge.node.module,
+          channel: edge.node.channel
+        }
+      });
+    }
+
+    // The site search has the English commands of the default channel.
+    let commands = result.data.allBastionCommand.edges
+      .map(edge => edge.node)
+      .filter(command => command.channel === channel && command.locale === 'en');
+    // Pages are created before anything is written to `public`, so it may not
+    // be there yet.
+    fs.mkdirSync(path.resolve('public'), { recursive: true });
+    fs.writeFileSync(path.resolve(`public${SEARCH_INDEX_PATH}`), JSON.stringify(buildSearchDocuments({
+      commands: commands,
+      faq: require('./src/pages/faq/faq.json'),
+      features: require('./src/pages/features/features.json'),
+      tools: require('./src/pages/tools/tools.json')
+    })));
+
+    let releases = result.data.allBastionRelease.edges.map(edge => edge.node);
+    releases.forEach((release, i) => {
+      createPage({
+        path: release.slug,
+        component: path.resolve('src/templates/release.js'),
+        context: {
+          id: release.id,
+          // The releases are sorted newest first.
+          newer: i > 0 ? releases[i - 1].id : '',
+          older: i < releases.length - 1 ? releases[i + 1].id : ''
+        }
+      });
+    });
+  });
+};
+
+exports.onPostBuild = ({ graphql }) => {
+  fs.writeFileSync(path.resolve('public/robots.txt'), [
+    'User-agent: *',
+    'Allow: /',
+    '',
+    `Sitemap: ${siteMetadata.siteUrl}/sitemap.xml`,
+    ''
+  ].join('\n'));
+
+  return graphql(`
+    {
+      allBastionRelease(filter: { placeholder: { eq: false } }) {
+        edges {
+          node {
+            title
+            date
+            body
+            slug
+          }
+        }
+      }
+    }
+  `).then(result => {
+    if (result.errors) {
+      throw result.errors[0];
+    }
+
+    let releases = result.data.allBastionRelease.edges.map(edge => edge.node);
+    fs.writeFileSync(path.resolve(`public${FEED_PATH}`), buildAtomFeed(releases, siteMetadata));
+  });
+};
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const { checkHTML, checkPages } = require('../a11y.js');
+
+const FIXTURES = path.resolve(__dirname, 'fixtures', 'a11y');
+
+function fixture(name) {
+  return fs.readFileSync(path.resolve(FIXTURES, name), 'utf8');
+}
+
+function rules(errors) {
+  return errors.map(error => error.slice(0, error.indexOf(':'))).sort();
+}
+
+describe('checkHTML', () => {
+  test('finds no violations in an accessible page', async () => {
+    expect(await checkHTML(fixture('good.html'))).toEqual([]);
+  });
+
+  test('finds the violations in an inaccessible page', async () => {
+    let errors = await checkHTML(fixture('bad.html'));
+
+    expect(rules(errors)).toEqual([
+      'aria-valid-attr-value',
+      'button-name',
+      'html-has-lang',
+      'image-alt',
+      'label',
+      'landmark-no-duplicate-main',
+      'link-name'
+    ]);
+    expect(errors).toContain('image-alt: <img src="/logo.png"> (img[src$="logo.png"])');
+  });
+
+  test('names elements by the elements they are labelled by', async () => {
+    let html = '<html lang="en"><head><title>Bastion</title></head><body><main>'
+      + '<span id="name"></span><button aria-labelledby="name"></button></main></body></html>';
+
+    expect(rules(await checkHTML(html))).toEqual([ 'button-name' ]);
+  });
+
+  test('needs a main landmark', async () => {
+    let html = '<html lang="en"><head><title>Bastion</title></head><body><p>Text</p></body></html>';
+
+    expect(rules(await checkHTML(html))).toEqual([ 'landmark-one-main' ]);
+  });
+
+  test('doesn\'t check the color contrast', async () => {
+    let html = '<html lang="en"><head><title>Bastion</title></head><body><main>'
+      + '<p style="color: #fff; background: #fff">Text</p></main></body></html>';
+
+    expect(await checkHTML(html)).toEqual([]);
+  });
+});
+
+describe('checkPages', () => {
+  test('checks every page, except the ignored ones', async () => {
+    let errors = await checkPages(FIXTURES);
+
+    expect(errors.length).toBe((await checkHTML(fixture('bad.html'))).length);
+    expect(errors.every(error => error.startsWith('bad.html: '))).toBe(true);
+  });
+});
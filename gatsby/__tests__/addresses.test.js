@@ -0,0 +1,132 @@
+const { ADDRESS_KINDS, keccak256, paymentURI, paymentLink, checkDonationMethod } = require('../addresses.js');
+
+function isValid(kind, address) {
+  return ADDRESS_KINDS[kind].validate(address);
+}
+
+describe('Bitcoin addresses', () => {
+  test('accepts base58 addresses with their checksum', () => {
+    expect(isValid('btc', '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa')).toBe(true);
+    expect(isValid('btc', '3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy')).toBe(true);
+  });
+
+  test('rejects base58 addresses with a wrong checksum or characters', () => {
+    expect(isValid('btc', '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNb')).toBe(false);
+    expect(isValid('btc', '3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLz')).toBe(false);
+    expect(isValid('btc', '1A1zP1eP5QGefi2DMPTfTL5SLmv7Divf0a')).toBe(false);
+  });
+
+  test('accepts bech32 addresses of version 0', () => {
+    expect(isValid('btc', 'BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4')).toBe(true);
+    expect(isValid('btc', 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4')).toBe(true);
+    expect(isValid('btc', 'bc1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3qccfmv3')).toBe(true);
+  });
+
+  test('accepts bech32m addresses of later versions', () => {
+    expect(isValid('btc', 'bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0')).toBe(true);
+    expect(isValid('btc', 'bc1zw508d6qejxtdg4y5r3zarvaryvaxxpcs')).toBe(true);
+    expect(isValid('btc', 'BC1SW50QGDZ25J')).toBe(true);
+  });
+
+  test('rejects bech32 addresses with the wrong checksum', () => {
+    expect(isValid('btc', 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t5')).toBe(false);
+    // Version 0 with a bech32m checksum.
+    expect(isValid('btc', 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kemeawh')).toBe(false);
+    expect(isValid('btc', 'bc1qW508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4')).toBe(false);
+    expect(isValid('btc', 'tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx')).toBe(false);
+  });
+
+  test('rejects witness programs of the wrong length', () => {
+    // A valid checksum, but version 0 programs are 20 or 32 bytes, not 16.
+    expect(isValid('btc', 'BC1QR508D6QEJXTDG4Y5R3ZARVARYV98GJ9P')).toBe(false);
+    // A valid checksum, but programs are at least 2 bytes.
+    expect(isValid('btc', 'bc1pw5dgrnzv')).toBe(false);
+  });
+});
+
+describe('Ethereum addresses', () => {
+  test('hashes with Keccak-256', () => {
+    expect(keccak256('')).toBe('c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+  });
+
+  test('accepts addresses with their EIP-55 checksum', () => {
+    for (let address of [
+      '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+      '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359',
+      '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB',
+      '0xD1220A0cf47c7B9Be7A2E6BA89F429762e7b9aDb'
+    ]) {
+      expect(isValid('eth', address)).toBe(true);
+    }
+  });
+
+  test('rejects addresses without their checksum', () => {
+    expect(isValid('eth', '0x5aaeb6053F3E94C9b9A09f33669435E7Ef1BeAed')).toBe(false);
+    expect(isValid('eth', '0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed')).toBe(false);
+    expect(isValid('eth', '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAe')).toBe(false);
+    expect(isValid('eth', '5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed')).toBe(false);
+  });
+});
+
+describe('UPI IDs', () => {
+  test('accepts a name and a handle', () => {
+    expect(isValid('upi', 'bastion@upi')).toBe(true);
+    expect(isValid('upi', 'the.bastion-bot_1@okaxis')).toBe(true);
+  });
+
+  test('rejects IDs without a name or a handle', () => {
+    expect(isValid('upi', 'bastion')).toBe(false);
+    expect(isValid('upi', 'b@upi')).toBe(false);
+    expect(isValid('upi', 'bastion@upi1')).toBe(false);
+    expect(isValid('upi', 'the bastion@upi')).toBe(false);
+  });
+});
+
+describe('IBANs', () => {
+  test('accepts IBANs with their check digits, with or without spaces', () => {
+    expect(isValid('iban', 'GB82 WEST 1234 5698 7654 32')).toBe(true);
+    expect(isValid('iban', 'DE89370400440532013000')).toBe(true);
+  });
+
+  test('rejects IBANs with the wrong check digits', () => {
+    expect(isValid('iban', 'GB82 WEST 1234 5698 7654 33')).toBe(false);
+    expect(isValid('iban', 'DE88370400440532013000')).toBe(false);
+    expect(isValid('iban', 'gb82west12345698765432')).toBe(false);
+    expect(isValid('iban', 'GB82')).toBe(false);
+  });
+});
+
+describe('paymentLink', () => {
+  test('links to the payment URI of the kinds with a scheme', () => {
+    let method = { title: 'The Bastion Bot', kind: 'upi', address: 'bastion@upi' };
+
+    expect(paymentLink(method)).toBe('upi://pay?pa=bastion%40upi&pn=The%20Bastion%20Bot');
+    expect(paymentLink({ title: 'Bitcoin', kind: 'btc', address: '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa' }))
+      .toBe('bitcoin:1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa');
+  });
+
+  test('does not link IBANs, which only go in the QR code', () => {
+    let method = { title: 'Bank transfer', kind: 'iban', address: 'GB82 WEST 1234 5698 7654 32' };
+
+    expect(paymentURI(method)).toBe('GB82WEST12345698765432');
+    expect(paymentLink(method)).toBe(null);
+  });
+});
+
+describe('checkDonationMethod', () => {
+  test('accepts methods with a url or an address', () => {
+    expect(checkDonationMethod({ title: 'PayPal', url: 'https://paypal.me/bastion', image: './paypal.png' }, '[0]')).toEqual([]);
+    expect(checkDonationMethod({ title: 'Bank', kind: 'iban', address: 'DE89370400440532013000' }, '[1]')).toEqual([]);
+  });
+
+  test('reports invalid addresses and mixed methods', () => {
+    expect(checkDonationMethod({ title: 'Bank', kind: 'iban', address: 'DE88370400440532013000' }, '[0]'))
+      .toEqual([ '[0].address isn\'t a valid IBAN' ]);
+    expect(checkDonationMethod({ title: 'Bank', kind: 'iban', address: 'DE89370400440532013000', url: 'https://bank.example' }, '[0]'))
+      .toEqual([ '[0] can\'t have both a url and an address' ]);
+    expect(checkDonationMethod({ title: 'Bank', kind: 'iban' }, '[0]'))
+      .toEqual([ '[0] needs both a kind and an address' ]);
+    expect(checkDonationMethod({ title: 'PayPal' }, '[0]'))
+      .toEqual([ '[0] is missing url', '[0] is missing image' ]);
+  });
+});
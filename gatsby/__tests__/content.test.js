@@ -0,0 +1,108 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SCHEMAS, validateFile, validateContent } = require('../content.js');
+
+const FEATURES = 'src/pages/features/features.json';
+const FUNDING = 'src/pages/donate/funding.json';
+
+let root;
+
+function schema(file) {
+  return SCHEMAS.find(schema => schema.file === file);
+}
+
+function writeContent(file, content) {
+  fs.mkdirSync(path.dirname(path.resolve(root, file)), { recursive: true });
+  fs.writeFileSync(path.resolve(root, file), typeof content === 'string' ? content : JSON.stringify(content));
+}
+
+function feature(fields) {
+  return Object.assign({
+    title: 'Music',
+    description: 'Play music in your server.',
+    image: 'https://bastionbot.org/images/music.png'
+  }, fields);
+}
+
+function funding(fields) {
+  return Object.assign({
+    month: '2018-03',
+    currency: 'USD',
+    costs: [ { title: 'Hosting', amount: 20 } ],
+    income: 10,
+    updatedAt: '2018-03-01'
+  }, fields);
+}
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'bastion-content-'));
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true });
+});
+
+describe('validateContent', () => {
+  test('finds no errors in the content files of the site', () => {
+    expect(validateContent(path.resolve(__dirname, '..', '..'))).toEqual([]);
+  });
+});
+
+describe('validateFile', () => {
+  test('accepts valid items', () => {
+    writeContent(FEATURES, [ feature(), feature({ title: 'Moderation' }) ]);
+    expect(validateFile(schema(FEATURES), root)).toEqual([]);
+  });
+
+  test('reports missing required fields with the file and the index of the item', () => {
+    let item = feature({ title: 'Moderation' });
+    delete item.description;
+    writeContent(FEATURES, [ feature(), item ]);
+
+    expect(validateFile(schema(FEATURES), root)).toEqual([
+      `${FEATURES}[1] is missing description`
+    ]);
+  });
+
+  test('reports invalid URLs', () => {
+    writeContent(FEATURES, [ feature({ image: 'javascript:alert(1)' }) ]);
+    expect(validateFile(schema(FEATURES), root)).toEqual([
+      `${FEATURES}[0].image should be an http or https URL`
+    ]);
+  });
+
+  test('reports duplicates', () => {
+    writeContent(FEATURES, [ feature(), feature({ description: 'Another description.' }), feature() ]);
+    expect(validateFile(schema(FEATURES), root)).toEqual([
+      `${FEATURES}[1].title is the same as [0].title`,
+      `${FEATURES}[2].title is the same as [0].title`
+    ]);
+  });
+
+  test('reports files that can\'t be read', () => {
+    expect(validateFile(schema(FEATURES), root)[0]).toMatch(`${FEATURES}: ENOENT`);
+
+    writeContent(FEATURES, '[');
+    expect(validateFile(schema(FEATURES), root)[0]).toMatch(`${FEATURES}: Unexpected end of JSON input`);
+  });
+
+  test('reports the fields of single files without an index', () => {
+    writeContent(FUNDING, funding({ currency: 'usd' }));
+    expect(validateFile(schema(FUNDING), root)).toEqual([
+      `${FUNDING} currency should be a currency code like USD`
+    ]);
+  });
+
+  test('rejects dates that don\'t exist', () => {
+    for (let date of [ '2018-02-30', '2018-13-01', '2018-04-31', '2018-3-1' ]) {
+      writeContent(FUNDING, funding({ updatedAt: date }));
+      expect(validateFile(schema(FUNDING), root)).toEqual([
+        `${FUNDING} updatedAt should be a date like 2018-03-01`
+      ]);
+    }
+
+    writeContent(FUNDING, funding({ updatedAt: '2020-02-29' }));
+    expect(validateFile(schema(FUNDING), root)).toEqual([]);
+  });
+});
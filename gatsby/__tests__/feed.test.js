@@ -0,0 +1,47 @@
+const { buildAtomFeed } = require('../feed.js');
+const { FEED_PATH } = require('../../src/utils/releases.js');
+
+const SITE_METADATA = {
+  title: 'The Bastion Bot',
+  siteUrl: 'https://bastionbot.org/'
+};
+
+function release(version, date, body) {
+  return {
+    version: version,
+    title: `Bastion ${version}`,
+    date: date,
+    body: body,
+    slug: `/changelog/${version}/`
+  };
+}
+
+describe('buildAtomFeed', () => {
+  test('lists the releases, newest first', () => {
+    let feed = buildAtomFeed([
+      release('1.0.0', '2018-01-01T00:00:00.000Z', 'First'),
+      release('1.1.0', '2018-02-01T00:00:00.000Z', 'Second')
+    ], SITE_METADATA);
+
+    expect(feed).toMatch(`<link rel="self" type="application/atom+xml" href="https://bastionbot.org${FEED_PATH}"/>`);
+    expect(feed).toMatch('<updated>2018-02-01T00:00:00.000Z</updated>');
+    expect(feed.indexOf('Bastion 1.1.0')).toBeLessThan(feed.indexOf('Bastion 1.0.0'));
+    expect(feed).toMatch('<id>https://bastionbot.org/changelog/1.1.0/</id>');
+  });
+
+  test('renders the release notes with the site\'s sanitizer', () => {
+    let feed = buildAtomFeed([
+      release('1.0.0', '2018-01-01T00:00:00.000Z', '**Fixed**<script>alert(1)</script> [link](javascript:alert(2)) <img src="/a.png" onerror="alert(3)">')
+    ], SITE_METADATA);
+
+    expect(feed).toMatch('&lt;strong&gt;Fixed&lt;/strong&gt;');
+    expect(feed).not.toMatch(/script|alert|onerror/);
+  });
+
+  test('is valid without releases', () => {
+    let feed = buildAtomFeed([], SITE_METADATA);
+
+    expect(feed).toMatch('<updated>1970-01-01T00:00:00.000Z</updated>');
+    expect(feed).not.toMatch('<entry>');
+  });
+});
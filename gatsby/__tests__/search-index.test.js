@@ -0,0 +1,67 @@
+const { buildSearchDocuments } = require('../search-index.js');
+const { faqCategories } = require('../../src/utils/faq.js');
+
+const FAQ = {
+  general: [
+    { question: 'What\'s Bastion?', answer: 'A **Discord** bot.' },
+    { question: 'How do I <em>invite</em> it?', answer: 'Use the [invite link](/invite).' }
+  ],
+  help: [
+    { question: 'What\'s Bastion?', answer: 'See above.' },
+    { question: 'Where can I get help?', answer: 'In the server.', slug: 'support' }
+  ]
+};
+
+function build(content) {
+  return buildSearchDocuments(Object.assign({
+    commands: [],
+    faq: {},
+    features: [],
+    tools: []
+  }, content));
+}
+
+describe('buildSearchDocuments', () => {
+  test('links the questions to the anchors of the FAQ page', () => {
+    let slugs = [].concat(...faqCategories(FAQ).map(category => {
+      return category.questions.map(question => question.slug);
+    }));
+    let paths = build({ faq: FAQ }).map(document => document.path);
+
+    expect(paths).toEqual(slugs.map(slug => `/faq#${slug}`));
+    expect(paths).toEqual([
+      '/faq#whats-bastion',
+      '/faq#how-do-i-invite-it',
+      '/faq#whats-bastion-2',
+      '/faq#support'
+    ]);
+  });
+
+  test('keeps the text of the questions without markup', () => {
+    let documents = build({ faq: FAQ });
+
+    expect(documents[0]).toEqual({
+      type: 'faq',
+      title: 'What\'s Bastion?',
+      text: 'A Discord bot.',
+      path: '/faq#whats-bastion'
+    });
+    expect(documents[1].title).toBe('How do I invite it?');
+    expect(documents[1].text).toBe('Use the invite link.');
+  });
+
+  test('lists the commands, features and tools', () => {
+    let documents = build({
+      commands: [ { name: 'nowPlaying', text: 'Shows the song.', module: 'music_player', slug: '/commands/nowPlaying/' } ],
+      features: [ { title: 'Music & Games', description: 'Plays *music*.' } ],
+      tools: [ { title: 'Invite Builder', description: 'Builds invites.', url: '/tools/invite/' } ]
+    });
+
+    expect(documents.map(document => [ document.type, document.path ])).toEqual([
+      [ 'command', '/commands/nowPlaying/' ],
+      [ 'feature', '/features#music-games' ],
+      [ 'tool', '/tools/invite/' ]
+    ]);
+    expect(documents[0].module).toBe('music player');
+  });
+});
@@ -0,0 +1,54 @@
+const { isActiveSponsor, sponsorFields } = require('../sponsors.js');
+const tiers = require('../../src/pages/sponsors/tiers.json');
+
+function sponsor(fields) {
+  return Object.assign({
+    title: 'Sponsor',
+    tier: 'gold',
+    start: '2018-10-01',
+    end: '2018-10-31'
+  }, fields);
+}
+
+describe('isActiveSponsor', () => {
+  test('is active from the start date', () => {
+    expect(isActiveSponsor(sponsor(), Date.UTC(2018, 8, 30, 23, 59))).toBe(false);
+    expect(isActiveSponsor(sponsor(), Date.UTC(2018, 9, 1))).toBe(true);
+  });
+
+  test('is active until the end of the end date', () => {
+    expect(isActiveSponsor(sponsor(), Date.UTC(2018, 9, 31, 23, 59))).toBe(true);
+    expect(isActiveSponsor(sponsor(), Date.UTC(2018, 10, 1))).toBe(false);
+  });
+
+  test('does not end without an end date', () => {
+    expect(isActiveSponsor(sponsor({ end: null }), Date.UTC(2030, 0, 1))).toBe(true);
+  });
+});
+
+describe('sponsorFields', () => {
+  const footerTier = tiers.find(tier => tier.footer);
+  const otherTier = tiers.find(tier => !tier.footer);
+
+  test('features the active sponsors of the tiers in the footer', () => {
+    expect(sponsorFields(sponsor({ tier: footerTier.name }), Date.UTC(2018, 9, 15))).toEqual({
+      active: true,
+      featured: true
+    });
+    expect(sponsorFields(sponsor({ tier: otherTier.name }), Date.UTC(2018, 9, 15))).toEqual({
+      active: true,
+      featured: false
+    });
+  });
+
+  test('does not feature the sponsors that ended', () => {
+    expect(sponsorFields(sponsor({ tier: footerTier.name }), Date.UTC(2018, 10, 15))).toEqual({
+      active: false,
+      featured: false
+    });
+  });
+
+  test('does not feature the sponsors of unknown tiers', () => {
+    expect(sponsorFields(sponsor({ tier: 'unknown' }), Date.UTC(2018, 9, 15)).featured).toBe(false);
+  });
+});
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const axe = require('axe-core');
+const { JSDOM } = require('jsdom');
+
+/**
+ * Checks the accessibility of the built pages with axe. It runs after every
+ * `npm run build`, which fails when a page has violations, and can be run
+ * again with `npm run a11y`.
+ *
+ * The pages are checked against WCAG 2.1 A and AA, and for having one main
+ * landmark. jsdom doesn't lay out or paint the pages, so the color contrast
+ * (and the skip links, which axe only checks when they're off screen) can't
+ * be checked here.
+ */
+
+// Pages that aren't visited, or are only a shell that the site is loaded in.
+const IGNORED = [ 'dev-404-page', 'offline-plugin-app-shell-fallback' ];
+
+const AXE_OPTIONS = {
+  runOnly: {
+    type: 'tag',
+    values: [ 'wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa' ]
+  },
+  rules: {
+    'color-contrast': { enabled: false },
+    'landmark-one-main': { enabled: true },
+    'landmark-no-duplicate-main': { enabled: true }
+  },
+  resultTypes: [ 'violations', 'incomplete' ]
+};
+
+/**
+ * Returns the accessibility violations in the HTML of a page, like
+ * `image-alt: <img src="/logo.png"> (img)`, in the order axe finds them.
+ */
+async function checkHTML(html) {
+  let dom = new JSDOM(html, { runScripts: 'outside-only' });
+  try {
+    // jsdom has no layout, so there's never an element at a point.
+    dom.window.document.elementFromPoint = () => null;
+    dom.window.eval(axe.source);
+    let results = await dom.window.axe.run(dom.window.document, AXE_OPTIONS);
+
+    let errors = [];
+    for (let violation of results.violations) {
+      for (let node of violation.nodes) {
+        errors.push(`${violation.id}: ${node.html} (${node.target.join(' ')})`);
+      }
+    }
+    // axe skips the rules that fail to run, which would hide violations.
+    for (let result of results.incomplete) {
+      for (let node of result.nodes) {
+        let failure = node.any.concat(node.all, node.none).find(check => check.id === 'error-occurred');
+        if (failure) {
+          errors.push(`${result.id}: couldn't be checked, ${(failure.data || {}).message || failure.message}`);
+        }
+      }
+    }
+    return errors;
+  }
+  finally {
+    dom.window.close();
+  }
+}
+
+function listPages(dir) {
+  let pages = [];
+  for (let name of fs.readdirSync(dir)) {
+    let file = path.join(dir, name);
+    if (fs.statSync(file).isDirectory()) {
+      if (!IGNORED.includes(name)) {
+        pages = pages.concat(listPages(file));
+      }
+    }
+    else if (path.extname(name) === '.html') {
+      pages.push(file);
+    }
+  }
+  return pages;
+}
+
+/**
+ * Returns the violations in the pages built in `dir`, each starting with the
+ * page. The pages are checked one at a time, axe can't run twice at once.
+ */
+async function checkPages(dir) {
+  let errors = [];
+  for (let page of listPages(dir)) {
+    let name = path.relative(dir, page);
+    for (let error of await checkHTML(fs.readFileSync(page, 'utf8'))) {
+      errors.push(`${name}: ${error}`);
+    }
+  }
+  return errors;
+}
+
+module.exports = {
+  checkHTML,
+  checkPages
+};
+
+if (require.main === module) {
+  let dir = path.resolve(__dirname, '..', process.argv[2] || 'public');
+  if (!fs.existsSync(dir)) {
+    console.error(`${path.relative(process.cwd(), dir)} doesn't exist, build the site first.`);
+    process.exit(1);
+  }
+
+  checkPages(dir).then(errors => {
+    if (errors.length) {
+      console.error(errors.join('\n'));
+      process.exit(1);
+    }
+    console.log(`Checked ${listPages(dir).length} pages, no accessibility violations found.`);
+  }).catch(e => {
+    console.error(e.message);
+    process.exit(1);
+  });
+}
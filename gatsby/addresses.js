@@ -0,0 +1,332 @@
+const crypto = require('crypto');
+
+/**
+ * The kinds of addresses that donation methods can have, instead of a URL.
+ * Every kind checks its addresses (with their checksum, when they have one)
+ * and has the URI that's put in their QR code, which payment apps open.
+ */
+
+const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+const BECH32 = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+function sha256(bytes) {
+  return crypto.createHash('sha256').update(Buffer.from(bytes)).digest();
+}
+
+function decodeBase58(text) {
+  let bytes = [];
+  for (let char of text) {
+    let carry = BASE58.indexOf(char);
+    if (carry === -1) return null;
+
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  // Leading `1`s are leading zero bytes.
+  for (let i = 0; i < text.length && text[i] === '1'; i++) {
+    bytes.push(0);
+  }
+
+  return bytes.reverse();
+}
+
+/**
+ * Legacy (P2PKH) and script (P2SH) addresses end with the first 4 bytes of
+ * the double SHA-256 of the rest.
+ */
+function isBase58Address(address) {
+  let bytes = decodeBase58(address);
+  if (!bytes || bytes.length !== 25 || (bytes[0] !== 0x00 && bytes[0] !== 0x05)) return false;
+
+  let checksum = sha256(sha256(bytes.slice(0, 21)));
+  return bytes.slice(21).every((byte, i) => byte === checksum[i]);
+}
+
+function bech32Polymod(values) {
+  const GENERATORS = [ 0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3 ];
+
+  let checksum = 1;
+  for (let value of values) {
+    let top = checksum >> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >> i) & 1) {
+        checksum ^= GENERATORS[i];
+      }
+    }
+  }
+  return checksum;
+}
+
+/**
+ * Regroups the 5-bit values of bech32 data into bytes, or returns `null` when
+ * the padding left over isn't zeros of less than 5 bits.
+ */
+function toBytes(values) {
+  let bytes = [];
+  let bits = 0;
+  let buffer = 0;
+  for (let value of values) {
+    buffer = (buffer << 5) | value;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xff);
+    }
+  }
+  if (bits >= 5 || (buffer & ((1 << bits) - 1))) return null;
+
+  return bytes;
+}
+
+/**
+ * SegWit addresses are bech32 (version 0) or bech32m (later versions), with
+ * the `bc` prefix of the main network. Their witness program is 2 to 40
+ * bytes, and 20 (P2WPKH) or 32 (P2WSH) bytes in version 0.
+ */
+function isBech32Address(address) {
+  if (address !== address.toLowerCase() && address !== address.toUpperCase()) return false;
+
+  let match = address.toLowerCase().match(/^(bc)1([qpzry9x8gf2tvdw0s3jn54khce6mua7l]{6,87})$/);
+  if (!match) return false;
+
+  let data = match[2].split('').map(char => BECH32.indexOf(char));
+  let prefix = match[1].split('').map(char => char.charCodeAt(0) >> 5)
+    .concat(0, match[1].split('').map(char => char.charCodeAt(0) & 31));
+  let version = data[0];
+  let constant = version === 0 ? 1 : 0x2bc830a3;
+  if (version > 16 || bech32Polymod(prefix.concat(data)) !== constant) return false;
+
+  let program = toBytes(data.slice(1, -6));
+  if (!program || program.length < 2 || program.length > 40) return false;
+
+  return version !== 0 || program.length === 20 || program.length === 32;
+}
+
+function isBitcoinAddress(address) {
+  return isBase58Address(address) || isBech32Address(address);
+}
+
+// The round constants of Keccak, as the high and low 32 bits.
+const KECCAK_ROUNDS = [
+  [ 0x00000000, 0x00000001 ], [ 0x00000000, 0x00008082 ], [ 0x80000000, 0x0000808a ], [ 0x80000000, 0x80008000 ],
+  [ 0x00000000, 0x0000808b ], [ 0x00000000, 0x80000001 ], [ 0x80000000, 0x80008081 ], [ 0x80000000, 0x00008009 ],
+  [ 0x00000000, 0x0000008a ], [ 0x00000000, 0x00000088 ], [ 0x00000000, 0x80008009 ], [ 0x00000000, 0x8000000a ],
+  [ 0x00000000, 0x8000808b ], [ 0x80000000, 0x0000008b ], [ 0x80000000, 0x00008089 ], [ 0x80000000, 0x00008003 ],
+  [ 0x80000000, 0x00008002 ], [ 0x80000000, 0x00000080 ], [ 0x00000000, 0x0000800a ], [ 0x80000000, 0x8000000a ],
+  [ 0x80000000, 0x80008081 ], [ 0x80000000, 0x00008080 ], [ 0x00000000, 0x80000001 ], [ 0x80000000, 0x80008008 ]
+];
+
+const KECCAK_ROTATIONS = [
+  0, 1, 62, 28, 27, 36, 44, 6, 55, 20, 3, 10, 43, 25, 39, 41, 45, 15, 21, 8, 18, 2, 61, 56, 14
+];
+
+function rotateLane(hi, lo, n) {
+  if (n >= 32) {
+    [ hi, lo ] = [ lo, hi ];
+    n -= 32;
+  }
+  if (!n) return [ hi, lo ];
+
+  return [ ((hi << n) | (lo >>> (32 - n))) >>> 0, ((lo << n) | (hi >>> (32 - n))) >>> 0 ];
+}
+
+function keccakPermute(hi, lo) {
+  for (let round of KECCAK_ROUNDS) {
+    let cHi = [];
+    let cLo = [];
+    for (let x = 0; x < 5; x++) {
+      cHi[x] = hi[x] ^ hi[x + 5] ^ hi[x + 10] ^ hi[x + 15] ^ hi[x + 20];
+      cLo[x] = lo[x] ^ lo[x + 5] ^ lo[x + 10] ^ lo[x + 15] ^ lo[x + 20];
+    }
+    for (let x = 0; x < 5; x++) {
+      let [ rHi, rLo ] = rotateLane(cHi[(x + 1) % 5] >>> 0, cLo[(x + 1) % 5] >>> 0, 1);
+      let dHi = cHi[(x + 4) % 5] ^ rHi;
+      let dLo = cLo[(x + 4) % 5] ^ rLo;
+      for (let y = 0; y < 25; y += 5) {
+        hi[x + y] = (hi[x + y] ^ dHi) >>> 0;
+        lo[x + y] = (lo[x + y] ^ dLo) >>> 0;
+      }
+    }
+
+    let bHi = [];
+    let bLo = [];
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        let to = y + 5 * ((2 * x + 3 * y) % 5);
+        [ bHi[to], bLo[to] ] = rotateLane(hi[x + 5 * y], lo[x + 5 * y], KECCAK_ROTATIONS[x + 5 * y]);
+      }
+    }
+
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        hi[x + y] = (bHi[x + y] ^ (~bHi[(x + 1) % 5 + y] & bHi[(x + 2) % 5 + y])) >>> 0;
+        lo[x + y] = (bLo[x + y] ^ (~bLo[(x + 1) % 5 + y] & bLo[(x + 2) % 5 + y])) >>> 0;
+      }
+    }
+
+    hi[0] = (hi[0] ^ round[0]) >>> 0;
+    lo[0] = (lo[0] ^ round[1]) >>> 0;
+  }
+}
+
+/**
+ * The Keccak-256 hash that Ethereum uses, which isn't the SHA3-256 that
+ * Node has: they're padded differently.
+ */
+function keccak256(text) {
+  const RATE = 136;
+
+  let bytes = Array.from(Buffer.from(text, 'utf8'));
+  bytes.push(0x01);
+  while (bytes.length % RATE) {
+    bytes.push(0);
+  }
+  bytes[bytes.length - 1] |= 0x80;
+
+  let hi = new Array(25).fill(0);
+  let lo = new Array(25).fill(0);
+  for (let block = 0; block < bytes.length; block += RATE) {
+    for (let lane = 0; lane < RATE / 8; lane++) {
+      let i = block + lane * 8;
+      lo[lane] = (lo[lane] ^ (bytes[i] | bytes[i + 1] << 8 | bytes[i + 2] << 16 | bytes[i + 3] << 24)) >>> 0;
+      hi[lane] = (hi[lane] ^ (bytes[i + 4] | bytes[i + 5] << 8 | bytes[i + 6] << 16 | bytes[i + 7] << 24)) >>> 0;
+    }
+    keccakPermute(hi, lo);
+  }
+
+  let hash = '';
+  for (let lane = 0; lane < 4; lane++) {
+    for (let word of [ lo[lane], hi[lane] ]) {
+      for (let i = 0; i < 4; i++) {
+        hash += ((word >>> (i * 8)) & 0xff).toString(16).padStart(2, '0');
+      }
+    }
+  }
+  return hash;
+}
+
+/**
+ * Ethereum addresses need their EIP-55 checksum: a letter is uppercase when
+ * the same digit of the Keccak-256 hash of the lowercase address is 8 or more.
+ */
+function isEthereumAddress(address) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address)) return false;
+
+  let hex = address.slice(2);
+  let hash = keccak256(hex.toLowerCase());
+  return hex.split('').every((char, i) => {
+    if (/\d/.test(char)) return true;
+    return parseInt(hash[i], 16) >= 8 ? char === char.toUpperCase() : char === char.toLowerCase();
+  });
+}
+
+function isUPIID(address) {
+  return /^[a-zA-Z0-9._-]{2,256}@[a-zA-Z]{2,64}$/.test(address);
+}
+
+/**
+ * IBANs are checked with their two check digits: moved to the end, with the
+ * letters as numbers, the IBAN divided by 97 leaves 1.
+ */
+function isIBAN(address) {
+  let iban = address.replace(/ /g, '');
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+
+  let digits = (iban.slice(4) + iban.slice(0, 4))
+    .split('')
+    .map(char => parseInt(char, 36))
+    .join('');
+  let remainder = 0;
+  for (let digit of digits) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+const ADDRESS_KINDS = {
+  btc: {
+    title: 'Bitcoin address',
+    validate: isBitcoinAddress,
+    uri: address => `bitcoin:${address}`
+  },
+  eth: {
+    title: 'Ethereum address',
+    validate: isEthereumAddress,
+    uri: address => `ethereum:${address}`
+  },
+  upi: {
+    title: 'UPI ID',
+    validate: isUPIID,
+    uri: (address, name) => `upi://pay?pa=${encodeURIComponent(address)}&pn=${encodeURIComponent(name)}`
+  },
+  iban: {
+    title: 'IBAN',
+    validate: isIBAN,
+    // There's no URI for bank transfers that every app opens, so the QR code
+    // has the IBAN for apps to fill in.
+    uri: address => address.replace(/ /g, '')
+  }
+};
+
+/**
+ * Returns the URI put in the QR code of a donation method with an address.
+ */
+function paymentURI(method) {
+  return ADDRESS_KINDS[method.kind].uri(method.address, method.title);
+}
+
+/**
+ * Returns the link that opens a payment app for a donation method with an
+ * address, or `null` when its URI has no scheme to open, like an IBAN's.
+ */
+function paymentLink(method) {
+  let uri = paymentURI(method);
+  return /^[a-z][a-z0-9+.-]*:/i.test(uri) ? uri : null;
+}
+
+/**
+ * Returns the errors of a donation method, which either links to a `url` and
+ * has an `image`, or has the `kind` and `address` to send donations to.
+ */
+function checkDonationMethod(method, name) {
+  let isAddress = method.kind !== undefined || method.address !== undefined;
+  let errors = [];
+
+  if (isAddress) {
+    if (method.url !== undefined) {
+      errors.push(`${name} can't have both a url and an address`);
+    }
+    if (!method.kind || !method.address) {
+      errors.push(`${name} needs both a kind and an address`);
+    }
+    else if (ADDRESS_KINDS[method.kind] && !ADDRESS_KINDS[method.kind].validate(method.address)) {
+      errors.push(`${name}.address isn't a valid ${ADDRESS_KINDS[method.kind].title}`);
+    }
+  }
+  else {
+    for (let key of [ 'url', 'image' ]) {
+      if (method[key] === undefined) {
+        errors.push(`${name} is missing ${key}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  ADDRESS_KINDS,
+  keccak256,
+  paymentURI,
+  paymentLink,
+  checkDonationMethod
+};
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const config = require('../gatsby-config.js');
+
+/**
+ * Pins Bastion's release channels in `data/bastion/channels.json` to the
+ * latest commit of their branch, and saves a snapshot of their modules data at
+ * that commit in `data/bastion/<commit>`, and of Bastion's releases in
+ * `data/bastion/releases.json`. The site is built from the pinned commits,
+ * falling back to their snapshots when GitHub can't be reached, and from the
+ * releases snapshot. Run it with `npm run snapshot`, and commit what it
+ * changes.
+ *
+ * Set `GITHUB_TOKEN` if GitHub's rate limit is hit.
+ */
+
+const ROOT = path.resolve(__dirname, '..', 'data', 'bastion');
+const CHANNELS_FILE = path.resolve(ROOT, 'channels.json');
+const DEFAULT_LOCALE = 'en';
+const TIMEOUT = 30000;
+
+function pluginOptions(name) {
+  return config.plugins.find(plugin => plugin.resolve === name).options;
+}
+
+function request(url) {
+  let headers = {};
+  if (process.env.GITHUB_TOKEN) {
+    headers.Authorization = `token ${process.env.GITHUB_TOKEN}`;
+  }
+
+  return axios.get(url, {
+    headers: headers,
+    timeout: TIMEOUT,
+    responseType: 'text',
+    transformResponse: data => data
+  }).then(res => res.data, e => {
+    throw new Error(`Couldn't download ${url}: ${e.message}`);
+  });
+}
+
+function writeJSON(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content.trim() + '\n');
+}
+
+/**
+ * Saves the modules data of every locale of Bastion at the commit.
+ */
+async function snapshotModules(repository, commit) {
+  let entries = JSON.parse(await request(`https://api.github.com/repos/${repository}/contents/locales?ref=${commit}`));
+  let locales = entries.filter(entry => entry.type === 'dir').map(entry => entry.name);
+  if (!locales.includes(DEFAULT_LOCALE)) {
+    throw new Error(`${repository} doesn't have the ${DEFAULT_LOCALE} locale at ${commit}.`);
+  }
+
+  for (let locale of locales) {
+    let url = `https://raw.githubusercontent.com/${repository}/${commit}/locales/${locale}/modules.json`;
+    let content;
+    try {
+      content = await request(url);
+    }
+    catch (e) {
+      // Locales that don't have modules data yet are left out.
+      if (locale === DEFAULT_LOCALE) throw e;
+      continue;
+    }
+
+    try {
+      JSON.parse(content);
+    }
+    catch (e) {
+      throw new Error(`${url} is not valid JSON: ${e.message}`);
+    }
+    writeJSON(path.resolve(ROOT, commit, 'locales', locale, 'modules.json'), content);
+  }
+}
+
+/**
+ * Saves the releases of Bastion, as GitHub's API returns them.
+ */
+async function snapshotReleases() {
+  let options = pluginOptions('gatsby-source-bastion-releases');
+  let url = `https://api.github.com/repos/${options.repository}/releases?per_page=100`;
+  let content = await request(url);
+  let releases;
+  try {
+    releases = JSON.parse(content);
+  }
+  catch (e) {
+    throw new Error(`${url} is not valid JSON: ${e.message}`);
+  }
+  writeJSON(options.snapshot, content);
+  console.log(`Saved ${releases.length} releases of ${options.repository}.`);
+}
+
+async function snapshot() {
+  let repository = pluginOptions('gatsby-source-bastion-commands').repository;
+  let channels = JSON.parse(fs.readFileSync(CHANNELS_FILE, 'utf8'));
+
+  for (let channel of channels) {
+    let commit = JSON.parse(await request(`https://api.github.com/repos/${repository}/commits/${channel.branch}`)).sha;
+    if (!fs.existsSync(path.resolve(ROOT, commit))) {
+      await snapshotModules(repository, commit);
+    }
+    console.log(`Pinned the ${channel.name} channel to ${commit}, the latest commit of ${channel.branch}.`);
+    channel.commit = commit;
+  }
+  writeJSON(CHANNELS_FILE, JSON.stringify(channels, null, 2));
+
+  // The snapshots of the commits that aren't pinned anymore aren't used.
+  let commits = channels.map(channel => channel.commit);
+  for (let name of fs.readdirSync(ROOT)) {
+    if (/^[0-9a-f]{40}$/.test(name) && !commits.includes(name)) {
+      fs.rmSync(path.resolve(ROOT, name), { recursive: true });
+    }
+  }
+
+  await snapshotReleases();
+}
+
+module.exports = {
+  snapshot
+};
+
+if (require.main === module) {
+  snapshot().catch(e => {
+    console.error(e.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,39 @@
+/**
+ * Bastion's release channels are the ones that the versions on the Add page
+ * (`src/pages/add/versions.json`) are in, in the order they're first listed,
+ * so the first one is the default. Each of them is pinned to a commit in
+ * `data/bastion/channels.json`.
+ */
+function listChannels(versions) {
+  let names = [];
+  for (let version of versions) {
+    for (let name of version.channels || []) {
+      if (!names.includes(name)) {
+        names.push(name);
+      }
+    }
+  }
+  return names;
+}
+
+/**
+ * Returns the release channels, with the branch and the commit they're
+ * pinned to.
+ */
+function bastionChannels() {
+  let versions = require('../src/pages/add/versions.json');
+  let pins = require('../data/bastion/channels.json');
+
+  return listChannels(versions).map(name => {
+    let pin = pins.find(pin => pin.name === name);
+    if (!pin) {
+      throw new Error(`Bastion's ${name} channel, in src/pages/add/versions.json, isn't in data/bastion/channels.json.`);
+    }
+    return pin;
+  });
+}
+
+module.exports = {
+  listChannels,
+  bastionChannels
+};
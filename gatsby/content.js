@@ -0,0 +1,445 @@
+const fs = require('fs');
+const path = require('path');
+const { ADDRESS_KINDS, checkDonationMethod } = require('./addresses.js');
+const { listChannels } = require('./channels.js');
+
+/**
+ * The schemas of the JSON content files that the pages import.
+ *
+ * A field has a `type` (`string`, `boolean`, `number`, `array` or `object`)
+ * and is optional unless it's `required`. Strings can have a `format` or be
+ * one of `values`, numbers can have a `min`, arrays list the type of their
+ * `items`, and objects list their `fields`. Fields that are `nullable` can be
+ * `null`, and so can a `single` file that's `nullable`. The items of a file
+ * can be checked further with a `check` function, which returns their errors,
+ * and can compare them with other content files.
+ */
+const SPONSORS_PAGE = 'src/pages/sponsors/index.js';
+
+const URL = { type: 'string', format: 'url' };
+const PATH = { type: 'string', format: 'path' };
+
+const SCHEMAS = [
+  {
+    file: 'src/pages/features/features.json',
+    unique: [ 'title' ],
+    item: {
+      title: { type: 'string', required: true },
+      description: { type: 'string', required: true },
+      image: Object.assign({ required: true }, URL)
+    }
+  },
+  {
+    file: 'src/pages/faq/faq.json',
+    // The questions are grouped in categories.
+    categories: true,
+    unique: [ 'question', 'slug' ],
+    item: {
+      question: { type: 'string', required: true },
+      slug: { type: 'string', format: 'slug' },
+      answer: { type: 'string', required: true },
+      image: URL
+    }
+  },
+  {
+    file: 'src/pages/add/versions.json',
+    unique: [ 'title' ],
+    item: {
+      title: { type: 'string', required: true },
+      description: { type: 'string', required: true },
+      url: Object.assign({ required: true }, URL),
+      setup: PATH,
+      channels: { type: 'array', items: { type: 'string' }, required: true }
+    },
+    check: (version, name, root) => {
+      let pinned = (readContent(root, 'data/bastion/channels.json') || []).map(channel => channel.name);
+      return (version.channels || [])
+        .filter(channel => !pinned.includes(channel))
+        .map(channel => `${name}.channels has ${channel}, which isn't in data/bastion/channels.json`);
+    }
+  },
+  {
+    file: 'data/bastion/channels.json',
+    unique: [ 'name', 'branch' ],
+    item: {
+      name: { type: 'string', format: 'slug', required: true },
+      branch: { type: 'string', required: true },
+      // The commit the channel is pinned to by `npm run snapshot`.
+      commit: { type: 'string', format: 'commit', nullable: true, required: true }
+    },
+    check: (channel, name, root) => {
+      let channels = listChannels(readContent(root, 'src/pages/add/versions.json') || []);
+      return channels.includes(channel.name) ? [] : [ `${name}.name isn't the channel of any version in src/pages/add/versions.json` ];
+    }
+  },
+  {
+    file: 'src/pages/donate/methods.json',
+    unique: [ 'title', 'address' ],
+    item: {
+      title: { type: 'string', required: true },
+      description: { type: 'string', required: true },
+      url: URL,
+      image: { type: 'string', format: 'file' },
+      kind: { type: 'string', values: Object.keys(ADDRESS_KINDS) },
+      address: { type: 'string' }
+    },
+    check: checkDonationMethod
+  },
+  {
+    file: 'src/pages/donate/funding.json',
+    // The file is one item, not an array of them. It's `null` while there's
+    // no funding to show, which hides the funding goal.
+    single: true,
+    nullable: true,
+    item: {
+      month: { type: 'string', format: 'month', required: true },
+      currency: { type: 'string', format: 'currency', required: true },
+      costs: {
+        type: 'array',
+        required: true,
+        items: {
+          type: 'object',
+          fields: {
+            title: { type: 'string', required: true },
+            amount: { type: 'number', min: 0, required: true }
+          }
+        }
+      },
+      income: { type: 'number', min: 0, required: true },
+      updatedAt: { type: 'string', format: 'date', required: true }
+    }
+  },
+  {
+    file: 'src/pages/donate/supporters.json',
+    unique: [ 'name' ],
+    item: {
+      name: { type: 'string', required: true },
+      url: URL,
+      since: { type: 'string', format: 'month' }
+    }
+  },
+  {
+    file: 'src/pages/sponsors/sponsors.json',
+    unique: [ 'title', 'url' ],
+    item: {
+      title: { type: 'string', required: true },
+      description: { type: 'string', required: true },
+      url: Object.assign({ required: true }, URL),
+      image: { type: 'string', format: 'file', required: true },
+      tier: { type: 'string', required: true },
+      start: { type: 'string', format: 'date', required: true },
+      end: { type: 'string', format: 'date', nullable: true }
+    },
+    check: (sponsor, name, root) => {
+      let tiers = (readContent(root, 'src/pages/sponsors/tiers.json') || []).map(tier => tier.name);
+      if (!sponsor.tier || tiers.includes(sponsor.tier)) return [];
+      return [ `${name}.tier should be one of the names in src/pages/sponsors/tiers.json: ${tiers.join(', ')}` ];
+    }
+  },
+  {
+    file: 'src/pages/sponsors/tiers.json',
+    unique: [ 'name', 'title' ],
+    item: {
+      // Not `id`, which gatsby-transformer-json would use as the id of the
+      // tier's node.
+      name: { type: 'string', format: 'slug', required: true },
+      title: { type: 'string', required: true },
+      description: { type: 'string', required: true },
+      perks: { type: 'array', items: { type: 'string' }, required: true },
+      logoSize: { type: 'number', min: 1, required: true },
+      footer: { type: 'boolean', required: true }
+    },
+    check: (tier, name, root) => {
+      let size = queryLogoSizes(root)[tier.name];
+      if (!size) {
+        return [ `${name}.name has no logos in the query of ${SPONSORS_PAGE}` ];
+      }
+      if (size.width !== tier.logoSize || size.height !== tier.logoSize) {
+        return [ `${name}.logoSize is ${tier.logoSize}, but the logos are ${size.width}x${size.height} in the query of ${SPONSORS_PAGE}` ];
+      }
+      return [];
+    }
+  },
+  {
+    file: 'src/pages/tools/tools.json',
+    unique: [ 'title' ],
+    item: {
+      title: { type: 'string', required: true },
+      description: { type: 'string', required: true },
+      url: { type: 'string', format: 'link', required: true },
+      image: { type: 'string', format: 'file', required: true }
+    }
+  },
+  {
+    file: 'src/components/SiteBanner/banner.json',
+    unique: [ 'id' ],
+    item: {
+      id: { type: 'string', format: 'slug', required: true },
+      start: { type: 'string', format: 'date', nullable: true },
+      end: { type: 'string', format: 'date', nullable: true },
+      // The `LEVELS` in `src/utils/announcements.js`.
+      level: { type: 'string', values: [ 'info', 'warning', 'critical' ], required: true },
+      title: { type: 'string' },
+      description: { type: 'string', required: true },
+      link: {
+        type: 'object',
+        nullable: true,
+        fields: {
+          url: { type: 'string', format: 'link', required: true },
+          text: { type: 'string', required: true }
+        }
+      },
+      pages: { type: 'array', items: PATH }
+    }
+  }
+];
+
+const FORMATS = {
+  url: {
+    test: value => /^https?:\/\/[^\s/]+\.[^\s]+$/.test(value),
+    message: 'should be an http or https URL'
+  },
+  path: {
+    test: value => /^\/[^\s]*$/.test(value),
+    message: 'should be a path on the site, starting with /'
+  },
+  link: {
+    test: value => FORMATS.url.test(value) || FORMATS.path.test(value),
+    message: 'should be an http or https URL, or a path on the site'
+  },
+  slug: {
+    test: value => /^[a-z0-9]+(-[a-z0-9]+)*$/.test(value),
+    message: 'should only have lowercase letters, numbers and dashes'
+  },
+  month: {
+    test: value => /^\d{4}-(0[1-9]|1[0-2])$/.test(value),
+    message: 'should be a month like 2018-03'
+  },
+  currency: {
+    test: value => /^[A-Z]{3}$/.test(value),
+    message: 'should be a currency code like USD'
+  },
+  date: {
+    // Dates that don't exist, like February 30th, would roll over to the
+    // next month.
+    test: value => /^\d{4}-\d{2}-\d{2}$/.test(value)
+      && !isNaN(new Date(value).getTime())
+      && new Date(value).toISOString().slice(0, 10) === value,
+    message: 'should be a date like 2018-03-01'
+  },
+  commit: {
+    test: value => /^[0-9a-f]{40}$/.test(value),
+    message: 'should be the full SHA of a commit'
+  },
+  file: {
+    test: (value, dir) => /^\.\.?\//.test(value) && fs.existsSync(path.resolve(dir, value)),
+    message: 'should be the relative path of an existing file'
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function validateValue(value, schema, name, dir) {
+  if (value === null) {
+    return schema.nullable ? [] : [ `${name} can't be null` ];
+  }
+  if (typeOf(value) !== schema.type) {
+    return [ `${name} should be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}` ];
+  }
+
+  if (schema.type === 'boolean') {
+    return [];
+  }
+  if (schema.type === 'number') {
+    if (schema.min !== undefined && value < schema.min) {
+      return [ `${name} should be at least ${schema.min}` ];
+    }
+    return [];
+  }
+  if (schema.type === 'string') {
+    if (schema.required && !value.trim()) {
+      return [ `${name} can't be empty` ];
+    }
+    if (!value) return [];
+    if (schema.values && !schema.values.includes(value)) {
+      return [ `${name} should be one of ${schema.values.join(', ')}` ];
+    }
+    if (schema.format && !FORMATS[schema.format].test(value, dir)) {
+      return [ `${name} ${FORMATS[schema.format].message}` ];
+    }
+    return [];
+  }
+  if (schema.type === 'array') {
+    let errors = [];
+    value.forEach((item, i) => {
+      errors = errors.concat(validateValue(item, schema.items, `${name}[${i}]`, dir));
+    });
+    return errors;
+  }
+  return validateFields(value, schema.fields, name, dir);
+}
+
+function validateFields(object, fields, name, dir) {
+  let errors = [];
+
+  for (let key of Object.keys(object)) {
+    if (!fields[key]) {
+      errors.push(`${name} has an unknown field ${key}`);
+    }
+  }
+  for (let key of Object.keys(fields)) {
+    if (object[key] === undefined) {
+      if (fields[key].required) {
+        errors.push(`${name} is missing ${key}`);
+      }
+      continue;
+    }
+    errors = errors.concat(validateValue(object[key], fields[key], name ? `${name}.${key}` : key, dir));
+  }
+
+  return errors;
+}
+
+/**
+ * Reads a content file for the checks that compare it with another one, or
+ * returns `null` when it can't be read, which its own schema reports.
+ */
+function readContent(root, file) {
+  try {
+    return JSON.parse(fs.readFileSync(path.resolve(root, file), 'utf8'));
+  }
+  catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Returns the sizes of the logos in the query of the Sponsors page, by the
+ * alias of their `resolutions`, which is the name of their tier. Gatsby's
+ * queries can't be made from tiers.json, so they're compared with it instead.
+ */
+function queryLogoSizes(root) {
+  let source;
+  try {
+    source = fs.readFileSync(path.resolve(root, SPONSORS_PAGE), 'utf8');
+  }
+  catch (e) {
+    return {};
+  }
+
+  let sizes = {};
+  let pattern = /(\w+)\s*:\s*resolutions\(\s*width\s*:\s*(\d+)\s*,\s*height\s*:\s*(\d+)\s*\)/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    sizes[match[1]] = {
+      width: Number(match[2]),
+      height: Number(match[3])
+    };
+  }
+  return sizes;
+}
+
+/**
+ * Returns the errors in a content file, each starting with the file and the
+ * index of the item it's in.
+ */
+function validateFile(schema, root) {
+  let file = path.resolve(root, schema.file);
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  catch (e) {
+    return [ `${schema.file}: ${e.message}` ];
+  }
+
+  let items = [];
+  if (schema.single && schema.nullable && content === null) {
+    return [];
+  }
+  if (schema.single) {
+    items.push({ item: content, name: '' });
+  }
+  else if (schema.categories) {
+    if (typeOf(content) !== 'object') {
+      return [ `${schema.file}: should be an object of categories` ];
+    }
+    for (let category of Object.keys(content)) {
+      if (!Array.isArray(content[category])) {
+        return [ `${schema.file}: ${category} should be an array` ];
+      }
+      content[category].forEach((item, i) => items.push({ item, name: `${category}[${i}]` }));
+    }
+  }
+  else {
+    if (!Array.isArray(content)) {
+      return [ `${schema.file}: should be an array` ];
+    }
+    content.forEach((item, i) => items.push({ item, name: `[${i}]` }));
+  }
+
+  let errors = [];
+  let seen = {};
+  for (let { item, name } of items) {
+    if (typeOf(item) !== 'object') {
+      errors.push(`${name} should be an object`);
+      continue;
+    }
+    errors = errors.concat(validateFields(item, schema.item, name, path.dirname(file)));
+    if (schema.check) {
+      errors = errors.concat(schema.check(item, name, root));
+    }
+
+    for (let key of schema.unique || []) {
+      let value = item[key];
+      if (typeof value !== 'string' || !value) continue;
+
+      seen[key] = seen[key] || {};
+      if (seen[key][value]) {
+        errors.push(`${name}.${key} is the same as ${seen[key][value]}.${key}`);
+      }
+      else {
+        seen[key][value] = name;
+      }
+    }
+  }
+
+  return errors.map(error => `${schema.file}${/^[[ ]/.test(error) ? '' : ' '}${error}`);
+}
+
+function validateContent(root) {
+  let errors = [];
+  for (let schema of SCHEMAS) {
+    errors = errors.concat(validateFile(schema, root));
+  }
+  return errors;
+}
+
+function checkContent(root) {
+  let errors = validateContent(root);
+  if (errors.length) {
+    throw new Error([
+      'The content files have errors:'
+    ].concat(errors.map(error => `  ${error}`)).join('\n'));
+  }
+}
+
+module.exports = {
+  SCHEMAS,
+  validateFile,
+  validateContent,
+  checkContent
+};
+
+if (require.main === module) {
+  let errors = validateContent(path.resolve(__dirname, '..'));
+  if (errors.length) {
+    console.error(errors.join('\n'));
+    process.exit(1);
+  }
+  console.log(`Checked ${SCHEMAS.length} content files, no errors found.`);
+}
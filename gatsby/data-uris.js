@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * The longest data URI, in characters, that's allowed in the source files.
+ * Anything bigger belongs in an image file, where it's optimized and cached.
+ */
+const MAX_DATA_URI_LENGTH = 1024;
+
+const EXTENSIONS = [ '.js', '.json', '.css' ];
+
+function listFiles(dir) {
+  let files = [];
+  for (let name of fs.readdirSync(dir)) {
+    let file = path.join(dir, name);
+    if (fs.statSync(file).isDirectory()) {
+      files = files.concat(listFiles(file));
+    }
+    else if (EXTENSIONS.includes(path.extname(file))) {
+      files.push(file);
+    }
+  }
+  return files;
+}
+
+/**
+ * Returns the data URIs in the source files that are over the size limit,
+ * with their file, line and length.
+ */
+function findLargeDataURIs(dir) {
+  let found = [];
+  for (let file of listFiles(dir)) {
+    let lines = fs.readFileSync(file, 'utf8').split('\n');
+    lines.forEach((line, i) => {
+      let dataURIs = line.match(/data:[a-z]+\/[a-z0-9.+-]+;base64,[a-z0-9+/=]*/gi) || [];
+      for (let dataURI of dataURIs) {
+        if (dataURI.length > MAX_DATA_URI_LENGTH) {
+          found.push({
+            file: path.relative(process.cwd(), file),
+            line: i + 1,
+            length: dataURI.length
+          });
+        }
+      }
+    });
+  }
+  return found;
+}
+
+function checkDataURIs(dir) {
+  let found = findLargeDataURIs(dir);
+  if (found.length) {
+    throw new Error([
+      `Data URIs longer than ${MAX_DATA_URI_LENGTH} characters aren't allowed, save these images as files instead:`
+    ].concat(found.map(dataURI => {
+      return `  ${dataURI.file}:${dataURI.line} (${dataURI.length} characters)`;
+    })).join('\n'));
+  }
+}
+
+module.exports = {
+  MAX_DATA_URI_LENGTH,
+  findLargeDataURIs,
+  checkDataURIs
+};
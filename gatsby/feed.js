@@ -0,0 +1,53 @@
+const { renderMarkdown } = require('../src/utils/markdown.js');
+const { FEED_PATH } = require('../src/utils/releases.js');
+
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Returns the Atom feed of the releases, newest first. The release notes are
+ * rendered to HTML the same way as on the Changelog pages.
+ */
+function buildAtomFeed(releases, siteMetadata) {
+  let siteUrl = siteMetadata.siteUrl.replace(/\/+$/, '');
+  releases = releases.slice().sort((a, b) => new Date(b.date) - new Date(a.date));
+  let updated = releases.length ? releases[0].date : new Date(0).toISOString();
+
+  let entries = releases.map(release => {
+    let html = renderMarkdown(release.body);
+    return [
+      '  <entry>',
+      `    <id>${escapeXML(`${siteUrl}${release.slug}`)}</id>`,
+      `    <title>${escapeXML(release.title)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXML(`${siteUrl}${release.slug}`)}"/>`,
+      `    <updated>${escapeXML(release.date)}</updated>`,
+      `    <published>${escapeXML(release.date)}</published>`,
+      `    <content type="html">${escapeXML(html)}</content>`,
+      '  </entry>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXML(`${siteUrl}/changelog/`)}</id>`,
+    `  <title>${escapeXML(`Changelog - ${siteMetadata.title}`)}</title>`,
+    `  <subtitle>${escapeXML('The releases of The Bastion Bot.')}</subtitle>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXML(`${siteUrl}${FEED_PATH}`)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXML(`${siteUrl}/changelog/`)}"/>`,
+    `  <updated>${escapeXML(updated)}</updated>`,
+    '  <author>',
+    `    <name>${escapeXML(siteMetadata.title)}</name>`,
+    '  </author>'
+  ].concat(entries, '</feed>', '').join('\n');
+}
+
+module.exports = {
+  buildAtomFeed
+};
@@ -0,0 +1,66 @@
+const { createHandler, listen } = require('./mock-server.js');
+
+/**
+ * A mock of the funding endpoint, for working on the funding goal of the
+ * Donate page. Start it with `npm run funding-mock`, and the site with
+ * `GATSBY_FUNDING_URL=http://localhost:7779/funding.json npm start`.
+ *
+ * The figures are made up, they're not Bastion's. The `scenario` query
+ * parameter picks what it returns:
+ * - `partial` (the default): some of the goal is funded.
+ * - `funded`: the goal is reached, with some to spare.
+ * - `empty`: nothing was donated this month.
+ * - `error`: the endpoint fails with a 500 error.
+ * - `invalid`: the endpoint returns something that isn't a funding.
+ */
+const PORT = Number(process.env.FUNDING_MOCK_PORT) || 7779;
+
+const PATHNAME = '/funding.json';
+
+const EXAMPLE_FUNDING = {
+  currency: 'USD',
+  costs: [
+    {
+      title: 'Bot hosting',
+      amount: 40
+    },
+    {
+      title: 'Website hosting',
+      amount: 10
+    }
+  ],
+  income: 32
+};
+
+function mockFunding(scenario, now) {
+  let goal = EXAMPLE_FUNDING.costs.reduce((goal, cost) => goal + cost.amount, 0);
+  let income = EXAMPLE_FUNDING.income;
+  if (scenario === 'funded') {
+    income = goal + 12.5;
+  }
+  else if (scenario === 'empty') {
+    income = 0;
+  }
+
+  return Object.assign({}, EXAMPLE_FUNDING, {
+    month: new Date(now).toISOString().slice(0, 7),
+    income: income,
+    updatedAt: new Date(now).toISOString().slice(0, 10)
+  });
+}
+
+const handleRequest = createHandler(PATHNAME, 'partial', (scenario, reply) => {
+  if (scenario === 'invalid') {
+    return reply({ costs: 'unknown' });
+  }
+  reply(mockFunding(scenario, Date.now()));
+});
+
+module.exports = {
+  mockFunding,
+  handleRequest
+};
+
+if (require.main === module) {
+  listen('funding', PATHNAME, PORT, handleRequest);
+}
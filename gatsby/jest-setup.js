@@ -0,0 +1,8 @@
+// jsdom, which `gatsby/a11y.js` runs axe in, needs the globals that Jest 23's
+// node environment leaves out.
+const { TextEncoder, TextDecoder } = require('util');
+const { performance } = require('perf_hooks');
+
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+global.performance = performance;
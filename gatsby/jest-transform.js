@@ -0,0 +1,10 @@
+/**
+ * Compiles the site's ES modules for Jest. It doesn't use a `.babelrc`,
+ * which Gatsby would use instead of its own Babel config.
+ */
+module.exports = require('babel-jest').createTransformer({
+  babelrc: false,
+  presets: [
+    [ 'env', { targets: { node: 'current' } } ]
+  ]
+});
@@ -0,0 +1,69 @@
+const http = require('http');
+const url = require('url');
+
+/**
+ * What the mock endpoints (`gatsby/status-mock.js` and
+ * `gatsby/funding-mock.js`) have in common. Each of them answers at one path,
+ * and the `scenario` query parameter picks what it returns. The `error`
+ * scenario fails with a 500 error, the others are up to the endpoint.
+ */
+
+function send(res, statusCode, body) {
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': 'no-store'
+  });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Returns the request handler of a mock endpoint. `respond` is called with
+ * the scenario of the request, and a function that sends the body of its
+ * response.
+ */
+function createHandler(pathname, defaultScenario, respond) {
+  return (req, res) => {
+    let request = url.parse(req.url, true);
+    let scenario = request.query.scenario || defaultScenario;
+
+    if (request.pathname !== pathname) {
+      return send(res, 404, { error: 'Not found' });
+    }
+    if (scenario === 'error') {
+      return send(res, 500, { error: 'Internal server error' });
+    }
+    respond(scenario, body => send(res, 200, body));
+  };
+}
+
+function listen(name, pathname, port, handleRequest) {
+  http.createServer(handleRequest).listen(port, () => {
+    console.log(`Mock ${name} endpoint running at http://localhost:${port}${pathname}`);
+  });
+}
+
+/**
+ * Calls a request handler without a server, for the tests, and resolves with
+ * the status code and the body of its response.
+ */
+function requestMock(handleRequest, path) {
+  return new Promise(resolve => {
+    let res = {
+      writeHead: statusCode => {
+        res.statusCode = statusCode;
+      },
+      end: body => resolve({
+        statusCode: res.statusCode,
+        body: JSON.parse(body)
+      })
+    };
+    handleRequest({ url: path }, res);
+  });
+}
+
+module.exports = {
+  createHandler,
+  listen,
+  requestMock
+};
@@ -0,0 +1,73 @@
+/**
+ * Builds the documents of the site search, written to `public/search.json`
+ * at build time and searched in the browser by `src/utils/siteSearch.js`.
+ */
+
+const { slugify, questionSlug } = require('../src/utils/slugify.js');
+const { renderMarkdown, plainText } = require('../src/utils/markdown.js');
+
+function commandDocuments(commands) {
+  return commands.map(command => {
+    return {
+      type: 'command',
+      title: command.name,
+      text: command.text,
+      module: command.module.replace(/_/g, ' '),
+      path: command.slug
+    };
+  });
+}
+
+function faqDocuments(faq) {
+  let slugs = {};
+  let documents = [];
+
+  for (let category of Object.keys(faq)) {
+    for (let question of faq[category]) {
+      let slug = questionSlug(slugs, question);
+      documents.push({
+        type: 'faq',
+        title: plainText(question.question),
+        text: plainText(renderMarkdown(question.answer)),
+        path: `/faq#${slug}`
+      });
+    }
+  }
+
+  return documents;
+}
+
+function featureDocuments(features) {
+  return features.map(feature => {
+    return {
+      type: 'feature',
+      title: feature.title,
+      text: plainText(renderMarkdown(feature.description)),
+      path: `/features#${slugify(feature.title)}`
+    };
+  });
+}
+
+function toolDocuments(tools) {
+  return tools.map(tool => {
+    return {
+      type: 'tool',
+      title: tool.title,
+      text: plainText(tool.description),
+      path: tool.url
+    };
+  });
+}
+
+function buildSearchDocuments(content) {
+  return [].concat(
+    commandDocuments(content.commands),
+    faqDocuments(content.faq),
+    featureDocuments(content.features),
+    toolDocuments(content.tools)
+  );
+}
+
+module.exports = {
+  buildSearchDocuments
+};
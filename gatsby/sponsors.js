@@ -0,0 +1,35 @@
+const tiers = require('../src/pages/sponsors/tiers.json');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a sponsorship has started and hasn't ended yet. The end date is
+ * inclusive, like the one of the announcements in
+ * `src/utils/announcements.js`, and sponsorships without one don't end.
+ */
+function isActiveSponsor(sponsor, now) {
+  let start = new Date(sponsor.start).getTime();
+  let end = sponsor.end ? new Date(sponsor.end).getTime() + DAY - 1 : Infinity;
+
+  return start <= now && now <= end;
+}
+
+/**
+ * Returns the fields added to the sponsors when the site is built, so the
+ * ones that ended are dropped from the pages. The sponsors of the tiers with
+ * a `footer` spot are `featured` in the footer.
+ */
+function sponsorFields(sponsor, now) {
+  let tier = tiers.find(tier => tier.name === sponsor.tier);
+  let active = isActiveSponsor(sponsor, now);
+
+  return {
+    active: active,
+    featured: active && Boolean(tier && tier.footer)
+  };
+}
+
+module.exports = {
+  isActiveSponsor,
+  sponsorFields
+};
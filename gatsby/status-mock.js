@@ -0,0 +1,68 @@
+const { createHandler, listen } = require('./mock-server.js');
+
+/**
+ * A mock of the status endpoint, for working on the BotStatus component
+ * without the public Bastion. Start it with `npm run status-mock`, and the
+ * site with `GATSBY_STATUS_URL=http://localhost:7778/status.json npm start`.
+ *
+ * The `scenario` query parameter picks what it returns:
+ * - `operational` (the default): every shard is ready.
+ * - `degraded`: some shards are reconnecting.
+ * - `outage`: the bot is offline.
+ * - `error`: the endpoint fails with a 500 error.
+ * - `invalid`: the endpoint returns something that isn't a status.
+ * - `slow`: the response takes longer than the component waits for.
+ */
+const PORT = Number(process.env.STATUS_MOCK_PORT) || 7778;
+
+const PATHNAME = '/status.json';
+
+const SHARDS = 4;
+
+const SLOW_DELAY = 10000;
+
+const startedAt = Date.now();
+
+function mockStatus(scenario, now) {
+  let shards = [];
+  for (let id = 0; id < SHARDS; id++) {
+    let isDown = scenario === 'outage' || (scenario === 'degraded' && id === SHARDS - 1);
+    shards.push({
+      id: id,
+      status: isDown ? 'disconnected' : 'ready',
+      guilds: 2500 + id * 37,
+      latency: isDown ? null : 60 + id * 15
+    });
+  }
+
+  let ready = shards.filter(shard => shard.status === 'ready');
+  return {
+    online: scenario !== 'outage',
+    uptime: scenario === 'outage' ? 0 : Math.floor((now - startedAt) / 1000) + 3 * 86400,
+    guilds: shards.reduce((guilds, shard) => guilds + shard.guilds, 0),
+    latency: ready.length
+      ? Math.round(ready.reduce((latency, shard) => latency + shard.latency, 0) / ready.length)
+      : null,
+    shards: shards,
+    updatedAt: new Date(now).toISOString()
+  };
+}
+
+const handleRequest = createHandler(PATHNAME, 'operational', (scenario, reply) => {
+  if (scenario === 'invalid') {
+    return reply([ 'not', 'a', 'status' ]);
+  }
+  if (scenario === 'slow') {
+    return setTimeout(() => reply(mockStatus('operational', Date.now())), SLOW_DELAY);
+  }
+  reply(mockStatus(scenario, Date.now()));
+});
+
+module.exports = {
+  mockStatus,
+  handleRequest
+};
+
+if (require.main === module) {
+  listen('status', PATHNAME, PORT, handleRequest);
+}
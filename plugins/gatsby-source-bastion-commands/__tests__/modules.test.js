@@ -0,0 +1,181 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const {
+  listLocales,
+  readLocal,
+  readRemote,
+  parseModules,
+  checkPinned,
+  localeCommands
+} = require('../modules.js');
+
+jest.mock('axios');
+
+const COMMIT = '0123456789abcdef0123456789abcdef01234567';
+
+const MODULES = {
+  info: {
+    help: 'Shows the help.',
+    ping: 'Shows the latency.'
+  },
+  music: {
+    play: 'Plays a song.',
+    skip: 'Skips the song.'
+  }
+};
+
+let root;
+
+function writeModules(dir, locale, content) {
+  let file = path.resolve(dir, 'locales', locale, 'modules.json');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+}
+
+const reporter = {
+  warn: jest.fn()
+};
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'bastion-modules-'));
+  axios.get.mockReset();
+  reporter.warn.mockReset();
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true });
+});
+
+describe('parseModules', () => {
+  test('returns the modules', () => {
+    expect(parseModules('modules.json', JSON.stringify(MODULES), 'en')).toEqual(MODULES);
+  });
+
+  test('rejects data that is not JSON', () => {
+    expect(() => parseModules('modules.json', '{ "info": ', 'en'))
+      .toThrow('Bastion modules data in modules.json is not valid JSON');
+  });
+
+  test('rejects data in another shape', () => {
+    expect(() => parseModules('modules.json', '[]', 'en'))
+      .toThrow('Bastion modules data in modules.json should be an object of modules.');
+    expect(() => parseModules('modules.json', '{ "info": [ "help" ] }', 'en'))
+      .toThrow('module "info" should be an object of commands');
+    expect(() => parseModules('modules.json', '{ "info": { "help": 1 } }', 'en'))
+      .toThrow('command "help" of module "info" should have a string description');
+  });
+
+  test('rejects the default locale without modules, but not the others', () => {
+    expect(() => parseModules('modules.json', '{}', 'en')).toThrow('doesn\'t have any modules');
+    expect(parseModules('modules.json', '{}', 'de')).toEqual({});
+  });
+});
+
+describe('checkPinned', () => {
+  test('accepts channels pinned to a commit or built from a checkout', () => {
+    expect(() => checkPinned({ name: 'stable', ref: COMMIT })).not.toThrow();
+    expect(() => checkPinned({ name: 'stable', path: '/bastion' })).not.toThrow();
+  });
+
+  test('rejects channels that are not pinned', () => {
+    expect(() => checkPinned({ name: 'stable', ref: null }))
+      .toThrow('Bastion\'s stable channel isn\'t pinned to a commit, run `npm run snapshot` to pin it.');
+    expect(() => checkPinned({ name: 'development', ref: 'master' })).toThrow('isn\'t pinned');
+  });
+});
+
+describe('reading the modules data', () => {
+  test('lists the locales that have modules data', () => {
+    writeModules(root, 'en', MODULES);
+    writeModules(root, 'de', {});
+    fs.mkdirSync(path.resolve(root, 'locales', 'fr'));
+
+    expect(listLocales(root).sort()).toEqual([ 'de', 'en' ]);
+    expect(listLocales(path.resolve(root, 'missing'))).toEqual([]);
+  });
+
+  test('reads a local checkout', () => {
+    writeModules(root, 'en', MODULES);
+
+    expect(JSON.parse(readLocal(root, 'en').content)).toEqual(MODULES);
+    expect(() => readLocal(root, 'de')).toThrow('Bastion modules data was not found at');
+  });
+
+  test('downloads the data at the pinned commit', async () => {
+    axios.get.mockResolvedValue({ data: JSON.stringify(MODULES) });
+
+    let data = await readRemote({ repository: 'TheBastionBot/Bastion', snapshots: root }, COMMIT, 'en', reporter);
+
+    expect(axios.get.mock.calls[0][0]).toBe(`https://raw.githubusercontent.com/TheBastionBot/Bastion/${COMMIT}/locales/en/modules.json`);
+    expect(data.source).toBe(axios.get.mock.calls[0][0]);
+    expect(JSON.parse(data.content)).toEqual(MODULES);
+    expect(reporter.warn).not.toHaveBeenCalled();
+  });
+
+  test('falls back to the snapshot of the commit', async () => {
+    axios.get.mockRejectedValue(new Error('getaddrinfo ENOTFOUND'));
+    writeModules(path.resolve(root, COMMIT), 'en', MODULES);
+
+    let data = await readRemote({ repository: 'TheBastionBot/Bastion', snapshots: root }, COMMIT, 'en', reporter);
+
+    expect(JSON.parse(data.content)).toEqual(MODULES);
+    expect(reporter.warn.mock.calls[0][0]).toMatch('getaddrinfo ENOTFOUND');
+  });
+
+  test('fails without a download or a snapshot', async () => {
+    axios.get.mockRejectedValue(new Error('getaddrinfo ENOTFOUND'));
+
+    await expect(readRemote({ repository: 'TheBastionBot/Bastion', snapshots: root }, COMMIT, 'en', reporter))
+      .rejects.toThrow('Bastion modules data was not found at');
+  });
+});
+
+describe('localeCommands', () => {
+  test('has every command of the default locale', () => {
+    let localized = localeCommands(MODULES, MODULES);
+
+    expect(localized.commands.map(command => `${command.module}.${command.name}`))
+      .toEqual([ 'info.help', 'info.ping', 'music.play', 'music.skip' ]);
+    expect(localized.commands.every(command => command.translated)).toBe(true);
+    expect(localized.coverage).toBe(100);
+  });
+
+  test('falls back to the default locale for the commands that are not translated', () => {
+    let localized = localeCommands(MODULES, {
+      info: {
+        help: 'Zeigt die Hilfe.',
+        ping: '  '
+      }
+    });
+
+    expect(localized.commands.map(command => [ command.name, command.translated, command.description ])).toEqual([
+      [ 'help', true, 'Zeigt die Hilfe.' ],
+      [ 'ping', false, 'Shows the latency.' ],
+      [ 'play', false, 'Plays a song.' ],
+      [ 'skip', false, 'Skips the song.' ]
+    ]);
+    expect(localized.total).toBe(4);
+    expect(localized.translated).toBe(1);
+    expect(localized.coverage).toBe(25);
+  });
+
+  test('rounds the coverage down', () => {
+    // 2 of 3 is 66.7%.
+    expect(localeCommands({ a: { x: '', y: '', z: '' } }, { a: { x: 'X', y: 'Y' } }).coverage).toBe(66);
+  });
+
+  test('falls back for every command of a missing locale', () => {
+    let localized = localeCommands(MODULES, {});
+
+    expect(localized.commands.map(command => command.description))
+      .toEqual([ 'Shows the help.', 'Shows the latency.', 'Plays a song.', 'Skips the song.' ]);
+    expect(localized.translated).toBe(0);
+    expect(localized.coverage).toBe(0);
+  });
+
+  test('has no coverage without commands', () => {
+    expect(localeCommands({}, {})).toEqual({ commands: [], total: 0, translated: 0, coverage: 0 });
+  });
+});
@@ -0,0 +1,113 @@
+const path = require('path');
+const crypto = require('crypto');
+const { renderMarkdown, plainText } = require('../../src/utils/markdown.js');
+const {
+  DEFAULT_LOCALE,
+  listLocales,
+  readLocal,
+  readRemote,
+  parseModules,
+  checkPinned,
+  localeCommands
+} = require('./modules.js');
+
+function digest(content) {
+  return crypto
+    .createHash('md5')
+    .update(JSON.stringify(content))
+    .digest('hex');
+}
+
+/**
+ * Returns the path of the Commands page in the locale. Pages in the default
+ * locale aren't prefixed.
+ */
+function localePath(locale, pathname) {
+  return locale === DEFAULT_LOCALE ? pathname : `/${locale}${pathname}`;
+}
+
+function createBastionNode(createNode, id, type, content) {
+  createNode(Object.assign({}, content, {
+    id: id,
+    parent: null,
+    children: [],
+    internal: {
+      type: type,
+      contentDigest: digest(content)
+    }
+  }));
+}
+
+exports.sourceNodes = async ({ boundActionCreators, reporter }, pluginOptions) => {
+  const { createNode } = boundActionCreators;
+  const options = Object.assign({
+    repository: 'TheBastionBot/Bastion',
+    timeout: 10000
+  }, pluginOptions);
+
+  if (!Array.isArray(options.channels) || !options.channels.length) {
+    throw new Error('At least one Bastion release channel should be configured.');
+  }
+
+  for (let [ order, channel ] of options.channels.entries()) {
+    if (!channel.name) {
+      throw new Error(`Bastion release channel #${order + 1} should have a name.`);
+    }
+    checkPinned(channel);
+
+    const read = locale => channel.path
+      ? readLocal(channel.path, locale)
+      : readRemote(options, channel.ref, locale, reporter);
+
+    // Locales can't be listed from the remote repository, so unless they're
+    // configured, build the ones that we have snapshots of.
+    let locales = channel.path
+      ? listLocales(channel.path)
+      : options.locales || listLocales(path.resolve(options.snapshots, channel.ref));
+    locales = [ DEFAULT_LOCALE ].concat(locales.filter(locale => locale !== DEFAULT_LOCALE));
+
+    let data = await read(DEFAULT_LOCALE);
+    let defaultModules = parseModules(data.source, data.content, DEFAULT_LOCALE);
+
+    createBastionNode(createNode, `bastion-channel-${channel.name}`, 'BastionChannel', {
+      name: channel.name,
+      ref: channel.ref,
+      order: order,
+      // The first channel is the default one, and its commands get their own
+      // pages.
+      isDefault: order === 0
+    });
+
+    for (let locale of locales) {
+      let modules = defaultModules;
+      if (locale !== DEFAULT_LOCALE) {
+        data = await read(locale);
+        modules = parseModules(data.source, data.content, locale);
+      }
+
+      let localized = localeCommands(defaultModules, modules);
+      for (let command of localized.commands) {
+        createBastionNode(createNode, `bastion-command-${channel.name}-${locale}-${command.module}-${command.name}`, 'BastionCommand', {
+          name: command.name,
+          module: command.module,
+          channel: channel.name,
+          locale: locale,
+          translated: command.translated,
+          description: command.description,
+          text: plainText(renderMarkdown(command.description)),
+          slug: localePath(locale, `/commands/${command.module.replace(/_/g, '-')}/${command.name}`.toLowerCase())
+        });
+      }
+
+      createBastionNode(createNode, `bastion-locale-${channel.name}-${locale}`, 'BastionLocale', {
+        locale: locale,
+        channel: channel.name,
+        isDefault: locale === DEFAULT_LOCALE,
+        path: localePath(locale, '/commands/'),
+        total: localized.total,
+        translated: localized.translated,
+        coverage: localized.coverage
+      });
+    }
+  }
+};
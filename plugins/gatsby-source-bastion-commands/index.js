@@ -0,0 +1 @@
+// noop
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+/**
+ * Reads and checks Bastion's modules data for `gatsby-node.js`. They're in
+ * their own module, since Gatsby doesn't allow `gatsby-node.js` to export
+ * anything but its APIs.
+ */
+
+const DEFAULT_LOCALE = 'en';
+
+function modulesFile(locale) {
+  return `locales/${locale}/modules.json`;
+}
+
+/**
+ * Returns the locales that have modules data in the `locales` directory of a
+ * local checkout of Bastion (or of a snapshot).
+ */
+function listLocales(root) {
+  let dir = path.resolve(root, 'locales');
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir).filter(locale => {
+    return fs.existsSync(path.resolve(dir, locale, 'modules.json'));
+  });
+}
+
+/**
+ * Reads the modules data from a local checkout of Bastion.
+ */
+function readLocal(root, locale) {
+  let file = path.resolve(root, modulesFile(locale));
+  if (!fs.existsSync(file)) {
+    throw new Error(`Bastion modules data was not found at ${file}.`);
+  }
+  return {
+    source: file,
+    content: fs.readFileSync(file, 'utf8')
+  };
+}
+
+/**
+ * Downloads the modules data from the Bastion repository, and falls back to
+ * the checked-in snapshot if the download fails.
+ */
+async function readRemote(options, ref, locale, reporter) {
+  let url = `https://raw.githubusercontent.com/${options.repository}/${ref}/${modulesFile(locale)}`;
+  try {
+    let res = await axios.get(url, {
+      timeout: options.timeout,
+      responseType: 'text',
+      transformResponse: data => data
+    });
+    return {
+      source: url,
+      content: res.data
+    };
+  }
+  catch (e) {
+    let snapshot = path.resolve(options.snapshots, ref);
+    reporter.warn(`Couldn't download ${url} (${e.message}), using the snapshot in ${snapshot} instead.`);
+    return readLocal(snapshot, locale);
+  }
+}
+
+/**
+ * Parses the modules data and makes sure that it's in the shape of
+ * `{ module: { command: description } }`.
+ */
+function parseModules(source, content, locale) {
+  let modules;
+  try {
+    modules = JSON.parse(content);
+  }
+  catch (e) {
+    throw new Error(`Bastion modules data in ${source} is not valid JSON: ${e.message}`);
+  }
+
+  if (!modules || typeof modules !== 'object' || Array.isArray(modules)) {
+    throw new Error(`Bastion modules data in ${source} should be an object of modules.`);
+  }
+  for (let module of Object.keys(modules)) {
+    let commands = modules[module];
+    if (!commands || typeof commands !== 'object' || Array.isArray(commands)) {
+      throw new Error(`Bastion modules data in ${source} is malformed: module "${module}" should be an object of commands.`);
+    }
+    for (let command of Object.keys(commands)) {
+      if (typeof commands[command] !== 'string') {
+        throw new Error(`Bastion modules data in ${source} is malformed: command "${command}" of module "${module}" should have a string description.`);
+      }
+    }
+  }
+  if (locale === DEFAULT_LOCALE && !Object.keys(modules).length) {
+    throw new Error(`Bastion modules data in ${source} doesn't have any modules.`);
+  }
+
+  return modules;
+}
+
+/**
+ * Throws unless the channel is built from a local checkout of Bastion, or is
+ * pinned to a commit, so that the site is built from the same data every
+ * time, and its snapshot is the same data.
+ */
+function checkPinned(channel) {
+  if (!channel.path && !/^[0-9a-f]{40}$/.test(channel.ref || '')) {
+    throw new Error(`Bastion's ${channel.name} channel isn't pinned to a commit, run \`npm run snapshot\` to pin it.`);
+  }
+}
+
+/**
+ * Returns the commands of the default locale in the locale, with how many of
+ * them are translated. Every command of the default locale is in every
+ * locale, the ones that aren't translated yet fall back to the default locale.
+ */
+function localeCommands(defaultModules, modules) {
+  let commands = [];
+  let translated = 0;
+
+  for (let module of Object.keys(defaultModules)) {
+    for (let name of Object.keys(defaultModules[module])) {
+      let description = modules[module] && modules[module][name];
+      let isTranslated = typeof description === 'string' && description.trim().length > 0;
+      if (isTranslated) translated++;
+
+      commands.push({
+        name: name,
+        module: module,
+        translated: isTranslated,
+        description: isTranslated ? description : defaultModules[module][name]
+      });
+    }
+  }
+
+  return {
+    commands: commands,
+    total: commands.length,
+    translated: translated,
+    coverage: commands.length ? Math.floor(translated / commands.length * 100) : 0
+  };
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  listLocales,
+  readLocal,
+  readRemote,
+  parseModules,
+  checkPinned,
+  localeCommands
+};
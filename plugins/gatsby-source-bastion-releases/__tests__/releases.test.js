@@ -0,0 +1,179 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseFrontMatter,
+  readLocal,
+  fromGitHub,
+  readSnapshot,
+  parseSections
+} = require('../releases.js');
+
+const NOTES = [
+  '---',
+  'version: 6.1.0',
+  'title: "Bastion 6.1.0"',
+  'date: 2018-03-01',
+  'prerelease: false',
+  '---',
+  'The summary of the release.',
+  '',
+  '## Bug Fixes',
+  '- Fixed the queue.',
+  '',
+  '## New Features',
+  '- Added the `lyrics` command.',
+  '- Added the `poll` command.',
+  '',
+  '## Thanks',
+  'To everyone who reported bugs.',
+  '',
+  '### Added',
+  '- Added the `weather` command.'
+].join('\n');
+
+const RELEASE = {
+  tag_name: 'v6.1.0',
+  name: 'Bastion 6.1.0',
+  published_at: '2018-03-01T12:00:00Z',
+  prerelease: false,
+  draft: false,
+  html_url: 'https://github.com/TheBastionBot/Bastion/releases/tag/v6.1.0',
+  body: '## Fixed\n- Fixed the queue.'
+};
+
+let root;
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'bastion-releases-'));
+});
+
+afterEach(() => {
+  fs.rmSync(root, { recursive: true });
+});
+
+describe('parseFrontMatter', () => {
+  test('returns the attributes and the body', () => {
+    let notes = parseFrontMatter('6.1.0.md', NOTES);
+
+    expect(notes.attributes).toEqual({
+      version: '6.1.0',
+      title: 'Bastion 6.1.0',
+      date: '2018-03-01',
+      prerelease: 'false'
+    });
+    expect(notes.body).toMatch(/^The summary of the release\./);
+  });
+
+  test('reads Windows line endings', () => {
+    let notes = parseFrontMatter('6.1.0.md', '---\r\nversion: 6.1.0\r\n---\r\nSummary');
+    expect(notes).toEqual({ attributes: { version: '6.1.0' }, body: 'Summary' });
+  });
+
+  test('rejects notes without front matter', () => {
+    let message = 'Release notes in 6.1.0.md should start with front matter, with at least the version and the date.';
+    expect(() => parseFrontMatter('6.1.0.md', 'version: 6.1.0')).toThrow(message);
+    expect(() => parseFrontMatter('6.1.0.md', '---\nversion: 6.1.0\n')).toThrow(message);
+    expect(() => parseFrontMatter('6.1.0.md', 'Summary\n---\nversion: 6.1.0\n---\n')).toThrow(message);
+  });
+});
+
+describe('parseSections', () => {
+  test('groups the sections in the order of SECTIONS', () => {
+    let notes = parseSections(parseFrontMatter('6.1.0.md', NOTES).body);
+
+    expect(notes.summary).toBe('The summary of the release.');
+    expect(notes.sections).toEqual([
+      {
+        type: 'added',
+        title: 'Added',
+        markdown: '- Added the `lyrics` command.\n- Added the `poll` command.\n\n- Added the `weather` command.',
+        entries: 3
+      },
+      {
+        type: 'fixed',
+        title: 'Fixed',
+        markdown: '- Fixed the queue.',
+        entries: 1
+      },
+      {
+        type: 'thanks',
+        title: 'Thanks',
+        markdown: 'To everyone who reported bugs.',
+        entries: 0
+      }
+    ]);
+  });
+
+  test('leaves out empty sections', () => {
+    expect(parseSections('## Added\n\n## Fixed\n- Fixed the queue.').sections.map(section => section.type))
+      .toEqual([ 'fixed' ]);
+  });
+
+  test('keeps the notes of a release without sections as its summary', () => {
+    expect(parseSections('- Fixed the queue.\n')).toEqual({
+      summary: '- Fixed the queue.',
+      sections: []
+    });
+    expect(parseSections(null)).toEqual({ summary: '', sections: [] });
+  });
+});
+
+describe('reading the releases', () => {
+  test('reads the markdown files of a directory', () => {
+    fs.writeFileSync(path.resolve(root, '6.1.0.md'), NOTES);
+    fs.writeFileSync(path.resolve(root, 'README.txt'), 'Not release notes.');
+
+    let releases = readLocal(root);
+    expect(releases).toEqual([
+      {
+        source: path.resolve(root, '6.1.0.md'),
+        tag: '6.1.0',
+        name: 'Bastion 6.1.0',
+        date: '2018-03-01',
+        prerelease: false,
+        url: undefined,
+        body: parseFrontMatter('6.1.0.md', NOTES).body
+      }
+    ]);
+    expect(() => readLocal(path.resolve(root, 'missing'))).toThrow('Bastion release notes were not found at');
+  });
+
+  test('rejects markdown files without front matter', () => {
+    fs.writeFileSync(path.resolve(root, '6.1.0.md'), '## Fixed\n- Fixed the queue.');
+    expect(() => readLocal(root)).toThrow('should start with front matter');
+  });
+
+  test('reads the GitHub releases, without the drafts', () => {
+    let releases = fromGitHub('releases.json', [ RELEASE, Object.assign({}, RELEASE, { tag_name: 'v6.2.0', draft: true }) ]);
+
+    expect(releases).toEqual([
+      {
+        source: 'releases.json',
+        tag: 'v6.1.0',
+        name: 'Bastion 6.1.0',
+        date: '2018-03-01T12:00:00Z',
+        prerelease: false,
+        url: 'https://github.com/TheBastionBot/Bastion/releases/tag/v6.1.0',
+        body: '## Fixed\n- Fixed the queue.'
+      }
+    ]);
+    expect(() => fromGitHub('releases.json', { message: 'Not Found' }))
+      .toThrow('Bastion releases in releases.json should be an array of GitHub releases.');
+  });
+
+  test('reads the snapshot', () => {
+    let file = path.resolve(root, 'releases.json');
+    fs.writeFileSync(file, JSON.stringify([ RELEASE ]));
+    expect(readSnapshot(file).map(release => release.tag)).toEqual([ 'v6.1.0' ]);
+
+    fs.writeFileSync(file, '[');
+    expect(() => readSnapshot(file)).toThrow(`Bastion releases snapshot in ${file} is not valid JSON`);
+  });
+
+  test('fails without a snapshot', () => {
+    let file = path.resolve(root, 'releases.json');
+    expect(() => readSnapshot(file))
+      .toThrow(`Bastion releases snapshot was not found at ${file}. Run \`npm run snapshot\` to save one.`);
+  });
+});
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const { readLocal, readSnapshot, parseSections } = require('./releases.js');
+
+/**
+ * Gatsby infers the BastionRelease type from its nodes, so the queries of the
+ * Changelog would fail without any releases. This node keeps the type, with
+ * every field, and is left out by the queries with `placeholder: { eq: false }`.
+ */
+const PLACEHOLDER = {
+  version: '',
+  tag: '',
+  title: '',
+  date: new Date(0).toISOString(),
+  prerelease: false,
+  channel: '',
+  url: '',
+  summary: '',
+  sections: [
+    {
+      type: '',
+      title: '',
+      markdown: '',
+      entries: 0
+    }
+  ],
+  body: '',
+  slug: '',
+  placeholder: true
+};
+
+function digest(content) {
+  return crypto
+    .createHash('md5')
+    .update(JSON.stringify(content))
+    .digest('hex');
+}
+
+function createReleaseNode(createNode, id, content) {
+  createNode(Object.assign({}, content, {
+    id: id,
+    parent: null,
+    children: [],
+    internal: {
+      type: 'BastionRelease',
+      contentDigest: digest(content)
+    }
+  }));
+}
+
+exports.sourceNodes = ({ boundActionCreators, reporter }, pluginOptions) => {
+  const { createNode } = boundActionCreators;
+  const options = Object.assign({
+    repository: 'TheBastionBot/Bastion'
+  }, pluginOptions);
+
+  let releases = options.path
+    ? readLocal(options.path)
+    : readSnapshot(options.snapshot);
+
+  if (!releases.length) {
+    reporter.warn('There are no Bastion releases, the Changelog will be empty.');
+    createReleaseNode(createNode, 'bastion-release-placeholder', PLACEHOLDER);
+    return;
+  }
+
+  let versions = {};
+  for (let release of releases) {
+    let version = String(release.tag || '').replace(/^v/i, '');
+    let date = new Date(release.date);
+    if (!/^\d+\.\d+\.\d+/.test(version)) {
+      throw new Error(`Bastion release in ${release.source} should have a version like 1.2.3, not "${release.tag}".`);
+    }
+    if (isNaN(date.getTime())) {
+      throw new Error(`Bastion release ${version} in ${release.source} should have a date.`);
+    }
+    if (versions[version]) {
+      throw new Error(`Bastion release ${version} is in ${release.source} more than once.`);
+    }
+    versions[version] = true;
+
+    let notes = parseSections(release.body);
+    let content = {
+      version: version,
+      tag: release.tag,
+      title: release.name || `Bastion ${version}`,
+      date: date.toISOString(),
+      prerelease: release.prerelease,
+      // The release channels of `src/pages/add/versions.json`.
+      channel: release.prerelease ? 'development' : 'stable',
+      url: release.url || `https://github.com/${options.repository}/releases/tag/${release.tag}`,
+      summary: notes.summary,
+      sections: notes.sections,
+      body: release.body || '',
+      slug: `/changelog/${version}/`,
+      placeholder: false
+    };
+
+    createReleaseNode(createNode, `bastion-release-${version}`, content);
+  }
+};
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Reads and parses Bastion's release notes for `gatsby-node.js`. They're in
+ * their own module, since Gatsby doesn't allow `gatsby-node.js` to export
+ * anything but its APIs.
+ */
+
+/**
+ * The sections release notes are grouped in, and the headings that go in
+ * each of them. Sections with other headings are kept after these.
+ */
+const SECTIONS = [
+  {
+    type: 'added',
+    title: 'Added',
+    headings: /^(added|new|new features?|features?)$/i
+  },
+  {
+    type: 'changed',
+    title: 'Changed',
+    headings: /^(changed|changes|improved|improvements|updated)$/i
+  },
+  {
+    type: 'fixed',
+    title: 'Fixed',
+    headings: /^(fixed|fixes|bug ?fixes)$/i
+  },
+  {
+    type: 'removed',
+    title: 'Removed',
+    headings: /^(removed|deprecated)$/i
+  }
+];
+
+/**
+ * Parses the front matter of a release notes file, the `key: value` lines
+ * between the `---` lines at the start of it.
+ */
+function parseFrontMatter(source, content) {
+  let match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) {
+    throw new Error(`Release notes in ${source} should start with front matter, with at least the version and the date.`);
+  }
+
+  let attributes = {};
+  for (let line of match[1].split(/\r?\n/)) {
+    let attribute = line.match(/^\s*([a-z]+)\s*:\s*(.*?)\s*$/i);
+    if (attribute) {
+      attributes[attribute[1]] = attribute[2].replace(/^(['"])(.*)\1$/, '$2');
+    }
+  }
+
+  return {
+    attributes: attributes,
+    body: content.slice(match[0].length)
+  };
+}
+
+/**
+ * Reads the release notes from a local directory of markdown files.
+ */
+function readLocal(dir) {
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Bastion release notes were not found at ${dir}.`);
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => path.extname(file) === '.md')
+    .map(file => {
+      let source = path.resolve(dir, file);
+      let notes = parseFrontMatter(source, fs.readFileSync(source, 'utf8'));
+      return {
+        source: source,
+        tag: notes.attributes.version,
+        name: notes.attributes.title,
+        date: notes.attributes.date,
+        prerelease: notes.attributes.prerelease === 'true',
+        url: notes.attributes.url,
+        body: notes.body
+      };
+    });
+}
+
+function fromGitHub(source, releases) {
+  if (!Array.isArray(releases)) {
+    throw new Error(`Bastion releases in ${source} should be an array of GitHub releases.`);
+  }
+
+  return releases
+    .filter(release => !release.draft)
+    .map(release => {
+      return {
+        source: source,
+        tag: release.tag_name,
+        name: release.name,
+        date: release.published_at,
+        prerelease: !!release.prerelease,
+        url: release.html_url,
+        body: release.body
+      };
+    });
+}
+
+/**
+ * Reads the releases from the snapshot that `npm run snapshot` saves, so the
+ * site is built from the same releases until it's refreshed.
+ */
+function readSnapshot(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Bastion releases snapshot was not found at ${file}. Run \`npm run snapshot\` to save one.`);
+  }
+
+  let releases;
+  try {
+    releases = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  catch (e) {
+    throw new Error(`Bastion releases snapshot in ${file} is not valid JSON: ${e.message}`);
+  }
+  return fromGitHub(file, releases);
+}
+
+function countEntries(markdown) {
+  return markdown.split(/\r?\n/).filter(line => /^[-*+]\s+\S/.test(line)).length;
+}
+
+/**
+ * Splits the release notes by their headings, and groups the sections in
+ * the order of `SECTIONS`. The text before the first heading is the summary
+ * of the release.
+ */
+function parseSections(markdown) {
+  let summary = [];
+  let sections = [];
+  let current = null;
+
+  for (let line of (markdown || '').split(/\r?\n/)) {
+    let heading = line.match(/^#{1,6}\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      let title = heading[1].replace(/[*_:]/g, '').trim();
+      let known = SECTIONS.find(section => section.headings.test(title));
+      current = sections.find(section => section.type === (known ? known.type : title.toLowerCase()));
+      if (!current) {
+        current = {
+          type: known ? known.type : title.toLowerCase(),
+          title: known ? known.title : title,
+          lines: []
+        };
+        sections.push(current);
+      }
+      continue;
+    }
+    (current ? current.lines : summary).push(line);
+  }
+
+  let order = section => {
+    let index = SECTIONS.findIndex(known => known.type === section.type);
+    return index === -1 ? SECTIONS.length : index;
+  };
+
+  return {
+    summary: summary.join('\n').trim(),
+    sections: sections
+      .map((section, i) => ({ section, i }))
+      .sort((a, b) => order(a.section) - order(b.section) || a.i - b.i)
+      .map(({ section }) => {
+        let markdown = section.lines.join('\n').trim();
+        return {
+          type: section.type,
+          title: section.title,
+          markdown: markdown,
+          entries: countEntries(markdown)
+        };
+      })
+      .filter(section => section.markdown)
+  };
+}
+
+module.exports = {
+  parseFrontMatter,
+  readLocal,
+  fromGitHub,
+  readSnapshot,
+  parseSections
+};
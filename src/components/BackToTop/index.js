@@ -1,4 +1,5 @@
 import React from 'react';
+import arrow from './arrow.png';
 import './index.css';
 
 class BackToTop extends React.Component {
@@ -13,7 +14,9 @@ class BackToTop extends React.Component {
     return (
       <button id='backToTop' onClick={ () => this.backToTop() }>
         <img
-          src='data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAABAAAAAQCAMAAAAoLQ9TAAAAn1BMVEX///////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////8TrG38AAAANHRSTlMABAYKDRQcJSgpMzQ6QklOVWNkcHJ9hoqPn6KjpKaprrGytLW4vcHDxMjLzdjd4Ony9vn8DtaE0gAAAG1JREFUeAGtyFUSwjAYAOElSHB3lwDBhf/+Z2OmaSaZPnff9iOt/Vgp4sxH5uFGE+x6IGP/fVlw3jKVofuubArYPcykB9D6nYokoA7Sgcb7XsYBpdu3yfGl8UDleaVaIwC6DsQAecLFZGC3xPUHGF4Jis0TNxYAAAAASUVORK5CYII='
+          src={ arrow }
+          width='16'
+          height='16'
           alt=''
         />
       </button>
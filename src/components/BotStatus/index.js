@@ -0,0 +1,135 @@
+import React from 'react';
+import {
+  STATUS_URL,
+  fetchStatus,
+  shardHealth,
+  formatUptime,
+  formatCount,
+  getCachedStatus,
+  cacheStatus
+} from '../../utils/status.js';
+import { relativeTime } from '../../utils/timestamp.js';
+import { getLocalStorage } from '../../utils/storage.js';
+import './index.css';
+
+const REFRESH_INTERVAL = 60 * 1000;
+
+const LEVEL_TITLES = {
+  operational: 'Online',
+  degraded: 'Partially online',
+  outage: 'Offline'
+};
+
+class BotStatus extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      isMounted: false,
+      status: null,
+      fetchedAt: null,
+      isStale: false
+    };
+    this.refresh = this.refresh.bind(this);
+  }
+
+  componentDidMount() {
+    if (!STATUS_URL) return;
+
+    let cached = getCachedStatus(getLocalStorage());
+    this.setState({
+      isMounted: true,
+      status: cached && cached.status,
+      fetchedAt: cached && cached.fetchedAt,
+      isStale: !!cached
+    });
+
+    this.refresh();
+    this.interval = setInterval(this.refresh, REFRESH_INTERVAL);
+  }
+
+  componentWillUnmount() {
+    this.isUnmounted = true;
+    clearInterval(this.interval);
+  }
+
+  refresh() {
+    fetchStatus().then(status => {
+      let now = Date.now();
+      cacheStatus(getLocalStorage(), status, now);
+      if (this.isUnmounted) return;
+
+      this.setState({
+        status: status,
+        fetchedAt: now,
+        isStale: false
+      });
+    }, () => {
+      // Timeouts, outages of the endpoint and invalid responses all keep the
+      // last known status, marked as stale.
+      if (this.isUnmounted) return;
+
+      this.setState({
+        isStale: true
+      });
+    });
+  }
+
+  renderStats(status) {
+    let health = shardHealth(status);
+    let stats = [
+      [ 'Servers', status.guilds === null ? '-' : formatCount(status.guilds) ],
+      [ 'Uptime', status.uptime === null ? '-' : formatUptime(status.uptime) ],
+      [ 'Latency', status.latency === null ? '-' : `${status.latency} ms` ],
+      [ 'Shards', health.total ? `${health.ready} / ${health.total}` : '-' ]
+    ];
+
+    return (
+      <dl className='BotStatus-stats'>
+        {
+          stats.map(stat => {
+            return (
+              <div key={ stat[0] }>
+                <dt>{ stat[0] }</dt>
+                <dd>{ stat[1] }</dd>
+              </div>
+            );
+          })
+        }
+      </dl>
+    );
+  }
+
+  render() {
+    if (!this.state.isMounted) return null;
+
+    let status = this.state.status;
+    let level = status ? shardHealth(status).level : 'unknown';
+
+    return (
+      <div className={ `BotStatus ${level}` } role='status' aria-live='polite'>
+        <div className='BotStatus-level'>
+          <span className='BotStatus-indicator' />
+          {
+            status
+            ? `Bastion is ${LEVEL_TITLES[level].toLowerCase()}`
+            : this.state.isStale ? 'Bastion\'s status is unavailable' : 'Checking Bastion\'s status...'
+          }
+        </div>
+        { status ? this.renderStats(status) : null }
+        {
+          this.state.isStale
+          ? <div className='BotStatus-stale'>
+              {
+                status
+                ? `Couldn't reach the status server, this is from ${relativeTime(this.state.fetchedAt)}.`
+                : 'Couldn\'t reach the status server.'
+              }
+            </div>
+          : null
+        }
+      </div>
+    );
+  }
+}
+
+export default BotStatus;
@@ -1,9 +1,51 @@
 import React from 'react';
 import Link from 'gatsby-link';
 import ExternalLink from '../ExternalLink.js';
+import Image from '../Image';
+import { rotateSponsors } from '../../utils/sponsors.js';
+import methods from '../../pages/donate/methods.json';
 import './index.css';
 
 class Footer extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      now: null
+    };
+  }
+
+  componentDidMount() {
+    this.setState({
+      now: Date.now()
+    });
+  }
+
+  /**
+   * Renders one of the featured sponsors, they take turns like they do on
+   * the Sponsors page.
+   */
+  renderSponsor() {
+    let sponsors = this.props.sponsors || [];
+    if (!sponsors.length) return null;
+
+    let sponsor = this.state.now ? rotateSponsors(sponsors, this.state.now)[0] : sponsors[0];
+    return (
+      <div className='Footer-sponsor'>
+        <span>Sponsored by</span>
+        <ExternalLink to={ sponsor.url }>
+          <Image
+            image={ sponsor.image }
+            width={ 40 }
+            height={ 40 }
+            alt={ `${sponsor.title} Logo` }
+          />
+          <strong>{ sponsor.title }</strong>
+        </ExternalLink>
+        <Link to='/sponsors#become-a-sponsor'>Become a sponsor</Link>
+      </div>
+    );
+  }
+
   render() {
     return (
       <footer>
@@ -14,7 +56,6 @@ class Footer extends React.Component {
           version='1.1'
         >
           <path
-            fill='#202225'
             fillOpacity='0.2'
             d='M140.881198,194.260295 C257.600568,129.32862 342.939626,119.84993 418.009939,203.154617 C493.080251,286.459305 545.728689,70.9046172 636.439626,63.9593047 C727.150564,57.0139922 768.99822,139.670242 858.802907,119.431961 C948.607595,99.1936797 1071.91228,-32.9977266 1243.91228,7.75227342 C1415.91228,48.5022734 1404.10369,208.584305 1508.27166,178.709305 C1612.43963,148.834305 1633.73291,79.913472 1711.63588,98.8569055 C1776.28676,114.577866 1819.96778,221.391836 1889.37253,185.808108 C2017.32661,120.206212 2004.01952,336.769569 2004.01952,336.769569 L271.635881,337 L-149.063338,337 C-149.063338,337 -245.850307,175.637635 -58.0633382,228.867188 C33.8652851,254.92501 64.1722713,236.933925 140.881198,194.260295 Z'
           />
@@ -32,6 +73,7 @@ class Footer extends React.Component {
               </ExternalLink>
               <Link to='/tools'>Tools</Link>
               <Link to='/faq'>FAQ</Link>
+              <Link to='/changelog'>Changelog</Link>
               <ExternalLink to='https://status.bastionbot.org'>
                 Status
               </ExternalLink>
@@ -60,14 +102,20 @@ class Footer extends React.Component {
             </div>
             <div className='Footer-card'>
               <h3>Donate</h3>
-              <ExternalLink to='https://patreon.com/bastionbot'>
-                Patreon
-              </ExternalLink>
-              <ExternalLink to='https://paypal.me/snkrsnkampa'>
-                PayPal
-              </ExternalLink>
+              {
+                // Methods with an address are only on the Donate page.
+                methods.filter(method => method.url).map(method => {
+                  return (
+                    <ExternalLink to={ method.url } key={ method.title }>
+                      { method.title }
+                    </ExternalLink>
+                  );
+                })
+              }
+              <Link to='/donate#supporters'>Supporters</Link>
             </div>
           </div>
+          { this.renderSponsor() }
           <span className='hr'></span>
           <div className='Footer-meta'>
             <div className='Footer-meta-copyright'>
@@ -0,0 +1,100 @@
+import React from 'react';
+import {
+  FUNDING_URL,
+  parseFunding,
+  fetchFunding,
+  fundingProgress,
+  formatMoney,
+  formatMonth
+} from '../../utils/funding.js';
+import './index.css';
+
+/**
+ * Shows how much of the monthly hosting costs the donations cover. The
+ * `funding` it's built with is updated from the funding endpoint, when
+ * there's one. Nothing is shown without a funding.
+ */
+class FundingGoal extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      funding: props.funding ? parseFunding(props.funding) : null
+    };
+  }
+
+  componentDidMount() {
+    if (!FUNDING_URL) return;
+
+    fetchFunding().then(funding => {
+      if (this.isUnmounted) return;
+
+      this.setState({
+        funding: funding
+      });
+    }, () => {
+      // The funding the page was built with is kept.
+    });
+  }
+
+  componentWillUnmount() {
+    this.isUnmounted = true;
+  }
+
+  render() {
+    let funding = this.state.funding;
+    if (!funding) return null;
+
+    let progress = fundingProgress(funding);
+    let money = amount => formatMoney(amount, funding.currency);
+
+    return (
+      <div className={ progress.isFunded ? 'FundingGoal funded' : 'FundingGoal' }>
+        <h2>
+          {
+            funding.month
+            ? `Monthly Goal for ${formatMonth(funding.month)}`
+            : 'Monthly Goal'
+          }
+        </h2>
+        <div className='FundingGoal-amounts'>
+          <strong>{ money(funding.income) }</strong> of { money(funding.goal) } a month
+        </div>
+        <div
+          className='FundingGoal-bar'
+          role='progressbar'
+          aria-label='Monthly goal'
+          aria-valuemin={ 0 }
+          aria-valuemax={ 100 }
+          aria-valuenow={ progress.percent }
+          aria-valuetext={ `${progress.percent}% funded` }
+        >
+          <div className='FundingGoal-progress' style={ { width: `${progress.percent}%` } } />
+        </div>
+        <p>
+          {
+            progress.isFunded
+            ? 'This month\'s hosting is paid for, thank you! Anything more goes to the next months.'
+            : `${money(progress.remaining)} more keeps Bastion running this month.`
+          }
+        </p>
+        <table className='FundingGoal-costs'>
+          <caption>Where the money goes</caption>
+          <tbody>
+            {
+              funding.costs.map(cost => {
+                return (
+                  <tr key={ cost.title }>
+                    <th scope='row'>{ cost.title }</th>
+                    <td>{ money(cost.amount) }</td>
+                  </tr>
+                );
+              })
+            }
+          </tbody>
+        </table>
+      </div>
+    );
+  }
+}
+
+export default FundingGoal;
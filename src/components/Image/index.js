@@ -0,0 +1,38 @@
+import React from 'react';
+import Img from 'gatsby-image';
+
+/**
+ * Renders an image `File` node. Images processed by sharp are lazy loaded at
+ * the right size, the others (like SVGs) are used as they are, with their
+ * size set so the page doesn't shift when they load.
+ *
+ * Set `resolutions` to the name of the field that has the resolutions, when
+ * the query asks for more than one size with aliases.
+ */
+class Image extends React.Component {
+  render() {
+    let image = this.props.image;
+    let resolutions = image.childImageSharp && image.childImageSharp[this.props.resolutions || 'resolutions'];
+
+    if (resolutions) {
+      return (
+        <Img
+          resolutions={ resolutions }
+          alt={ this.props.alt }
+        />
+      );
+    }
+
+    let fields = image.fields || {};
+    return (
+      <img
+        src={ image.publicURL }
+        width={ this.props.width || fields.width }
+        height={ this.props.height || fields.height }
+        alt={ this.props.alt }
+      />
+    );
+  }
+}
+
+export default Image;
@@ -0,0 +1,176 @@
+import React from 'react';
+import ExternalLink from '../ExternalLink.js';
+import {
+  computePermissions,
+  decodePermissions,
+  presetPermissions,
+  inviteURL
+} from '../../utils/permissions.js';
+import { copyText } from '../../utils/clipboard.js';
+import { isSnowflake } from '../../utils/snowflake.js';
+import './index.css';
+
+class InviteBuilder extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      clientId: props.clientId,
+      selected: presetPermissions(props.permissions, props.presets[0]),
+      integer: null,
+      copied: false
+    };
+  }
+
+  isValidClientId() {
+    return isSnowflake(this.state.clientId);
+  }
+
+  isValidInteger(value) {
+    return /^\d+$/.test(value);
+  }
+
+  togglePermission(name) {
+    this.setState({
+      selected: this.state.selected.includes(name)
+        ? this.state.selected.filter(selected => selected !== name)
+        : this.state.selected.concat(name),
+      integer: null,
+      copied: false
+    });
+  }
+
+  applyPreset(preset) {
+    this.setState({
+      selected: presetPermissions(this.props.permissions, preset),
+      integer: null,
+      copied: false
+    });
+  }
+
+  setInteger(value) {
+    // The field keeps what is typed, so that it can be emptied, and the
+    // permissions are only changed when it's a valid integer.
+    if (!this.isValidInteger(value)) {
+      this.setState({
+        integer: value
+      });
+      return;
+    }
+
+    this.setState({
+      selected: decodePermissions(this.props.permissions, parseInt(value, 10)),
+      integer: value,
+      copied: false
+    });
+  }
+
+  copyURL(url) {
+    copyText(url).then(copied => {
+      this.setState({
+        copied: copied
+      });
+    });
+  }
+
+  render() {
+    let integer = computePermissions(this.props.permissions, this.state.selected);
+    let url = inviteURL(this.state.clientId, integer);
+
+    return (
+      <div className='InviteBuilder'>
+        <h2>Invite Link Builder</h2>
+        <p>
+          Choose the permissions you want to give Bastion, and get an invite
+          link with only those permissions. If you host Bastion yourself, use
+          the client ID of your own bot.
+        </p>
+
+        <div className='InviteBuilder-presets'>
+          {
+            this.props.presets.map(preset => {
+              return (
+                <button
+                  key={ preset.name }
+                  title={ preset.description }
+                  onClick={ () => this.applyPreset(preset) }
+                >
+                  { preset.title }
+                </button>
+              );
+            })
+          }
+        </div>
+
+        <ul className='InviteBuilder-permissions'>
+          {
+            this.props.permissions.map(permission => {
+              return (
+                <li key={ permission.name }>
+                  <label>
+                    <input
+                      type='checkbox'
+                      checked={ this.state.selected.includes(permission.name) }
+                      onChange={ () => this.togglePermission(permission.name) }
+                    />
+                    <span className='title'>{ permission.title }</span>
+                    <span className='description'>{ permission.description }</span>
+                    {
+                      permission.modules.length
+                      ? <span className='modules'>
+                          Needed by: {
+                            permission.modules.map(module => {
+                              return <code key={ module }>{ module.replace(/_/g, ' ') }</code>;
+                            })
+                          }
+                        </span>
+                      : null
+                    }
+                  </label>
+                </li>
+              );
+            })
+          }
+        </ul>
+
+        <div className='InviteBuilder-result'>
+          <label>
+            Client ID
+            <input
+              type='text'
+              value={ this.state.clientId }
+              className={ this.isValidClientId() ? '' : 'invalid' }
+              onChange={ e => this.setState({ clientId: e.target.value.trim(), copied: false }) }
+            />
+          </label>
+          <label>
+            Permissions
+            <input
+              type='number'
+              min='0'
+              value={ this.state.integer === null ? integer : this.state.integer }
+              className={ this.state.integer === null || this.isValidInteger(this.state.integer) ? '' : 'invalid' }
+              onChange={ e => this.setInteger(e.target.value) }
+            />
+          </label>
+          {
+            this.isValidClientId()
+            ? <div className='InviteBuilder-url'>
+                <code>{ url }</code>
+                <button onClick={ () => this.copyURL(url) }>
+                  { this.state.copied ? 'Copied!' : 'Copy' }
+                </button>
+                <ExternalLink to={ url }>
+                  <button className='primary'>Invite</button>
+                </ExternalLink>
+              </div>
+            : <div className='InviteBuilder-error'>
+                The client ID should be the ID of a Discord bot, like <code>{ this.props.clientId }</code>.
+              </div>
+          }
+        </div>
+      </div>
+    );
+  }
+}
+
+export default InviteBuilder;
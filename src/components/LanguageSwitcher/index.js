@@ -0,0 +1,39 @@
+import React from 'react';
+import Link from 'gatsby-link';
+import ExternalLink from '../ExternalLink.js';
+import './index.css';
+
+class LanguageSwitcher extends React.Component {
+  render() {
+    return (
+      <div className='LanguageSwitcher'>
+        <ul>
+          {
+            this.props.locales.map(locale => {
+              return (
+                <li
+                  key={ locale.locale }
+                  className={ locale.locale === this.props.current ? 'current' : '' }
+                >
+                  <Link
+                    to={ locale.path }
+                    hrefLang={ locale.locale }
+                    title={ `${locale.coverage}% of the commands are translated to ${locale.locale}` }
+                  >
+                    <span className='locale'>{ locale.locale }</span>
+                    <span className='coverage'>{ locale.coverage }%</span>
+                  </Link>
+                </li>
+              );
+            })
+          }
+        </ul>
+        <ExternalLink to='https://i18n.bastionbot.org'>
+          Help us translate Bastion
+        </ExternalLink>
+      </div>
+    );
+  }
+}
+
+export default LanguageSwitcher;
@@ -1,86 +1,200 @@
 import React from 'react';
 import NavLink from '../NavLink.js';
 import NavExLink from '../NavExLink.js';
+import { isCurrentPath, focusableElements, trapFocus } from '../../utils/navigation.js';
 import './index.css';
 
+const LINKS = [
+  { name: 'Home', to: '/', className: 'min-960px' },
+  { name: 'Features', to: '/features' },
+  { name: 'Commands', to: '/commands' },
+  { name: 'Guide', to: 'https://docs.bastionbot.org', isExternal: true },
+  { name: 'Help & Support', to: 'https://discord.gg/fzx8fkt', isExternal: true }
+];
+
+const MORE_LINKS = [
+  { name: 'FAQ', to: '/faq' },
+  { name: 'Tools', to: '/tools' },
+  { name: 'Changelog', to: '/changelog' },
+  { name: 'Sponsors', to: '/sponsors' },
+  { name: 'Developers', to: 'https://dev.bastionbot.org', isExternal: true },
+  { name: 'Translators', to: 'https://i18n.bastionbot.org', isExternal: true },
+  { name: 'Status', to: 'https://status.bastionbot.org', isExternal: true }
+];
+
+const ACTION_LINKS = [
+  { name: 'Join Discord', to: 'https://discord.gg/fzx8fkt', isExternal: true },
+  { name: 'Add to Discord', to: '/add' },
+  { name: 'Donate', to: '/donate', className: 'button primary' }
+];
+
+/**
+ * The main navigation. On large screens the "More" links are in a menu that
+ * opens with its button, on small screens all the links are in a drawer that
+ * opens with the menu button and keeps the focus in it while it's open.
+ * Which layout is used is up to the CSS.
+ */
 class MainNav extends React.Component {
   constructor(props) {
     super(props);
     this.state = {
-      isInnerNavVisible: false,
-      width: 0,
-      height: 0
+      isDrawerOpen: false,
+      isMoreOpen: false
     };
-    this.updateWindowDimensions = this.updateWindowDimensions.bind(this);
   }
 
-  componentDidMount() {
-    this.updateWindowDimensions();
-    window.addEventListener('resize', this.updateWindowDimensions);
+  componentDidUpdate(prevProps, prevState) {
+    if (this.state.isDrawerOpen && !prevState.isDrawerOpen) {
+      let elements = focusableElements(this.drawer);
+      if (elements.length) {
+        elements[0].focus();
+      }
+    }
   }
 
-  componentWillUnmount() {
-    window.removeEventListener('resize', this.updateWindowDimensions);
+  openDrawer() {
+    this.setState({
+      isDrawerOpen: true
+    });
   }
 
-  updateWindowDimensions() {
+  closeDrawer(returnFocus) {
     this.setState({
-      width: window.innerWidth,
-      height: window.innerHeight
+      isDrawerOpen: false,
+      isMoreOpen: false
     });
+    if (returnFocus) {
+      this.drawerButton.focus();
+    }
+  }
+
+  onDrawerKeyDown(e) {
+    if (!this.state.isDrawerOpen) return;
+
+    if (e.key === 'Escape') {
+      this.closeDrawer(true);
+    }
+    else {
+      trapFocus(e, this.drawer);
+    }
+  }
+
+  onDrawerClick(e) {
+    // Following a link closes the drawer and the menu, other clicks in them
+    // don't.
+    if (e.target.closest('a')) {
+      this.closeDrawer(false);
+    }
   }
 
-  toggleInnerNav() {
+  toggleMore() {
     this.setState({
-      isInnerNavVisible: !this.state.isInnerNavVisible
+      isMoreOpen: !this.state.isMoreOpen
     });
   }
 
+  onMoreKeyDown(e) {
+    if (e.key === 'Escape' && this.state.isMoreOpen) {
+      // The drawer stays open, only the menu is closed.
+      e.stopPropagation();
+      this.setState({
+        isMoreOpen: false
+      });
+      this.moreButton.focus();
+    }
+  }
+
+  onMoreBlur(e) {
+    // The menu closes when the focus leaves it, or something outside of it is
+    // clicked.
+    if (!this.more.contains(e.relatedTarget)) {
+      this.setState({
+        isMoreOpen: false
+      });
+    }
+  }
+
+  renderLink(link) {
+    if (link.isExternal) {
+      return <NavExLink name={ link.name } to={ link.to } className={ link.className } key={ link.to } />;
+    }
+    return (
+      <NavLink
+        name={ link.name }
+        to={ link.to }
+        className={ link.className }
+        isCurrent={ isCurrentPath(this.props.pathname, link.to) }
+        key={ link.to }
+      />
+    );
+  }
+
   render() {
+    let isMoreCurrent = MORE_LINKS.some(link => !link.isExternal && isCurrentPath(this.props.pathname, link.to));
+
     return (
-      <nav
-        style={{ display: this.props.isNavVisible ? '' : 'none' }}
-        onClick={ this.props.onClick }
-      >
-        <div className='MainNav MainNav-left'>
-          <ul className='OuterNav'>
-            <NavLink name='Home' to='/' className='min-960px' />
-            <NavLink name='Features' to='/features' />
-            <NavLink name='Commands' to='/commands' />
-            <NavExLink name='Guide' to='https://docs.bastionbot.org' />
-            <NavExLink name='Help &amp; Support' to='https://discord.gg/fzx8fkt' />
-            <li
-              name='More'
-              onMouseOver={ () => this.toggleInnerNav() }
-              onMouseOut={ () => this.toggleInnerNav() }
-            >
-              <span
-                className='dropdown'
-                style={{ display: this.state.width > 960 ? '' : 'none' }}
-              >
-                More
-              </span>
-              <ul
-                className='InnerNav'
-                style={{ display: this.state.width <= 960 || this.state.isInnerNavVisible ? '' : 'none' }}
+      <nav className={ this.state.isDrawerOpen ? 'isOpen' : '' } aria-label='Main'>
+        <button
+          className='MainNav-menuButton'
+          ref={ button => this.drawerButton = button }
+          aria-expanded={ this.state.isDrawerOpen }
+          aria-controls='MainNav-drawer'
+          onClick={ () => this.openDrawer() }
+        >
+          Menu
+        </button>
+
+        <div
+          id='MainNav-drawer'
+          className='MainNav-drawer'
+          ref={ drawer => this.drawer = drawer }
+          role={ this.state.isDrawerOpen ? 'dialog' : undefined }
+          aria-modal={ this.state.isDrawerOpen ? true : undefined }
+          aria-label={ this.state.isDrawerOpen ? 'Menu' : undefined }
+          onKeyDown={ e => this.onDrawerKeyDown(e) }
+          onClick={ e => this.onDrawerClick(e) }
+        >
+          <button
+            className='MainNav-closeButton'
+            aria-label='Close the menu'
+            onClick={ () => this.closeDrawer(true) }
+          >
+            &times;
+          </button>
+
+          <div className='MainNav MainNav-left'>
+            <ul className='OuterNav'>
+              { LINKS.map(link => this.renderLink(link)) }
+              <li
+                className='MainNav-more'
+                ref={ more => this.more = more }
+                onKeyDown={ e => this.onMoreKeyDown(e) }
+                onBlur={ e => this.onMoreBlur(e) }
               >
-                <NavLink name='FAQ' to='/faq' />
-                <NavLink name='Tools' to='/tools' />
-                <NavLink name='Sponsors' to='/sponsors' />
-                <NavExLink name='Developers' to='https://dev.bastionbot.org' />
-                <NavExLink name='Translators' to='https://i18n.bastionbot.org' />
-                <NavExLink name='Status' to='https://status.bastionbot.org' />
-              </ul>
-            </li>
-          </ul>
-        </div>
+                <button
+                  className={ isMoreCurrent ? 'dropdown current' : 'dropdown' }
+                  ref={ button => this.moreButton = button }
+                  aria-expanded={ this.state.isMoreOpen }
+                  aria-controls='MainNav-more'
+                  onClick={ () => this.toggleMore() }
+                >
+                  More
+                </button>
+                <ul
+                  id='MainNav-more'
+                  className={ this.state.isMoreOpen ? 'InnerNav isOpen' : 'InnerNav' }
+                >
+                  { MORE_LINKS.map(link => this.renderLink(link)) }
+                </ul>
+              </li>
+            </ul>
+          </div>
 
-        <div className='MainNav MainNav-right'>
-          <ul>
-            <NavExLink name='Join Discord' to='https://discord.gg/fzx8fkt' />
-            <NavLink name='Add to Discord' to='/add' />
-            <NavLink name='Donate' to='/donate' className='button primary' />
-          </ul>
+          <div className='MainNav MainNav-right'>
+            <ul>
+              { ACTION_LINKS.map(link => this.renderLink(link)) }
+            </ul>
+          </div>
         </div>
       </nav>
     );
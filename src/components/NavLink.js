@@ -4,11 +4,12 @@ import Link from 'gatsby-link';
 class NavLink extends React.Component {
   render() {
     return (
-      <li
-        onMouseOver={ this.props.onMouseOver }
-        onMouseOut={ this.props.onMouseOut }
-      >
-        <Link to={this.props.to} className={this.props.className}>
+      <li>
+        <Link
+          to={ this.props.to }
+          className={ this.props.className }
+          aria-current={ this.props.isCurrent ? 'page' : undefined }
+        >
           { this.props.name }
         </Link>
         { this.props.children }
@@ -0,0 +1,66 @@
+import React from 'react';
+import './index.css';
+
+class NetworkStatus extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      isOffline: false,
+      isUpdateAvailable: false
+    };
+    this.updateNetworkStatus = this.updateNetworkStatus.bind(this);
+    this.showUpdatePrompt = this.showUpdatePrompt.bind(this);
+  }
+
+  componentDidMount() {
+    this.updateNetworkStatus();
+    window.addEventListener('online', this.updateNetworkStatus);
+    window.addEventListener('offline', this.updateNetworkStatus);
+    window.addEventListener('serviceWorkerUpdate', this.showUpdatePrompt);
+  }
+
+  componentWillUnmount() {
+    window.removeEventListener('online', this.updateNetworkStatus);
+    window.removeEventListener('offline', this.updateNetworkStatus);
+    window.removeEventListener('serviceWorkerUpdate', this.showUpdatePrompt);
+  }
+
+  updateNetworkStatus() {
+    this.setState({
+      isOffline: navigator.onLine === false
+    });
+  }
+
+  showUpdatePrompt() {
+    this.setState({
+      isUpdateAvailable: true
+    });
+  }
+
+  render() {
+    return (
+      <div id='NetworkStatus' role='status' aria-live='polite'>
+        {
+          this.state.isOffline
+          ? <div className='notice offline'>
+              You are offline, showing cached data.
+            </div>
+          : null
+        }
+        {
+          this.state.isUpdateAvailable
+          ? <div className='notice update'>
+              A new version of this site is available.
+              <button onClick={ () => window.location.reload() }>Reload</button>
+              <button onClick={ () => this.setState({ isUpdateAvailable: false }) }>
+                Later
+              </button>
+            </div>
+          : null
+        }
+      </div>
+    );
+  }
+}
+
+export default NetworkStatus;
@@ -0,0 +1,36 @@
+import React from 'react';
+import Helmet from 'react-helmet';
+import siteMetadata from '../../siteMetadata.json';
+
+/**
+ * Sets the title, description, canonical URL and social preview of a page.
+ * Pages without a title use the default title of the site.
+ */
+class SEO extends React.Component {
+  render() {
+    let title = this.props.title
+      ? `${this.props.title} - ${siteMetadata.title}`
+      : siteMetadata.defaultTitle;
+    let description = this.props.description || siteMetadata.description;
+    let url = `${siteMetadata.siteUrl}${this.props.path || '/'}`;
+    let image = this.props.image || siteMetadata.image;
+
+    return (
+      <Helmet>
+        <title>{ title }</title>
+        <meta name='description' content={ description } />
+        <link rel='canonical' href={ url } />
+
+        <meta property='og:url' content={ url } />
+        <meta property='og:title' content={ title } />
+        <meta property='og:description' content={ description } />
+        <meta property='og:image' content={ image } />
+        <meta name='twitter:title' content={ title } />
+        <meta name='twitter:description' content={ description } />
+        <meta name='twitter:image' content={ image } />
+      </Helmet>
+    );
+  }
+}
+
+export default SEO;
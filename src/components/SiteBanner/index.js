@@ -1,44 +1,84 @@
 import React from 'react';
+import Link from 'gatsby-link';
+import ExternalLink from '../ExternalLink.js';
 import banner from './banner.json';
+import { renderMarkdown } from '../../utils/markdown.js';
+import {
+  activeAnnouncement,
+  getDismissed,
+  dismiss
+} from '../../utils/announcements.js';
+import { getLocalStorage } from '../../utils/storage.js';
 import './index.css';
 
 class SiteBanner extends React.Component {
   constructor(props) {
     super(props);
     this.state = {
-      className: 'isHidden'
+      // Dismissals are in localStorage, so nothing is shown until the
+      // component is mounted in the browser.
+      isMounted: false,
+      dismissed: []
     };
   }
 
   componentDidMount() {
-    if (banner.description.trim().length) {
-      setTimeout(() => {
-        this.setState({
-          className: 'isVisible'
-        });
-      }, 30000);
-    }
+    this.setState({
+      isMounted: true,
+      dismissed: getDismissed(getLocalStorage())
+    });
   }
 
-  hideBanner() {
+  hideBanner(announcement) {
     this.setState({
-      className: 'isHidden'
+      dismissed: dismiss(getLocalStorage(), announcement.id)
     });
   }
 
+  renderLink(link) {
+    if (!link) return null;
+
+    // Links can be paths on the site, or URLs of other sites.
+    if (link.url.startsWith('/')) {
+      return <Link to={ link.url }>{ link.text }</Link>;
+    }
+    return <ExternalLink to={ link.url }>{ link.text }</ExternalLink>;
+  }
+
   render() {
+    if (!this.state.isMounted) return null;
+
+    let announcement = activeAnnouncement(banner, {
+      now: Date.now(),
+      pathname: this.props.pathname,
+      dismissed: this.state.dismissed
+    });
+    if (!announcement) return null;
+
     return (
       <div
         id='SiteBanner'
-        className={ this.state.className }
-        onClick={ () => this.hideBanner() }
+        className={ `isVisible ${announcement.level}` }
+        role={ announcement.level === 'info' ? 'status' : 'alert' }
       >
-        <span className='title'>
-          { banner.title }
-        </span>
-        <span className='description'>
-          { banner.description }
-        </span>
+        <button
+          className='close'
+          title='Dismiss'
+          aria-label='Dismiss this announcement'
+          onClick={ () => this.hideBanner(announcement) }
+        >
+          &times;
+        </button>
+        {
+          announcement.title
+          ? <span className='title'>{ announcement.title }</span>
+          : null
+        }
+        <span
+          className='description'
+          dangerouslySetInnerHTML={{ __html: renderMarkdown(announcement.description) }}
+        />
+        { this.renderLink(announcement.link) }
       </div>
     );
   }
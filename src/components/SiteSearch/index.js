@@ -0,0 +1,224 @@
+import React from 'react';
+import { navigateTo } from 'gatsby-link';
+import {
+  loadSearchDocuments,
+  createSiteIndex,
+  searchSite,
+  flattenGroups,
+  isExternalPath,
+  samePageHash
+} from '../../utils/siteSearch.js';
+import { highlight } from '../../utils/search.js';
+import './index.css';
+
+class SiteSearch extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      query: '',
+      isOpen: false,
+      active: 0,
+      index: null,
+      error: false
+    };
+    this.focusOnSlash = this.focusOnSlash.bind(this);
+  }
+
+  componentDidMount() {
+    window.addEventListener('keydown', this.focusOnSlash);
+  }
+
+  componentWillUnmount() {
+    window.removeEventListener('keydown', this.focusOnSlash);
+  }
+
+  /**
+   * Focuses the search box when `/` is pressed, unless something else that
+   * takes text is focused.
+   */
+  focusOnSlash(e) {
+    if (e.key !== '/' || e.ctrlKey || e.metaKey || e.altKey) return;
+
+    let target = e.target;
+    if (/^(input|textarea|select)$/i.test(target.tagName) || target.isContentEditable) return;
+
+    e.preventDefault();
+    this.input.focus();
+  }
+
+  loadIndex() {
+    if (this.state.index) return;
+
+    loadSearchDocuments().then(documents => {
+      this.setState({
+        index: createSiteIndex(documents),
+        error: false
+      });
+    }, () => {
+      this.setState({
+        error: true
+      });
+    });
+  }
+
+  groups() {
+    if (!this.state.index || !this.state.query.trim()) return [];
+    return searchSite(this.state.index, this.state.query);
+  }
+
+  open(document) {
+    this.setState({
+      query: '',
+      isOpen: false,
+      active: 0
+    });
+    this.input.blur();
+
+    let hash = samePageHash(document.path, window.location.pathname);
+    if (isExternalPath(document.path)) {
+      window.open(document.path, '_blank');
+    }
+    else if (hash) {
+      // `navigateTo` doesn't fire `hashchange` on the same page, which the FAQ
+      // opens its questions on. Setting the hash does, unless it's the same.
+      if (window.location.hash === hash) {
+        window.dispatchEvent(new Event('hashchange'));
+      }
+      else {
+        window.location.hash = hash;
+      }
+    }
+    else {
+      navigateTo(document.path);
+    }
+  }
+
+  onKeyDown(e, results) {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (!results.length) return;
+
+      let step = e.key === 'ArrowDown' ? 1 : -1;
+      this.setState({
+        isOpen: true,
+        active: (this.state.active + step + results.length) % results.length
+      });
+    }
+    else if (e.key === 'Enter') {
+      if (this.state.isOpen && results[this.state.active]) {
+        e.preventDefault();
+        this.open(results[this.state.active].document);
+      }
+    }
+    else if (e.key === 'Escape') {
+      if (this.state.isOpen && this.state.query) {
+        this.setState({
+          isOpen: false
+        });
+      }
+      else {
+        this.input.blur();
+      }
+    }
+  }
+
+  renderHighlighted(text, matches) {
+    return highlight(text, matches).map((part, i) => {
+      return part.match ? <mark key={ i }>{ part.text }</mark> : part.text;
+    });
+  }
+
+  renderResults(groups, results) {
+    if (!this.state.isOpen || !this.state.query.trim()) return null;
+
+    let message = null;
+    if (this.state.error) {
+      message = 'Search isn\'t available right now.';
+    }
+    else if (!this.state.index) {
+      message = 'Loading...';
+    }
+    else if (!results.length) {
+      message = 'Nothing matches your search.';
+    }
+    if (message) {
+      return <div className='SiteSearch-results SiteSearch-message'>{ message }</div>;
+    }
+
+    return (
+      <div className='SiteSearch-results' id='SiteSearch-results' role='listbox'>
+        {
+          groups.map(group => {
+            return (
+              <div className='SiteSearch-group' role='group' aria-label={ group.title } key={ group.type }>
+                <div className='SiteSearch-groupTitle'>{ group.title }</div>
+                {
+                  group.results.map(result => {
+                    let i = results.indexOf(result);
+                    // Results keep the focus in the search box when they're
+                    // clicked, so it isn't closed before the click.
+                    return (
+                      <div
+                        id={ `SiteSearch-result-${i}` }
+                        className={ i === this.state.active ? 'SiteSearch-result active' : 'SiteSearch-result' }
+                        role='option'
+                        aria-selected={ i === this.state.active }
+                        key={ result.document.path }
+                        onMouseDown={ e => e.preventDefault() }
+                        onClick={ () => this.open(result.document) }
+                        onMouseEnter={ () => this.setState({ active: i }) }
+                      >
+                        <div className='SiteSearch-title'>
+                          { this.renderHighlighted(result.document.title, result.matches) }
+                          {
+                            result.document.module
+                            ? <code>{ result.document.module }</code>
+                            : null
+                          }
+                        </div>
+                        <div className='SiteSearch-text'>{ result.document.text }</div>
+                      </div>
+                    );
+                  })
+                }
+              </div>
+            );
+          })
+        }
+      </div>
+    );
+  }
+
+  render() {
+    let groups = this.groups();
+    let results = flattenGroups(groups);
+    let isExpanded = this.state.isOpen && results.length > 0;
+
+    return (
+      <div className='SiteSearch'>
+        <input
+          type='search'
+          ref={ input => this.input = input }
+          placeholder='Search (press /)'
+          aria-label='Search the site'
+          role='combobox'
+          aria-autocomplete='list'
+          aria-expanded={ isExpanded }
+          aria-controls={ isExpanded ? 'SiteSearch-results' : undefined }
+          aria-activedescendant={ isExpanded ? `SiteSearch-result-${this.state.active}` : undefined }
+          value={ this.state.query }
+          onFocus={ () => {
+            this.loadIndex();
+            this.setState({ isOpen: true });
+          } }
+          onBlur={ () => this.setState({ isOpen: false }) }
+          onChange={ e => this.setState({ query: e.target.value, isOpen: true, active: 0 }) }
+          onKeyDown={ e => this.onKeyDown(e, results) }
+        />
+        { this.renderResults(groups, results) }
+      </div>
+    );
+  }
+}
+
+export default SiteSearch;
@@ -0,0 +1,81 @@
+import React from 'react';
+import {
+  LIGHT_QUERY,
+  getStoredTheme,
+  storeTheme,
+  preferredTheme,
+  applyTheme
+} from '../../utils/theme.js';
+import { getLocalStorage } from '../../utils/storage.js';
+import './index.css';
+
+/**
+ * Switches between the light and the dark theme. Until a theme is picked, the
+ * site follows the theme that the system prefers, even when it changes.
+ */
+class ThemeToggle extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      theme: null
+    };
+    this.followSystem = this.followSystem.bind(this);
+  }
+
+  componentDidMount() {
+    this.setState({
+      theme: document.documentElement.getAttribute('data-theme')
+        || getStoredTheme(getLocalStorage())
+        || preferredTheme(window.matchMedia)
+    });
+
+    if (window.matchMedia) {
+      this.media = window.matchMedia(LIGHT_QUERY);
+      this.media.addListener(this.followSystem);
+    }
+  }
+
+  componentWillUnmount() {
+    if (this.media) {
+      this.media.removeListener(this.followSystem);
+    }
+  }
+
+  followSystem() {
+    if (getStoredTheme(getLocalStorage())) return;
+
+    let theme = preferredTheme(window.matchMedia);
+    applyTheme(document, theme);
+    this.setState({
+      theme: theme
+    });
+  }
+
+  toggle() {
+    let theme = this.state.theme === 'light' ? 'dark' : 'light';
+    storeTheme(getLocalStorage(), theme);
+    applyTheme(document, theme);
+    this.setState({
+      theme: theme
+    });
+  }
+
+  render() {
+    if (!this.state.theme) return null;
+
+    let isLight = this.state.theme === 'light';
+    return (
+      <button
+        className='ThemeToggle'
+        title={ isLight ? 'Switch to the dark theme' : 'Switch to the light theme' }
+        aria-label='Light theme'
+        aria-pressed={ isLight }
+        onClick={ () => this.toggle() }
+      >
+        <span aria-hidden='true'>{ isLight ? '☾' : '☀' }</span>
+      </button>
+    );
+  }
+}
+
+export default ThemeToggle;
@@ -1,4 +1,6 @@
 import React from 'react';
+import { DARK_QUERY, LIGHT_QUERY, themeCSS, THEME_SCRIPT } from './utils/theme.js';
+import tokens from './theme.json';
 
 let stylesStr;
 if (process.env.NODE_ENV === 'production') {
@@ -33,46 +35,6 @@ class HTML extends React.Component {
             }
           />
 
-          <title>The Bastion Bot - One of the best Discord Bot</title>
-          <meta
-            name='description'
-            content='Give awesome perks to your Discord server!'
-          />
-          <meta
-            name='keywords'
-            content={
-              'bastion, bastion bot, discord, discord bot, bot, music,'
-                + ' currency, the best discord bot, best discord bot, best bot,'
-                + ' stream, game, fun, administration, moderation, queries,'
-                + ' searches, gambling, game stats, stats, info'
-            }
-          />
-
-          <meta name='twitter:card' content='summary_large_image' />
-          <meta name="twitter:site" content="@TheBastionBot" />
-          <meta name="twitter:creator" content="@k3rn31p4nic" />
-
-          <meta property='og:site_name' content='The Bastion Bot' />
-          <meta
-            name='twitter:title'
-            property='og:title'
-            content='The Bastion Bot - One of the best Discord Bot'
-          />
-          <meta
-            name='twitter:description'
-            property='og:description'
-            content='Give awesome perks to your Discord server!'
-          />
-          <meta property='og:url' content='https://bastionbot.org' />
-          <meta property='og:image:width' content='1000' />
-          <meta property='og:image:height' content='524' />
-          <meta property='og:type' content='website' />
-          <meta
-            name='twitter:image'
-            property='og:image'
-            content='https://resources.bastionbot.org/og-image.jpg'
-          />
-
           <link rel='apple-touch-icon' sizes='180x180' href='/apple-touch-icon.png' />
           <link rel='shortcut icon' href='https://bastionbot.org/favicon.ico' />
           <link rel='icon' type='image/x-icon' href='https://bastionbot.org/favicon.ico' />
@@ -82,8 +44,11 @@ class HTML extends React.Component {
           <link rel='mask-icon' href='/safari-pinned-tab.svg' color='#40bbfb' />
           <meta name='apple-mobile-web-app-title' content='The Bastion Bot' />
           <meta name='application-name' content='The Bastion Bot' />
-          <meta name='msapplication-TileColor' content='#070a0c' />
-          <meta name='theme-color' content='#070a0c' />
+          <meta name='msapplication-TileColor' content={ tokens.dark.background } />
+          <meta name='theme-color' media={ DARK_QUERY } content={ tokens.dark.background } />
+          <meta name='theme-color' media={ LIGHT_QUERY } content={ tokens.light.background } />
+          <style id='theme' dangerouslySetInnerHTML={{ __html: themeCSS() }} />
+          <script dangerouslySetInnerHTML={{ __html: THEME_SCRIPT }} />
 
           { this.props.headComponents }
           { css }
@@ -1,8 +1,11 @@
 import React from 'react';
+import Helmet from 'react-helmet';
 import Header from '../components/Header';
 import Footer from '../components/Footer';
 import SiteBanner from '../components/SiteBanner';
 import BackToTop from '../components/BackToTop';
+import NetworkStatus from '../components/NetworkStatus';
+import siteMetadata from '../siteMetadata.json';
 import './index.css';
 
 class DefaultLayout extends React.Component {
@@ -19,16 +22,59 @@ class DefaultLayout extends React.Component {
   render() {
     return (
       <root>
-        <Header />
-        <main>
+        <Helmet
+          defaultTitle={ siteMetadata.defaultTitle }
+        >
+          <html lang='en' />
+          <meta name='keywords' content={ siteMetadata.keywords } />
+          <meta name='twitter:card' content='summary_large_image' />
+          <meta name='twitter:site' content={ siteMetadata.twitter } />
+          <meta name='twitter:creator' content={ siteMetadata.twitterCreator } />
+          <meta property='og:site_name' content={ siteMetadata.title } />
+          <meta property='og:type' content='website' />
+          <meta property='og:image:width' content={ siteMetadata.imageWidth } />
+          <meta property='og:image:height' content={ siteMetadata.imageHeight } />
+        </Helmet>
+        <a className='SkipLink' href='#content'>Skip to content</a>
+        <Header pathname={ this.props.location.pathname } />
+        <main id='content' tabIndex='-1'>
           { this.props.children() }
         </main>
-        <Footer />
-        <SiteBanner />
+        <Footer
+          sponsors={
+            this.props.data && this.props.data.allSponsorsJson
+            ? this.props.data.allSponsorsJson.edges.map(edge => edge.node)
+            : []
+          }
+        />
+        <SiteBanner pathname={ this.props.location.pathname } />
         <BackToTop />
+        <NetworkStatus />
       </root>
     );
   }
 }
 
 export default DefaultLayout;
+
+// The sponsors that are featured in the footer.
+export const query = graphql`
+  query LayoutQuery {
+    allSponsorsJson(filter: { fields: { featured: { eq: true } } }) {
+      edges {
+        node {
+          title
+          url
+          image {
+            publicURL
+            childImageSharp {
+              resolutions(width: 40, height: 40) {
+                ...GatsbyImageSharpResolutions_withWebp
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
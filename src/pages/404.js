@@ -1,14 +1,17 @@
 import React from 'react';
 import Link from 'gatsby-link';
+import SEO from '../components/SEO';
 
 class NotFoundPage extends React.Component {
   render() {
     return (
       <div className='NotFoundPage-container'>
+        <SEO title='Page Not Found' path={ this.props.location.pathname } />
         <img
           src='https://resources.bastionbot.org/logos/Bastion_Logomark_C.png'
           width='170'
           height='170'
+          alt='The Bastion Bot logo'
         />
         <h1>You look lost my friend.</h1>
         <p>Let&#39;s head back <Link to='/'>home</Link>.</p>
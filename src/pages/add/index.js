@@ -1,12 +1,23 @@
 import React from 'react';
+import Link from 'gatsby-link';
+import BotStatus from '../../components/BotStatus';
 import ExternalLink from '../../components/ExternalLink.js';
+import InviteBuilder from '../../components/InviteBuilder';
+import SEO from '../../components/SEO';
 import versions from './versions.json';
+import permissions from './permissions.json';
 import './index.css';
 
 class AddPage extends React.Component {
   render() {
     return (
       <div id='add'>
+        <SEO
+          title='Add Bastion to Discord'
+          description='Add the public Bastion bot to your Discord server, or host Bastion yourself.'
+          path={ this.props.location.pathname }
+        />
+
         <div className='header'>
           <h1>Add Bastion to Discord</h1>
           <p>
@@ -20,6 +31,7 @@ class AddPage extends React.Component {
             Or you can choose to host Bastion yourself, privately, on your own
             machine/server and be your own boss.
           </p>
+          <BotStatus />
         </div>
 
         <div className='container'>
@@ -33,11 +45,35 @@ class AddPage extends React.Component {
                       <p>{ version.description }</p>
                     </div>
                   </ExternalLink>
+                  <div className='channels'>
+                    {
+                      version.setup
+                      ? <Link to={ version.setup } className='setup'>Set it up</Link>
+                      : null
+                    }
+                    Commands in: {
+                      version.channels.map(channel => {
+                        return (
+                          <Link to={ `/commands?channel=${channel}` } key={ channel }>
+                            { channel }
+                          </Link>
+                        );
+                      })
+                    }
+                  </div>
                 </div>
               );
             })
           }
         </div>
+
+        <div className='invite'>
+          <InviteBuilder
+            clientId={ permissions.clientId }
+            permissions={ permissions.permissions }
+            presets={ permissions.presets }
+          />
+        </div>
       </div>
     );
   }
@@ -0,0 +1,113 @@
+import React from 'react';
+import Link from 'gatsby-link';
+import Helmet from 'react-helmet';
+import SEO from '../../components/SEO';
+import { FEED_PATH, formatReleaseDate } from '../../utils/releases.js';
+import { renderMarkdown } from '../../utils/markdown.js';
+import './index.css';
+
+class ChangelogPage extends React.Component {
+  render() {
+    let releases = this.props.data.allBastionRelease.edges.map(edge => edge.node);
+
+    return (
+      <div id='changelog'>
+        <Helmet>
+          <link
+            rel='alternate'
+            type='application/atom+xml'
+            title='Bastion Releases'
+            href={ FEED_PATH }
+          />
+        </Helmet>
+        <SEO
+          title='Changelog'
+          description='Everything that was added, changed and fixed in every release of Bastion.'
+          path={ this.props.location.pathname }
+        />
+
+        <div className='header'>
+          <h1>Changelog</h1>
+          <p>
+            Everything that was added, changed and fixed in every release of
+            Bastion.
+          </p>
+          <p>
+            <a href={ FEED_PATH }>Subscribe to the releases feed</a>
+          </p>
+        </div>
+
+        <div className='container'>
+          {
+            releases.length
+            ? null
+            : <p className='noReleases'>There are no releases yet.</p>
+          }
+          {
+            releases.map(release => {
+              return (
+                <div className='release' key={ release.version }>
+                  <h2>
+                    <Link to={ release.slug }>{ release.title }</Link>
+                    {
+                      release.prerelease
+                      ? <code className='prerelease'>Pre-release</code>
+                      : null
+                    }
+                  </h2>
+                  <time dateTime={ release.date }>{ formatReleaseDate(release.date) }</time>
+                  {
+                    release.summary
+                    ? <div
+                        className='summary'
+                        dangerouslySetInnerHTML={{ __html: renderMarkdown(release.summary) }}
+                      />
+                    : null
+                  }
+                  <ul className='sections'>
+                    {
+                      release.sections.filter(section => section.entries).map(section => {
+                        return (
+                          <li className={ section.type } key={ section.type }>
+                            { section.entries } { section.title.toLowerCase() }
+                          </li>
+                        );
+                      })
+                    }
+                  </ul>
+                </div>
+              );
+            })
+          }
+        </div>
+      </div>
+    );
+  }
+}
+
+export default ChangelogPage;
+
+export const query = graphql`
+  query ChangelogQuery {
+    allBastionRelease(
+      filter: { placeholder: { eq: false } }
+      sort: { fields: [date], order: DESC }
+    ) {
+      edges {
+        node {
+          version
+          title
+          date
+          prerelease
+          summary
+          slug
+          sections {
+            type
+            title
+            entries
+          }
+        }
+      }
+    }
+  }
+`;
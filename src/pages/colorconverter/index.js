@@ -0,0 +1,115 @@
+import React from 'react';
+import SEO from '../../components/SEO';
+import { parseColor } from '../../utils/color.js';
+import { copyText } from '../../utils/clipboard.js';
+import './index.css';
+
+class ColorConverterPage extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      input: '#61d6fb',
+      copied: ''
+    };
+  }
+
+  copy(name, value) {
+    copyText(value).then(copied => {
+      this.setState({
+        copied: copied ? name : ''
+      });
+    });
+  }
+
+  renderResult() {
+    if (!this.state.input.trim()) return null;
+
+    let color = parseColor(this.state.input);
+    if (!color) {
+      return (
+        <div className='error'>
+          Enter a hex code like <code>#61d6fb</code>, RGB values
+          like <code>97, 214, 251</code> or a decimal color
+          like <code>6412027</code>.
+        </div>
+      );
+    }
+
+    let rows = [
+      [ 'Decimal', String(color.decimal) ],
+      [ 'Hex', color.hex ],
+      [ 'RGB', `rgb(${color.rgb.join(', ')})` ]
+    ];
+
+    return (
+      <div className='result'>
+        <div className='swatch' style={{ backgroundColor: color.hex }} />
+        <table>
+          <tbody>
+            {
+              rows.map(row => {
+                return (
+                  <tr key={ row[0] }>
+                    <th>{ row[0] }</th>
+                    <td><code>{ row[1] }</code></td>
+                    <td>
+                      <button onClick={ () => this.copy(row[0], row[1]) }>
+                        { this.state.copied === row[0] ? 'Copied!' : 'Copy' }
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })
+            }
+          </tbody>
+        </table>
+      </div>
+    );
+  }
+
+  render() {
+    let color = parseColor(this.state.input);
+
+    return (
+      <div id='colorConverter'>
+        <SEO
+          title='Color Converter'
+          description='Convert hex and RGB colors to the decimal colors used in Bastion and Discord embeds.'
+          path={ this.props.location.pathname }
+        />
+
+        <div className='header'>
+          <h1>Color Converter</h1>
+          <p>
+            Bastion's color options and Discord embeds use decimal colors.
+            Convert hex codes and RGB colors to them, or the other way around.
+          </p>
+        </div>
+
+        <div className='container'>
+          <label>
+            Color
+            <span className='input'>
+              <input
+                type='color'
+                aria-label='Pick a color'
+                value={ color ? color.hex : '#000000' }
+                onChange={ e => this.setState({ input: e.target.value, copied: '' }) }
+              />
+              <input
+                type='text'
+                aria-label='Color code'
+                placeholder='#61d6fb'
+                value={ this.state.input }
+                onChange={ e => this.setState({ input: e.target.value, copied: '' }) }
+              />
+            </span>
+          </label>
+          { this.renderResult() }
+        </div>
+      </div>
+    );
+  }
+}
+
+export default ColorConverterPage;
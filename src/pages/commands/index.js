@@ -1,122 +1,346 @@
 import React from 'react';
 import Link from 'gatsby-link';
-import showdown from 'showdown';
-import axios from 'axios';
+import Helmet from 'react-helmet';
 import ExternalLink from '../../components/ExternalLink.js';
+import LanguageSwitcher from '../../components/LanguageSwitcher';
+import SEO from '../../components/SEO';
+import {
+  parseQuery,
+  stringifyQuery,
+  createCommandIndex,
+  searchCommands,
+  countByModule,
+  filterCommands,
+  diffCommands
+} from '../../utils/commands.js';
+import { highlight, highlightHTML } from '../../utils/search.js';
+import { renderMarkdown } from '../../utils/markdown.js';
 import './index.css';
 
-const converter = new showdown.Converter();
-
 class CommandsPage extends React.Component {
   constructor(props) {
     super(props);
-    this.state = {};
+    this.state = parseQuery('');
+    this.indexes = {};
   }
 
   componentDidMount() {
-    axios.get('https://raw.githubusercontent.com/TheBastionBot/Bastion/stable/locales/en/modules.json')
-      .then(res => {
-        let commands = [];
-        for (let module of Object.keys(res.data)) {
-          for (let command of Object.keys(res.data[module])) {
-            commands.push({
-              name: command,
-              module: module.replace(/_/, ' '),
-              description: res.data[module][command]
-            });
-          }
-        }
+    // The filters in the URL are applied after mounting, since the page is
+    // rendered at build time without them.
+    if (this.props.location.search) {
+      this.setState(parseQuery(this.props.location.search));
+    }
+  }
 
-        this.setState({
-          commands: commands
-        });
-      })
-      .catch(err => {
-        console.error(err);
-      });
+  channels() {
+    return this.props.data.allBastionChannel.edges.map(edge => edge.node.name);
   }
 
-  filterCommands() {
-    let input = document.getElementById('commandFilter');
-    let filter = input.value.toLowerCase();
-    let table = document.getElementById('commandsTable');
-    let tr = table.getElementsByClassName('command');
-
-    for (let i = 0; i < tr.length; i++) {
-      let commands = tr[i].getElementsByTagName('td')[0];
-      let descriptions = tr[i].getElementsByTagName('td')[1];
-      if (commands || descriptions) {
-        if (commands.innerHTML.toLowerCase().indexOf(filter) > -1 || descriptions.innerHTML.toLowerCase().indexOf(filter) > -1) {
-          tr[i].style.display = '';
-        }
-        else {
-          tr[i].style.display = 'none';
-        }
-      }
+  currentChannel() {
+    let channels = this.channels();
+    return channels.includes(this.state.channel) ? this.state.channel : channels[0];
+  }
+
+  locale() {
+    return this.props.pathContext.locale;
+  }
+
+  locales() {
+    let channel = this.channels()[0];
+    return this.props.data.allBastionLocale.edges
+      .map(edge => edge.node)
+      .filter(locale => locale.channel === channel)
+      .map(locale => Object.assign({}, locale, {
+        path: `${locale.path}${stringifyQuery(this.state, channel)}`
+      }));
+  }
+
+  /**
+   * Returns the commands of the release channel in the current locale, or in
+   * English if the channel isn't translated to it.
+   */
+  commands(channel) {
+    let commands = this.props.data.allBastionCommand.edges
+      .map(edge => edge.node)
+      .filter(command => command.channel === channel);
+    let localized = commands.filter(command => command.locale === this.locale());
+
+    return localized.length ? localized : commands.filter(command => command.locale === 'en');
+  }
+
+  index(channel) {
+    if (!this.indexes[channel]) {
+      this.indexes[channel] = createCommandIndex(this.commands(channel));
     }
+    return this.indexes[channel];
+  }
+
+  renderHighlighted(text, matches) {
+    return highlight(text, matches).map((part, i) => {
+      return part.match ? <mark key={ i }>{ part.text }</mark> : part.text;
+    });
+  }
+
+  updateFilters(filters) {
+    this.setState(filters, () => {
+      let location = this.props.location;
+      window.history.replaceState(
+        null,
+        '',
+        `${location.pathname}${stringifyQuery(this.state, this.channels()[0])}`
+      );
+    });
+  }
+
+  toggleModule(module) {
+    let modules = this.state.modules.includes(module)
+      ? this.state.modules.filter(m => m !== module)
+      : this.state.modules.concat(module);
+
+    this.updateFilters({
+      modules: modules
+    });
+  }
+
+  renderCommands(results) {
+    if (!results.length) {
+      return (
+        <div className='noCommands'>
+          No commands match <strong>{ this.state.query }</strong>
+          { this.state.modules.length ? ' in the selected modules' : '' }.
+        </div>
+      );
+    }
+
+    return (
+      <table id='commandsTable' cellSpacing='0' cellPadding='0'>
+        <thead>
+          <tr>
+            <td style={{ width: '30%' }}>
+              Command
+            </td>
+            <td style={{ width: '70%' }}>
+              Description
+            </td>
+          </tr>
+        </thead>
+        <tbody>
+          {
+            results.map(result => {
+              let command = result.document;
+              let module = command.module.replace(/_/g, ' ');
+              return (
+                <tr className='command' key={ command.slug }>
+                  <td>
+                    <div className='commandName'>
+                      <Link to={ command.slug }>
+                        <code>{ this.renderHighlighted(command.name, result.matches) }</code>
+                      </Link>
+                    </div>
+                    <div
+                      className='commandModule'
+                      title={ `This command belongs to the ${module} module` }
+                    >
+                      <code>{ this.renderHighlighted(module, result.matches) }</code>
+                    </div>
+                  </td>
+                  <td>
+                    <div
+                      className='commandDescription'
+                      dangerouslySetInnerHTML={{ __html: highlightHTML(renderMarkdown(command.description), result.matches) }}
+                    />
+                    {
+                      command.translated
+                      ? null
+                      : <div className='commandUntranslated'>
+                          This description isn't translated to { this.locale() } yet.
+                        </div>
+                    }
+                  </td>
+                </tr>
+              );
+            })
+          }
+        </tbody>
+      </table>
+    );
+  }
+
+  renderDiff(channel, results, compareResults) {
+    let names = results.concat(compareResults).map(result => result.document.name);
+    let diff = diffCommands(this.commands(this.state.compare), this.commands(channel))
+      .filter(entry => names.includes(entry.name));
+
+    if (!diff.length) {
+      return (
+        <div className='noCommands'>
+          No commands were added, removed or changed
+          between <strong>{ this.state.compare }</strong> and <strong>{ channel }</strong>.
+        </div>
+      );
+    }
+
+    return (
+      <table id='commandsTable' className='diff' cellSpacing='0' cellPadding='0'>
+        <thead>
+          <tr>
+            <td style={{ width: '30%' }}>
+              Command
+            </td>
+            <td style={{ width: '35%' }}>
+              In { this.state.compare }
+            </td>
+            <td style={{ width: '35%' }}>
+              In { channel }
+            </td>
+          </tr>
+        </thead>
+        <tbody>
+          {
+            diff.map(entry => {
+              return (
+                <tr className={ `command ${entry.status}` } key={ entry.name }>
+                  <td>
+                    <div className='commandName'>
+                      <code>{ entry.name }</code>
+                    </div>
+                    <div className='commandModule'>
+                      <code>{ entry.module.replace(/_/g, ' ') }</code>
+                    </div>
+                    <div className='commandStatus'>{ entry.status }</div>
+                  </td>
+                  {
+                    [ entry.before, entry.after ].map((command, i) => {
+                      return (
+                        <td key={ i }>
+                          {
+                            command
+                            ? <div
+                                className='commandDescription'
+                                dangerouslySetInnerHTML={{ __html: renderMarkdown(command.description) }}
+                              />
+                            : <div className='commandMissing'>Not available</div>
+                          }
+                        </td>
+                      );
+                    })
+                  }
+                </tr>
+              );
+            })
+          }
+        </tbody>
+      </table>
+    );
   }
 
   render() {
+    let channels = this.channels();
+    let channel = this.currentChannel();
+    let comparing = this.state.compare && this.state.compare !== channel && channels.includes(this.state.compare);
+
+    let results = searchCommands(this.index(channel), this.state.query);
+    let compareResults = comparing ? searchCommands(this.index(this.state.compare), this.state.query) : [];
+    let moduleCounts = countByModule(results.map(result => result.document));
+    let modules = Object.keys(countByModule(this.commands(channel))).sort();
+    let filteredResults = filterCommands(results, this.state);
+
     return (
       <div id='commands'>
+        <Helmet>
+          <html lang={ this.locale() } />
+        </Helmet>
+        <SEO
+          title='Bastion Commands'
+          description='Check out the commands list of Bastion that you can use with it.'
+          path={ this.props.location.pathname }
+        />
+
         <div className='header'>
           <h1>Bastion Commands</h1>
           <p>
             Check out the commands list of Bastion that you can use with it.
           </p>
+          <LanguageSwitcher locales={ this.locales() } current={ this.locale() } />
           <div>
             <input
               id='commandFilter'
               type='text'
+              aria-label='Search commands'
               placeholder='🔍 Search commands'
-              onKeyUp={ () => this.filterCommands() }
+              value={ this.state.query }
+              onChange={ e => this.updateFilters({ query: e.target.value }) }
             />
           </div>
+          <div className='commandControls'>
+            <div className='commandChannels'>
+              <label>
+                Version
+                <select
+                  value={ channel }
+                  onChange={ e => this.updateFilters({ channel: e.target.value }) }
+                >
+                  {
+                    channels.map(name => <option value={ name } key={ name }>{ name }</option>)
+                  }
+                </select>
+              </label>
+              <label>
+                Compare with
+                <select
+                  value={ comparing ? this.state.compare : '' }
+                  onChange={ e => this.updateFilters({ compare: e.target.value }) }
+                >
+                  <option value=''>None</option>
+                  {
+                    channels.filter(name => name !== channel).map(name => {
+                      return <option value={ name } key={ name }>{ name }</option>;
+                    })
+                  }
+                </select>
+              </label>
+            </div>
+            <ul className='moduleFacets'>
+              {
+                modules.map(module => {
+                  return (
+                    <li key={ module }>
+                      <label
+                        className={ this.state.modules.includes(module) ? 'selected' : '' }
+                      >
+                        <input
+                          type='checkbox'
+                          checked={ this.state.modules.includes(module) }
+                          onChange={ () => this.toggleModule(module) }
+                        />
+                        { module.replace(/_/g, ' ') }
+                        <span className='count'>{ moduleCounts[module] || 0 }</span>
+                      </label>
+                    </li>
+                  );
+                })
+              }
+            </ul>
+            <label className='commandSort'>
+              Sort by
+              <select
+                value={ this.state.sort }
+                disabled={ !!this.state.query.trim() }
+                title={ this.state.query.trim() ? 'Search results are sorted by relevance' : '' }
+                onChange={ e => this.updateFilters({ sort: e.target.value }) }
+              >
+                <option value='module'>Module</option>
+                <option value='name'>Name</option>
+              </select>
+            </label>
+          </div>
         </div>
 
         <div className='container'>
           {
-            this.state.commands
-            ? <table id='commandsTable' cellSpacing='0' cellPadding='0'>
-                <thead>
-                  <tr>
-                    <td style={{ width: '30%' }}>
-                      Command
-                    </td>
-                    <td style={{ width: '70%' }}>
-                      Description
-                    </td>
-                  </tr>
-                </thead>
-                <tbody>
-                  {
-                    this.state.commands.map((command, i) => {
-                      return (
-                        <tr className='command' key={ i }>
-                          <td>
-                            <div className='commandName'>
-                              <code>{ command.name }</code>
-                            </div>
-                            <div
-                              className='commandModule'
-                              title={ `This command belongs to the ${command.module} module` }
-                            >
-                              <code>{ command.module }</code>
-                            </div>
-                          </td>
-                          <td>
-                            <div
-                              className='commandDescription'
-                              dangerouslySetInnerHTML={{ __html: converter.makeHtml(command.description) }}
-                            />
-                          </td>
-                        </tr>
-                      );
-                    })
-                  }
-                </tbody>
-              </table>
-            : <div>Loading Commands...</div>
+            comparing
+            ? this.renderDiff(channel, filteredResults, filterCommands(compareResults, this.state))
+            : this.renderCommands(filteredResults)
           }
         </div>
       </div>
@@ -125,3 +349,42 @@ class CommandsPage extends React.Component {
 }
 
 export default CommandsPage;
+
+export const query = graphql`
+  query CommandsQuery($locale: String!) {
+    allBastionChannel(sort: { fields: [order] }) {
+      edges {
+        node {
+          name
+        }
+      }
+    }
+    allBastionLocale(sort: { fields: [locale] }) {
+      edges {
+        node {
+          locale
+          channel
+          path
+          coverage
+        }
+      }
+    }
+    allBastionCommand(
+      filter: { locale: { in: [ $locale, "en" ] } }
+      sort: { fields: [module, name] }
+    ) {
+      edges {
+        node {
+          channel
+          locale
+          translated
+          name
+          module
+          description
+          text
+          slug
+        }
+      }
+    }
+  }
+`;
@@ -1,12 +1,88 @@
 import React from 'react';
 import ExternalLink from '../../components/ExternalLink.js';
-import methods from './methods.json';
+import SEO from '../../components/SEO';
+import Image from '../../components/Image';
+import FundingGoal from '../../components/FundingGoal';
+import { FUNDING_URL, formatMonth } from '../../utils/funding.js';
+import { copyText } from '../../utils/clipboard.js';
+import funding from './funding.json';
+import supporters from './supporters.json';
 import './index.css';
 
 class DonatePage extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      // The title of the method whose address was just copied.
+      copied: null
+    };
+  }
+
+  copyAddress(method) {
+    copyText(method.address).then(copied => {
+      this.setState({
+        copied: copied ? method.title : null
+      });
+    });
+  }
+
+  /**
+   * Methods with an address show it with its QR code, which is made when the
+   * site is built, and a button to copy it.
+   */
+  renderAddress(method) {
+    return (
+      <div className='method address' key={ method.title }>
+        {
+          method.image
+          ? <div className='image'>
+              <Image
+                image={ method.image }
+                alt={ `${method.title} Logo` }
+              />
+            </div>
+          : <h4>{ method.title }</h4>
+        }
+        <div className='details'>
+          <p>{ method.description }</p>
+          {
+            method.paymentLink
+            ? <a
+                className='qr'
+                href={ method.paymentLink }
+                title={ `Scan to donate with ${method.title}` }
+                dangerouslySetInnerHTML={{ __html: method.qrCode }}
+              />
+            : <div
+                className='qr'
+                role='img'
+                aria-label={ `Scan to donate with ${method.title}` }
+                title={ `Scan to donate with ${method.title}` }
+                dangerouslySetInnerHTML={{ __html: method.qrCode }}
+              />
+          }
+          <div className='kind'>{ method.kindTitle }</div>
+          <code>{ method.address }</code>
+          <button
+            className='primary'
+            onClick={ () => this.copyAddress(method) }
+          >
+            { this.state.copied === method.title ? 'Copied!' : 'Copy' }
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   render() {
     return (
       <div id='donate'>
+        <SEO
+          title='Donate'
+          description='Support the development of Bastion and keep it running forever by donating us.'
+          path={ this.props.location.pathname }
+        />
+
         <div className='header'>
           <h1>Donate to Bastion</h1>
           <p>
@@ -21,9 +97,19 @@ class DonatePage extends React.Component {
           </p>
         </div>
 
+        {
+          funding || FUNDING_URL
+          ? <div className='goal'>
+              <FundingGoal funding={ funding } />
+            </div>
+          : null
+        }
+
         <div className='container'>
           {
-            methods.map((method, i) => {
+            this.props.data.allMethodsJson.edges.map(edge => edge.node).map((method, i) => {
+              if (method.address) return this.renderAddress(method);
+
               return (
                 <div
                   className='method'
@@ -32,9 +118,8 @@ class DonatePage extends React.Component {
                 >
                   <ExternalLink to={ method.url }>
                     <div className='image'>
-                      <img
-                        src={ method.image }
-                        width='150'
+                      <Image
+                        image={ method.image }
                         alt='Donation Method Logo'
                       />
                     </div>
@@ -47,9 +132,69 @@ class DonatePage extends React.Component {
             })
           }
         </div>
+
+        <div className='supporters' id='supporters'>
+          <h2>Supporters</h2>
+          <p>
+            The amazing people who donated to Bastion, and asked to be on this
+            wall. Donated and want to be here too? Let us know in <ExternalLink
+            to='https://discord.gg/fzx8fkt'>Bastion HQ</ExternalLink>.
+          </p>
+          {
+            supporters.length
+            ? <ul>
+                {
+                  supporters.map(supporter => {
+                    return (
+                      <li key={ supporter.name }>
+                        {
+                          supporter.url
+                          ? <ExternalLink to={ supporter.url }>{ supporter.name }</ExternalLink>
+                          : <span>{ supporter.name }</span>
+                        }
+                        {
+                          supporter.since
+                          ? <small>Since { formatMonth(supporter.since) }</small>
+                          : null
+                        }
+                      </li>
+                    );
+                  })
+                }
+              </ul>
+            : <p className='empty'>Nobody's on the wall yet, you could be the first one!</p>
+          }
+        </div>
       </div>
     );
   }
 }
 
 export default DonatePage;
+
+export const query = graphql`
+  query DonateQuery {
+    allMethodsJson {
+      edges {
+        node {
+          title
+          description
+          url
+          kind
+          kindTitle
+          address
+          paymentLink
+          qrCode
+          image {
+            publicURL
+            childImageSharp {
+              resolutions(width: 150) {
+                ...GatsbyImageSharpResolutions_withWebp
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
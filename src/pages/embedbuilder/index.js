@@ -0,0 +1,377 @@
+import React from 'react';
+import SEO from '../../components/SEO';
+import {
+  LIMITS,
+  DEFAULT_PREFIX,
+  emptyEmbed,
+  emptyField,
+  buildEmbed,
+  embedLength,
+  validateEmbed,
+  parseEmbed,
+  embedCommand
+} from '../../utils/embed.js';
+import { normalizeHex, decimalToHex } from '../../utils/color.js';
+import { copyText } from '../../utils/clipboard.js';
+import { downloadFile } from '../../utils/download.js';
+import { renderMarkdown } from '../../utils/markdown.js';
+import './index.css';
+
+class EmbedBuilderPage extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      values: emptyEmbed(),
+      prefix: DEFAULT_PREFIX,
+      importJSON: '',
+      importError: '',
+      copied: false
+    };
+  }
+
+  setValues(values) {
+    this.setState({
+      values: values,
+      copied: false
+    });
+  }
+
+  setValue(name, value) {
+    this.setValues(Object.assign({}, this.state.values, {
+      [name]: value
+    }));
+  }
+
+  setNestedValue(group, name, value) {
+    this.setValue(group, Object.assign({}, this.state.values[group], {
+      [name]: value
+    }));
+  }
+
+  setField(index, name, value) {
+    this.setValue('fields', this.state.values.fields.map((field, i) => {
+      return i === index ? Object.assign({}, field, { [name]: value }) : field;
+    }));
+  }
+
+  addField() {
+    this.setValue('fields', this.state.values.fields.concat(emptyField()));
+  }
+
+  removeField(index) {
+    this.setValue('fields', this.state.values.fields.filter((field, i) => i !== index));
+  }
+
+  importEmbed() {
+    try {
+      this.setValues(parseEmbed(this.state.importJSON));
+      this.setState({
+        importJSON: '',
+        importError: ''
+      });
+    }
+    catch (e) {
+      this.setState({
+        importError: e.message
+      });
+    }
+  }
+
+  copyCommand(command) {
+    copyText(command).then(copied => {
+      this.setState({
+        copied: copied
+      });
+    });
+  }
+
+  renderError(errors, name) {
+    if (!errors[name]) return null;
+
+    return <div className='error'>{ errors[name] }</div>;
+  }
+
+  renderInput(errors, label, value, onChange, name, placeholder) {
+    return (
+      <label>
+        { label }
+        <input
+          type='text'
+          className={ errors[name] ? 'invalid' : '' }
+          placeholder={ placeholder }
+          value={ value }
+          onChange={ e => onChange(e.target.value) }
+        />
+        { this.renderError(errors, name) }
+      </label>
+    );
+  }
+
+  renderEditor(errors) {
+    let values = this.state.values;
+
+    return (
+      <div className='editor'>
+        <h3>Body</h3>
+        { this.renderInput(errors, 'Title', values.title, value => this.setValue('title', value), 'title') }
+        { this.renderInput(errors, 'Title URL', values.url, value => this.setValue('url', value), 'url', 'https://') }
+        <label>
+          Description
+          <textarea
+            rows='5'
+            className={ errors.description ? 'invalid' : '' }
+            value={ values.description }
+            onChange={ e => this.setValue('description', e.target.value) }
+          />
+          <small>{ values.description.trim().length } / { LIMITS.description }</small>
+          { this.renderError(errors, 'description') }
+        </label>
+        <label>
+          Color
+          <span className='color'>
+            <input
+              type='color'
+              aria-label='Pick a color'
+              value={ normalizeHex(values.color) || '#000000' }
+              onChange={ e => this.setValue('color', e.target.value) }
+            />
+            <input
+              type='text'
+              aria-label='Color code'
+              className={ errors.color ? 'invalid' : '' }
+              placeholder='#61d6fb'
+              value={ values.color }
+              onChange={ e => this.setValue('color', e.target.value) }
+            />
+          </span>
+          { this.renderError(errors, 'color') }
+        </label>
+
+        <h3>Author</h3>
+        { this.renderInput(errors, 'Name', values.author.name, value => this.setNestedValue('author', 'name', value), 'author.name') }
+        { this.renderInput(errors, 'URL', values.author.url, value => this.setNestedValue('author', 'url', value), 'author.url', 'https://') }
+        { this.renderInput(errors, 'Icon URL', values.author.icon_url, value => this.setNestedValue('author', 'icon_url', value), 'author.icon_url', 'https://') }
+
+        <h3>Images</h3>
+        { this.renderInput(errors, 'Thumbnail URL', values.thumbnail, value => this.setValue('thumbnail', value), 'thumbnail', 'https://') }
+        { this.renderInput(errors, 'Image URL', values.image, value => this.setValue('image', value), 'image', 'https://') }
+
+        <h3>Fields</h3>
+        {
+          values.fields.map((field, i) => {
+            return (
+              <div className='field' key={ i }>
+                { this.renderInput(errors, 'Name', field.name, value => this.setField(i, 'name', value), `fields.${i}.name`) }
+                <label>
+                  Value
+                  <textarea
+                    rows='2'
+                    className={ errors[`fields.${i}.value`] ? 'invalid' : '' }
+                    value={ field.value }
+                    onChange={ e => this.setField(i, 'value', e.target.value) }
+                  />
+                  { this.renderError(errors, `fields.${i}.value`) }
+                </label>
+                <label className='inline'>
+                  <input
+                    type='checkbox'
+                    checked={ field.inline }
+                    onChange={ e => this.setField(i, 'inline', e.target.checked) }
+                  />
+                  Inline
+                </label>
+                <button onClick={ () => this.removeField(i) }>Remove Field</button>
+              </div>
+            );
+          })
+        }
+        { this.renderError(errors, 'fields') }
+        <button
+          disabled={ values.fields.length >= LIMITS.fields }
+          onClick={ () => this.addField() }
+        >
+          Add Field
+        </button>
+
+        <h3>Footer</h3>
+        { this.renderInput(errors, 'Text', values.footer.text, value => this.setNestedValue('footer', 'text', value), 'footer.text') }
+        { this.renderInput(errors, 'Icon URL', values.footer.icon_url, value => this.setNestedValue('footer', 'icon_url', value), 'footer.icon_url', 'https://') }
+      </div>
+    );
+  }
+
+  renderPreview(embed, errors) {
+    // Images are only shown once their URLs are valid.
+    let validURL = (name, url) => url && !errors[name];
+
+    return (
+      <div className='preview'>
+        <div
+          className='embed'
+          style={{ borderColor: embed.color !== undefined ? decimalToHex(embed.color) : undefined }}
+        >
+          <div className='content'>
+            {
+              embed.author
+              ? <div className='author'>
+                  {
+                    validURL('author.icon_url', embed.author.icon_url)
+                    ? <img src={ embed.author.icon_url } alt='' />
+                    : null
+                  }
+                  { embed.author.name }
+                </div>
+              : null
+            }
+            {
+              embed.title
+              ? <div className='title'>{ embed.title }</div>
+              : null
+            }
+            {
+              embed.description
+              ? <div
+                  className='description'
+                  dangerouslySetInnerHTML={{ __html: renderMarkdown(embed.description) }}
+                />
+              : null
+            }
+            {
+              embed.fields
+              ? <div className='fields'>
+                  {
+                    embed.fields.map((field, i) => {
+                      return (
+                        <div className={ field.inline ? 'field inline' : 'field' } key={ i }>
+                          <div className='name'>{ field.name }</div>
+                          <div
+                            className='value'
+                            dangerouslySetInnerHTML={{ __html: renderMarkdown(field.value) }}
+                          />
+                        </div>
+                      );
+                    })
+                  }
+                </div>
+              : null
+            }
+            {
+              embed.image && validURL('image', embed.image.url)
+              ? <img className='image' src={ embed.image.url } alt='' />
+              : null
+            }
+            {
+              embed.footer
+              ? <div className='footer'>
+                  {
+                    validURL('footer.icon_url', embed.footer.icon_url)
+                    ? <img src={ embed.footer.icon_url } alt='' />
+                    : null
+                  }
+                  { embed.footer.text }
+                </div>
+              : null
+            }
+          </div>
+          {
+            embed.thumbnail && validURL('thumbnail', embed.thumbnail.url)
+            ? <img className='thumbnail' src={ embed.thumbnail.url } alt='' />
+            : null
+          }
+        </div>
+      </div>
+    );
+  }
+
+  renderOutput(embed, errors) {
+    let json = JSON.stringify(embed, null, 2);
+    let command = embedCommand(embed, this.state.prefix);
+    let isValid = !Object.keys(errors).length;
+
+    return (
+      <div className='output'>
+        <div className={ embedLength(embed) > LIMITS.total ? 'length invalid' : 'length' }>
+          { embedLength(embed) } / { LIMITS.total } characters
+        </div>
+        { this.renderError(errors, 'total') }
+
+        <h3>Command</h3>
+        <label className='inline'>
+          Prefix
+          <input
+            type='text'
+            value={ this.state.prefix }
+            onChange={ e => this.setState({ prefix: e.target.value, copied: false }) }
+          />
+        </label>
+        <pre><code>{ command }</code></pre>
+        <button
+          className='primary'
+          disabled={ !isValid }
+          onClick={ () => this.copyCommand(command) }
+        >
+          { this.state.copied ? 'Copied!' : 'Copy Command' }
+        </button>
+        <button
+          disabled={ !isValid }
+          onClick={ () => downloadFile('embed.json', `${json}\n`) }
+        >
+          Export JSON
+        </button>
+
+        <h3>Import</h3>
+        <textarea
+          rows='4'
+          aria-label='JSON of the embed to import'
+          placeholder='Paste the JSON of an embed'
+          value={ this.state.importJSON }
+          onChange={ e => this.setState({ importJSON: e.target.value, importError: '' }) }
+        />
+        {
+          this.state.importError
+          ? <div className='error'>{ this.state.importError }</div>
+          : null
+        }
+        <button
+          disabled={ !this.state.importJSON.trim() }
+          onClick={ () => this.importEmbed() }
+        >
+          Import JSON
+        </button>
+      </div>
+    );
+  }
+
+  render() {
+    let embed = buildEmbed(this.state.values);
+    let errors = validateEmbed(this.state.values);
+
+    return (
+      <div id='embedBuilder'>
+        <SEO
+          title='Embed Builder'
+          description='Build embed JSON to use with commands like sendEmbed, with a live preview.'
+          path={ this.props.location.pathname }
+        />
+
+        <div className='header'>
+          <h1>Embed Builder</h1>
+          <p>
+            Build embed JSON to use with commands like <code>sendEmbed</code>,
+            and see how it's going to look in Discord.
+          </p>
+        </div>
+
+        <div className='container'>
+          { this.renderEditor(errors) }
+          <div className='result'>
+            { this.renderPreview(embed, errors) }
+            { this.renderOutput(embed, errors) }
+          </div>
+        </div>
+      </div>
+    );
+  }
+}
+
+export default EmbedBuilderPage;
@@ -1,26 +1,98 @@
 import React from 'react';
-import showdown from 'showdown';
+import Helmet from 'react-helmet';
 import ExternalLink from '../../components/ExternalLink.js';
+import SEO from '../../components/SEO';
 import faq from './faq.json';
+import {
+  faqCategories,
+  createFAQIndex,
+  searchFAQ,
+  faqStructuredData
+} from '../../utils/faq.js';
 import './index.css';
 
-const converter = new showdown.Converter();
+const categories = faqCategories(faq);
+const index = createFAQIndex(categories);
+// `<` is escaped so the answers can't close the script tag.
+const structuredData = JSON.stringify(faqStructuredData(categories)).replace(/</g, '\\u003c');
 
 class FAQPage extends React.Component {
-  questions() {
-    let questions = [];
-    for (let questionGroup in faq) {
-      for (let question of faq[questionGroup]) {
-        question.answer = converter.makeHtml(question.answer);
-        questions.push(question);
-      }
+  constructor(props) {
+    super(props);
+    this.state = {
+      query: '',
+      open: []
+    };
+    this.openFromHash = this.openFromHash.bind(this);
+  }
+
+  componentDidMount() {
+    this.openFromHash();
+    window.addEventListener('hashchange', this.openFromHash);
+  }
+
+  componentWillUnmount() {
+    window.removeEventListener('hashchange', this.openFromHash);
+  }
+
+  /**
+   * Opens the question linked in the URL's hash, and scrolls it into view.
+   */
+  openFromHash() {
+    let slug = decodeURIComponent(window.location.hash.replace(/^#/, ''));
+    if (!slug) return;
+
+    let isQuestion = categories.some(category => {
+      return category.questions.some(question => question.slug === slug);
+    });
+    if (isQuestion && !this.state.open.includes(slug)) {
+      this.setState({
+        open: this.state.open.concat(slug)
+      });
+    }
+
+    let element = document.getElementById(slug);
+    if (element) {
+      element.scrollIntoView();
+    }
+  }
+
+  toggleQuestion(slug) {
+    let isOpen = this.state.open.includes(slug);
+    this.setState({
+      open: isOpen
+        ? this.state.open.filter(open => open !== slug)
+        : this.state.open.concat(slug)
+    });
+
+    if (!isOpen) {
+      window.history.replaceState(null, '', `#${slug}`);
     }
-    return questions;
   }
 
   render() {
+    let query = this.state.query.trim();
+    let matches = query ? searchFAQ(index, query) : null;
+
+    let visibleCategories = categories.map(category => {
+      return Object.assign({}, category, {
+        questions: matches
+          ? category.questions.filter(question => matches.includes(question.slug))
+          : category.questions
+      });
+    }).filter(category => category.questions.length);
+
     return (
       <div id='faq'>
+        <SEO
+          title='Frequently Asked Questions'
+          description='Answers to the frequently asked questions about installing, configuring and using Bastion.'
+          path={ this.props.location.pathname }
+        />
+        <Helmet>
+          <script type='application/ld+json'>{ structuredData }</script>
+        </Helmet>
+
         <div className='header'>
           <h1>Frequently Asked Questions</h1>
           <p>
@@ -29,20 +101,85 @@ class FAQPage extends React.Component {
             href='https://discord.gg/fzx8fkt' target='_blank'>Bastion Discord
             Server</a>, and ask it.
           </p>
+          <div>
+            <input
+              id='faqFilter'
+              type='text'
+              aria-label='Search questions'
+              placeholder='🔍 Search questions'
+              value={ this.state.query }
+              onChange={ e => this.setState({ query: e.target.value }) }
+            />
+          </div>
+          <ul className='categories'>
+            {
+              categories.map(category => {
+                return (
+                  <li key={ category.name }>
+                    <a href={ `#${category.name}` }>{ category.title }</a>
+                  </li>
+                );
+              })
+            }
+          </ul>
         </div>
 
         <div className='container'>
-            {
-              this.questions().map((question, i) => {
+          {
+            visibleCategories.length
+            ? visibleCategories.map(category => {
                 return (
-                  <div className='question' key={ i }>
-                    <h4>{ question.question }</h4>
-                    <p dangerouslySetInnerHTML={{ __html: question.answer }} />
-                    <img src={ question.image } alt='' />
-                  </div>
+                  <section className='category' id={ category.name } key={ category.name }>
+                    <h2>{ category.title }</h2>
+                    {
+                      category.questions.map(question => {
+                        // Search results are always open, to show the answers
+                        // that matched.
+                        let isOpen = !!matches || this.state.open.includes(question.slug);
+                        return (
+                          <div
+                            className={ `question${isOpen ? ' open' : ''}` }
+                            id={ question.slug }
+                            key={ question.slug }
+                          >
+                            <h4>
+                              <button
+                                aria-expanded={ isOpen }
+                                aria-controls={ `${question.slug}-answer` }
+                                onClick={ () => this.toggleQuestion(question.slug) }
+                                dangerouslySetInnerHTML={{ __html: question.question }}
+                              />
+                              <a
+                                className='permalink'
+                                href={ `#${question.slug}` }
+                                title='Link to this question'
+                              >
+                                #
+                              </a>
+                            </h4>
+                            <div
+                              className='answer'
+                              id={ `${question.slug}-answer` }
+                              hidden={ !isOpen }
+                            >
+                              <p dangerouslySetInnerHTML={{ __html: question.answer }} />
+                              {
+                                question.image
+                                ? <img src={ question.image } alt='' />
+                                : null
+                              }
+                            </div>
+                          </div>
+                        );
+                      })
+                    }
+                  </section>
                 );
               })
-            }
+            : <div className='noQuestions'>
+                No questions match <strong>{ query }</strong>.
+              </div>
+          }
         </div>
       </div>
     );
@@ -1,15 +1,21 @@
 import React from 'react';
-import showdown from 'showdown';
 import ExternalLink from '../../components/ExternalLink.js';
+import SEO from '../../components/SEO';
 import features from './features.json';
+import { renderMarkdown } from '../../utils/markdown.js';
+import { slugify } from '../../utils/slugify.js';
 import './index.css';
 
-const converter = new showdown.Converter();
-
 class FeaturesPage extends React.Component {
   render() {
     return (
       <div id='features'>
+        <SEO
+          title='Features'
+          description='Music, games, currency, moderation and a whole bunch of other features of Bastion.'
+          path={ this.props.location.pathname }
+        />
+
         <div className='header'>
           <h1>Feature Highlights</h1>
           <p>
@@ -30,24 +36,26 @@ class FeaturesPage extends React.Component {
             features.map((feature, i) => {
               if (i % 2 == 0) {
                 return (
-                  <div className='feature left' key={ i }>
+                  <div className='feature left' id={ slugify(feature.title) } key={ i }>
                     <div className='image'>
                       <img src={ feature.image } alt='Feature Screenshot' />
                     </div>
                     <div className='details'>
                       <h4>{ feature.title }</h4>
-                      <p>{ feature.description }</p>
+                      <p
+                        dangerouslySetInnerHTML={{ __html: renderMarkdown(feature.description) }}
+                      />
                     </div>
                   </div>
                 );
               }
               else {
                 return (
-                  <div className='feature right' key={i}>
+                  <div className='feature right' id={ slugify(feature.title) } key={i}>
                     <div className='details'>
                       <h4>{ feature.title }</h4>
                       <p
-                        dangerouslySetInnerHTML={{ __html: converter.makeHtml(feature.description) }}
+                        dangerouslySetInnerHTML={{ __html: renderMarkdown(feature.description) }}
                       />
                     </div>
                     <div className='image'>
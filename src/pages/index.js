@@ -1,13 +1,15 @@
 import React from 'react';
 import Link from 'gatsby-link';
+import Img from 'gatsby-image';
+import BotStatus from '../components/BotStatus';
 import ExternalLink from '../components/ExternalLink.js';
+import SEO from '../components/SEO';
 
 class IndexPage extends React.Component {
   constructor(props) {
     super(props);
     this.state = {
-      __cnt__: 0,
-      bastionLogo: `data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAB9AAAAIFCAYAAAH99FbUAADXNklEQVR42uzdd5wcZf3A8c/mLneXS+8JnVAUFQQMiBQpIihF7IIiYkNBQewUfwoqdkWxKxawYgOJKIogKogoVUSpIdQUCOmXere/P545OcIl2b2d2Z1n5vP2tV6425195jvlme88zzxPpVqtIqnYhhkCyQNdkge6JA90SR7okjzQJXmgS/JAl+SBLnmgS/JAlxSX9no/0NPTk2bn+AnAoias56PApBreV8m4HPXE7lzgPRktOwuVIZbnSZ877OaORstwOnDOIGV5NnDbUBf8293WDDXm9wEzsthPuru7a95fW12jP56sVBU4KsPvmdTCddxnwDrW491D/FzZfG1AnPoGOcj7TwD/GvC+ahP3iW2jrNEzdEnysy3ZYK3Ql/LJr5rycioe16nF9tHk5+eB9zWhrC3ddnnM0XuBlS3aIdLaGGMzqomt3eHBlOPw3jLEtT2n5erKoHZtpsVFrh1aWE9XM/7maob7XEu3W3uON3mlhbtaJbNd1YO9LjOmhp+z5286rh3tsMXEwf+2rhceeKymfa46YyqV2fNLXqM3eUSaGA46L60ztqmDvP9ksNEdve3J79vYgZx8XyWD/b5lJ+gYLo0PbcF37p/zmFQ8yMOBW8tBPsTPZnXS/rsH+uAuH+LnxjTwnVc3oTbfNzlgB77+s4nPrCv8QV590qu63n9DFTrbh36AD3o1UN3gq5pBA+dzi3agVzbxytqSnNfI1w7y+2cmf3vrIH8bCQwv0RX7oIfXZhNg8wkbPTjrfqV10shzijesxTt7nn2zhet9/nrvqwA9DZ5Y+1+vS/Fk3cwTN+NGQldGp7qNHOyFuO/S6kv3rHaQsSks44Sc1Pxl7CQz6ME1YVS2X7qRg/1LsdfqRX2oZXEN79kS5fEQb2/l5fW2Uwa9vD8lo68b5YGevYdqeE9vEfKzyKxd/xdTxjXxEmoD10+H39g5OYOvW9as9Wp1O/qKDNbpbSm9J8sTYRWYwhP9rbWxaq+zuafHGVMHbWdfUK1Ws0ijfga8usg1+tuB7hreV+8DLt+o4T3fysH+u2DAxeH+Hs5wxE1d3SVc7VfFfum+qYaNr9e4nLYMy/jqGtejpqu+Bspx9Xqxuauk+fmKHDR9bXjvzfbbSp2jP6/O919Z5/t/ntP13mHA7vVZ6/rm23rKIFccN3btGev65PlAfxf1dxc8KKVafKhXFVnkcO9LDvhDPfyap23wI+P6ISyq1n0i01o9r0+vHQJckdGyh1KL19P1dAnptOOv7/IMTyZ5uXRvwUVtKy+ordH/MIQw3z3E7/pFymUf5+6n9by8xvddlpsaPcePqW4/xO94VY0Hz67ALXVcri0kDH7Z6rgozcDXv/9vA1xc43sPy2r7xtBhJs0zy34NfPbmOt8/0YNxCFu6eXe6m1We+5KftXa+qgAvKUuOXm8NVusmuKYFZa8AU4F51urRJyqfafBYq2Vt+rLYrq18TLXSot2mkfP074b4vfMHrPN7rbrz75HHB/31abGuT0xPr63IQbxelMIyvjDICe8+Dy0Ajl7/F8tXtaYgqwaZr2HWzJXVJu3v1aId6ADH1Pi+7igu7oZmRrITdNX5ua8V6SifNXPlRetfay1Y1KLC5O1+QQEO9J9GFrMsR65ZXedVzomlqOerzX3dN/jdlLSaYVtyXyXvzWub0tGC76x3LLph1P9gzmzqn6+rKD4KfPhJwZgHM6Y18bwyyC5+6cyeV6W467+N7EYwym2N3kjuvTqCuqgX2GoIl/LlVOUjg9Wyq9Y05+tnz23KZXvTn57Mw4HeHeXuuHET13vP/Rlleb8o6OH++/V/8cjC7L903uNNvdyulOVAP7HBnT+vI6IeCDy2iWxzYye9emLyqoIe6C/aYG2bkbW90DP49eGSIgQ0yw4zaddg56/332taHLuRg6Qd5wKntiA2RVQZLE6z56afry/rgUeXbvDP45q9jkW9dK/VWxsMaNrDFi9f778frPEg16ZOgU+8fjpYvjx7Lqxem15O/ugSNnQHvtKEprUeD/QNOyCHudAWLajxim6DfSwefqyxS/nVazf5+WYdGyM90De8U/8pw++q5ym452zg31l7S1kq+BnTqbCRB0Jmzw2vlTUmcv3vf/ixTX5nM9Orp+UuR29BO/pZTf6+e+t47w0DTkI3Ae9O8vQs9QHfKcuBntS67YQBQ165offNTe+ufGWwmj7j/T7zMQLzXqM/AJy93u9+WMfnJze5vF8kDOOclYfIdrDMPHtVE9KVVqZDlbIe6JOBrQf5fT1zhz02xO8+qI73rj+u3aNk1+5a/NllNt1FtUKVP6fc7bXypBtvBevnntcDfVGyUz/WwjLUcw/guRs5ML+aQlnm4QAW6zsgpfiOyFlsK0U/0JfyRPPWxoZfqmcUzrNzsF7vTNbpzUP47A7JZ6d7XG8yvhXCaLm12GrAZ1blcJ3uzeQMUu9NhiVLlrh7NaaT0NFm/Vx7JnCj4VEtxo4dm+2BLskcXZIHuiQPdEke6JI80CV5oEse6JI80CV5oEvyQJfUWnaBlazRJXmgS/JAl+SBLskDXZIHuiQPdEke6JIHuiQPdEke6JLypq5JFnt6etLsGH8m8IkmrWct5d4MmJthGZ4H/K3Ok3A1xfXLUqWB8jzps4fd3NFIObYAbuWpk4B8H3gbsGaoC/7tbmuGGvN6Z1+5Gdi1ljd2d3dX6tmZWuUcmjO71fNqfN8jGZ5kqnUe5BBmTa0C77I+2uhBNHAfepDBZ/o5Hlg94H13NrGMuXhqLE+X7lkd8H9r0frMT2l9vkghpvlL1cwkJn1D/PyOFGb6xHhz9FYG/5IU12FKBnH5lMc4VeCfEVQwuarVh+V4Y6bhlDrff1TON+oHCdMyF/swHvx1JVWqKU+XPPBVLfK0ye053+SNTiP7pQJejUwCrgX2KUP1PWMqzJ5fW1w3nwCdwwf/22PLYGlPTdtvhxlTuWf2/Fzuz8050FswGs2HgY82+TsfIdyBz7O9y3KdvqmDfNspUKnh8Jk0OrwA7n8Uejec3d89ez4vBi7PYN8/DrjQS/enamSO8yuG+LmhzkferLPgMa2sGfJyhTRxdKjtK0OIxNaTw2c34nfA8AzW5wIv3dN3cM7LVxnCyaJSokN7g2nXjGnppQWr18LDCwf985qM4t0DdBepRq9s5FXPLO53tnR3S99eG9mBKpv4W5mcsqGDM82bcJ3tG63ds9gPRpTp0n1pHTvujjm+jO738Tree32NJ8lfJP/+Zw2xqtTxqtVmGSyzoe23icvthmv3DXhjZBVJlDl63i6tN+TMDL7/VUkZ9ixZ3LuafZD36xg8kf1uEYLa6gN9VYu+9701vKeeXlfrPC+mVtetXP/yesTw5nz1FhM3eIn/7thr9VYf6F0ZLLO3hvd8IeXvfH89+5NHc32mT2jed23gRt8XMvq6mc1ar7y3owNclNHJaw823ZWylvdA6I9+bo3f++AQUoNSOOKmrqecpCeMIhc90zLa9//ZrP2glTV6rZE7OqPvv6GG9/wj4/Xvf3mvZAP747iRzS/EFhMHPQn9ssXHQW4P9E01brQqaK/L4Q7eu15sti1pfp6LPuYd7YOW5eWFOoPmTBaXNT+u8/2XtKCssynZY5SDGdER/SrUuk9Uy3ygNyN3OauG9xzV4jiU4oA/4sauGev/btr46FdrS2v09A/yoRwMZ+eg3LnK5Vp4OvvS+pfLlVoSwGa+6ncn0FnjexcnP48v04FeBb6dRcUxxM+t8mDP3B5FzD6ofZy6/m7ht2ZRkDw3r70ledVy4NR68+qyIZals873V8j2hmMRm+bmAlPzXMAG9v+/UdujxS9k6E9dRpuj96uliWt2A8v/Z0blrjD0Mc3KV7NX+VyuRnVJtwWg1kFC/lC2HL2Zl3R7ZnhwtWHHmFr9dP1fLOuJKh/PtVY9ploBPp9SDXZ0nctpxWbN4kmvniLtiLNmrnxKr7hHlxRi1bYasA+07GqtlTX6+wiDHTbqJ5Ft+PVPeEPtHDMCxWDyED5zSpEOdIDPRJdJpm8O2T3XHV90c3AJPXvuoGVJo/tOrdv4vDLm6P2+NcjvvlGwXb0C/KvEh3p3jQdd0/PzWXusXJvSOt7ekh2rniaDpUuXDnlOrRRqyXU8dcC+VpzzjwIurWPdsuz8k+WyG5mLbsj7yUtu6H7KZ9MaI66m2nze4L+/dGbPUOeXmwncmMV+O2bMmCjmXqvXfTkpx6/r3NmdTqm+U8QN69ews+c29fsHe6WdVk1qdliHtXyz1u596/338ohy+SpQa73075If6ntsMG9uRm7eHAvLdKDXW9Otf7k8soVl/+EQ1qs/2zx/E599ptU6Lxjslw8/1pKDPKubpJWiHOhF7pLwugZOXm9OKSa3FfhAv2qwX65eC/fPJ/Wbbxs5yHctSkBjHdmknsEYsxgKOY0rlEbtUtAc/Ym8eJCDsrc33UvsTdzVvzXjaqnigb7xgLTlIPB9LTzIy6KysQN03uONHeCbOGE06yC8ygO9cZc3aSes5OUAKJoZ0ze8rj2razpg/6e3r7b3b+w7m3U/Im0xjAI71PZLgBcP8eKxMsRyVj3I05UclJuMbUqX82uBjsGWlfG+307GcwOUccy4NGNSbXJ5y9xNNut1Hw+0apS63qy/oL3AG7anheW+G9jeg3yI11ObjkG1gLHN9IpwWE4P8MqQdoMna2U7+w4p7jw+8JJNTO4uU2zzcqDvmLOg11OOakY7pAd47TGqdWqviwZ8Zsecrk82C673JsOSJUvcvRrzVp76JN6fgBdR+0CCKrmxY8dme6BL8tJdkge6JA90SR7okjzQJXmgSx7okjzQJXmgS/JAl9RadoGVJMkrd0mSZIUuSZKs0CVJkhW6JElW6JIkyQpdkiRZoUuSJCt0SZKs0CVJkhW6JElKXXvWX9DT02OU1ep9fA/gMmD8ED5/GvBFYLWhlNSI7u7uTJef6VjuPT09sQwUPwt4JbAm4n0lzVj3NuNiL2WbAw81+Tv3Af6W020Yo0oL4rPR7zzs5o5mXni+Hfhyysv9GXAi8HgzVuK3u61pxX7eBvRluFo3A7umXLFXsiiot9yDI5MMrDrg9eaSVub9B8gJOV/nCettr4daUIZr1yvD7h5KqsF26+03VWBtBpU5wKuBhYN838kFimcvMNndygp9Y84fsPN/K8flPCaj5X4zxxcv1eQklTc3DijfOA8hJTrXq0zvyUGZzluvTK+LPMYLgNdboasWbx2w4+fNjyPK/Idq6xzHf0MWJeW91cMnYtUhv7ak+r//rWpgOc16/XBAeb8/5OW01oXAvVboqvcQ/32OypK1W3OwjnMi3l92SdbhEQ+dUlibbO8HIl6HN0R4Ad1vBrCurDtfph2fsuxw12KHJDt7pYVl+EwTK6RW3RX5VoH2menJPvNe4AvWe8UwY2r4OXt+45XfmG6YNDrd8q1aC4801h2uf70OmzGV382eH8U5vy0H5+fiVeglydZbsdNUgPcXeD3PJ65OibVYCEzykCmWRirybadAJeOjqmv4Excd/e5/FHrr7xP+26QynwHc5/nZCt1KPT19BV7PnZtYmS8DlhOansYROi9lcfGl4lkJdA01o2+lrQf0B39oIayp7wb17Mj261JV6jFW6J+tc2NuC+xJ6FiVlT2AfzZp/ee2MPbvIfvbxf/KaLmfBM4YwucOBK6q8zM/Jv5ew+o/gzxZJ7CqnkVMGh1up29geS21xYQn3W2oNzI/JI6e5VVgFLCi6LtrpgPLrFixoukDQQz5MI0jExtH6D3d0n0mw2VvR/qP9CwFxmZ6ik8vNssyumjvSvvQzugYGp234/bwm5500+ZnwKtqXfD08TCig+jUWbE/KYaX7b660WMoSy8DLhnC51IfWGbkyJGZnEfLesu9AuwA3BVZuRfloAxZ3sL6TQbLHJvBvgNwCvAlYC/g+iZVaEPxWuBHKS9zB1p7p6gV1gDDa3lj27An39aOzYypsHotPPx4Ls4JaboY+CVhVNBCKvNja3fTmrboVt5VWA78JIXl3JjROj49ou1xXnISux5ZmSe2nRp3Zd6vc3jd7f2xPNL0CqCwE4yU/Tn03kjK+ewUM8DXprCc3YEtM1jP6zJY5jeRhn4ZfQ1VhtcyqMqMqcXrfTVjKrRVqHVgmVgq9REUdN6ETNvQly9fnve26mpOy5VFORcRxj8nySr3zOE6zyC7kZ6+DpxUwiopi1vum9GaW+5NPZ8ccVPX04A7atpxpxV7J7p/Qc2Put39m91X7RhRNl/LOSz1NvRRo0Y5OUuKDo2oMk+rWWBAf1aem9MT7OwM43jievnEhXiHShtXW2U+FSIY2rWhVx3NCDsccVNXTOMtFCpTL9MJ7aABu+jlkVTm305p+UsG+d2ClMp4XMrrvH+T9ofXE5pcNnQae4gwPapK6Igbuz5dS0U38LGvoqvjwuXRyFatMJV6jBX6UK8zr2zR7ZpGvCWl5Ywb5HdpDXFxQcr70V/I5vGtem0OXLOBfWkdMMVqr9A+UMubOoaXKyhjR9Z8QdSMB/bSHBOjCmxvhV5OX2lCZZ7WVePGenSuTek70u5cOIbw/HhetQHz16vkf+lhUZjsvKbKaNr48sVmYu0PVl7QhOK8l3THrbgbeLEVenmMTirykzP+njRHndvYNXWaV9GL004GiGu0tZcPqNxXe6hE7e21vKm7g8K3nTcwRerRTdhO7yaMiZDm8fbbQX53sxV6MTXrVvDMnGbOm6qA0/Zj4nwSqIN4p59UlbdHMPd3K+OTl7nR+2+5d2WwhgO9KZZN4/SpQ9/Y1YwuiKpN3r6VFL8zqxGj+pfZF2EFX11vHZR/Yw1BdOf/NM9jWZ7LzNBzqn8HSjMLLsLkAWsy3l8rwPGRXgh+zcMmClcbgmh8cJAL/yySq9/EEAwr9HRiWKXxcbgPBrpTLFdbHe8dl+L3Dgc+knHML0gO3gqhA10sTiT04le+L73eWcst5b5eytmGXturWcOrfmqQRCtN/Y/3HmmFnl1mPNTXZzIs11Lg1AY+f0XK5anndLM45e8+q4n7w7JBtvPPcrz/7kd6fSSUgVkzV9Y0CdJDC8sXm7W1z52+ewuLmeas85OBc2PKLst2e6b/pL9DBss/lzAsZiO3doqT57TOazZyUbcZcALhsbNW+SeK3rre8q3zg4/VfFF0ZxOL9ZxBsur3prj8UwnzafzLCj2/7iGbTg8P1/n+kwsc41tyWKa5hBH4pm2gwt+ySeXYH+X5crStlntbs0s0ieyi5dR6z+/DOSjuFwhzQ6R5LtvFCj3/sqjUX1jHe88rcGyfTbq3v5rhofUq+H9k9D3f9tDLr1l7rOyrdds/+Gg5YrJoWc2x+1hOinwf9fUlip6PrWXjy9Q2t3cZAjSPuB/Zem5G22oHlGuXzux57ktu6N7kdl+7Dh5ZCJsVeFz32fNqr1Nydt7vf9S1FJWRGXo2Majltu2NJYpxNaNl9r+accHweQ+VUqpp31q1pq5KLxorVtW1XrtdOrOnN+btaGUWvyx2wE2N6z2K1vYCbYUPprCMNgYfh6ov+d3vMyz/e1Ne3uMeepFcilap1Pq8SJHa1GfPhfmLqLXd/ECquewzs36lvsoKvciHajY2NaXoshLG+1MNfHYnnpjlbGMOWe80MzmFcn8ro/3ktdaWxcvU+yvCORFn6z2r6r4wmUw8g/GMAP5c1J20PcIyv7nOSnsKsDf5GRig7KNA13Pr6y001nlsQ3O+XwT8gDClbv8V+9aEOdLfBmzRhFj8HsVYqdc0/HBfkq13DofNJ8WxcmvWwUOPDikmsTkAeAXwCyv01js/4iv5cRl95zSyudvySAbLnM+me75fCRyU4TZ6TfLKfban3BlG6NB4Vy1vXr32iWx3xrR8rtBDj4XKvE53UlvH37z6ZVL/rSvSztnu8Zmq92zi74sy+M5zyW6QlOmE57bTNCXJhu8f5G9LiGso16EY5WESkcHvp92dXJQtpo6JXPor9mEV2KbFlfujS2DZ0AdnLcoFaS8F6wFvhZ6es9n4EIFrW3QR0Yh5ZNOLfM4GljmdYkxQY2ZeDuNmTIfZc+ubBbBvvc5zzbgtv3wlLFicyt2JakGPy0Ksl8+hN+dEfXpGsW5GBZHVQTzYhUJP8rs3Ad8p0P7xEM0bgU5NNmN6aO6aPZdHgbqr5oG35QfqaIeJY6CrAyqVTR9Ma9bCkhWh8k55/Srr32Uo4Dm/EJW6GXpj/gs8o4b3fSKD7763ieu5K9kM4/pB4NOD/P67yeso4BKzcuXVehVc/1MVNbexb8yadTC3dQ83Xpocf2Ua3rZCuEPYHesK+Bz60PRP31lLZZ7VVd/2TVzfWzNa7qc2UeH9mieGYI3JRyIttwY7eut/3Z08u16hyqsjmvL0ugHlPmpIy4jfSCKaXc0KfehuGXCSPr7Gz1yRUVleUKBMs6+O768Q2tnz6IsDyvhRDxclfs6T5wb4T87KN35A2fZ2cwGhX9KzrNCL5bXrHYi7DWEZB2dUtqtaGJMs1NP7f9562+XaFsXi9+uV490eMqrBM9fbbyYC/27Sdx/MU2cXXOwmGdTtRNgkXaY29HnJ1fEfCAMKPEZ4TCorWd2AauVt3J8AP85gueOATmD1ED677yD79AUpXnz0ANuy4UFq8m54wfbBonkc2Hkjf+8m3JU6HHgxoZlvSrKfLyL0pbkamEXo07OohDHMaka16B5rq5R4RjRJkgrDW+6SJFmhS5IkK3RJkmSFLkmSrNAlSbJClyRJVuiSJMkKXZIkWaFLkmSFLkmSrNAlSVLqHMtdkiQzdEmSZIUuSZKs0CVJkhW6JElW6JIkyQpdkiRZoUuSJCt0SZKs0CVJkhW6JEmyQpckSVbokiRZoUuSJCt0SZJkhS5JkqzQJUmyQpckSVbokiTJCl2SJFmhS5JkhS5JkqzQJUlSE7Rn/QU9PT1GWa00AvgS8NYhfPYW4DBgHlA1lJIa0d3dnenyK9VqNuepnp6eq4H9cxjTvwPHAnOA3gLtK2luyErEcRgJ/AN4RkbLnwosyGC59wHblPhcdylw1Eb+3gWsTPv8t6k3HHZzR6viMRp4DnA6cEgN778T+Azwm4z2z5r8drc1zTxPNetclWqZu7u7MytzGW+57wXcA6xLNlQV2Cnydfqx175cmGzL5RlW5gDzk+/pifzCR/nyNMIdof5z0lLgTzVW5v2f/86A/bP/dWTB4+ads5JX6IP5z4ADIMaYHJPy8uZGdkBXgdc3+XtHAH3Jd7d5CGkIdhqw/94BPDuD77h0wHecXNA4drorWaFvSK9XfUyLoIx/ytF2Wpe8pFpclOy7/2ny956XfO8CYFSB4rnKXcoKvZbM7/cRlPP3JdsuE5Jtc0DOytWWlOuFHjragNuSfeTVLS7HZGBZUpaRBYntzu5eVuibckgE2fohGS13SQ7X9UJgYc63xx+Sk6W0fkb+rByWbTmh6Sh2/3I3s0KvJ1vP4y2qLNuOxuRsXVfT/HbyoRqFzTYKHdXykJFvSiUp5/cjj/dPrNBVq2XA+JyV6daMl79Dji6oOiLcZ6zUi3ApP7TXg1S5o4HPt+L1BqpUG1pGax1tha56PJ7DDCBLt+dgHVdGvs9YqZfzMmCLyMv/+kjLvtwKXTGeoJtxwhje4nW8nDCgiPuMYnBQgbb1hcB/Iyz3yDLvgO0eg0M+Qbd6UJF7mvQ9pwJfbMH6TQcOdZ9Rns2YGn7Ons83gLeltdyJo2H0CBhWqW8HW7UG5i1K7ari6cCaGVOfaO6aPT+KzdJX1mQ1swo9qyFlc2Q/4K8t/P5mDaZwbosq9Ee8EFQMZs/n78BzG13O1pOhrYFqqAKM6IBtp/afg+Hhx2FNYyMkDJ89n+qMqbXttzk571eArYAHrNBVq7+08OS8e8Fj+7WCrtdXPWwKV5nf2MjxOKIDpmfU1bZSgS0mhn+vXANzFzW0njVX6jlxfxkvnm1Db8xHW/S9Nzb5+37a5O87sYD7SgV4p4dMofx0qJV5V0e4XT+9Sc/NjEi+b9q4hir12J5X/44VuurxfyVZz9c08bveUdDKXMXy6qEcFxVCxbpZix6A7e4M39/VMeT9OKb5sN9kha68x/CAgsfzK038rscIE9Eszmj5t1iZF9IIwuhvdZkw6on27VbbbDxsO2XI6x7TAC73WRmpHnc3+fv+1KL1/EcBMtnbk+/of00GNiMMGDTw96ek8F3bAbt5eERu8AFUeuodcGXGVBiXsweqKpVQrgrUO4DM0VSZlsOBZQazTZl219g6xX2K+qaqHEuYG3vfDMs0oyT7yh5N+I4sB7Oo52Lhy8mr/yLgGRl+l+JS98xeM6aS66fTt50CDy6EtfX1hp8b0X5emqdLYqvQT2/w838Gnh/x9jq2xd8/HliU4fIvyGHm/8wBJ4VNmU8cU89qaF5GnY+Lzpgax4ptORHmL4YVq+v62FLyN+fDhmwH3GuFXiz7E8YnvyuDCqMZ1+A/aHH85hDuesSkkuJyXgz8dgN/P5nG2v97yGbYyiwmFcqinDHMaf2rIlbm/aaOC4+2rVxT80dGA9vTvEGuGnFPGbL0Mj6HfjfwfuCzKS7zfSkvL8uKqRFjKLffbeDiLY1t88yMypzFheboEm77ugY6iq0y7zd9PMx5FPpqf0Dt7ogqyjOBc4q8k5a1U9znUl7ekU0o8xdyEruYmiz2bsLFle3lxddOGIq40JV5v20m1/2Rj0eyah8v+o5a5l7uP0pxWc1oNz01J3H7c0Tb+O8ZLrtiZV4aNTcHTB1XjBWu86LkzIhWrdDDwZa5Qk+zg9noSLZT2SqgTqTGdFHHkzUjC7TH1Tmq3OciWa0trdDVatfmrDzHRxK3T7rrqCFVHqznWfMi6e6ESu3Ppr83ooljCztzmBV6OhZkvPy9UljG0uTnH1JY1vci2S6numuqQZNqedP4UcVc+W3ra0zcL6JVK2SmXuYKPc3BZq6MYH37n+E/pWTbuQ9pCA6/sfOMWt9b1AodoL32obz+EtFqFbItvczzoV+R4rLek2E5H09pOf1Tkt6Z0vK+A7w5gn28/zGzYRT4VpsyUdMjTlPGFTsIW02G2fMKc94f6C3A+WboxdAVSTnH57Rcsc1k1EcYrlLapCNu6qr53Diqk3rHQo/uVanUHLcPRrSZv120/basFXqal5GPZZxdpmH94VrTytJHpLy+x2e83acNOE3NQNqwU2vKCoaXIxh1zMz2qchWrVAX+WWs0NO+JzQ5w7KmNW76e9f777TmHL8z5fVt5tC29w6o3C8EtrIO0wCfr+VNm00wUJEr1NwLZanQOwizZqVdmWfdYJTWuOnr90pPqxNf2j1FW9WB7fXA/Tz5RuPHiW/ceqV5ZNfyKpGu9tpicsSNXVtFuLWt0HN8mK3/Wk39U2C2On7jI9kmaecol+Vkvc4EFg/Yh8r2dEBpHXFjbTfSu0s2bNG02o/0D0a4eoVoPPE59KGbn/Hy56S0nGUb+P2KlJa/MO3zaU6395cGVO4fc/cvtJqep55UsqmKhtXeo+ekJhQn7Se01hRiG3nsDv2CNePlp3W6eFuEV9F5vwX2IUp507U0vllTjdJmoFroZNIZJGugN1ihl1PWY6LvmeKyfrKB3381xe/YvsT7pRV78fgExAZ05ufG9FnAoSkv8/tW6FbmWbg2spjcbQyosuHmDRXsvNg5vJyBGZefEfH6O6w+nvJyJ1qhl8N/ad5sZWm1D62OON77RljmUUnF/mwPl2Ib203hB5MZ7NXVnrtNkXYFPD/m/dIKvTaPkk0v+cGckOKyXrOJv389xe96W44vbJrtFtJ/Rl/NUkPFNqKjnKFpG0bRH+eLumeEFXptJie76RVN+K5vprisX2/i72n2Rv1GBrHoBXaJdJ/ZEVjpoVNMwyrGIAe2Tn5ulvJy/7vef6+yQi+mg7EDVLPdllH23wxdVupSZl6R/Ex7+Nanr/ffP4slIGWeba2h1QM6Sf/Zxc9FHpc/AIdksNxvEaY7/F2klfp/aF6TjdT6E2Rzzv+fB76Q/PszwAdSXPZHgLOTf38DOM4MvdhWA1NSXuZ7U1zWC2p8X5rNCC/MMN6X07xOiWnbiXhG/pNilPa4GmcN+Pd1sQTBCr0x84GROS3b1TW+75DIYt4/v3lsHvdwKY51fcYgh9Ke+XJkbAGwQm/c8pSW88OUy9WqU87cJu2374hwX7nWwyUCNfTi7llVztCs6yXPvdzTnvlyeWzbxwo9vVNAo15XkFg0azrCryXZ+g0RxWZvD5ViWLycUj6HnsMLmW3cG63Qs9DIpCJptw3XOyhL2s9Mdzcx7nsk8Yulw9zXPFRyr3eTbyjpLfdF+ctZX5vxubT/rtrfrNDTV2ngtUUtB2oDZjXw2T+lXJZr6rz2flrK3/9gC/aNw5Lt/Lyc78MnWl/m3lWGIJoLmXMyXn7/XbXvWKHny8OEx/Sy7Cn9+iF+bv+CxXpCC7/77wMu4raP5cpaufL2Wt60ao2Byqm0z6fHAd+1Qs93pp+FC4fwmaLOqrxfDspwL7APT75Tsz/pd0Cs1xmec3PtvlreNG9xuYKyrvb7m6e0uKh/SXl5F8Syjcrchp6XZ5rvLWh8/5TTcv2FcCdlYCX/piaX4SPWmfk1a+bKmjq59pWsHf3B2h8Ky0M2e2DKyxtnhZ5/m2ewzHoHh5lU0NjGNMnB9wZU7p9uwvd1oHyrsfdJmTrHVftqi8msmStX5KC4V6e8vEVW6Pn3SAbL/Ewd751R8PjGmImellTsX7JWK7WaRlp8YH45grGuN8pijyzbTutja62N6V0Fj8VZEZf9VCKfSlENqanJqCwzNT2woOa3vihHxe6x8imfc1v43VYY+dZHvOPHqwGz9lhZc139yEKKP6hM7XH7fc42ZamOX2dbgzkt+t5dSrKPXQS8JvJ1OAifTS6j/YE/b+pNRX987b7amxWW5PS8/y3gBDP0cmjVkKu3liS+r85ouZ+iebfUsuix3+6hl2+Xzuyp+fGnBx8rZgx6+6COOnqnnK7G28qyz1qhw56GIHNpV15/JEyXOAKYF2lM1rlbROGyWt60dl0x29PvX1DX2+fmeFVKMY+CFXprPL9k63tbmucYntwDeSrl6ZukZqtyRK3tzPfNLdaqz32cetrZD8z5UXhdGXbXslfoS1v0vX8uWZyfntJylgNbbfDUm93+fC4qs5tqfePDBbn13tcHK1fX9ZGrI1itwneQK3OFviMw2nNV02zXcK606edKe8lmzvFT3Xyl9pxa37h6bXjFbk59z9fvGtGqzSvyjlrWCv0g0p8ytFYnlTTmjcS7npt5eyfvPz+lcns7XwCfKEuWPrv+poOYOvhOt0IvlipwZYbL//Ym/v7Vkp4Q2xrYXkPxZp5o4dtrCJ//YYaV+Urrx+icmXGlGGtlHuNt7K8UdSeN7dGZ44Dhdbx/BGGu70MIt9ib4V0F2/nTdAD1tbWlVaEO7BBzG/ATwvPxswf8/mDCXOUvb0Ic3o5iNBKoeZzy2XNhRkT54BAq80si3Y4nA+8s4g5ayWoggKVLl15N8eb5bvSK9YLkoqTMar2oqRqDVFQjL3+/LtK/s7HJ9XjJP7vX/9WvgZfU8yXbToVKzi/lZ89LJ36X7tETy/44nWzm8tikMWPGZLY3OLhFujY191IWlfm9ZDP3+Kto3QQltlsrr46qd/+8bz5MHA1jczpVSFqVeWTmEjrRFmr4bSv0dLViONf9yGZAh/MyqtBPAr5W4sp8lIdJRKobrMzq2k8XLoVFy2CbaflZtYVLYcnQJjrdqSBbt71o5xsHlknX7Rv5278yvNKMyVc3csVfhsx8hYdJIdQ9p31fNbRT1/l8dzZZ+dwhV+ZfAe4o0HYs1KC9Vujp+fIm/r5zBt+Z9SzFZzQxfr8vwT7iHbHiWAtsPqQr8Mdb1wv+gQUNffedhA5lRTLZCl2DOaUF3/nCjJf/yYyW+5tBfndIEy5QWun+gq9fGT0C7NZIljx7LqzLeK+oEgaKafC7Fs2YntqIj3nzLit0DbTvJv4+P6Pv/VOk8Tq8hBnsNh4mxTNjOrfQ4NDG/Vnzw4+F2/JpWbIiLPe+uWEo10aKOGM6Ewq8Gc8ryoo4H3rjVrPp4UanRLx+nwXen8FyRxHGZl9fEdvSyz7+QNEr9Ttnz6UzORcM/USyFuYM6HE+bhSM7ob2tk3vQH190LMaHl1S13SntfjpjOkcU4LzfgcQ/cz2tuk1rmsTfx+e0fe+p0nr94GMKvTHNhK7IlXqVuYFNqA9ek3a++3i5eHVQi8E/jh7bik25doirIQVevYn64cy+u7YZwDrrCG2sVfqHR4ipTwnLITob1GX8UJ0GJseSyT3K6Bsd/gpBVjXCzNa7ugaYrwy4v1jrYdJKU0Ejo207P+lvHeVqsn6W6FbmQ9qs4y+/6dNXt83ZLTcWuaj7wa+YXajlp3ih/b6EVUqVOltYBnNfo2jyjMaWkb8nmGFXh6L6zxZ351ROY4pWdxPJEy0k3e/tjLXetozvLBPy/uS/XaJmwuAl1mhF98WwPg6P9NdoPW/PKPl7l7j+1YlJ50HcpyVv9TDRIOYm+wfz81Zuc5LyvV5N9GTXGKFXlwvTHb6h+v83IsyKs/tLYrDkRkt94Y63781+ZpQYTezctXoH8m+siWtHWTo2KQc73KTbNDoGAtthb7hbHBMstP/cYjLuCyjsj2rRTFZl2FmW6++5HMzWriPPD0pwy0eLqrTQ4Rb8RXgHU36zosJzVYV4Edugk1aHmOhrdCf8HFgZLLDjwCWGdunuD6j5Z41xM/dl2yvMU08KVaS150eMkrB1wbsU7sBt6a47FcQ7mZVgJcniYqyTTYKW6HnafbfPsKt6u8Q5vmeShjUpDLg9X9AT0rfl9WkJq1+hGvfjJb7kQY/v2zAdtwm5bK9Z0A29XLPccrQLcCuA/blYcm56kVJxX8LoWNuL2HWvruBnwOvJ9zG71zvnPYrIn+uOgdmRXUFkvVQfUuW2HFSLb3CHk94jv7wTby3l3CX5jMpXthJ0v+MHTs27gpdkiRlzzZ0SZKs0CVJkhW6JEmyQpckSVbokiRZoUuSJCt0SZJkhS5JkqzQJUmyQpckSVbokiTJCl2SJFmhS5JkhS5JkqzQJUmSFbokSbJClyTJCl2SJFmhS5IkK3RJkmSFLkmSFbokScq/SrVaNQqSJEmSJLWYd9wlSZIkSTJBlyRJkiRJJuiSJEmSJJmgS5IkSZIkE3RJkiRJkkzQJUmSJEmSCbokSZIkSSbokiRJkiTJBF2SJEmSJBN0SZIkSZJkgi5JkiRJkgm6JEmSJEkyQZckSZIkyQRdkiRJkiSZoEuSJEmSZIIuSZIkSZJM0CVJkiRJMkGXJEmSJEkm6JIkSZIkmaBLkiRJkiQTdEmSJEmSItIe+wr09PS4FSXpCZXkNQwYAewG7JK8Nge2AKYDw4ExyWdWAuuARcAS4EHgIeAB4F/ADcBCoJq8+gyzJEnKo+7u7rgv5KrVaoxJ+YuAaSXf96rA4uSiegUwP3n1Jb9bB6wFej1MozImSZzyZqGbJhfagVHAW4AzgXE5K99fgE8C1wDLI43xOKDNXa201gDLGrmuAiZEsJ6e01UGE3NctmXJ+SZ2Y8l5g293d3d057tYE/Srgf097zTkbuALwCXAoybyubADcFdOy/ZPYE83UdN0AM8GfglsWZB1Ogc4D1iQ83LeB2zjLlhalwJHNfD5LkKPlNxf/zW6gMNu7ij6vtCVnAv2AF4DHN7CsswHfpLsn3fwRINMYf12t1Ry17wnOfsRbmjH7GZg15wn6JXYguoz6OVOBr8OzCW0tlcHvH4M7GiImu7WHJdtD2BvN1FmdgXmDTgGVwP/KFByDqHFf/5655q3JDcjJKkVOoC9gK8lCe/A89NK4L/AhS1OzgGmAqcCVwGPEBpVBpb1DuBkYDNSuPmipvkrcIJhkAm6anEMcOd6J/9TKMCYBTl2MeF54Tz7i5spNbsTHk3pP75uTi7Ayubbyc2I/ji81l1DUkbGJ0nuAzz5Zuh1wImRJ7ZPI/RQeni9Gw1XElppfWwnv74J/NQwyARdQ/ElwjPt/Sf9fQ1Jao4EXhpBOduApW6uITtxwPFzI9BtSJ7iRwNidJHhkNSA3QkDXPafUx4HzqVYPZM25SDCzfX+npK9wGcINyuUH68hPF4lmaCrIX8dUOkdYjgacmlEZR2dXOCo9kq3/zj5muGoy6sHxO4HhkPSJjyNMF7KwBuhzzEsT7nufz/hZkV/nD5sWHJhG/L/zLxM0BWR3ycnlf8YirpdF2GZT+WJ6bk0uEeSY8Jua+k4dsDF5JGGQ1LiAzz5OeyZhqRuZw+I4Rzg6YakpUzSZYKuVO004CQ/znBs0psJg9PE6CE331NsM2D/n244MnNpEuPfGAqpxWlEa17foPq//326heUo4mtrqvw3ie1yquzdsrJ4dMkEXUrdouQE48BygxsPnB9x+UcDf3MzAjCZ8Fyfz4811+HJOeYBQyEV3skDUre3GY6mGAlcm8T8YWBzQ9L0JH1rw2CCLmVhLWH6KD3ZPQVYh+cBLy75dnyMMK+359LW2TK5kFlgKKRCmQo8mhzf5xmOltqM0HOuSph2Ts0xB2c3KSVbN9WsSraaJHOXGw7OACYUZF1+Qzmnb3kLYYow5cfk5DxzF2GwKEk5NmMDE0vOns8phJljcq1SgREd0DUcOtpheBu0tcGwOidr6+2Ddb2wthdWrYXVySvHXp+8lgJbzpg6+Owus+e7j6fkR8ALgTcaChN0KQu/A+4nPKtbVk8HzinQ+gwD7gZ2KNE2fBDYwsM5t3ZMEvUfEQaXkxSB2fO5HDg0T2Ua2w2jR4Tku5LRLOltw8KrcziM6tp4Ir9mHTy+PDcJ/Bhgyez5YerdGVN97C1DxxNmJNjFUJig51a16tgJEdsaWEF4tqmMbi/gOm0PfJEwunuRDSM8smF39ji8DtgPn+GT8p6Y39rqxKO9DaaOhY7hUMlpnNqGhRb7zSesf00MS3pg0Yrw7xaoANcmLeZHzpiazgCeXus/xc6ExwxsIDBBlzLRDawERpRsvS8scHL3LuDzhNblIpqMzzjHogrsDtxiKKRcJ+ZXA/u35CKkE6aOy28yXld2XIFxI8Or3+q1MH9J6DrfZLOSRH0v4Hr38tRtDiwHRhkKE3QpC12E55fKMp/2XoRntorsDorZM2K0yXkU/kDOusdKGtTHgTOberHbBtPHh67qZdA5HLaa9MR/L14Bi5Y3de6uvxNmN5kKLHSXT9VIwqbsIPTqkwm6lHricz/F74LaAVxXgu3ZnSRJhxRonSow+AA4yoUlwCRgnaGQcu/pwH+bVvG2h+7glYqBH9jCvmI1LFjSlO7wbYSZTmYD27kVUrcGmIFTvBaSz1Kq1bYC3l/wdbyxRNvzhRRrYK7zC7AOy4GbCXMHjybcdNjUa3vgvcAN5LP3wDlJOceZnEtRuK0ZyfmwCmw5KYwQv8VEk/PBjOyEbaeEGI1rTp+3GYQW39cZ/dTNBo4zDMVTiXEQhhUrVlxNi55bUib6KO5UXYcBl5Vwm3YBqyNfh60Jc5DG5h7g+cDcDL/jU8AbgGlNXq9mzBZwH+WeaaLsLgWOavDctzKG679GF3D4TZ21vG0/4C9Zr8zoETB5rDvvkC/CqvDgo2Gk+Iw9RhjTZZMu2z2VS4iyjDT3JVo3UO/NwK55Ds7IkSOju1VnC3r2FWCzX68Cro1wP/xZAbf/uJIm59DEbowZ+lVk5d0rOQfskHFyDnAaMH3AeWcfwp38LBw5YL0kxeOqrJPzqeNCS/DkMUkq5mtIr2HA1pNDLEd0ZLpPTEq+dS8Pj1S9C7jcMBSHCXrx/ALYd8CF8zGRlPuIAm6LR0q8H24LfCLi8k8gjAQeg7OSY72VI+b+jfCMYf95p9Fpdq5IcVmSmqsjScIOzOoLNpsQksmRnQY7bdPHNyW21wE/NtqpOpTsbpTLBF0p+2lykfuMnJdzBLBngeL+Xso3jdz6To9gv9uQWJLzfYCzc1iu/lbvYXVcMFSBHZPPtXKgwW1pTe+nobyOimQ/HWFMS+NpZPh405SxIXnsGm6gs9bfO6Eju+GkjyH73l5lsy2wwjCYoCse/00uPvJ84L6nILEeDXzOXQ4IAwPF6KQIyvhlQst1nlV5omX9Uxt4z8cGJPN3e8jUJZa5cMe7qUrhSMJ0m6kb0RGSxVFdBrnZtpgI20zJbPHTiH+8mrzpTupe50o3QVdkF3R5HcBmp4IcU07L9eR4XBxhuQ+LoIznRBbT05NE/F3AImBs8t8f9jCRovc2wgB7qdtmSuh2rRZW5JVwg2R8Nilf/yMRo410qpbhgKcm6IrKjJyWa1wBYpunZ6ryMv3US4mv22gMTzbOj/QYOY/wjL83sqRiOBX4RtoL7e4MSeEwp0rLjfEjwxRtGW2SpUndoPTcR4ZjQcgEXemaB6wxKUrddOA1OSnL9cBw4OU5Kc8lhBZTpWcXQyCpxY4Dzk17oZuNh2njDG4eVSqwbXajvS/AlvS0XQW8wzCYoCsOeZwbsifmOot8jdq+X/IzT93L50S0PRdEUMZbif+mlqR4ryL2pMoFaU/5te0U6OowvHk3fTxMGEXaU761UeWB0sxe3jxfAX5kGEzQlX95rP7ujzieeRrc6p/A2gH//daclGsccEYk2/OKSMq5Cpjp6UxSMx1+Y+cEUp7asQJsOy200CoO40bC9PQ7pY8jtPoqXa/FUfNN0JVr/yCzR4ga8n+RxvNFhJGq8+K56/33+Tkq2znAMyPYpl+KaP/7J6HtYVdPbZKakJy3EZ5tTT85N7zRGdEBW0xKfbEHHn5j57uNbuqmAX2GIf/aYyx0tWrflwa8Cdgjh+V6CLgm0pj+JkdluYnBH184A/hETsr4b8LNwTwfyHdFuB/ePODf2xLXIwWS4vFJYEyaC9xmqkGNWUc7bDYBHnk81cV+4fAbO3/+m91XPWSEU1VJrr9GEvejpYVmC3q5/A74Tk7LtnekMV0GtOWoPM/ZyAVVnvw559t1CXBDxMf6fTzxVN8qwk254Z4CJTXiiJu6tgfen2py3j8qeNVXzK+u4ckz6en6k0ddZlYAkwyDCbpaZ8/kFPqinJbvq8CDEcb1Y4R55fPi1k38/bM5Kut+wME5377HFOT47yQ81rJmvUuq3xIeh5joKVJSDcl5hZRvrm4x0WnUimTcyNCanqLtj7ip61VGNjOPAs8wDCboap4dCd3Gq6Q8kEvKrgXeGWnS86GclWnXTfz9tJyV9wpgfI638T3AHwp8jngx8HfgMQZvE1kCfBs4DNjBU6pUes8GNktrYWO6U0/mlAObp3/L92fJzSFl43bgzYYhXzw1ZuvojJc/DpgA7A4cmPw7Jn8CDop0287LWXn+VcN7+oALgDfkqNyPka9HBNb3EkIX8TIaA7wleW1ID2EQwosJY0is87QvFVQ13ZG1JznbdSFVCPPYp/w8+mHAZUY3M+cDhwKvNhQm6GXwE0OwQScT5mWM0SWEmyN58uwa3/eOnCXow4CPk7/eCP1WE7p//cdDdlDdwCnJ66mX8+GxiguMnxS3I27sGk+KPZ6mjDOmRdbVEabLS3FM5wspzuNYfeSzB/OrgHvJ16xEpWUXd7VCJeLkfCvgqJyV6d91vHcFMCtn5T8TyPMYvv8FXu5hO6Tj/AOE7nMDu87/C3id4ZGicnaaCxvVZUCLbnq6D7BNOOLGri0LEJaDyXevwRk4srsJukrn/cQ/zekdOStPFdi5zs/k8VmjeeS7R8/FwHEewqnYGfjhekn7T7BHl5RLR9zYNQw4Ka3ljR9lTMugqyP1RR5VgLC8I/mZ50aJEYTegzJBV8F9MUnMPxf5elyXnLjy5N9D+MyjwF9zGN9/5Xz7/4Aw1oPSdzSwdkDC/mVDIuVGZ1rXi5UKjB5hQMti3MhUF/fuAoTkZcnPBTm/nuggf2MtmaBLKdknScyLclLdK2dlqgK7DPGzb81hjHeKIAG+GnBoo+y9c0Cy/g/DIeWiLm/YmBHQNgznDS/JK+VHGWYU5Hg6cMD1xJk5LudU4G+e/kzQVQwHJBV5pWAH9i9yWKZGWpzvJJ8t1ldFsC8sT/bvP3i4N8UeAy75LjAcUpNVeUmaCZvzZZVHR3vKSX8xvGfAvz9BeIQur55HGOx1Y77unm6Crvy7GphPmKKpKG7N4bFSZdPznm/KiTmNdyzPPh1asP08BsfxxBztkppjZqoJm1RuR6z33y8H7spxed8HHLKRv3/bTWqCrjhMSS6gq4Q5pGPulvR/DL0beZZuTGEZfwNm53DdOoDzItk/lhEahI7ysG+qMcn5xYFspOxtbgikVB2w3n8/jTA+UF79ng03SFSBm9yk6YryXma1WnXLxaOTMK8iyclnKvF0VBoNfDSnZdszpeW8i/xNuwZwMnAGoTt5DC5NEvXjge952DdNB0+0qI8zHFImnBRNXv+n64OEHqcDTSFMhdud0zIvYcNPqPwA2N09ND22oKuZJgN9yQV1DF2D89rl6BrSu8nxG+CRnK7nYxHu499PKrAtgF4P+aYZmxwTHzcUUuqWGwIpVS9i8PnQR+b82mFDrfxfcZOaoKsY+rvAT8hp+b4JTMtp2V6Q8vJOz+l6dpLv57I25mFCD6UK8HcP96Y5E1hoGKRU3ZfWguz/KP3P3hv4fZ57N09i8O7s64B73KQm6CqOhYTnePNkJnBCTuN1NbAm5WVeCCzK6fruQJgjO2bP44mZDe7zkM/chCQP6DYUUiquTWtBq9cazDLxidSN+thG/vb0HJd7N+DHg/z+F25SE3QVy6jkgvpNOSnPP3Mcq8MyWu4nc7zOPy7Qvj5jQLJ+hYd+plbgc+lSClkWs9KaJmvpCpO2Mlm9FqdZ27D9CeOoDOZOwqwleXUM8O71fvdZ93gTdBXTd4A7WlyGS3IcnyuAlRkt+7MZLrtRFWBeAff3QwYk69sC//AUkLpFwAjDIDXk32mlRz2rYE3aSZuv3L6Wrkh1P/xbAY+tjU1h+APCuDZ59QVgnwH//XhBr9Vawhkps7UH2Y5+2klofd4ceAawM+GZlpi369MIz6ePbcF3H0W+p8v6A/DODJd/C6E7dh5NJXTFP66g54o5wHPX+90nk+09ylNpQxYQZmSQNASzZq5cdeQNI3oIA1g1pAos7YHJY41r0VWrsHxVqov8TAHD9Nn1ktz1vRHYF9g+p+W/BhgPLE7++3LCbDZqUCXGKQuWLVt2NaFrSO7jm4MyHEO4C9cW2WZe3uSL6k7CnO3Kty2Bh0q8/i8EXge8wV2hLr8EXlnA9Xot8KMIyrkZMLck+1oX+e2NNOTrkyNvGHEi8LW0vnzbqVCpoAJbvhIWLEl1kRNmzVxZ73g5MSQ5IzZx/VkBVgPDIzifbA/cnbfCjR49OrqzjV3ci+8nPDGa9P4RlXsUMLuJ33eju0oU7i75+l9BuDtdGeS1A6GHwXeBB9xVnuQVhJ5GkobmwjQXtniFAS2yKqkn538ZQnIei51qCGfeH9Xqnxb3HpyW0QRd9Z/gkgv5Z0ZS3m2B85rwPW+MKCZl10Uxn0NLwz2E3jJvBrbeQBLf/9qJ0Po6q0Tx+YG7iDQ0s2auXAH8Oa3lLVoOvX3GtaiWpH8D5r0lz8V6yXdP2ImE7u3gALgm6Bqy/yQX6TF0/TmZbFu+phJaHBWP5+EzTo26g9C75iWDJO9jgJcD8wu2zgcSHmWRNBRVXpfmAGIPP2ZIC7mbVOHxpaQ52NycWTNX3mBk6Uvq6AU5Ld+hwGnJdbtM0NXg9o/hHvYPM1y281LH6XuGIDPLgIuBaQOS9hHAiQVYtxPcvNLQzNpj5cPAr9Ja3rreTFpa1WL3pT+O9yuM6pNMJb8zDn2Sco8TZIKu1HREUMYDgEkZLPcsnIIp6usAQ9A0q4BvDEjYp0W6Hi9zU0oNOTbNhS1cCmvXGdSieCj9XhEXzdpj5U1GdtC67F2GwQRdxdUL3Fa2iwLCdG4fcfNHbZskaVTzzR+QrF8cUbl3d9NJQzdrj5UrgVelucwHH4XeXpw3PPLXgkXJHPfpeqNH3QadB7zAMBRTlNOsLV269GqcZi1N7wa+kPMyXpXyiajq4V8YM3EU/jxYRxzTORZpcienWcufQk6ztr6X3NB9OeGZ09RsMwWG2WwUpceWhvntU/a8S2f2/L0E13qNXsNsgz0KN2rMmDFOs6YoTYqgjLuluKxZbvJCiXHwmLeT7zlNh2K4u6JUGi9h43M3123OgvBcuuIyf3EmyfknUkjOy2IO4Yab8yIUiAm6AM6IoIyjU1rOc4Aj3OSFc2Uk5fwR4Y7+14E1hNFYi9KiWwW+6q4oFd+lM3vWEMaiSLWF8oFHYcUq4xuLhxZmsr3+CJxpdOvWBjjsogm6CiKW51fSOOl0E2drqzbtIPI9QvctyYXsa9f7/WTCXe9lFGPAwl3dFaWSqLKEKpun/Szz/EXhpRxv+moYrX3NGtJ+lv1uqrzQhxCHbBTwF8Nggq64jSPcqYzBLSks4043eaF9M6mc8uTR5LLj2TVUqj3Je4+KeBvs424olcpcYLu0F7piFcyeGxJB5cvylSE5z2DbPAjsaIQbtj/wFcNggq44vRWI6R71bxv8/MuBLdzshTcnB2UYAaxNku2hjO9wCU+0JxwYUexjuJT+l4eIlLrZwJZZLPi+ebB4uQHOi/vnw4LFmSz6XmArI5yak4E3GQYTdMVj6+RC+luRlfsnDSZMv3TTl8JE4DMt+u6tkmOrB2hPaZlXDUjWv0kYITpvvkg8syL8ykNEysRDwPgsFvz4stCa3ucQWC2zeHnYBr3ZbIO/Atsb5dR9D9jZMJigK9++nFxEz4mw7PcTuj4NRSVJmFQe7wf2aOL3zUyOrfsz/p4TCNM39Sfs1wKHtSjG05L1rQLvimjf+IyHh5RdHpdcV2YyzNuc+fDgAoPcTKvXhsT88WWZfcWXgOcb6cz8m2KMb2OCrkJ4LnABTx56450Rr89pDXz2HHeHUvoH2Y+O/rLk2Ppni9Zxb+AynjrMzh+AE5MkOi1vBP4+4DvmEl93xFnEMT+1FLNqkhBcncXC1/aGhPGRhQY6S/1xfvixTL9mL+BUo525Vcn1kCO8R6TdEGReUakxi4GfDvGzXcDphrC0riGbQctOBz6R4/V+YfL6mrvAk7zCEEhNcyBhwMtLMsk41oQEcng7bDnZYKcZ1ybc/FgGjDHaTTcKeASYbijyzxZ05V0jXXhtLSu3vYGXpri8nxJuun3C0EbnJMLAfZKa59fAcCCzdti160Kift88WJ3+lF+leT26uGk9Ez5tct5SmwF/Mwz5Zwu68uwi4LohfvbKiNbzA8BnIyrveODxSMp6MTAVaOTJxVuBXTwco3Up8HXDIKWstj6C64DJwFuAb2dWlOoT3bFHdMD0iW6eTVm9FuYuhL7m9PVclVw7rDLyLbcP4UbJBwxFftmCrrx6EDh6iJ/dATgokvVcGFlyDmF6vvdFti8NRf8c5ibn8bqeuOeVl4ri/OSa846sv2hl0v199tzQMqwnrO0NU6X1P1/epOT8DYRxCUzO8+ODZPMIoEzQVWB9hOnghur2iNb1wEi30ecjKmsH8Lka39tFGPV/qHOYKz+uJgxCJCkfqsBOwGhCy3rmlq18Ill/+LHQ0l42y1eGRwBmzw2j4Pc2b7q6KwmDk13orp9LfyOfU7cKu7grv/vlUKvRBwnPvMXgR8BtEW+nrYAHIinrewndK+/cxPtWAd3JxWObh2K0zgbOMgxSPnPGpJ5+Bk28ob56bUhU+3V3wtQJ2U/30Wyr18L8RbCut2VFmEd41tmBkiPYXQiNtWu95jFBlzZkIY21Wh4LbBHJulaT8sbsQcKAaWdEUt47CHeLV9d4btw8WceKh2Y0qtgzTIrCjOn8B6jMnstuwI3NPtf2rIb75j7x35UKTB4LI7vCv2PQ1wcLl4aeAjm5hps8Y3pIzGfPdR+PqN5sx4YJE/SG96SqN+UK6Goa6+4dWzeqowuy3c4kzFMfS1L0L+BpNb734WS9Dgd+4yGae1cBLzAMUnSJ+s3AsNlzmQrMoUXdbqtVWLB4kAvlNhg3Kgw+197W/OS9rw/WrAtd1Zf25HIT3jBjOnt4rV+InNBp2EzQpf95GnBXg8uYRzwtnf8Eflag7fcMmjDwT0p2JAwa9us6PnNZsm+dBHzVwzV3eoCRhkGKPlGfTxhMjNlzuT2pW1puXS88tmTwv1WAYcOgczh0dUJne0ji29o2fUHSV4Xe3pB8r14b5iBfsw6oRtM3/EMzpnOOe26hbEZo7Hq9oTBBV3n9EXhhCss5D5gS0Xo/r2Db8U7CNFYnRlLeSwiDFC2v83NfS15vJoxIrNZrIwwqKSkym+gC/czk54nJeTeXqoRB13pWh1cJzAeeRTK3vd3YC+k4QsPETw1F6/isnlqh/7neNJLz0cDJEa37uUBvAbfpSZGVdxlD73HxneSzz/VQbon+wWwqJudS4X09OdYrwBWGo6VJWwWY1p+cq9AuArY3DCboKofrkxP8Vikuc05E6/8o8J4Cb9/YprT6foOf/8eAC8c7Pbwzd1US6w4Tc6mUDknOASOB6wxH5j44oI77geEonXsJjWAyQVdBvSU5waedwM0CJkQUh70Lvp2vB34ZUXmPI7QGpOHpyT5+pId76nZJYusAcFKeVFv26qHK3lSpJK9vtLAsRXotp8phA+L6mZaWR3mwnHBTXCboKohzeOLO63cyWP5uwBERxePPwD0l2O6viqy8aT9B95sB+/17PA0M2cED4nib4ZC0EScOOF88hybOrV4AnyPMSV8htJb+zpBoPWuT/cNHG0zQFaHlhGnS+ivJD2X8fX+P7OR2QEn2gyrwksjK/EhGyz13wPHwGk8RG3UjsMWAeF1pSCQNwU2EQcz6zyW7EqZxFawCPk7oedgfn/cT5r+WNmWyx5IJuvLvyqTi6z/Jj27igXs1cXW5eXvJ9o1ZhB4DsZjehAT6ZwOOlc0Jz1OX2YPAzAExmUmYd16S0nQrT248GEGYavPagq93FfgeYaCvgev+f8AidwsN0YHAxwyDCbpa7xHg1YRndSsDXgcnFV+zvQHYP6L43Q98t4T7zcGRlfcnTT6mXrBewv7zgu8Pp/LkVputCK3mktRMq4BLgX3Xu6aZALyO+G6eriOMdL8f0DVgfYYBbyIM9CWl6cNJXqAMOQ96ud0NXExo3XuIcFd1Tc7L/P3IYlzWaSrWJRcHsdycqABLgLEt+O5HBqnstgS+BLwssu3+a+ADhNkV1iBJcVgE/Dh5rW84oZFiBuHm85HAs5tQphWE3oq/ITzW93BSTodQU6v9HNgJ+K+hyOiitFqN+zhfsmSJW1FSKc7XwChCF7MzgT1bUIZ/At8GfpFcPJqES5KkXBk7dmzU5TdBl6TiJfIDXwz4OQZYypNbYAZOauMEN5IkyQTdBF2SJEmSpHJzkDhJkiRJkkzQJUmSJEmSCbokSZIkSSbokiRJkiTJBF2SJEmSJBN0SZIkSZJkgi5JkiRJkgm6JEmSJEkyQZckSZIkyQRdkiRJkiSZoEuSJEmSZIIuSZIkSZJM0CVJkiRJMkGXJEmSJEkm6JIkSZIkmaBLkiRJkiQTdEmSJEmSTNAlSZIkSZIJuiRJkiRJJuiSJEmSJMkEXZIkSZKkiFSq1apRkCRJkiSpxWxBlyRJkiTJBF2SJEmSJJmgS5IkSZJkgi5JkiRJkkzQJUmSJEkyQZckSZIkSSbokiRJkiSZoEuSJEmSJBN0SZIkSZJM0CVJkiRJkgm6JEmSJEkm6JIkSZIkyQRdkiRJkiQTdEmSJEmSZIIuSZIkSZIJuiRJkiRJMkGXJEmSJMkEXZIkSZIkmaBLkiRJkmSCLkmSJEmSTNAlSZIkSTJBlyRJkiRJJuiSJEmSJJmgS5IkSZIkE3RJkiRJkkzQJUmSJEmSCbokSZIkSSbokiRJkiTJBF2SJEmSJBN0SZIkSZJkgi5JkiRJkgm6JEmSJEkyQZckSZIkyQRdkiRJkiSZoEuSJEmSZIIuSZIkSZJM0CVJkiRJMkGXJEmSJEkm6JIkSZIkmaBLkiRJkiQTdEmSJEmSTNAlSZIkSZIJuiRJkiRJJuiSJEmSJCkr7bGvQE9Pj1tRkp4wDKgkrx2BZwHPTP69BbAZMDE5/48AqsBSYC2wDHgEeDB53QPcBPwb6Ete1eQlSZKUO93d3VGXv1Ktxn2dZYIuqaQqQEeSZB8LvBrYr0nfvQK4BPgB8FdgDbDOTSJJkkzQS5ig9/T0HO+ux8rkonhR8u/7gdVAb3KhvC75u+JKuCbksFyrgeVunnzUOcDOwGnAS3NWtj7gU8Dnk/0lxvPPMGC8u1mpPU5jPUQmxnAZlVw3SEU2HBiT4/ItLECM24GxESTr0cU61gTd7pW1WwD8AfgZcH1y4Wy3g3w6HvheDsu1ltBSq9aYDJwKnBFZue8BTgL+Rmhxj8EM4F53uVIbByxp4PMxXJ+cBny60YUcdnPpqoXhhBt4E4A9gH2BvYGdgLYUlr+E8EjRn4FrgTsJjx8tpYSPFf12t4bv8R4IXJXjVdwNuCXyzbQH8I+cl7Gvu7u7LbbAtqOim0Lo/nrser//YVJB30947lSt944cnyeGEVpI1RxTk6T8tIjXYXvCzUEIz7UfBdxKuOEjSXk2DJhEGLvjcOC1wFYZf+fYJKk8cJC/XQn8lHDDcw42tBTBdYRecTY6atATkMrpWOA2wp3ZPuCEJClQ65LgmTktWwU4x02UueHAC5IEdl7kyfn6NgP+Sej2fp7nGkk5NAY4hNCTbS0wnzDGxmlNSM435QXAt4HbCT2S7gLeT3jkabibLkpdwBGGQSbo2lgC9s0kKegDXgmMMixNdUrOy/d+N1FmxgIfSpLXP1L8nk0nJ+eafxNa2SWpVSYAbyTcQFwC/J7wuFner493AD4D/CupOy4EDkqSPsXjUtJ5PEIm6CpBsv5zQrf3nwLbGZKmeGvOy9dG6IqldBPzrwOLgY+VcP2fCdxNmM7t6e4OkppkDHAc4dnZhcB3yW8Ptlq9ntANfiXhEcY9sGU9Fh81BDJBVz1eQxjo6T/ALoYjM92RJCg/clOl5pwkMX+7oWAL4L+EFqzNDYekjOwK/IrQUn5BksQW0esINx/mAWcTxiJSfp0BjDYMMkFXvXYiDO50K2GUY6Urlu7jL3JTNeyVhAFhzjAUTzETeAj4rKGQlJLhhDF35gA3Ay8r0bpPAD5MeJb+d8m1nPLpd4ZAJugaql0IUxB911Ck6m2RlLOLMNiX6rcZYcaEnxuKTXof4SbGCwyFpCEaAZxOmFr2B8DWJY/Hiwi9Ie8gTA+nfNmH1g9EKBN0Re6NyQX0kYaiYZOB6RGVd5abrG4nAQ9b+dbtj8DFhkFSnde1ZxKmIfsE0GFInuRphJHp7wP2Mxy58h/COFCSCboacilwmWFoSGyjoz/LTVaXfwFfNQxD9lLCzcDnGApJm/AuoBf4uKHYpG2AvxCma/P8mg8jgQMNg0zQlYbDCFOzbWsohuSEyMrbARzgZtukXZPEcmdDkYobvOiWtAFHEkYv/6KhqNsOyfn1D4Rn1tVaVxoCmaArLRVgNmHkUNXu6YSptmLjGAQbdxxhMCKl60zgGsMgKTGdMHjtpTj/d6NeSJhy7pOGouXOMgQyQVeafoh3sOtxcqTl9lnqDfs0YfoeZWMfQktZu6GQSu1c4BGcAjZtpxGmodvLULTMRwyBTNCVtnfhSNW1ekuk5W4jDHymJ/sx8AHDkLkuYC2wo6GQWqjaktfTqDKXKqe26PvL8BpDleuoclFLy1Fu9hYzQZdS90rgcsOwUXsS9+iyzuP9ZL8EjjEMTXUn8GLDIJXGZwnThE0zFE3xauBx7KXQCvsQBo2TCbqUqkOBnxiGDXpH5OXf3E34Pz8AXm4YWuK3wPGGQSq0MYTRxt9nKJpuPOE5/08Yiqa73xCYoEtZOBr4mGEY1HEFWIcvuhn5OHCsYWip7+EjF1JRvQBYQBhtXK1zepKoq3kmAnsbBhN0KQsfAvY1DE9SlHkujy75dnwFYWRxtd5XTdKlwvkk8Eeg01Dkwi7AMuAZhqJp/mQITNClrPzVEDzJqQVZj6mEO7xltC3wC3fl3CXpxxkGqRCuJowornwZBdwOvMFQNEUH8GHDUD5OVaNmWZ6c2MuuArykQOvzLUJLctn8y105ly4gdId1kEop52ZMHfz3s+czB9g695lTO3QNh64OGN4G7W0wbFio5GtVrcK6PljXC2vWwao1sHIt9PXlfvN9H9h1xlTevaE3zJ7vPp6SjwAfNQwm6FIWRhIGjSv7SNdFG3X64BJuw5/jzaY8+y2hh4MD7EgRmT2fkcBcYHQeyzd6BIzsDIl5W1t9ifiGVCohuR/eBiM6YGz3E4n72l5YtRaWrYTVa3O5yU6dPZ+dZkzlRe69mRoGXEkYj0El2uhSsxxNGBG0zIrWVWkMsHuJtt9+hGkElV8V4F7DIEWVnG8FLMpTct7RDlPHwdaTQ2v/5DHQ3RlayisZf3elEr5/zAjYfAJsOwW2nAjj8zfx1qGz5/Nf9+DMHYiNqqUS5cauVqtuuXjNAcaWdN1HAs8t4Hp9DjioJNvwjx7CUWgDlhJuIEnKd3L+TMJjQy1vNGpvC4l453AYVslPjCoVGN4O40eFV28fLO2BRStyUbynz57PIzOmspnX+tntAsAdwPaGohxsQVezjQFOKOm6v7ig67V/SbbfWYQBWxSH0cChhkHKdXK+K3Bbq69Hx3aHVuqtJoWu5nlKzgfTNiwk6jOmwpaTQmt7i02fPZ+Fs+dTca/OzHbA8w2DCbqUlfNKut6fKfB55FUF33ZjCQO1KA5rCVMz/d5QSLlNzp8F3AStSeqGVWDK2JDkThwdWqljNLwNtpgYbjCM7GppUSYA89yzM3WxITBBl7LSSZjftEymEAauKqr3F3z7fdHDNhq3JOeYNYZCyq2tCS3nTU+L24bBtHGwzRQY1VWcgFYqMDW54TB6ROuudWbP5z5b0jMzARsLTNClDJ1asvU9suDrtwcUtkKeCBzvIRuF04HdAB9elPJrDDC76Re8lfB8+daTw2BvRTZ5TEjUR7ZmPbcBrnc3z8yHzd9M0KWsdAFvL9H6lqFb//sKXBkq31YDU4FPGQop1zoIU6k19fpzbHdoMW9hy3JL9I9C34Jn1PcAfuzunlnuNsswmKBLWfl4SdZzS6C7BOv51oKeI0/xUM21Bwg3/BYYCinX2ggt502rDzvaQ2I+cXSJgz4sPKM+ZWzTn7M/huI//tYqh5XkutIEXWqBieRoztMMva4k23MHwrO/RasElV/fJzzLKin/rgQ2b8YXVYBJY0JiOsynoYHwvP22U6CruXORfAZHHs/KDYbABF3KyqUlWMcyDYhXtHX9cgG30WpgETCf0NV0LrAQWEY8z25XgX2AN3oKlaJwDk2akrO9DbaeAmNGGPTBbDY+aU1v3ldeTWiQUbp2Ag4wDCboUhZmFnz9ti3Z9jy2QOsygTDYTezuB76XJLQVQnfwCcA0YLPkNYkwcNOw5D1HAD8E7iFMWZYn85Ny/s3TpxSF5wNnNOOLRo8Ic5nbar5xo7pgq8mh+3sTVID/mnNk4meGwARdyqSeAKYXeP3eVbLtORl4WkHWZZ+Iy94DfCW5MNoGeFOdCe1lwOsJjy10AM8i9HZZ3OL1ujK5sSCp1ao1vUZR5U81vreh19RxYfRy1aZtWBhAbsTw7LcNVSZT5ZK6PqNar7lONwwm6FIWvlDg4+tdJdyeZxZkPf4v0nJ/GRgJnJziMm8HjgLGAzsD17Zgvd4OHOzpUorK9Vlfaw6rhNbgkZ0GeyimT4Dxo5ryVUcSBo5Tuj4BtBuGYnGDZuca4LoMl99GeKZnMmHQlR2BWJ+42qug+8CMku77RwPHRb4ObYRpYmLyEOGRinUZf8+/gX2Tf3+X7J8DX0EYCG6h1YoUlbOBZ2R6ETssJOeAra4NGD8yjHg/f3HmX/UDQg+tpUY9VRcCrzUMJujatMsJg6I001jCIF1vJDxnGouijsJ8Tkn3/eHAQcBVEa/D5pGV92Zg9xZ875uS13eSn2n7J7Cn1YkUne2AD2f5BR3tYZR2pWNkJ2w+AR5+PNOvaQNuArY34qk6htBj81FDUQx2cS+WJcBJhJb0kyMqd4XwrGuRtAOvLvG++J7Iyx/Tc/R3tSg5H+jNyXH8pxSX+WmTcylaf85y4Z3DTc6ziuuWkzL/mu1wfvQs/N4QmKAr//oHiLo1kvIWrWvOdiXf/w6PvPwxddF/Zo7KchDw4hSWsydwmqdxKUofIcNeSJ3DQ0uvsjG8rSlJ+mcIM4coPbsBexuGYrCLe/HtCvwKeFnOy3ko4Xm1ovieux6vAS6KtOyx3GA4iOyfOa/X5YSbg38AXljnZ+8h9F7oa1HZq8BKoDeCbd8X0QXu8kjK2YlPMjdqInBWZslju8l5s5L0LSbCQ9mO/HEVxZ9qt9kuBqYaBhN0xeHlhGd+dstxGacUKN6dwPPc7XhvxAn6+AjKuIh0u5Sn7RDCIzdfrfH9FwJvaHGZ7wO6I9pPY0kmR3s6LI3Mxh5pGwZb2q29aTraYbPx8MiizL7iOYSbuFcY7VSvpd8OfMNQxM0u7uWxO61rlSpbgr6TuxsQRkEfGWG5Yynz8RGU8WuEOdQ35aU5SM4lNWYfYJesFr7VJAPcbF0dmc8t/wujnLqvm9+ZoCsuz81x2YrUwnKxu9r/xJh0xTJd4Z8iKeftGzm+VwCbAb/2UJGil9kgVVtNgkrFALfk4mxEeGVkDPBBo5y6LxkCE3TF4wZgmWHIVBewjWH4nw9Fug3zbnlkx/JyoIPwfPfAi/lRwFwPEyl6x5JR76OpY6G9zQC30uQxoct7Rj5JeDRQ6XknPotugq6oHJ3jshVhPvR93MWeZHryikkMFwqzItwX1gLjkn+fALzIw0MqhE7ggiwWPKoLRnYZ4DzYfEJmvRgqSZKudF1iCEzQFY/fkr9Rn/sV4W6fz1M91ZsjK28MbTW3RrovrEkuxr7tYSEVxluzuJ5sGwZTxhrcvKhUwqBxGXk3T9zAVTr2Ap5tGEzQFY/VOS1X7JOnDLeCGdQZJuipe8jdSlIOjAC+mMWCt3DE9tzpHA5js5vn4qNGOHV/MgQm6IrHn3NarvGRx/VVOSrLu3MUzxHAMyPajjEMRfQMT2OScuCNZHBTc+Lo0IKu/Mlw27yzANeBebyufoVhMEFXHK52f8zEd3NUlq8Di3NUnhMj2o69EZTxGE9jklqsA/hs2gsd3pZpK61SsFk2/R0rwKlGN3UXEUfPQJmgl968nJarL/K45mVwsaU88RhDXqaviilBj2E/3Bbw6UxJrVPlxVTppgppvjabYGjzbngbjBmR7nZPXh+kSidVY5yiNuDjhsEEXfnXntNyxTzd0vtzVJY7Bvw7L4PWDQP2jmRbrouknG/zVCapFQ6/sbMCnJv2ckePsGt7LCaNgWHpPxDWCbzc6KbuNGCSYTBBV77NyGm57os4pnmaIuTHA/59XY7KFctgcasiKeencVBCSa2xFaEnT+pJnyJK0rPpx+Vgcdm41BCYoCvfXpzTcj0QcUzz9HzPVwb8+94cletwwjOLebc6ov3uXiSp+c7OIjmvVAxsTEZ1QXv6Vz/bAzsa3dQ9L4mtTNCVU0/PYZnWQbRPHX0lR2VZzFMHOftLjsp3UATbc0VE+94E4FpPaZKa5fAbO7uA49JcZqUCox0YLkpTx2Wy2A8a2Uz81xCYoCu/8lgNxtx6fkKOyjJYi+ovclS+L0SwPVdHtv/tDdxJHNPDSYrfwWmfb6aM9QQWq87hmbSiv/HwGzs7jW7q2oEXGYY4NlR0qlWHd2zAR3J6IX9nrHUTMDxH5fnOIL+7Okfl2wmYCCzM+XZ9ENgyov1wR8Lo81OARz3NScrCETd1VYAPpL3c7i5jG7Op4+DhdGv1CvD8arV6hdFN3e8IjxuuNRT5ZQt6+bw/p+X6UqTx/GnOyvP1QX53W87KeHgE2/WSSPfHBcB3ieNZf0nxGQHsl+YCJ4+x9Tx2ncNhWPoZxduNbGbONgQm6MqPDwIjc1iuKvD7SGOapwH3Fm3kb7fmqJzfimC7Xhzxcf5GQjf9kwHbpSSl6eC0Fziqiyzm0/bV5Nfk0anvay8/4qYuu7ln43TAORNM0JUDI8jXVGADxdq9fTqhi3tebGyauktyVM5O8t99vAijo58HrCT0TpnsKVBSCt6X5sJGj3Dk9qIYmc3t4L2NbGb+aAhM0NV688hvL7KzIo3pL3NWnq9EdCJ+S8637cMFOvZPIXR9Xwm8Ahjv6VBSvY64qauDlLu3TxhlXItkdPpJ+muMamb2ADY3DCboap055LcryzrgokjjunvOyvO9jfztmpyV9cPk+7HDXuDugp0Huggj+j+eHHfvArazHpBUo2ekegE6DNo8+xTKxPSvNI874qYu95Ls3G8ITNDVfJMJczpvneMyxvrs+XPIV/f2xTW8J29T2c3I+TYu8iAqbcAXgXsINyP+C7wD2BkY56lT0iBem+bCJo02oIVLKiqpP7IwAtjCyGZ6LXCgYTBBV/O8jdCttTvHZawCR0Qa3x/lrDy1JN+X5azMH8/5Nr66ROeLpxMekfgXYbDBKnAtoZV9T8LUeJLKLdVRtUc410QhZfDYgs+hZ+sqQ2CCrmzNAM5MLq6/EUF5/xZxrLfNWXm+UMN7fpezMh8NtOd4Gz8MrCnx+WRvQiv79cBjyXnlMuDVwA6ebqXyOOLGrm6qjE5rxO92u7cX1uj0R+V/hVHN3CcMQb60G4LM7JIkIFnpILRqbQU8D3huZPGpAvtGum1fQv7mmb6ghvdckcNY7kT+5mkf6HTg857O/uew5NXvWuA7wJ+B2YZHKqzN0lzYuJEGtKgymA/dBL051zpnGAYT9DJ4dfLS0BPKvPpSzsqzpMb3rUreOzZHZf8BsGuOt/VPTdA3ap/k1e/HybH9B0MjFUqqj6ONcHbrQhvTDUt7Ultc5Ygbuyb/5jmrHjWymbqe+Br7CssORmqFKvDGiMuftzm8H6zjvXkblO/ZhEFg8uqROuNbdq9N9rEqoVX9aEMiFcIb0lzY8DYDWugEPf1afauChCbPj83tAUxw7zVBV3k9M+Kyn0QY9TJPPlnHe3+bw5jm/Y7t8R6yQ/J84CdJsn4FcJQhkaL17LQWNLLLYBZde/r9c4vQsvtDwuw/63JavgphZheZoKuEfkCY0ilWp+WwTD+u470X57D8P8v5Nr8KWO2h25CDgUuSZP2rwFRDIsXhiBu7Uh1zpdvu7cVPLtKfbu2wAoTlxcnPn+e4jOOB/dyDTdBVLguB4yJfh7x1b19e5/uXEp5Fz5PJQN7bVN7s4Zuak4B5hOfdDjEcUu6NIrSupaJzuAEtxU6Tbq1+cAFC0j9d6VtzXk6nXTNBV8lMirz8H81hmeYM4TN/zeF6vCbn2/5HwFoP4VTtSXhefR7wOsMh5dZuaS7M58/LIeWeEp1H3NhVhL4XmwMrgBtyXMZ24BT3YBN0lcOoAqzD8QW5aZDH6dbOJ8UWmow44Fk2phKezVuI0+lIeXRAalf+bal3fVZODU//OfQxBQjL05Ofx+S8nB93DzZBV/GNJ9wxjFkn+eveXmVozzJdlMP4tpP/aR9/Bdzv4ZyZCcAvCIPUbGc4pNzYO7WK1O7tpZHBzZgiNPTsnPy8hzBLTF6NBp7hXmyCruIaCSwuwHp8IYdlGurAZQ8kyX3enBPBfrC/h3TmtksuXq40FFIuPCutBaU73JzyrFKBjnRvu29dgLAcMODfp+e8rL9yLzZBV/H8gdBluacg6/PyHJbprgY+m8fnn95P/ru53w98w8O7KQ4iPPf/EkMhtdTYtBbU0Ua4Peyr8K9KFbrS7TExowDH0gsG/PtC6h/ot5l2rOU+jKdHE3TFlcweWqD1mQpMy2G5PtbAZ/+c01iPjGB/OJHwvLSy1w78GrjGUEjxXys6QFy5pPxIw9MLEJL1u+lfmOOyVoBfbuI9N7mXm6Ar/35NeG7l4oKt17k5LFOV8LzuUP0kp7H+SST7hM9mNdc+wOPkfzo+qXiqDEurVbXdBL1UhqfbY6IoY5NsNeDf7ySfjxz2O2ITf1/H0B+3lAm6mmQk+e6uM1QvzmGZehv8fF7veh4RyT6xgPzPZVo044GVpDhglaSa2I1VQ5LyDZmtCxKWbQf8uwpcl+OydgBv28R7/uWeboKufDs4SRy/XKB1eiYwLoflSuOEeEdOY75jJPvG+eRzRPyiuxY4wzBIJujKeZKR7p4zsSBh2W2Qa+c8+79N/P0W93QTdMWxT70TWAZsX4D1+VhOy3V2Csu4Pqfr9uuI9o+jgVs97JvuHOBbhkGSSmNsQdZj/YR8JTA3x+XdnI0/1neju6YJuuIxCrib/A5GVqu8jiB9aQrL+EFO123HyPaR5wAPecg33VtzvA9LRWILuvJgZEHW45CIrjX7nb+Rv/3DXdMEXfF5PmEAiVERlv0AII9D2qQ1oEhe55keRjzPokN4rGMbwiBmaq5jgU8bBkkqvI6CrMfwQfKvG4AlOS7zXhv52y3umulrj7HQ1WrVLRffSXUZYeq1P0RU7tNyWq4071Y+wJNHFM2LC4EJkSXpk4B5wBQP+ab6APBPGpvVQJLk9X+zbAncv97vPgx8KaflrQDfBd402GYB+rDRN1UGU830+xyffAY7GeV1LvcPpbisvD4/PZb4ulVWganAHA/1pvs5xRlASJL0VH0FWpdtB/ndecCaHJf5dRv523/dPU3QFbdTiOO59NfkuGxXp7isC3N8bnp/xBXvNR7qTfcg+XwkRZLUuFUFWpc9N/D7X+W4zB3Am03QTdBVXM8ndEnNs3fmuGy9KS4rz92Cz4x4H98P+JSHelONAG4zDFLqfK5QebC0QOuyoR6ax+T8eNvQdZmz2ZigqyBmAn/KadnagH1yWra/ZHDyfiyn6zqGMJhKrE4HdgHWerg3zU6Eqe8kmaCrWDtOkQZiPWgjf5ud43JvCzx9kN9f595ugq7iOIB8zmX81hzH7CMZLPOOHK/vNyLfx28jdAu718O9aS7Eru6SCbparjfdp8YfLVh4NtQAMTPn5f7KIL/7u3u7CbqK5a3Aq3NWphNzHK8s7lL+OMfr+8qC7OfbE+8z9TFe9MwyDFL+EvQ+U/1SWdeb6uLuKVh4Nt/A7xcDPTku9wuAzvV+twJv5Jmgq3AuAqblpCxdhG7JeZXFCJ/fy/H6jgHGFWQ//xxhZPrbPeQz92LCTACSGk/Pq1STy+8GX+vWGc4yWbM2nf0meZUlQQc4Iudl/8Qgv3vAPd4EXcWTl27W78hxjP5INncoVxHmqc+rXxVsX39WkkAu9LDP1O8NgZSK1aklbCbopbIq3SaFuwoWnv028rc/5bzsJw3yu3vc403QVTxjgUtzUI5TchyjszJc9n05Xu+9Cri/Xw5MSrapg8hl47nYii6l4cHUMv10W1R95fhV7Us9Qb+7YMfVplrJ/y/HZe/iqdMR/8dTpQm6iulIwrO6rTIR2CrH8clyGouLc7zeI9jwnKGxO5swiNxnANuW0vcDQyA17KZUE3SVQl8V+tIdJG5xwUK0qdmCPp7z8p+z3n9f615vgq7iuqaF3/3OnMdmRYbL/krO1/38gu/3HyQMbvYe7PqepiMNgdSwq0zQVa+161J/Jm9xAcPUtYm//zXHZd8O2GbAf//FvT497YYgM98mTPeTlQowCpgA7ECY/3d3WtsCnYaphFHUv96C735XjuNyP9k/H19N9qs82qkk541zk9fzCVPqHeSptGGnAOcZBmnIUrtxXq2GqbfabB4qvFXp34xZXsAwTU2u7zbkUPI9ovtneGImprnu9SboMbif1rUGvzJJcmO9uP9sCxL07YDxOY7J1sCXS36uej3l6bL8F8JUJgAfAN4GzPC0OiRvN0GXGpLq6Mxr1sGIDoNadCtWpbq4u2bNXFnEabymbSJBXwk8RhizJo9eRZhyrX8gyccJDYdqkPcwi+kXycX9aMIUZrEZSfO7m5/gbpN7Hynpen+GcANpHGEu9dvcFeqyE0+ds1VS7fqHdkvFyjUGtAxSfpzhtwUN08E1vGffnK/DwN6n97nnm6Br05YDRwPPJJv5s7P0sRaeYJRP25V8/ZcQ5lLfhfAowhHAdwh3rLVxbzME0tDMmrmylxSn4lyx0pgW3bre1Bf5x4KGqpb5zvM+ev1ZA/59r3u/Cbpq9x9CC9LfIirzOMJzuM3wbGxhi8VHDcH/XAa8hTD7QAdwIHAGDtQymFcYAqkhl6S1oLW94Vl0FVcGz5/fVdBQ1TKNbB9PndIsT0bwRE8AR3I3QdcQ7AP8LqLyNmsOyLe7a0TjeEMw+DUvcDXwSWB/Qgt7B7Az8HLCdG7XlTg++7qLSA1JdfyPVY7mXmiL0h/O7YGSh/TinJfvS8nPK937TdA1NIcRzzMiBzfpe0zQ47ElMMYw1Jy0/zup2M8C9k4S9wmE1vazKc+oq8MIAy1KGppb01zYcru5F1a1GqZYS9F9s2auXG19zrE5Lt8zgC2A2z0CTNA1dDGNBv36jJe/l7tDdL5oCBqyiNDafhawGeHxjn0Jz7MX2Yvd9NKQLUxzYctM0IubSab//PkFRhWAH+e8fP29Xpe5qUzQNXR7RFLO12W8/He7K0TnKEOQqjWE58beQmhh3wX4SgHXcz83tTQ0s2au7KPKtVQhrdeadca1iB5bkt4+krz+aFQhicazc1y+/tmQHMndBF0NuAHoiaCcL8xw2RXg1e4K0ZkAPM0wZOY24OTk+NgPWFqQ9drdTSs15Nw0F7ZkuQEtolXpzxl0k1H9n38BN+b8JsIubiYTdDVm10j20R0yWrYDR8XrU4agKa4BxhJuiNwf+brs6OaUGpLqCM3LVjqae9Fk8KT4DbP2WOkDEU92mCEwQVex3RNJObMaLO7j7gLROsIQNNVdwDbEPRe99Z3UmPlAqslSBq2taqEFi1Nf5HeN6lPDDHzeMJigq7iqwKwIynlABsvspnnzrCt97cChhqHpZhO6vp8Tafm3dRNKQzNrj5VVUu7mnkFCp1ZdUFahty/1xf7ayA7qNENggq5i+0gEZXxeBsvc300fvQ8Ygpb5UKTJ7lZuOqkhP0xzYb19sK7XoBbB/EWpL3LOrD1WPmJkB7UOeJVhKK52Q1B6/42gjFtmsMwvuumjd6AhaKk5wEhgOaFVPQbT3GxSQ+5KkoPUrh/nL4LNJxrY2PWk//z5+UZ1o35JmNJstKEoHlvQFcu9664UlzUBB4wqggphajC18JqMMIhcLEM9TXeTSUM3a4+VvcDn0lzm6rXQ12dsY/bokkwW+z0ju1FV7A1aWFG2oFcd9jPtAzwGW5DeoHYHu9kL4x14l73VlgEnAt+IoKzj3FxSw75Gys/Azl8M0ycY2FgtX5X6Iv916cyeR7zc36Sbgd8BLzYUxWILumIxJcVlmdAVx65Am2FouW8CMbSBjXBTSQ17mJSnXVy5JpMBxtQEjy7JZLq8LxjZmr3WEJigq3hieXZ0fErLmYbP6xTNhyIrbzfw2QJuh5Miib2kBlw6s6cPODvt5c5bZGxjUwWWpz9LeR/wK6Nbs8XAhw2DCbqKJZbWx7QurB31snjeGlFZRwErgPcBLynYdvh2BGW0BV1Kx0Wk3Gtm9VpYs9bAxmT+okyek/wx4dEp1e5jgEePCboKZOtIyplWS/95bvLC2TyS/Xj8ehcdvwb2KtB2iKE3zmoPF6lxl87s6QEuSHu5c21Fj8aatZmM3A4Z9M4oiVcaAhN0FceZkZQzjTuDm7m5C+s9OS/fZsDjg/z+OmCfgmyDGIbzccZlKT2npX6A9sHiFQY2BhndTLmZ9AYELptLgdmGwQRdxfD6EiXo73RzF9aJOS7bjoRBlTbkGuCYAmyDGFrQV3qoSCmpsoAq11CFNF+PL4U+R+/OtceXQW9vuts9eZ30v39rKBzN3QRdBRDTnMCLUtjXT3eTF9Zw8tldfE/gzhre92Pg65Fvg+0jKKNtc1K6js1ioQ8/ZmDzal0vLF6eyaLvB/5uhBtyF2F8CJmgK2I3RVTWRqvr6W7uwjslZ+V5EXB9He9/OzCHeAcy+2YEZVzsYSKlnlTdnPZC166DRcsNbh499Ghmi36T0U3F0cQx7alM0DWI7QlTjsViboOf/6SbvPCOIT/drI8FfjeEz20N9AB7Rxj//SMo4yMeJlLqXpbFQhctC4m68mPB4sweP7gfuMoIp+b/DIEJuuJ0d2TlXdrgfv56N3kpHJ6DMpwK/KDBZVwL/ILQdT8G34yknA94iEiZJFeZdE1+8FEfR86LFasymfO837FGOFWfaPC6WSboaoF/RVbeRp8/39xNXhrvb/H3fxo4N6VlvQJYAxyX85hvCZwQyf5xh4eIlImjslrww48a3FZb1xvmPM/IbYTBUpWulxsCE3TF4+fAzpGV+boGP/99N3tpPB/oatF3fw/4QAbLvQBYRXimPW86iatV2hYFKRsLaLzn0KDWrINHlxjgVqlWQ0+GDL3UKGfiSuB2w2CCrvz7K/DKCMvdSNe54cBBbvpSeUULvvM3wPEZJ8K/I/QmeVVO4rxDcuMgFvd7aEiZentWC17WA0t7DHArPPhoSNIz8kucuztLBxsCE3Tl1+7AamDfSMv/twY+u52bv3TOafL3XUvznn0fB/yM8Fjmx4FRLYrxewjTucTE6XukbPUAb8tq4Y8tgZ7VBrmZHlkYurdnpJcw4riyMw/4lWEwQVe+bAZcBtwIdES8Hn9t4LMXuxuUztbAxCZ9179p3YjrZwLLgFuBdzbpO48lTFX2+Qj3iz96aEiZ+xbwYGbZxuOweq1Bbkpm9zisWpPpV7wDcJz+7L0C8KgxQVeLtRNGkb4VeBg4LPL1WU4YKGso2oCnu0uU0mub8B33Ac/MwbruAnyZ0Kp+H/B1wrP4aXkG8DXCvKo/AMZGuk9c5GEhNUWmUy4+/JhJetbmL8q8t8Js4pn9owjONATxJXPKxnOAN2e4/GHASGASocVw2+RCfXTB4nhpA5/dw92wtM5JktasPAJMz+F6b0N4DrT/WdB5wH8IA8XcQhgtdw4w2JA/o4EZwK7Ac5Nz2J4F2R+WEHobSMrefcBnyXBWjYcfg+kTYUSHwU7bvEXQk/3oIl6fNddnkyR9rKEwQS+7lyUvNWZWA5+9xPCV1mjC+AP3ZnDOnA9MiCQO05JX2QdKnOUhITXVB4DXAFtl9QVzF8KUcTBqhMFOS5N6J5wKPG60m+4A4GbDEAe7uCvvftnAZ6cavlJ7S8rLG0V4/nqCoY3O5w2B1HSZD0y7YDEsWkZ4wMdXQ68HFjQlOb8N+JKHRkvcAtxtGEzQpUb9h6EPbPFSw1d6ac5JPolwx3+kYY3OkuTCRFJzPUiGU6/1W7Q8dMvW0KzrhTnzMx2tvd9KivPYVKyeYwjiYBd35dkFDXz2wojW8yjgnxGdMx6IpKzDgGcRRlpvxFY4h3bMLjQEUst8E3gV8IIsv6RnNTzwKGw5CSoVg16rFatg/uKmfd0LgFVGvaWWAb8AXmkoTNClofpiA5+NabC8SyPbLlcRzzPNZ9DYiO47EXpyKF4fMARSBqo1v/NFwFxCT6TMrFsXWoKnjYcRnW6eTZm/KCToTfIJ4DqjnguvItwo8SjJMbu4K69uYujTq70zovW8LMJtE1N8j2HoNyL3NDmP3l+wxUZqtXWE3kzZ3zOowtzHw7PpGtzaXrh/flOT8+twmq+8eYchMEGXhuJjDXz2UxGt5/ci3DazIyvvzCF85jDgeg/D6B1lCKRcmE/G3dwHWr4S5sxzvvT1Pb4MHlwAvX1N+8qFwH5GPne+A/QYBhN0qR49NDZFWkwDeV0c4fZZDVwbUXm/Wuf730CcPRv0ZNcTRt2XlA9XAe9t1pf1VcO0YQ4gF25U3D8fFi9v6tf2AlsmP5U/OxgCE3SpHuc28NlPR7Sefwf6It1Gp0RU1t2BMTW+90zg+x6ChbC/IZBy5wvA+c38wp5VcN88WLKinAGf+3i4UdHb3KuNKrAtYeR25dMjwF2GwQRdqtX/NfDZEyNaz5hHl/5vZOU9oMb3fcfDrxAuIvT0kJQ/bwUub2q2WIWFS5v+7HVLPboYZs+Flc0/E1YJ03k96K6ee88g3oYiE3SpiT5PPWPDPlVMo7efH/F2Wkk8U8MB/LDG980jnhHqNbgewuCAkvLrxcANzf7S3r4wevn980PLeiET8yUhMV/WurbrQ2ZM52Z38Sj0At8yDCbo0sasAd7XwOd/ENG63gXEPnzNeyIq62hgco3v/RON9eJQax1KYzf5JDXBjOnsAfy7JVlJX3g2vb/re+wnjL5k9PrZc2FZa4f+OmrGdP7o3h2VE3GcABN0aSManfYhphGbf1KA7XVrZOU9to73fjxJ1BWXK4FrDIMUTZK+M3BLq76/v+v7fXNh3uPQG1GaUq1Cz+ow9/uceS3pyr6+l86YzqXu1VE6whCYoEuDuYfGunxPIK7u7V8rwDZbBtwWUXm/AFTqeP9B+AxdTBYCBxsGKbokfTdyMDNIz2q4f0FohV60DNblMFnvq4YR2R9ZGFr/5z0Offl4gviFM6bza/fmaF2OA/rlSnuMha5W7b1YMFVgpwaX8YuI1ndB8iqC9wBXRFTe6YSRS2u1FWGqrrEeprk3yRBI0Sbp+86eyy+AV+ShPIuWhxfAqBEwphuGt0Nbk5u1qsC6dbBqDSxeAWvX5e+eAbDnjOnc6LV+9DYDnJTQBF36n48CjVY7e0a0vkW6y3x9ZOX9CPC2Oj8zLqm0xnmo5tYLDIEUfZL+ytlz+QRwep7KtXxlePUb2QXdXdDRDsPboFIJr0YTcarh2fi162DV2jCI3ep8j1SzCth+xnQedu8thMXAPyK7njZBlzJyO3BWg8vYGRgZ0Tp/oUDbbxlwL7BdJOU9ATiJ+gdEGY8t6Xl1FnCVYZAKkaSfMXsutxMGfa3ksYwrVoVXhVDC4e0wogM6h4d/t7fBsMqmE/LevtCNfs3a0EK+em14Bj6SduP5wBYzprPOvbZQnocDxpmgq/RWAc9KYTnfi2id1wB3FGw7vh/4VUTl3QK4fwifG0d4znmCh25u/BA42zBI8Zk9d4N/+hFh4LjryfHN9/5W7zVrw6tErgX23cQ2VJz6gDOATxiK1nKQOLXSlJSW86yI1vmyAm7H2EY7b2Q6vomElgO13iXA6w2DVEi3E3ou3WcocuUT/cm5CuszOFWpCbpK67mE7tGNOhTojGi9v1TAbbmY+gZea7X9aKz30DQvGlvu58DLDINUaGuBGcC3DUXL9QD7AGcaisLrBfY2DCboKp+jCQNRpOHciNZ7HfDngm7TD0RW3p0b/PwM4K8eyi3xTeDVhkEqjROAQ4DVhqIlbiT0ZviboSiNvwPzDIMJusrjNcBFKS5vx4jW/R8F3q6XR1beNEbSfz7wFQ/ppjoFeLthkErnCsIgnf80FE31HmAmYfwclcuzDYEJusphP+BnKS7vTUBbROv/9QJv24XAYxGVd8uU9p2TgWM8tJtib+DLhkEqrdWEKaDeZCgy929gMnH1UlS6FgCzDIMJuoptS+CalJf5wchi8MOCb+MPR1bel6S0nJ8C2xOel1T65gMdwHWGQsqRaste36NKJ1X+0MIyFPn1dqrsTJXHWloO5YGPk5mgq6BuJ0wX+lAGy94xsjgU3cWRlfcnKS7r3iSJ9Ln0dP2IMCifNz8kDbSGMEjs3oSWPqVTJ1YI43xIEKZDfqdhMEFXsXyU7KZAOy2yWPy4BNt7HqGreyyyGP3/+cBbPfRTcTBwrGGQtBHXAVMJA8lpaG4Bnga81lBoEF8jzI8uE3RFbiGhy+9HMvyOt0QWk8+WZNvHtp5ZTBlzfnLB+IingiH5GaEV50pDIalG307OGx8yFDV7kHBTeTfgLsOhDagC+xsGE3TF7R3AJEKX36x0ANtFVgmWpYvuTyIr78cyWu4CYHPgJE8JNesB9iLM9CBJQ3EOoXfU2fgk84Y8ABwAbIWPZak21wD/MQwm6IrPF4F2QleYrH0istj8rmQV/+KIylsh25kAvo7zx9bircBI4HpDIalBa4CzknPKu4ElhgQI85k/F9ga+LPhUJ1eaAhM0BWPzwNjkkqwt0nfGVsL2/tLtk+cF1l5L8x4+YuBfQitw3qyMwk3Sc43FJJStpLQeDABOBy4uaRx+CGh1+FM4B/uFhqiR4DvGwYTdOXbCYSu5u8DljXxeycDW0QUp8eBpSW8GIhJs6YRuT5JRl/p6YMzgC7i6w0jKT59wG+B3QlTvn6R8EhNkd0GHA+MBV4PzHY3UApONAQm6MqfHwO7JEnGt2nNc9UfjSxmZeyyezewIqLytgObNfH7fpkcQ2UcMfdYwo29TwKrPaVKarKHCD3+xhF6NV1QoHV7gDDDzWbJtdoFlK+BQNly2jUTdOXEtwlTpbUBryPclW2l2Lq3v6vE+01Mft2C7+yfc/bQgu8LNwE7J+v6I5zTXFLrrSXcQD+ecNNwD8Ije7EltNcTejROB7YBPg3MdfMqQ1+luT1nTdAlwtRGhwHTkgvqE4DbyccciDsSBtyKRQ+hNbmMvhNZeXdp4Xf/ITnWnkaxng98Q3K8Pgf4t6dWSTlO1m8gPLI3jtACfSShBTpv8z/fRRi7Yw/CIHh7EW6Iz8NR69U8RxiCbLUbgtLqI4wufhFhNM/F5P/O8ZmRxfjOEu9f/yZ0heqKpLwdwL6EqURaeeH1XGA0cCDwK7IdYT6Li9yTgIuBhZ5iJUWoSmiB/k3yOj5J2jcnDLJ2BGE067FNKMt/gcuA3wP3JOXy0SDlwV+AawkD4MoEXZuwIjmBP0a4m3oXoQX3DsK85KuT10ryd1e4FsdFVt4PlHx//GlycROLXwMTc1COZcClyfl5LKEL/DeTi8S8+S3hxtm92OVNikWnIajL4uR1O088s94BdCevLQijpD8j+bl1UpeMI7RydxF6Sa0j3LheRhhAdj5wX3Kt9t/kPLo4uZbrifQ6zRynPI5M9uO8i7K3eKVajbtHzJIlTm8pqTQX1ROB9wKntqDSWUmYku5LhMGIerBLpSRJypmxY8dGXX4TdEmKUzuhFefZhMETDwN2SGG5c4CrgasI3St7CN3Xew25JEkyQTdBN0GXpDrO6+u9+n/XAaxJ/rs6yM8qtohLkiQTdBN0SZIkSZLKzmnWJEmSJEkyQZckSZIkSSbokiRJkiSZoEuSJEmSJBN0SZIkSZJM0CVJkiRJkgm6JEmSJEkm6JIkSZIkyQRdkiRJkiQTdEmSJEmSZIIuSZIkSZIJuiRJkiRJMkGXJEmSJMkEXZIkSZIkmaBLkiRJkmSCLkmSJEmSTNAlSZIkSTJBlyRJkiRJJuiSJEmSJJmgS5IkSZIkE3RJkiRJkkzQJUmSJEmSCbokSZIkSSbokiRJkiTJBF2SJEmSJBN0SZIkSZJkgi5JkiRJkgm6JEmSJEkyQZckSZIkyQRdkiRJkiSZoEuSJEmSZIIuSZIkSZJM0CVJkiRJMkGXJEmSJEkm6JIkSZIkmaBLkiRJkiQTdEmSJEmSTNAlSZIkSZIJuiRJkiRJJuiSJEmSJMkEXZIkSZIkE3RJkiRJkmSCLkmSJEmSCbokSZIkScpKpVqtGgVJkiRJkiRJkiRJUunZw12SJEmSJEmSJEmSJGxAlyRJkiRJkiRJkiQJsAFdkiRJkiRJkiRJkiTABnRJkiRJkiRJkiRJkgAb0CVJkiRJkiRJkiRJAmxAlyRJkiRJkiRJkiQJsAFdkiRJkiRJkiRJkiTABnRJkiRJkiRJkiRJkgAb0CVJkiRJkiRJkiRJAmxAlyRJkiRJkiRJkiQJsAFdkiRJkiRJkiRJkiTABnRJkiRJkiRJkiRJkgAb0CVJkiRJkiRJkiRJAmxAlyRJkiRJkiRJkiQJsAFdkiRJkiRJkiRJkiTABnRJkiRJkiRJkiRJkgAb0CVJkiRJkiRJkiRJAmxAlyRJkiRJkiRJkiQJsAFdkiRJkiRJkiRJkiTABnRJkiRJkiRJkiRJkgAb0CVJkiRJkiRJkiRJAmxAlyRJkiRJkiRJkiQJsAFdkiRJkiRJkiRJkiTABnRJkiRJkiRJkiRJkgAb0CVJkiRJkiRJkiRJAmxAlyRJkiRJkiRJkiQJsAFdkiRJkiRJkiRJkiTABnRJkiRJkiRJkiRJkgAb0CVJkiRJkiRJkiRJAmxAlyRJkiRJkiRJkiQJsAFdkiRJkiRJkiRJkiTABnRJkiRJkiRJkiRJkgAb0CVJkiRJkiRJkiRJAmxAlyRJkiRJkiRJkiQJsAFdkiRJkiRJkiRJkiTABnRJkiRJkiRJkiRJkgAb0CVJkiRJkiRJkiRJAmxAlyRJkiRJkiRJkiQJsAFdkiRJkiRJkiRJkiTABnRJkiRJkiRJkiRJkgAb0CVJkiRJkiRJkiRJAmxAlyRJkiRJkiRJkiQJsAFdkiRJkiRJkiRJkiTABnRJkiRJkiRJkiRJkgBoNwSt1dPTYxAkSZLKrULo2FoZ8O9xwDOAHYEZwDbJa1tgcg7XYS0wH3gEeAi4D5gN3AvcASwAeoE+oDrgpyRJkiRJktbT3d1tEFqoUq1636oZenp62gg3RKXqRv7tASlJUsGutwmdVtuB4YRG8L2BPYHnADuX/BrxIeAfwPXJz38Bq4B1yavPXUiSJEmSJJWNDeitZQN6k/T09FwH7GUkVIdVwBLgUWDeeq+HgHuAucAanrjJvDZ5ebNZasx04LfAroaiJlcCL8ROQCq3EUAXMAnYF3gxcAgw1tA0pBe4CvgjcAVwf3KNtMrrnUxtD/yNfI52ICl7VwCvBha36Pu7gJVuhlR8GPhYHgpy2M0dbo1yGtiZtIPQobQ9uXaeAIxPfk5OXhMG/H40MDI5J3QDncmrfcCrvyNqNblu7L8/tgZYnZxLVgI9wDJgUfJ6HHiMMILS48n5bmHyvrU8ca9tLXbqLL3f7rYmD8U4OKmfVb+Tga8n5wi11l7ABYSR9tSA7u5uH9ZtAodwb57VhkBDuGnQBUwFnjWEzz8K3AbcRHiq65YkWViVJA9rDLE0qGHAJ7HxvB4HAu8GvmAoVIY8BRgDPA14KfByYCvDkpk2QgedFwKfXu9vC4CfAZcAtwNLCTc91bg+YAU2oEtltRI7RhaFeb+y0k5o3B6dvCYSRlraAXh68nMbQkN4ESwndOS8G7gTuIswZdECwr22Zcm101rPn8qIjb9D92VgM+Dj5ou52I/dBunk62rSxY6kYpoMHJS8NuQOwlNdVxMa2pckr7WGTyV2IqFRTLUbBnyW8NT+HYZDBTKeMCLFQcAbgd0NSa5MAd6ZvAb6J3A+4an1xwgN65IkSapNhfCk+ITkemtzQufRnZPr4Z0JnRzLZBTwzOS1KXcS7rHdmuTHDxIa2hcSHrCy4UNqvtOBbZPccaHhkFQLG9Clcnt68jppkL9dAVxKGJr5UcINaKnodgVOwCGXh6ICzAJ2IgxxJ8Wmm/Ak+X7A27GxPGZ7JK+B/gB8E7gReNjzlCRJEsMJT5HPIAynu1tyDTwTGGd4huxpyeuYQf62FrghuSa9mdDAfi9hCPk1+PS6lKWjCR2CXkfo2CJJG2UDuqQN6R8udaBHCPOU/BqYQ5grSiqKTuBDwC6GYkgqhN68XwfeajgUgfHAMwhzvL6ZcPNQxXVI8uo3B/gioWH9Hhx9R5IkFddwwhPU2xMayPckNJKb+7ZmWzwvea3vfsJIStcTGtj/QxglcpVhk1KzH/BX4MXAfw2HpI2xAV1SPTYjDHlz+oDf3QB8K7n4uBvn5FG83gMcZRga0ga8njCU+8WGQzkzkjDc5KuBUyjfsJN6sm0IDej97gHO5YkGdUmSpBh1EYZe3w04gNBYvjuhAV35tnXyeuWA3/UBtwH/AP4MXEsYfnqZ4ZIaOtZuIjSm34gjP0jaABvQJTVqZvLqdy/hCdTLgdsNjyLxAsJT09aLjesEvgP8iTAMndRK2wOHAh8gDM8ubWxf+eqA/74E+DbwF2C54ZEkSTk0DJhGeJL8MGBvwrRkdhQt1jZ+dvIaONLbnYQn1X8H/B2Yh0+qS/XoIoz48CLCNKZ9hkTS+mwokJS27YDPJS+APxKeUL+K0EtWypsxwKmE4ceVjrHAr4CDDIVaYE/gLTiVgBrz0uQFTzydfjEw19BIkqQW6SJ0+jsguU55Ds5VXlb986wfl/z3SuDfwGXALGA2dmiXanF5cv/ge9iILmk9wwyBpIwdDPwMeIwwh/pphEZ2KS9OA44wDKlfX+wNnGEo1CQHABcRhl67HhvPla7+p9MfITzdcwawhWGRJEkZ6yA0kn+YMIx3T/Lzy4RR1MYZIiVGAHsAZxGGpF4EzCF0At2X0Mld0uDOT44d28okPYknBUnNNB34JOFJrkXAxwjzzkit8grgBMOQiU5C54SdDYUysgehl3iVMGXAqw2JmmAqcA7wIPAQ8H7CPKOSJElp2DXJo24DVgM3AGcDzwIqhkd12Jow2t5fCU+jzwE+DeyDo9JK6/s/4CeEjkuSBNiALql1xgEfSi7gHwTeDYw0LGpyMvlOYKKhyMxowggUww2FUjKJ8ATOKuAfwPGGRC20OfAZwhQ1NwCvMySSJKlO04A3Eaa9qwI3Ex48eJahUcq2Bj4AXAOsBW4iNLDvYGgkIHTK/wvQbSgkgQ3okvJhC+ALwHLgCmB/Q6KMtSWJ4gGGInPbE4bDkhpxOGFo9kcJT+B0GhLlzHOAHxJufP8Ub3pLkqQNey7wFcLUMHOB7wAHGhY12W6EId7vApYl17KHGBZ5fuZ2Qud9SSVnA7qkvDkYuDpJJN/veUoZORaHbm+WduBlwCsNhepUAd4DLAF+A+xpSBSJ1xCGXX0AeIfhkCSp9IYDLwcuIzz5+/fkGmGqoVFOjCKMpvR7QofQvwJvBsYYGpXQNsC9ODqDVHo2TEnKq6mEYVF7gQu9aFeKnk2YMsAhmZpnNPB5YLqhUA2mA98G+pL9xvO/YrUl4emyKvBdvEkuSVKZdANvIAyXvQb4JXAYzj2tOOxLGEluCfAv4L04/Z3KZQxwB7CPoZDKywZ0STF4fXLRfgkOoaPGjCL09H+2oWi6LQlDwkkbsjXwC+AR4C2GQwXzRsLoOn8lDAsoSVK5VEvx6qTKa6jyN6qsoMr3qbJPSdbdV3FfO1Plc1R5jCq3UeVkqowtVQxUVsMInaBeZyik8p4EJCkWRxHmv/01Pj2soXk98CbD0BIVYC/g/wyF1rMV8HNgDvAKw6GC25cwbOvdwKsNhyRJhfAC4HJCx/+fAs8zJCqoZwHnAYuBfwCvJUxRIBXZD4GPGAapfGxAlxSjlwArCMNJSbXaFzgdaDMULdMNnAjsYSiU7A9fA+4BXmk4VDLbAxcBc4G3GQ5JkqKzXXIt+yjwR+BQoNOwqET2AH5EaEz/JY6ypGI7izDFqKQSsQFdUszeDCwHjjcU2oQpwMmEYcTVWtOBr+PNpbJ7J2E46xPxiQWV2zTgG8AC4CTDIUlSrg0HTiB0AL0nuZZ1mjmVXTfwcsIoS3OBj+J86Sqm1wN/MQxSediALil2I4HvEYZC3dxwaAOOxaFy82RXQoORymcf4E7gy8BowyH9z2Tgq8B84O2GQ5KkXNmJMDT7IuCbhKfPJT3VNMK0bXMJDY0HGRIVzH7AHfhQiFQK7YZAUkFsDzwIfAL4kOHQAC8EPmYYcqUNOJLQseGHhqM02/xzwDvwiXNpY6YQRuk4DXgvYThMSZLUoBlT6//M7PkcDZwJPBOoGMXGVAb8Y1gF2oZBexsMb3vi323Dwt+GJT8rlcYDXwWqVeirhp+9fU+81vUmrz7o7YXeavKBJ35oaIYTGhqvJIw89iXgszOm0juUhc2eb0CVK08DZgPPAx4wHFJx2YAuqWj52JmERrnnAAsNSenNAD5IGFJM+TKRMCf9dcC9hqPQ9gV+AGxjKKSabQ38ArgVeAtwgyGRJCl7s+czHPgw8DbCCDEaguHt0NEWfvY3kLcNe6JhfFh/q3gl+54JleT/2jbw9+r//u+JhvbevvBzXR+sWwdre2FN8rNqy3q9pgGfBD48ez4XA++fMZVHDIsit1mSo70MuNZwSMVkA7qkItoaeAh4HfArw1FaHcAbgRcYitzaCfgK8GJDUVinAp/C4c2koXo2cD1wOXAMsNSQSJKUvtnzmUyYZuglwAgjsnHtw6CrAzqHQ0f7gAby5KnxmFT+93+h7MMIT8NvSH8je1/yFPvaXli1FlatCf/WBo0AXgu8ZvZ8/gmcOGMqtxgWRWwy8FvgJOBHhkMq4PWOIWiOqt0TpWbrAn5OeOrxeMNRSi8iDIGr/KoABwAfAc42HIUyCTiXMCKIpMYMAw4DHiPc2H+vIZEkKR2z57MDcD6wDxt+SLm0OtqhuxNGdIQnyfufIC91EluBtmQI+uGEm0+jB3S56Esa2Nf1hkb1ntWhgV3/0wbsBdw8ez5zgDfPmMpVeS6w9/W1EWOAbxNGwHT6SKlgbECXVGTDgDcAOwJ7G45S2Tm5cLWey78uQieXawjzoyl+zwa+D+xqKKRUDQfeQ3gS/YOEToKSJGkIZs9nF+C7wO44vzkVQiP5yK7ws21YfE+S50X/EPXtw6BrOIwbGX7f/+T66rWwfFVoWO+zXXYb4MrZ81lAaEj/jXuQIjSC8GDItsCbDIdUHDYsSCqD5wFzgGcCKwxH4Y0DTgR2MRRRJc1nA//E4Ylj93zC6B9TDIWUiT8T5kS/z1BIklS/2fPZGfghodN1KZuIK5XwNPnoETCy08byZsa9rRKe6O9OJriqAtU+6FkDy1aGxvWSNqpPAWbNns9C4A0zpnKZe4wi00Z4OGQL4BDDIRWDDeiSymJr4L+ERvRlhqPQDgPebhiiszfwReytG7PDgUsJo39ISs+jwOmEkR2cWVOSpCGYPZ+nJXXpcylZw/mwYdDVDqO7obvDxvI8qQCVYTCqK7wgNKqvXhsa1FeuCUPBl8hE4Dez5/Mw8PoZU/mTe4kiO6RfSHg4ZG/AyRukyNmALqlMtgTuIAwv/JjhKKQ9CI2w3hKIM9F4KXAdYf4oxeVQ4BJsPJfSsga4GHgzjp4jSVIjpgHfIXS0LoUnNZh3mhzHmBh3DQ+vfqvWwtKe8LMkDeqbE4Z2v4MwfdGt7hmKyEzg34T7JHMMhxTxNZUhkFQymwHXE+YRVfG27RnAZEMRrfHAO3H4/dgcDPwaO2ZKjeoD7kqOqU7gaGw8lyRpqLqBbwIPUPDG8wrQORwmjoZtpsA2k2Ha+DA8u43nxdA1HKaMha0mwYyp4d8jij+aQAXYCbgZ+AOhUV2KxY7AX4D9DYUULxvQJZXRDOAabOwpWn32csITzIrbLsA5Hp/ReA7wPUJjn6ShWQScS5g372nAlYZEkqQhGw6cCjwMnEBBO89Xkrm0p42DbafC5hNgbDcMs8W8FEZ1wfTxsO2UsO1Hjwhz2RdU/7DYc4AvAV3uAYrElsAvgDcYCilONqBLKqvdCfOfqRieB3zZMBTGYcBHDEPuzSBMmbCFoZDqtpYwZcXTgAnAewyJJEkNqQAHALcQOqaNK9oKDquEhtPNJ4SG02njQiO6yq1zOEweA1tPhi0nwbiRhW1MbwdOAR4EjiV0PpXybhLwNeDDhkKK8NrLEEgqqXbgCMJw0YrbNsDnDUPhrk+OB440FLk1FngvsK+hkOryCPAuoAPYmzBkuyRJasxk4AfAn4BnFCoxqsDIpNF8mylh6O5OJ6TTBgxvgwmjnmhMH9MNw4p3939Scrz/GdjBra4IdANnA1/H0RalqHjASiqzscBphLmUvIEd70XoW4DnGorC2YLQQPsPYL7hyJVhhDmaTzIUudILLAV6gOXAMuAhwryfDwGPJ7/rf8/AW2ldhKe0xiQ/pyfH4BbA6ORc2w2MAEZhJ9x69QBXAG8kDNcuSZLS0UYYGvdThEb0QqhUQiP5uJHQ3eFG1tAMb4NJo8Nr9VpYvAJ61kC1WphV3Ae4lfBAxceB1W515dzbgWnA65IcUVLO2YAuqew2Jwz9faihiE6FMHT7mYaisPYHPkpoqO01HLmxE3CeYWiZdYSnmB8AfkdomP1nC8qxDbBncpzuBkwhPA0y1k30P3cTOur9ylBIkpS67QjD4h5SlBVqGxYazceMCI3oUlo6h8PUceHfy1fBohWwdl0hVm0E8CHglYTONP9wayvnXprk8UcBiw2HlG82oEsS7AG8DfimoYjKtsC3DUPhvZYwj+HXDUUujAaOAzYzFE3TC9wOXAycT3iaPA/mJK+fDfK3LZMbA4cQhlXcljBkeRksBH5OGKZ9jbuvJEmJ9J56bQPeBJxDAZ46rwAjOmH8KIdmV3OM6gqvdb2waDmsWAV98T+V/nTgauCLhE74q9zSyrHnE6YgeDlwr+GQ8svhFxVr2rUO6Iv0VXUT5s544ESg01BEYxzhyfNtDUXx83vgHYSOLmq9HQlD6ytbawjTizyP0OH12cBZ5KfxfFMeJIzuciThZlZn8noN4Wns2QXcZn9Pttek5JrCxnNJktK3BfBL4FtE3njeNiw0mm89FaaNt/FczdfeBpPHhn1w0pjw35EbAZwOXA/s7BZWzu1CGE1uf0Mh5biuNASK0LuBLxVsnUYTntbamnCTfOckMdyOMMS4srctoZHuC4Yi99qAFxCeOlA5PBN4X7LNVxiOlplAmLOrzVBk5nZCQ/kvCrhuawhPqw98Yn1mclwfSGhoj839hBv4n3DXlSQpcy8hTCO0dcwrMbwtNJyP6hrwSx+zUAtVCNMGjBkBK9fA48vDnOkR2wW4hjC0+5fdwsqxbQmjl50MXGQ4pPyxAV0xGlXAdVoG/Cd5/W6Qv08DXkcYCnUfYKS7QerGAMcmF9drDUeuzQC+YxhK59XAv4GPGYqWmUYYUl/pu4UwNP5tJVvvG5JXv4OBtwIvJIwOk0d9wCxCp5573HUlScpcN/Bh4AOEtr4odQ6HCaNgRIcbVPk1ogM2nwBr1oWG9J7V0a7KGEKHmwOBtwCPu3WVU5OB7xGmyTvXcEj54hDuUhzmAZ8HDiV0INgG+CywwNCkajphuFnl13jCCBRjDUUpvRM4yjC0RCdwBOEGptKziDDv2W6Ur/F8MH8kDPM+IamTP0l+hnu/FXg9YQSGl2LjuSRJzbAN8Bvgg0TaeN45HDabEBolbTxXLDraYdo42HISjIx7ssOXAf8A9nSrKsdGEEZE/SSO+Cflig3oUpzuJ/S+ngrsBfzekKTCpyvzbTjhKeQXG4rSmgKcSpjyQs01CXiFYUjVn4DtgYsNxaDmAWcQprMZB3yE5jemrwC+mlwf7Ar8sETxryT1rqRycrRC5cGBwJ+Tn9EZ2HDeZY2qSA1vg6njQkN6d7wN6dsR7pu+1S2qnDsN+CbFHH1XMimS1BLXAy8i9Mz+evJvDd0OhEY6n+7Pnx2TfVzldgChEf2DwDrD0TTjsNd+mr5BGAJ8haGoyRLgo8lrK+B04HigK6Pv+3PyXVeVOOYLCHPxjQX+v737jtNsvh44/pk+2wtrrbasqFGCRUSLICQIQkiU/CIFIUVIRxqSIFEjekmCKEFYJQmJEhJEDUKUXXattb3M7vSZ5/fHuRvLtilPufd5Pu/X62Zkdsqd833Kvd/z/Z7T5UMwb7qJdkxfNhR58zWimkeVocibBqLKRrOhUIlUAV8gyi8PyNrJ19bAqkMynWyUllJXEzvS2zpgVlMme6QPB34NbEJsSHIuQWn1BWJe+os4Ny2V/rrOEEhl43ViZ+5OxG62VQ1Jn6wG7ArcbChSZShwA06OKhxH9EO/2lAURR2ws2HIm2uIleUmz/tmMpF8/DKxaPDk5Nqnv94GziMWai0wzDRhdYRCyWECPZ/+AEwzDFLZGEgslDslaydeXQUjBsMwGx6pjDXURVWFRW0wuwk6s7XMshb4BlHR7svALEdUKbUf0b7kUGCS4ZBKeH1nCKSy83ByMXgfsctFvTOK/EzEK38ak5uczQyFlnhMfAd3RBfLIKJ8tfrvFeBMYke1+u9PxOKO1YlSd31xK9GDfkwyNibPJUkqjWFE65TMJc+HNMI6q5o8VwXdIDbA2qvEopGq7G1zOBi4hajkKaXVtkRFtG0NhVQ6JtCl8tQK7Ens2LUsUe/UABsbhlS9T20F/MhQ6D02IsoLjzAUBddIlLpT/50CvGQY8m46cCxR5vV7QMtKvv5l4HCiTPFBwDOGUJKkkhoF/J5o0ZIZ9bWxG3fUMKh2hlUVpqoKRgyKRPrA+syd/i7A7cAWjqRSbF3gLqLirKQS8PJOKm+HA3/B3pW9NZzYcanSGwz80TBoOY4AjjIMBTcAK0Dkw9PAc4ahoFqBnxM72L7O0v17zwfGEQtwrgfaDZkkSSW3FpHIylSCYORgWHOVKGktVbLaGlh9BIzO3kKSLYid6Ds6ikqxUcnj9P8MhVR8JtCl8vdJ7AvYW0OB9Q1DydUD5xB96aXl+SGwl2EoqFpiYZH65z7gDcNQFB3ABcBIokTjgUAVcAL2kJMkKU3GEgumd8jKCTfUxY7b4YPi4kJSGNQI66wSHzPkfcB1wK6OoFJsAHA1cCLm86Si8gknlb824CRWXs5U76gndq+ptO9PewFfMBRaiaFEP3QXvRT2+eg1Y/+9ytI7olX4a6BbsJKJJElpNA64FdgmKyc8YjCsMQLqah08aZk3jtWxE321YVCdnRUmY4HfAbs5gkqxKuCXwFnAEMMhFel9zRBIFeFm3IXeGw3AqoahpIYTPfD0bncC2wGHET18FXYDvkT06lb+1RgCr7slSZLyaB3gBmDrLJxsXU0kzkcMir7PklZscGO0OBiQnd7oawNX4U50pd9JwOVEaXdJBeZEnlQZcsA9RElTrVwtMNAwlEwN0ZvWPvTv9hpwJvAv4Kbk5k7vOBH4hGEo2HuI+m8PYA3DIEmSKtzqwLXAtlk42UFJIrCx3oGTeqOuBlYfnrQ7yMbCk3WBy4DtHT2l3KFElbV1DIVUWCbQpcrxb6DbMCjlqoidxPa0XtrjwMPJf3cBDwCvG5Z37s+Bn5OhEpAZ4ntHfhzg41OSJFWsHJBjFDkuI8fOyf9P9TFycOZKUUupUlWVPI+GQk1V+p/z5NiQHBeRY8t3fV5Knw8BjwDvNxRS4ZhAlyrHXC/7eqwTWGQYSmI94ELDsJSJwEXv+dwTxM4Nvfvx8w1gtKHI+2tim2HotxqicsSWhkKSJFWgYcDPgH1Tf9FWDaOHJztnHTep3wY1wuojoL42E6e7DXA2sL4jp5RbC3gU2MFQSIVhAl2qHGv4nO+xJmCSYSiJ24gS+nq3R4mVpUvqAu4Fphqedzkc+JRhyKt2rHaQL6smz9vNDYUkSaoU+zzZMAA4ATiKlOek62oj0Teo0XGT8qmhDsaMhAENmTjdPYAfEC0npDQbTFSo3MdQSPlnMk2qHDsQu9+0cibQS+N0TCoty2ssf1f+P4EbDdFSzgF2NQx500pUQVB+jCIqSBxqKCRJUrnb58mGeuAQ4LukfB6yoQ7GjIiPkvKvpjozC1SqgCOA44EhjpxSrh64AzgaNyVJeWUCXaoMdcBHMYHeU5OBBYahqHYEvoMV8pblEWIH+rJ0AH8CZhmmpV7zfgpsYCjyohV4yTDk/Qb3BuA5H6eSJKlc7fNkQzWwPfAjINUps8b6SOzVOmsiFVQV0SJhyIDUTwBVA18FDkhey6S0P14vTd5vBxsOKX9PLEnl79vAQMPQI7OBvxiGor8X3YyrJJdlInD+Sr7mH0n89G4fIlbfulq8/xaydAsB5cdmwH+JHen22JMkSeVmTeD7wLppPskB9bD68NgdK6k4Rg2DIQOhKt1Z9GHAScC2jpgy4mTgMqJ9nKR+MllRJLlcziCoVDYEvgk0GIoeeQO4yTAU1dXAaMOwTI8AT63kaxYBdwNH4irT9/omUeb+VkPRv8sY4D/JR6tE5F8VsA3wavJ8/hwwAWgzNJIkKav2fapxAPBlYO80n2djfeyGrTZ5LhXdqkMhl4OFrfExpbYETtrnyYav37l16zRHTRnwGWAccCDgY1bqBy8PpfJWS5R3Hm4oeqQFuBOYZyiK5tDk8P1oaZOIXt498XfgFkO2TL9ObnjVP3OBvxmGghtEVJRoBV4EdiXl5U4lSZLea9+nGmuAjwPfSvN5NtSZPJdKbdQwGJT+LT+fAo5KFgZJWbA98DQprwAjpZ2XiFL5agSeBdYzFD32Mj1PWKr/hhNlhayOsLQckRR/podfPx+4i+iJrncbTfSAGmMo+mU28AfDUFQbAw8Qi7uagO8lj+d6QyNJktJq36caq4hKeN8ixZUv62pg9DCoqUruvjw8PEp2rDYsWimk3JeAnX2VV4aMJlpDfgCrCUp9YgJdKk/rAK8BmxqKHpsNnEckIlUct2DJ8eWZDJzdy++5H7jN0C3TAcSKcVvX9F0Hsaij01CUxGDgp8DbRGn3qcB3gbHErnVJkqS0aAQOJ3a/pVJ1dew8r61xsKS0WH041Kf7jn1dYhf6Go6WMqSK2In+EUMh9eGa0RBIZfecPgl4CfCCrue6gYeAawxF0XwT2NH3oWXqAu4Dnu/l980iWhCY4Fy280nxJF5GTCWqRqj01gB+BrwOLCT2bjwEfIGY2Bnh66skSSq2ZPf5DsCJaT3HKmLneb1La6V0PTerIolek+67mE8D++/7VKOvIMqa+4AvOk8g9Y5PGKl8bAO8CfwCsCdP7zwHfNYwFM0GwKlYun153gLO6scF8d2GcLkuxv5P/TGPWGjUZShSaWfgCmASMCcZp/nJmB0CbIQl4CVJUmGNBo4jxXMSI4dAY50DJaVRbU2Uc0+5zwGbO1rKoMuJynYuAJF6yAS6lG11wJ7ANOAJ7PHbF1OAo4gdfCrC/RDRR3mooVimTuBe4OU+fv80Yhe6Cc5l25zoxejjr+8mYrWOLBkK/B9wI1GdZnEJ+BzwKnBV8h44HngfMMqbaUmS1Bf7PtVYTVQZOyit5zikEQY3xk5XSek0oB5GpLvZ33bAPvs+1ejmJWXRd4AbcFOT1CNOkEnZUw1sRpTAPtJw9Mtc4FiiF4yK4xfAxoZhuaYTq0H74y/A34jFNVracUmMXGjQN7OBC4HPAAMNR6atnxxHLeff5xAVWl5IPr6afG4esbN9ns8hSZK0hDHACWk9udoaGDYo9eWhJQHDB0JLO7S2p/YUP0/Mu/zD0VIGHQSsQ/RFd0OZtKLrR0MgpV4dUXZ1e+AYYFtDkhdNwNFY7rqYPkyUurJ88LJ1AH8GXuvnz3kD+BOwO1aaWZ7fEKvGXzYUffIycBrRg1vlaySwa3KsSDORYP83sSDtNWBWcswEWgylJEnlbd8n/7f7fKfUXtgMtu+5lBVVVbDqEJg6G3K5VJ7iesAe+z7Z+Oyd27QucsSUQdsSczubExslJC2Dl47KonKaiK0CBgHDiDKrqwBrAO9Pbjw/4nAXRDORyL3VUBTNIKI37zBDsVyziaRkPtwFHEiKJ7BKbBjwa+BQbxT6/D58PfBxou+2KttAYpHf9iv4miYiwf4M8BTRCmAa8Fbyb5IkKdtWISo9pdKQAVEWWlJ21NVEKfc56b1b+D9iU84TjpYyagzR2nRL4BXDIS3NBLqy6JfJIfXFPGA/4GFDUVRXAGMNw3J1ALcDr+fp5/2X2IVuAn35dgc+C1wEtBuOXpsMfBe4F0u5a+WGELvSdlzOv88HHgceIxLtryfHTEMnSVK67ftkYxWwBSuvWlMS1VUweICl26WsqaqCwY3Q1AIdnak8xXHAB/d9svG5O7dpbXPElFEDiJ3ouwIPGQ7pPdeRhkBSBZkCbI3J82I7EtgbF22tyDzyt/t8sQnAvwztCp1DTPZVGYo+eQz4imFQHgwD9gROAW4ikukzgBzRd/0e4MdEr7aNfc5KkpQqA4mFqem8yBgEjXUOkpRFNcku9BT7FLC2I6Uy8CBRVUHSEkygS6oU9wDrAJMMRVGtRiSGhxuK5eoA/ghMzfPP/Tdwn+FdqZuJXs/qvS7gRuAMQ6ECGkEswvoB8AfgRaCbSK7/HTgL+DSwvqGSJKkkRgP7p/HE6mqidHuVS++kTKoiFsA0prcFwy7AhkklDpXWC8DpwPHJPaN675okhpISJtAlVYLjiF69Kr7fEgsXtHxNwA8L9LPvAJ43xCu0LvBTLEPeV83AucANhkIlsBPwLeD3wKtEUn02cCvwTeCDhkiSpMLZ98nGGuCjwNA0nt+gRmhw97mUabU1MHRAqk9xD9w0kgatxILrXxM7qScakj45Obm/loQJdEnl7WlgDHCxoSiJbxH9bl2Ju3wdyQX+tAL9/EeBvxnmlTqaKB9dYyj6ZDZwAnCnoVAKjAQOBM4G/kkk1RcSC4q+RbRtkCRJ+VGXvO+m7p6vtgYGNLj7XCoHDXWpXgyzD1F9UaW1DdHuC6Kd4beBmYalTw4l+qH7DqqKZwJdUjnqAg4n+p2/bThKYhOiN/JgQ7FCzURZ4kL6I/CKoV6p64DVDUOfTQeOxQUbSqdBwH5EufdniaT6a8DVRN9CJwYkSeqbtYEPpfHEBtRDfa0DJJWD2pqoKJFSGwIbWcY9FT4ILH6k3EKUI19gWHqtCtiZqGg5wnCokplAl1RufgY0ANcbipK6DEu3r0wHkbSdXuDfcz+xclQrNogoQ15vKPpsKnAIcLuhUAaMAz4H3ET0VJ9FLDj6P0yoS5K0Ukn59p2B1BVXrqqKnsk1znpKZaGqKnqhp/g5/SHcQJIGu/LOLnSAC4iqpK2Gpk82IeYUvT9WxfJSUlK5uIhYFfd9Yge6SueXwHaGYaXaKfzu88VuBSYb8pXaCfgq4F6VvpsNfBb4jaFQxqwC7A9cQyTUpxKL8fYwNJIkLVMdsBspm1usIko9u/tcKi+1NVFZIqWZvJ2BYY5SyW1FVARY0neBG5N7PPX+LXUz4C5DoUplAl1S1p2eXKR+BZhnOEpud+DTuIt3ZTqJJM3sIv2+PwMPG/Ye+QWwJa6w7Y8FwDHATwyFMmwN4DPAvUTJ9yeBk3CBjSRJiw0ges6m6rq5ujoS6HU1DpBUTmqqo7JEdTqzGR8AhjtKqbADS1dG+RIxL6Y+PPWIReUXGgpVIhPokrLoLeBQYhL7VOxnkxbDgDOIpINWrAP4YRF/XxdwG4UvF18u7sAkWX+1JY/xI4Emw6EysDWxwKYDeB04FxhiWCRJFWx9ogd6qjTWRQK9yuWwUlmpqorKEo11qTy9gSy981ml8ZFljEUHMY/8L8PTJ3VE+7PjDIUqjQl0SVlyBtGzdE2iZ6ml2tPlXGC8YVipTuAqirf7fLHbgX8a/h5Zg+iT5bRb/11L7Ex6zFCojIwFTiAW8L0JnA80GhZJUoXZEGhI20k11kN9TXIhn/Pw8CinozbZhZ7i10SV3hbABsv4fBOwN/CKIeqTwcCPgY/28+fMAuYYTmWFCXRJafczYBPi/vcUYJIhSaUjgP2I0j5asS6K1/t8SR3AH71Q7bEvAAdiEj0fXiFWgV9gKFSG1gS+BrQArwHHGhJJUkXIsSE5qtKWYKuvjV7JkspPTXU8x1Oa4F/fEUqNXYiE73vNAT4JTDVEfbIqcCmwaT9+xiRsMakMMYEuKY0uA0YSiavvAy8ZklRbFzgxuZDSinUnF5ulSmL/HncC98b1wCjDkBfNwNeBDwEvGg6VqXFE9YoO4EEiuS5JUrnagBQuNq2tgWqXwEplqaoq1Qtk3ucIpcZusNwFDc8DxwAzDVOfrEtUGhzej5/xGDDFUCoLTKBLSqOjiQTjDKIX8ZaGJNXOAj5gGHqkVLvPF2sHJgDzHYoeaUheg5Q//yRKup9jKFTGaoldD28CbwNHGRJJUhkaTQoT6DXOdEplLcXP8dUcndTYjFjcvDx3EXNzCwxVn3wAuKUf3/8o8KxhVBZ4WSkpzUYRZcGfAVqB14myykqPE4F9sMx1T3QDF1L65PVvgCcdjh7bDjjZMORVC3ASMel6v+FQmRsNXAUsBM41HJKkMrJKGu8DvTGVyluKn+MjHZ1U+QgwdAX/fgnwK2J+Qr1/Gn4YuK6P3z8HeNowKgtMoEvKigZgLHAFsYt3NpGA8f64dLYnFjQMNBQ90gWcloLzaCZW2y5ySHp8Y/CD5PGu/JoB7J4cEw2Hytwg4ARiQeDvDIckqQwM9X5ckv5niCFIlT1Z8S50iM0SNxItuNQ71cDBwOl9/P7HsYy7MvJAl6QsvnaNBH5BJCVnAYcalqKqAk4BNjUUPZIDzgfmpeR8foPlknqjHrjN66aCPTf+BmwIHEEk1aVy1pA81luJfumSJGVVoyGQpP8ZYAhSZSNgvR583ReAB4iqkeqdeuBY+lYt9gngP4ZQaedEsKSsqyJKx91AJNOfBtY3LAV3GlG6XT3TSTp2ny82G7iHSOCoZ0bT9/JUWrmuJL5jkpuvmYZEZa6BmGxYSOxMlyQpa2oNgST9j3mW9NkDGLGSr+kG9gZeMFx9sgqxwWqvXn7f28Bzhk9e7AqAXC5nEKTiXKx+AHiVKL/zXWLXb5ehyat9gSOxXF9vnAM0peycrgH2B8Y7PD1+fTkQ+FwSOxVGN9Ev+iqissgvgTUNi8rYIKI3+reBjwPPGBJJUkY40SVJS74oOv+fNnsBlwFzV/J13cAHgZeAtQ1br60LnA1MBl7sxfc9TlQhXM0QKq1cGSWpXNURiZdO4A/EBLX6bzTwDWAdQ9Fj7URPoLTdSb0J3Jc8R9QzDcSiHBO6xXEjsBawFbEy2dkIlbMxwJPAnUQpPEmS0q7NEEjS/7QbgtRZH3hfD7+2GdiZaBOq3tscuAQY3IvveYzeJdylojOBLqkSHESUSH0QGGU4+vWecSrwEUPRK2clF+JpdCX2HOqtIcDtXkMV1TPAFsmN2C04Wavyfp/dB3gL2NNwSJJSbhEucJSkJV8TlT4fBUb28GvfAA4gfRUks2IX4Lf0vOr1ZJyTVMo5+Sup0t7IZxAr3EYajl47EjjMMPRKB1HGqDul5/cq8ECKzy+NqoDNgDMNRdE1AwcDjcnr0euGRGVqFeBPwO9wN7okKb3mGwJJ+p8FhiCV9iIq2/XUI8CXgFZD1ycHAhfQ87zj46y8xL5UMibQJVWi7YDZwARguOHokfcDxwEjDEWvnEF6d58vdhnwskPVKw3AMViNoZSuBdYjVjZfBswxJCrD+7QjgKd875UkpdQsUrgDvds98VJZS/Fz3NLf6TSWnpdxX+xG4GSgy/D1yeeB7/Twax8hes9LqWQCXVIl2xeYDnyP6JmuZasDTiIWHqjn2oDzSH+P8ReAR3EXem8NAa4GBhiKkuoiFjOsktwU34kr/1Ve3p+8Tu9kKCRJKTOJFCbQu0x3SOV9A5je5/gbjk5qfZyYM+iNc4BfY6uSvmgAvgF8tgdf+wrwX0OmtDKBLqnS1QM/JUoBb2k4lunLRLlk9U4Wdp8vdhExAabeWQO43jCkxmvAfsAwIul4N5YCU3kYA9wOHGUoJEmpkeNVcnSTgzQd7Z3QaRJdKktd3fEcT9vrTnJMdIRS62PE/E1vfS2ZV1DvjQJ+COzWg699HFhkyJRGJtAlKawBPA1chTtKl7QTcDxRJlk91wycT/RAz4Inkse/K2t7pxbYA/iqoUid/wD7ACOJ5OOVwBTDogwbSVQ1OcFQSJJSdL2VuipWbR3Q0eWNjVSOurriOZ5SLzpCqbUGsEEfv3df4FlD2CfjgDOB9VfydY9ga0mllAl0SXpHFbG76wVgE8PBYCIxuKGh6LWfAq0ZO+cLMcHY1+fJKUQ/bqXT28AXgXWS1/mjibYFrYZGGTMU+BHwdUMhSUqBicD8tJ1Uazu0dxCp/ZyHh0e5HLlcVJdobU/1a6LSaz9g1T5+7w7JvIJ6b1tig9HQFXzNv4lS7lLqmECXpKWtRyRXjq/wOHwVOMSHQ68tAi4G2jN23g8Bzzl8fbIacANQYygy4fLkBngAkVQ/g6jC4EYlZcEw4AfA5w2FJKnEpgHPp+0aqr0zEmxd3Q6QVE5yuWSBTGcqT28i9kBPu32A1fv4vS3ANlhmvD+x/wXRG315/kV2qniqgphAl6RlGwr8CrgaqKvQixt3uPXNGcDCjJ77RcBbDmGfbAmcaxgyZwpRQWDb5Lp4faJP14PJTbKURiOBHwMfNRSSpBLqAv5JyhLouVzsQE9pkk1SH3V2QUt7PMdT6HGyOw9UKUYBGxNV6fpiGrAzLrzvqy8BJ6/g3x8GXjVMSht72iqLZiZvWvUZf+7VEonZRmBQ8lHp8zmif+5hwJwK+ZvXJHafj3b4+/T69PMMX1DfQ/RCX8Oh7LUG4DNJDO8xHJk1EfhJckDsUv8UsCeRZN/IECkl1gJ+RvRatP2GJKkUOoH7ge+m7cQ6kj7JA+qhqsqBkspBR2eq+58/AixwlFJvX+ABYFYfvjdH9ELfD7jTUPbJt4A3gcuW8W+PE/MxtlRVqphAVxadRZT9KFdVwLrELrhNicn6DYHNMaFZKnsBtxHlzKdXwPvCMcnfrN4bRXTbU2ValdiF/hiVs+Cm3LUAv02OxdYC9gZ2JMq4bW6YVCJbA78EjgTaDIckqZgmjG/p3u+JAU8DrxPzF6nS2g4djVDvzKeUeV3d0Jzeq9024PEJ41u8Hk+/TwBn0rcEOsR83z3AscAlhrPXGoHTiX7ydywjtk8Rcy22R1RqWMJdWdRQ5n9fDpgE3AdcQPTh3pPo07I4uX4M8HugyYdD0ewC3ETsRi9n+wMnOtxSn20AXGkYytqbwBXAUcAWyXvzQGAP4HvAzcREslQM+wHfMAySpBJZCNxNCitwtbSnereqpF7o6IRFrak9vb8SlVKVfiOA99P3Mu4Qid4rgbMNZ5+MIjZGbruMf3sQ51KUMibQpex5gyh1chjRp3skMYn/iKEpuF2Aq5I3+3K0KVF+b5BDLfXr2mp34ARDUVFaiImTnxPVStZLbsoHADsQK9QvIBbHTTdcyqNG4HBiN7okSUU1YXxLO/DHtJ5fc1v0TZaUXd05WNQWH1PqbmCGI5UZ+wGr9PNndBL9vG8znH2yAVEJYJ33fP5hYlOhlBom0KXsmwtcA+xElN8+3DebgtqbKJdabpUQBgJHA+MdYqnfhgBfI1Y2q7K1Ao8ClwJf590VZQYCmyU38F8FfkUk2N8wbOqlzYiKRZIklcLTwL/TeGKLWqHVXehSpnV2woLm1J7eHOBRy7dnygFE+73+6gA+CzxhSPtkN+AMoirAYm3Ac6Swqo0ql52ApPLSBVyfHJsTq7k+Zljy7ghgCrHasFx8EviKQyvlzXrARURZ707DoWVoAV5IjuUZCqwBjAZWI5LvY5NjrSUO6WNET787DIUkqcgWAr8BzknlybVAQx3U2VFVypzuHCxogVx602k3ApMdqUwZCgzO4/vffsSi+bGGtteOIDYQ/ARoTz53P3AQS+9Ol0rCBLpUvp4DPg6sn9zM7mhI8qaKSDY/T/Siz7rxwGmAUwpSfn2IqFjxdUOhPlqQHC/18OtXJdqMLD7WJHYnb5p8HGZIy9YY4EDgTqIvnyRJRTFhfEvHfk8MmACcyrt3kqVCcxsMbIO6gY6VlDXtHanefZ4D7p4wvmWmI5U5+VyS8TawM/AXYGND22snA9OIDSgQVfkmYQJdKWEJd6n8vUaUd9+DKIWi/BgKHAe8L+N/xypE2dd1HVIp7+qIftj7GwoVySzgReAh4Bai7/rRyXXAcGIBWB2xOv5DwKHAj4E/E6vnlW27ALsbBklSCUwDrkjryc1bBO3WhJIypbsb5qT7DuVWUtq+QkU3hdi49ldD0SdnEZVRISr1/RvLuCslTKBLleOvRLL074Yib3YCvpzxv+Fg4HMOpVQwqwOnEGW4pTToJMoM/hO4CfgRsDcwhEiwrwp8gOgNdw6xEE/ZMA7Y0zBIkoptwviWRUR1tqZUXvx0xS7Wbmu0SJmQA5paobU91ad5C5E4lQDmEC21LjYUvTaQWIS34xLPrUmGRWlgAl2qLIuI3UlXGIq8+QzZ7TP/IeBsh1AquG2IUu5SFswGngVuB04iKq1UESVZPwB8gdixrnQaD6xnGCRJRZfjZXJcSg7SeCxYFOXcJaVfRwfMWZDO15LkuI0cj0wY3+IuWS2pGfga8C1D0WsjgGuJEu5nA6MNidLABLpUmb4EXGoY8mJxz9GGjJ332sD3iR2HkgqriliJ/A1DoQybRyTWryJ2rFcR7Uw2B75DlG5V6W0JbGcYJEkl0Axcn+ZrglkLoqeypPTqzsGM+ZBLb2q6hai48aajpWXoBM4FPm0oem1doiXZtsAgw6E0MIEuVa7jgLsMQ17sR7Z6jtYDhwH7OHRS0QwkelGb2FI5aQKeJ3qWrZG8v4wDTgDmGp6SGAm83zBIkoptwrYtOeAFUlx5qbs7kuhdlnKXUmv2/NQvdPkdcP+EbVt8JdHydBHt0nYjEuqSMsoEulS5uoEjSGmPsoxZnSiNnxU7AT9x2KSi2xj4IdBoKFSmOoheZecTidyhwK7Ak4amqDYCBhsGSVKxTdi2pZ1oA/NwWs+xtR3mNsUuV0npMm8RNLWk+hRfA26YsG3LLEdLK5EDHgC2ByYbDimbTKBLlW0B8CPDkBe7AJtl4Dw3JHrJ1DtkUknsDZxuGFQhmoCHiL7cg4C9gLcMS8FtQCTRJUkqhYnAL4hF+6m0oDl6oudMokupsag1Frek3OXAPxwt9cJTwEeS+2JJGWMCXaps3cBlQKuh6Lftib6jaTaEKCG9tcMllfTa6wjgEEOhCtMM/AVYExhO7E5TYawOjDEMkqRSSMoa30v0gE2tOU2wsCW2CEoqrdZ2mDk/9YtabgOun7BtS5sjpl56DTgIuNZQSNliAl1SO/ZCz9fr6aYpP8cPAyc6VFLJjSZ6RL/PUKhCzQcOAAYA9+DcdSFeY1Y3DJKkEmoBrgAeSfNJzpwPzS1J0s7Dw6MkR1s7TJ8L3enuKP4qcMmEbVum+PKuPpoFfAErEkqZUmsIiiNnXSilVzfwLLESTv2zETFpPT2F57YpcClQ5TBJqbADcArwOUOhCtYKfJwoOf44sTNd/VeNO9AlSSV0x/jm3CeeGPgKcBZwHTA4rec6Yx6sNhwGNTpuUrG1d8L0edDVnfpTvQR40Pl99fchD/wAeDN5TElKOXegS8oBcwxDXqwHrJHC8xoFnIyT6VLaHIFVISSAV4CRwKOGIm8GGwJJUindMb65i2jfciYprjaTA2bMj/7Lpsak4mnrgLfnQmdX6k/1GuB3d4xvtnS78vW2cylwMLGpTVKKmUCXVIU7vvJlNSIBkLbX+X2AwxweKXVqgGOA3QxFwdUC9YYh1XJEZYYnDUVe+HiXJJXcHeObW4GLSXnf11wukugLm02iS8XQ0h47zzOQPH8QOPOO8c0zHDXl2S3EXNA0QyGllwl0SdXAZoYhL4YBg1J2TpsDVzk0UmptCJxE+hbflItBRAWODmAhcDSxcEHp9QlciZ8PDYZAkpQGd4xvnk2UrP1Hms8zl4OZC2D+oqQnuqSCWNQarRMykDx/LXnteslRU4E8BHyUaGcmKYVMoEuqA/YwDHkxAEhT57QxwPnY91xKu32Ab3tdllfDiN1OC4HTl3i/uxSYBezqa2NqTQduMwx5ub6rNQySpJR4g1g0+nraT3ROE8xqMokuFcL8RTBzfiZ6ns8jkucPOWoqsOeBA4FbDYWUPk7USr4GHAqsaijyIk232I3A54gkkaT0Oxr4tGHot9WAPxITHscu52uGAw8QpdI+ZMhS+V76X8PQb61Ap2GQJKXBHeObc8ATwInA7LSfb1Nz9GbusiaOlJ8L/BzMWgBzFkJ3+hentAGnESW2pWJ4CzgcuBA7iUipYgJdqmwDgJ8bhrxpSY5SqwK2An7qkEiZMQL4OrbU6Kt1gX8Su5f37+H3jAYeAWYCH8PdumlRBaxjGPqt2RBIklKmE7gL+GYW3qda2uGt2dDa7sBJ/Xrid8WClAXNmajs0AWcBVxOJNKlYmkFvgacSrSgk5QCJtClynYxMMow5E1zSi6wxwBXOxxS5mwHfAN7F/fGFsCLwCTgg338GasCdxMLoL5JLGZQ6dQAHzcM/dZlCCRJqZIDcrST4wZyfIccncnnUnt0dEYSff4itwRKfdHcBlNnQUtbup/ryZEjxwXkOI8cTe/6N6l4zgCOwwXRUiqYQJcq1+nAkYYhr94idjKW0mDge8BGDoeUSZ8nyrlrxXYFpgLPAhvn6WfWAmcDc4D7sRpAKVQRpfdHGop+W2AIJEkp1QpcCXybjCz4mr0AZljSXeqxXC6eN9Oz9by5iEheznEEVWJXAJ8iAy1PpHJnAl2qTD8CTjYMeTcNmFXi1/Qdga84FFKmfRP4iGFYShVwADCf6GG+RgF/14eB54B24BRgrOEvirHAuYah37oo/YI+SZJWpAW4hOiJnokk+qJWeHMmNLc6eNKKtHUsUbkhO7u3fwX8ABOWSo+7gb2JinuSSsQEulRZaoHbgB8aioJ4EZhSwt+/BnCdwyBl3jpEKffVDQUA9cAxxETrbcDQIv7uOuA04HVgBrFAaU2HpGDvYU97f5IXb5b4ekSSpJ5oAS5Nrq8ysUe1qzt6Oc+cB92WdZbeJZeDuQsjed6WrQ7O5xGbjOY6ikqZJ4CPERsIJJWAE1RS5dieWEl5gKEoiG5KuypwILFidhWHQioL+wJfJhY+VaqhxERGM7FDqdS94UcBFxLJyXnEDoVNfKjmxYeBycBwQ5EXk4DXDIMkKQPaiFK1RwGdWTnpphaYMiN2pUuKhPnU2TC3KVO7znPAT4k2iLY/Ulq9AXwCuNlQSMVnAl0qf2sDfwYepbi79irNf4AXSvS7a4GDgP0dBqmsfLNCn9djiET1fOB0oCaF5zgM+HHy2p8DbiQWqA32YdsrQ5PY3Z/Scc6qlzCBLknKjk7gt8k97aKsnHRXd/R3njYHOrscRFWm7hzMnA9TZ0F7tnaddwDfJxZsuxRGadcEHAJcRIYWm0nlwAS6VL42A/5I7Oj6qOEouEeI0rOlsDZwlUMglZ2BRP/tzSrk730fcBPwFlHKM0sOIcrLNxHVXi4mVokP9GG8TMOAs4hFEocYjrxqA54yDJKkDLqD6Pf6dpZOuqUNJs/I3M5bqd+amuOx39ScvVMnqr393FFUxnwFOJWo0iepCEygS+WlFvgcMBF4DnckF0sH8BjQXoLf3UgknGodBqksfSC5uS/nnc1bAH8FXgE+VQZ/z0jgWOB2YhfVQqLc2leA91f44/mjwF+IEvjf8uldEE8AfzcMkqSMehjYDXg+ayc+d2EkExe2OIgqb63t8ObM2Hne3Z2505+e3HNe6Ugqo34OHE0sRpdUYCZcpOwbQ+ze+iywteEoib8DD5XoNfwEYLxDIJW144BngMvL7O/akSjVvlWZj98g4ODkWGwqMUH8OFHB5LEy/dsbgU8m1yku6iuOh4kS7pIkZdVLRBL9EqKse2Z0dcOMeTBvIaw6DBrrHUyVj45OmLUgqi5k1FPAZ4CXHU1l3HXA60Q7tDUNh1Q4JtCl7NkO2APYBdjd53Eq/JXi9xqtAjYFfmb4pYrwU6Lf9iNl8LfsBVwAbFjB47kmcGhyLNYNvAA8S1SReTY5slTGdFNil/mOycehPnWL6kXgTsMgSSoDs4DDk2ujH2Tt5Ns74a3Z0FAXifSGOgdU2dXRBXMWwKJsdwq/ETgGd+2qfDwC7ApMADYxHFJhmHhTFpVzn496YC1gLLABsBGwHtEXdmPA2670eQq4pwS/tya5SJJUGVYFvkuUBp+a0b/hMKLc2NoO5zJVA5snx7KufSYnY/8m8Cqxc+INYBIwo4jnuXFybJZcp2yYfBzmEJbcPcQOdEmSykEb8EPg38TiyzUy9wd0wNRZsRN95BB3pCtbOjphTlPmE+cLgdOBMx1RlaHXgJ2AO4hF7JLyzAS6sugM4GQigZg1OWKCvDY5/7qM/h16xwTg6SL/zirgXGAdwy9VlH2Jdh2/BNozdN5fA04BRjmEfTaQdxLXK9IFLFjiWAS0JkdL8rjJAZ3J17LE9Ug10AAMSH7fIGAwMILo617lMKTavyi/Ng+SJAHcQlTluYLYbZc5re2xI72+LhLpAxscVKVXW0ckzjNcqn2xicCRwD8cVZWxOUTbkxuAA71vl/LLBLqyaEBySKX2j+QCpZiqiNL9XzH8UkX6IdEP/Z6Un2cDUW7zK1jGu5hqiIT3CENRUZqB67H3uSSpfL0K7A18H/h2cq2ZOe0d8PYcqK2B4YNh6EAHVumxqBXmNkULgozrJubqjsOS7aoMHcBBwHnAl4kKt5LywAS6JPVNG/B7ij9ZPQC42fBLFauB2IE+iXQmy4YDZwNHAI0Ol1QUfwR+bRgkSWWulVig+VfgElZemSe1Ortg1vzoKz14AIwYDDXVDrCKL5eDeYtgQTN0dZfFnzQbOAG41tFVBTqBmCs6g6goJ6mfTKBLUt/cQZSQK7bfEQkq5dcTxK4Gi+nl8V6cKAu9BTDWcOTVJsTO7lOAeSk5pzHApcA+RClwScXxOPA9stXWQZKk/ngQ2Bb4GbHDNLPXnt25SFwuaIaGukikW95dxdDWAXMWRnuBXK5s/qy7gC8B0xxhVbDzic0WN2E1QKnfTKBLUu+9SPQgby3y7/0s0c9G+XVDcpO10FAUxPrE4gTl1/HAo5R+Zf36wHXA9g6JVHSTiZ14kw2FJCn18pukWwh8leiPfhGwadbD09Ye5d2rq2FQY5R4r6vxYaP86eqGBeW123yxWcCJyX1ptyMt8Wdga+CfwCjDIfWdO4QkqZf3tcDlyUVIMY0hyrNWOQR5NRX4DSbPC2kKkexV/l0KbFWi3/0B4BVicYTJc6n4ZgOnEZMjkiRVqgeI3eg/T+7VM6+7G5qaYcoMmDwD5i+KnepSX+SAhS3w5kyYPB3mLiyr5HkOuJGo0PY7TJ5LS3oN2DD5KKmPTKBLUu9cBVxQgt97O/avKYSrgb8YhoJqJ0pHPWQo8m4gcCawVhF/54eJknhPA+9zCKSSaCLK1l5hKCRJoploZ7IV8Pdy+sM6u2D2AnjjbXhzViTWcybT1QOLWmHabHj9bZgxD9o7810EouQmAR8BPk3sQJe0tHnAZsl7o+8eUh+YQJeknrsb+AbQVeTfu3gyQPl1P3ANrlIuhllEiUXl355Ee4cBBf49BwFzkufN6oZdKplFRPL8l4ZCkqR3eZFIqB1GmfVAzgHtHTBzPrw+PZLpC0ym670Xia0wbQ5Mehumz4WW9rJ8jLQC3wc2JipQSFr5c+bDwO+BTsMh9Y4JdEnqmX8AX6T4ZeG2IRLotQ5BXi0kdp9byqh4Xga+YxgK4ifABwt0nXh88nz5AzDCUEslNR84hUigS5KkpXUSSYL1iLLuLeX2B+ZykUyfNT8SpVNmxC71DtMiFaerG+YthKmzYNK0JGneVrYLK7qJcu3rJNfC7T4CpF49fw4n5o587ki9YAJdklbuWeAYSrOK/QZgiEOQd9cD1xmGomoFrgUeNxR5V0MsCMlnSfUBwOnAr7B9hJQGbwNHA+cZCkmSVqqNWIi+JrEQtGz3and0RZ/0KTOjXPe02dDUYq3ectXSFiXZ35gex5wmaOso6/HOAU8BGxHl2mf6KJD67DTgCIq/OUzKLBPokrRizyYXF8+X4HdfDIx1CAoypldi6fZSeAtLuRfKWKKU3cg8/byW5OdtBLxpeKWSegXYA7jJUEiS1CtzgU8B61Nm/dGXpTsXZbtnzosdyW9Mh7fnQrOpksxqS0r3T5kBE6dFifaFLbH7vAJMBnYCxgOv+miQ8uJmYDtik4uklTCBLknL9zRwCKVJnu9PlNepcxjyKkfsPHcXdOm8APzYMBTEUcB+xI70fHmZKIF5BNBliKWiv2c9AGyYvHZKkqS+mTRuDLsAWwLPUCEbtLu6obkV3p4TydfXp7+TgLV/ejov/Frb39lhPnFalGdvao5KAxVkFrDPuDGMHTeGf4wbY0EFKc/+DawFTDcU0oqZQJekZd+3PALsRiSPiq0RuARLtxfCH5PYqnQWAdcATxqKgrgG2DjPP7OTWHiyWvLzrd4gFV4z0UZhN0MhSVJ+jBvDv8eNYStiR+vzVFil8+7ud0qAT3o7dqlPTnqot3WYVC+mXC6S4vMWwpuz3hmPt2ZX1A7z95oHHACsNm4Md/sokQpqNtHm5HlDIS1frSGQpHffUwITkov2UrmJSFQpvyYDVwBNhqLkXge+CfwVF/MVwhXAgUTP5HyaQ+xyPwO4FdjcUEsF8SpRTeIlQyFJUv6NG8NTwOYTp7E5cBWwdSXel+SAzqSH+vxF73y+tgYGNcLABqivg+oqqKrycdOnGOfeSZY3t8GiFmjvNC7vMR34InCXu82louoi5nVuo7Tz4FJqmUCXpHe0A2cCPyjhORxP7DYzqZj/uYGbwVXMKfIkcBbwXUORdx8kes3/lNjxn2+vAlsAH05utIYbcikvOoDLk2sBSZJUYOPG8Byw7cRpjCUWoe6KbdSWmVQHqK+FAQ0woB7qaqG62uQ6RIK8Oxc7/Du7oLUjdvq3tvscW1HYgFeAL44bw98Nh1RSBwI/w/k5aSkm0It2MeUCOinlJhMrXu8t4TmMBU4FBjscefcwcKFhSJUm4EpilevGhiPvvp+8nj1I4UpTPgCMAA4lWiMMN+xSn70AfAyYYigkSSqucWN4A9hz4jSGAOcAn/a+fGntnXHMX8YS3Ya62K3eUAd1NZFcr6mOj1VVkNUcey75n+7uKKvelSTJ2zuj7L2l73utI7lHPX7cmJK0TOzb48BBVvk7mWhjegVu6pL+xwS6pEqXI0q271/i86gBbgBGOyR5twD4LfCGoUidV4GTkuegF+j5dyNRjnJqEX7PjcCxxKrl4YZe6rG5wHeIneeSJKmExo2hCfgS8KWJ0zgROAFY28is3OJk8vL6pVVXQW1tlIevrU4+1ryTZK+uWiLZXuCE+/92jCeJ8e7u+O/OrqWPCu1FXggLgWuAU8eNYZ7hkFKnO3mOvgb8BWgwJJIJdEmVbSZwInBtCs7lNGBLh6QgJhArKJVOjwC/Ar5mKPJuNaLywmeJCYtCuwS4NHldPQUT6dKKdCTPl68aCkmSCm/itF5/yznJsQfR5m0HnEfts+4ctHfEoYryX6JV4tX9eC5KKo4c8BCwKdF2cbghUaVzt5ekSvU7IrmUhuT5h4DPAwMclrx7HjjXMKTafOAyrBBQKAcSJdaLNdmXA35JlHY/HpjlEEhL+QOxot/kuSRJ6XcfsAuwDnA2MNuQSCu0CPg9sDnRru1qQyJlykRgHM7TSSbQJVWcfwEbEDsy02AAsQPN0u351wHcTKyaVLq9AHzbMBTMFcnNT7H9GhgFHAG86TBI3A4MAT5F0lJTkiRlxrTknmVV4KPAA0C7YZEgubZ9Hjgqud49LPn/krJpLrAJcL+hUCUzgS6pUrwBfAzYjui7nBYXAhs5PAXxILETVtlwL7ETXYVxGzCoRL/7OqJ35B44iaLKdB2x4/wAitNOQZIkFf7eZTeiqt03iJ6xUiWaBpxFVGjYnOih7EJRqTy0AHsDFxsKVSoT6JLK3ZvAp4F1gT+l7NwOBvYH6hymvJsKXECUDlM2zCUS6DMNRUFsCvyY0vZt/CsxqbIhUcK622FRGZsP/BSoIqowuENNkqTyfL8/D3gfMJZoHzbVsKjMzSPaIm4FrAF8ByuOSeWqHfg6cJKhUCUygS6pXL1A7PRaG7gxhee3CnAaUf5N+dUN3ANMMBSZ8yTwfcNQMCcBOxEJvVJ6hShhXU+UwZzh0KiMPEcskBsOnGw4JEmqGJOBE4G1iLK3lwPTDYvKxCJiEfTOwAiiLeIzhkWqCB3A+cAnDYUqjQl0SeXmPmCz5Lg9xed5GZZuL5RngB8Yhsy6A7jBMBTMrURiLw26gLOB0cCHgb85PMqoHHAtMWG+BXCLIZEkaRnvlpVzvESOo8mxOjk2IceF5HirwmLgkf1jATmuJceO5BhMjk+R4+GKjIWkLqI14A7AAsOhSmECXVI5WAj8hOgvuiex+zzNvkb0Aq5y6PJuAXAl0YdL2TQD+DUw21AUxAjg+hSe14PA7kAjUR7sLYdKGfAY0SamGjgSS7ZKkqSlvZTMAayZHN8HnjcsSqnJxCLnTYFhyTXuPwyLpMSjwHbAJEOhSmACXVKW3UKUjxoC/JBs9BfdAPgKMNThK4iHiOSrsu3vxKIYFcbewNGkcxFPG3ABMbn4fuBXxEpnKS0mAt8CBgEfJJ1tYiRJUjq9BfwM2BwYQJTDvTW5BpZKIUdUAjuKaDE4lmiz9aKhkbQc/wV2BP5lKFTuTKBLypp7gUOIxM/BwMMZO//ziSS68u81YiGFysMfsI99IV0MjEv5Of4H+CpQC+wK/N5hU4lMAU4lFnasD/wCaDYskiSpH1qJcrgHEVWYNgFOAp40NCqwV4kF69sRuYHdgWuwCpyknpuWvHbYglFlrdYQSMqA24GriN7IWfYT4CMOZ0G0EZMPTxmKsvEWUU1gR2Ck4ci7auBOYqIuCx5KjsOSm7SjicVUUqH8F7iEaHkww3BIkqQCeyk5zkmu1bcD9kqueTc1POqHycR8ye3EjtGFhkRSHjQBnwdeB75rOFSO3IEuKY1mAKcBWxE7zQ8g+8nznYEjiD7tyr/ncPd5OboXONcwFMxGwHkZPO+/Aocm7w87AZc6lMqTW4H9iJKqGyfPD5PnkiSp2LqJPrM/JtoaDSIS6qcCTwMdhkgreOy8DPwS+DCwClGW/QTgfkyeS8qvFuAHwHGGQuXIHeiS0qCdKCd8O/A4sKjM/r4hxO7z9Rzqgnib6CNnOd3y0wVcl9z472448q4K+DpRKv+vGf0bHkmOY4kFAfsDJwKjHV71wMvJ9ce9wAuGQ5IkpVQzsXP4X8DpQD2RFN2BWPy3HbCOYapIs4hKfPcA9wFvELtCJalYOpL76pnEHF69IVG5MIEuqRReBy4H/gY8T/mvgD2N2IGu/OsmVlHfaijK1iSilPt2xGIU5d8NxAKfrL8W/xc4KzmGAx8EvgAc7BArMT25sb8beAZ3b0mSpGxqB15Jjt8mnxsJrEssPt4F2AZYy1CVlbnAs8QC4nuT+5+ZxMJzSSq1PySvSdf6/qNyYQJdUqHNBK4G/gy8RqyGrSQHE6WGa3woFMQkYgetytsdRNLr24aiIEYCtxA9FsvFPOBPyQExmfhB4Hii7Lsqw0tEH/O/EROM7YZEkiSVqTnJ8RTRR70KGAqsCWyfXAtvkxxKv1eAJ4HHgH8CE5N7HBeASkqzB4G9icVdWxsOZZ0JdEn50gHcRSS6ngKmYd/QtYFvAKv78CiIJt4pEaTy1glcBeyYHMqvamA34KvAhWX6N76eHDck/38sUdXgaGAPHwJl8zpxJXATUZr9TUMiSZIqWA6Ynxz/ITY2QJTWHUq0P9oU2JZIqpvoKI1XgCeI8vwvJGM1G2hNxlCSsuYFYJ/k/vzjhkNZZgJdUm+0AQ8lxyPAZGKF81xDs0w/JnqSqTCeBc41DBXjv8ClwFbAQMORd3VEP8X7gBcr4O99IzluTv7/KKKM/UFE2fdVfEikWjOxov1mYtJxRnKNIkmSpBVrJ/pmzyLmdS5PPl+b3GetSSw23YhIqm8FbEbsaFffvAY8Tewof5FY2PsmsAB3lEsqT28TVVnPIzYuSJlkAl3SYh1EP/KniNWvTxMT0ouWONRzRwOHeJNZMFOBE4ke6KocvyfKDx5vKApiCHArsEkF/u0zk+Nx4DvEgoJVgXHAp4HDiFL3Kr77iBYDfyMW7c0jdptLkiQpfzqJhO4CIsn7pyX+rRpoAIYRC01HJdfJmxDJ9c2JxHslmknstnw++fgaMJ13Npu04LyFpMrUAnwleU081XAoi0ygS+VpKlFCfRqxw25ichG/ZM+k9uRow4nofPsAcCwwyFAURCtRovdfhqLidAJX8E7/PuVXFbA+cBEuUuhY4n30EaK8fTVR7nIEUV3kM0RvL6+n+28KcC9wN7GIoYlYuOeOHEmSpNLrJhIhLcSuQoAHlvF19UAjMCD5OJhoabd2coxNjjWBMURCPk2bDpqSv+8touLi68l16pTkvmB+Mh/RSlRE6sAy65K0Ih3Aj5LX1osMh7KmKpfzfb4Y5s+fPzK5kJSWJ/eeC+9ccpOSe8/RvYLDJ3Q6DE4OFUYX7ywEUWUaggtUCqmb2Enhe0rP1BIThI3A+4G9iL7q2xqa/5kJPEYsRniYKLveQkw+thseVZhGYLhhyJsZuLOvHFUBow1DXixelCZJyrZ6rIqWL7NxTrEUhmJLxrwZNmzY20ahCDclJtBLa/78+QZBkiSpPFUT5eAXJ9k3A8Ynx3ZE6cssmwL8B3gJeJZoATOFmIzoIqpGWOVGkiRJkiSpl4YNG2YQSsgEeomZQJckSars6/HkqH7Pf48hSl2ulRyrEz0nRxM7D4YSlRiGJR+rV/A7WnmnZcs8ovxkE7Aw+e9ZRF+yGcnH6UTpylksuxrOe6vmSJIkSZIkKY9MoJeWCXRJkiRJkiRJkiRJkljxThVJkiRJkiRJkiRJkiqGCXRJkiRJkiRJkiRJkjCBLkmSJEmSJEmSJEkSYAJdkiRJkiRJkiRJkiTABLokSZIkSZIkSZIkSYAJdEmSJEmSJEmSJEmSABPokiRJkiRJkiRJkiQBJtAlSZIkSZIkSZIkSQJMoEuSJEmSJEmSJEmSBJhAlyRJkiRJkiRJkiQJMIEuSZIkSZIkSZIkSRJgAl2SJEmSJEmSJEmSJMAEuiRJkiRJkiRJkiRJgAl0SZIkSZIkSZIkSZIAE+iSJEmSJEmSJEmSJAEm0CVJkiRJkiRJkiRJAkygS5IkSZIkSZIkSZIEmECXJEmSJEmSJEmSJAkwgS5JkiRJkiRJkiRJEmACXZIkSZIkSZIkSZIkwAS6JEmSJEmSJEmSJEmACXRJkiRJkiRJkiRJkgAT6JIkSZIkSZIkSZIkASbQJUmSJEmSJEmSJEkCTKBLkiRJkiRJkiRJkgSYQJckSZIkSZIkSZIkCTCBLkmSJEmSJEmSJEkSYAJdkiRJkiRJkiRJkiTABLokSZIkSZIkSZIkSYAJdEmSJEmSJEmSJEmSABPokiRJkiRJkiRJkiQBJtAlSZIkSZIkSZIkSQJMoEuSJEmSJEmSJEmSBJhAlyRJkiRJkiRJkiQJMIEuSZIkSZIkSZIkSRJgAl2SJEmSJEmSJEmSJMAEuiRJkiRJkiRJkiRJgAl0SZIkSZIkSZIkSZIAE+iSJEmSJEmSJEmSJAEm0CVJkiRJkiRJkiRJAkygS5IkSZIkSZIkSZIEmECXJEmS`
+      __cnt__: 0
     }
   }
 
@@ -28,12 +30,13 @@ class IndexPage extends React.Component {
   render() {
     return (
       <div className='IndexPage-container'>
-        <img
-          src={ this.state.bastionLogo }
-          onClick={ () => this.increment() }
-          width='1024'
-          height='176'
-        />
+        <SEO path={ this.props.location.pathname } />
+        <div className='logo' onClick={ () => this.increment() }>
+          <Img
+            sizes={ this.props.data.file.childImageSharp.sizes }
+            alt='Bastion'
+          />
+        </div>
         <p>Give awesome perks to your Discord server!</p>
         <Link to='/add'>
           <button>Add Bastion to Discord</button>
@@ -41,9 +44,24 @@ class IndexPage extends React.Component {
         <ExternalLink to='https://discord.gg/fzx8fkt'>
           <button className='primary'>Join Bastion HQ</button>
         </ExternalLink>
+        <div>
+          <BotStatus />
+        </div>
       </div>
     );
   }
 }
 
 export default IndexPage;
+
+export const query = graphql`
+  query IndexQuery {
+    file(relativePath: { eq: "bastion-logo.png" }) {
+      childImageSharp {
+        sizes(maxWidth: 1024) {
+          ...GatsbyImageSharpSizes_withWebp
+        }
+      }
+    }
+  }
+`;
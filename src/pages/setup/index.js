@@ -0,0 +1,361 @@
+import React from 'react';
+import ExternalLink from '../../components/ExternalLink.js';
+import SEO from '../../components/SEO';
+import {
+  API_KEYS,
+  defaultValues,
+  validateValues,
+  buildConfig,
+  buildCredentials
+} from '../../utils/bastionConfig.js';
+import { downloadFile } from '../../utils/download.js';
+import './index.css';
+
+const STEPS = [
+  {
+    title: 'Bot',
+    fields: [ 'token', 'ownerIds', 'prefix' ]
+  },
+  {
+    title: 'Modules',
+    fields: []
+  },
+  {
+    title: 'Music',
+    fields: [ 'volume', 'maxQueueSize' ]
+  },
+  {
+    title: 'API Keys',
+    fields: []
+  },
+  {
+    title: 'Download',
+    fields: []
+  }
+];
+
+class SetupPage extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      step: 0,
+      values: defaultValues(this.modules()),
+      showErrors: false
+    };
+  }
+
+  modules() {
+    return this.props.data.allBastionCommand.distinct;
+  }
+
+  errors() {
+    return validateValues(this.state.values);
+  }
+
+  stepErrors(step) {
+    let errors = this.errors();
+    return STEPS[step].fields.filter(field => errors[field]);
+  }
+
+  setValue(name, value) {
+    this.setState({
+      values: Object.assign({}, this.state.values, {
+        [name]: value
+      })
+    });
+  }
+
+  setNestedValue(group, name, value) {
+    this.setValue(group, Object.assign({}, this.state.values[group], {
+      [name]: value
+    }));
+  }
+
+  toggleModule(module) {
+    let modules = this.state.values.modules;
+    this.setValue('modules', modules.includes(module)
+      ? modules.filter(m => m !== module)
+      : modules.concat(module));
+  }
+
+  goTo(step) {
+    // Moving forward needs the fields of the steps before it to be valid.
+    for (let i = 0; i < step; i++) {
+      if (this.stepErrors(i).length) {
+        this.setState({
+          step: i,
+          showErrors: true
+        });
+        return;
+      }
+    }
+
+    this.setState({
+      step: step,
+      showErrors: false
+    });
+  }
+
+  download(filename, content) {
+    downloadFile(filename, `${JSON.stringify(content, null, 2)}\n`);
+  }
+
+  renderError(field) {
+    let error = this.errors()[field];
+    if (!this.state.showErrors || !error) return null;
+
+    return <div className='error'>{ error }</div>;
+  }
+
+  renderBotStep() {
+    return (
+      <div className='step'>
+        <label>
+          Bot Token
+          <input
+            type='text'
+            value={ this.state.values.token }
+            onChange={ e => this.setValue('token', e.target.value) }
+          />
+          <small>
+            You can leave the placeholder and fill it in later. Never share
+            your token with anyone.
+          </small>
+        </label>
+        { this.renderError('token') }
+        <label>
+          Owner IDs
+          <input
+            type='text'
+            placeholder='266290969974931457, 267035345537728512'
+            value={ this.state.values.ownerIds }
+            onChange={ e => this.setValue('ownerIds', e.target.value) }
+          />
+          <small>
+            The user IDs of the owners of the bot, separated by commas.
+            They can use the bot owner commands.
+          </small>
+        </label>
+        { this.renderError('ownerIds') }
+        <label>
+          Prefix
+          <input
+            type='text'
+            value={ this.state.values.prefix }
+            onChange={ e => this.setValue('prefix', e.target.value) }
+          />
+        </label>
+        { this.renderError('prefix') }
+      </div>
+    );
+  }
+
+  renderModulesStep() {
+    return (
+      <div className='step'>
+        <p>Choose the modules you want to enable.</p>
+        <ul className='checkboxes'>
+          {
+            this.modules().map(module => {
+              return (
+                <li key={ module }>
+                  <label>
+                    <input
+                      type='checkbox'
+                      checked={ this.state.values.modules.includes(module) }
+                      onChange={ () => this.toggleModule(module) }
+                    />
+                    { module.replace(/_/g, ' ') }
+                  </label>
+                </li>
+              );
+            })
+          }
+        </ul>
+      </div>
+    );
+  }
+
+  renderMusicStep() {
+    let music = this.state.values.music;
+    if (!this.state.values.modules.includes('music')) {
+      return (
+        <div className='step'>
+          <p>The music module is disabled, so there's nothing to set up here.</p>
+        </div>
+      );
+    }
+
+    return (
+      <div className='step'>
+        <label className='inline'>
+          <input
+            type='checkbox'
+            checked={ music.status }
+            onChange={ e => this.setNestedValue('music', 'status', e.target.checked) }
+          />
+          Enable music
+        </label>
+        <label>
+          Default Volume
+          <input
+            type='number'
+            min='1'
+            max='100'
+            value={ music.volume }
+            onChange={ e => this.setNestedValue('music', 'volume', e.target.value) }
+          />
+        </label>
+        { this.renderError('volume') }
+        <label>
+          Maximum Queue Size
+          <input
+            type='number'
+            min='1'
+            value={ music.maxQueueSize }
+            onChange={ e => this.setNestedValue('music', 'maxQueueSize', e.target.value) }
+          />
+        </label>
+        { this.renderError('maxQueueSize') }
+      </div>
+    );
+  }
+
+  renderAPIKeysStep() {
+    return (
+      <div className='step'>
+        <p>
+          These are optional, leave the ones you don't have empty. The
+          commands that need them won't work without them.
+        </p>
+        {
+          API_KEYS.map(apiKey => {
+            return (
+              <label key={ apiKey.key }>
+                { apiKey.title }
+                <input
+                  type='text'
+                  value={ this.state.values.apiKeys[apiKey.key] }
+                  onChange={ e => this.setNestedValue('apiKeys', apiKey.key, e.target.value) }
+                />
+                <small>{ apiKey.description }</small>
+              </label>
+            );
+          })
+        }
+      </div>
+    );
+  }
+
+  renderDownloadStep() {
+    let config = buildConfig(this.state.values, this.modules());
+    let credentials = buildCredentials(this.state.values);
+
+    return (
+      <div className='step'>
+        <p>
+          Save these files in the <code>settings</code> directory of Bastion,
+          and start it. Check out the <ExternalLink
+          to='https://docs.bastionbot.org'>installation guide</ExternalLink> for
+          the rest of the setup.
+        </p>
+        {
+          [
+            { filename: 'config.json', content: config },
+            { filename: 'credentials.json', content: credentials }
+          ].map(file => {
+            return (
+              <div className='file' key={ file.filename }>
+                <h4>{ file.filename }</h4>
+                <pre>{ JSON.stringify(file.content, null, 2) }</pre>
+                <button onClick={ () => this.download(file.filename, file.content) }>
+                  Download { file.filename }
+                </button>
+              </div>
+            );
+          })
+        }
+      </div>
+    );
+  }
+
+  render() {
+    let steps = [
+      () => this.renderBotStep(),
+      () => this.renderModulesStep(),
+      () => this.renderMusicStep(),
+      () => this.renderAPIKeysStep(),
+      () => this.renderDownloadStep()
+    ];
+
+    return (
+      <div id='setup'>
+        <SEO
+          title='Set up Bastion'
+          description='Create the configuration files for hosting Bastion yourself.'
+          path={ this.props.location.pathname }
+        />
+
+        <div className='header'>
+          <h1>Set up Bastion</h1>
+          <p>
+            Create the configuration files for hosting Bastion yourself.
+            Everything stays in your browser, nothing you enter here is sent
+            anywhere.
+          </p>
+        </div>
+
+        <div className='container'>
+          <ol className='steps'>
+            {
+              STEPS.map((step, i) => {
+                return (
+                  <li key={ step.title } className={ i === this.state.step ? 'current' : '' }>
+                    <button
+                      aria-current={ i === this.state.step ? 'step' : undefined }
+                      onClick={ () => this.goTo(i) }
+                    >
+                      { step.title }
+                    </button>
+                  </li>
+                );
+              })
+            }
+          </ol>
+
+          { steps[this.state.step]() }
+
+          <div className='navigation'>
+            {
+              this.state.step > 0
+              ? <button onClick={ () => this.goTo(this.state.step - 1) }>Back</button>
+              : null
+            }
+            {
+              this.state.step < STEPS.length - 1
+              ? <button className='primary' onClick={ () => this.goTo(this.state.step + 1) }>
+                  Next
+                </button>
+              : null
+            }
+          </div>
+        </div>
+      </div>
+    );
+  }
+}
+
+export default SetupPage;
+
+export const query = graphql`
+  query SetupQuery($channel: String!) {
+    allBastionCommand(
+      filter: {
+        locale: { eq: "en" }
+        channel: { eq: $channel }
+      }
+    ) {
+      distinct(field: module)
+    }
+  }
+`;
@@ -0,0 +1,106 @@
+import React from 'react';
+import Link from 'gatsby-link';
+import SEO from '../../components/SEO';
+import { decodeSnowflake, isSnowflake } from '../../utils/snowflake.js';
+import { relativeTime, toUnixSeconds } from '../../utils/timestamp.js';
+import './index.css';
+
+class SnowflakeDecoderPage extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      id: ''
+    };
+  }
+
+  renderResult() {
+    let id = this.state.id.trim();
+    if (!id) return null;
+
+    let snowflake = decodeSnowflake(id);
+    if (!snowflake) {
+      return <div className='error'>IDs only have digits, and are at most 20 digits long.</div>;
+    }
+
+    let rows = [
+      [ 'Created', snowflake.date.toLocaleString() ],
+      [ 'Created (UTC)', snowflake.date.toISOString() ],
+      [ 'Age', relativeTime(snowflake.date) ],
+      [ 'Timestamp', snowflake.timestamp ],
+      [ 'Worker ID', snowflake.workerId ],
+      [ 'Process ID', snowflake.processId ],
+      [ 'Increment', snowflake.increment ]
+    ];
+
+    return (
+      <div className='result'>
+        {
+          isSnowflake(id)
+          ? null
+          : <div className='warning'>
+              This doesn't look like a Discord ID, they're 17 to 20 digits long
+              and can't be from the future.
+            </div>
+        }
+        <table>
+          <tbody>
+            {
+              rows.map(row => {
+                return (
+                  <tr key={ row[0] }>
+                    <th>{ row[0] }</th>
+                    <td><code>{ row[1] }</code></td>
+                  </tr>
+                );
+              })
+            }
+          </tbody>
+        </table>
+        <Link to={ `/timestampformatter?t=${toUnixSeconds(snowflake.date)}` }>
+          Use this time in a message
+        </Link>
+      </div>
+    );
+  }
+
+  render() {
+    return (
+      <div id='snowflakeDecoder'>
+        <SEO
+          title='Snowflake Decoder'
+          description='Find out when a Discord user, server, channel, role or message was created from its ID.'
+          path={ this.props.location.pathname }
+        />
+
+        <div className='header'>
+          <h1>Snowflake Decoder</h1>
+          <p>
+            Discord IDs, called snowflakes, have the time they were created in
+            them. Find out when a user, server, channel, role or message was
+            created from its ID.
+          </p>
+          <p>
+            Not sure how to get an ID? <Link to='/faq#how-do-i-get-an-id'>Here's
+            how</Link>.
+          </p>
+        </div>
+
+        <div className='container'>
+          <label>
+            ID
+            <input
+              type='text'
+              inputMode='numeric'
+              placeholder='267035345537728512'
+              value={ this.state.id }
+              onChange={ e => this.setState({ id: e.target.value }) }
+            />
+          </label>
+          { this.renderResult() }
+        </div>
+      </div>
+    );
+  }
+}
+
+export default SnowflakeDecoderPage;
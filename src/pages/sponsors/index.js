@@ -1,12 +1,41 @@
 import React from 'react';
 import ExternalLink from '../../components/ExternalLink.js';
-import sponsors from './sponsors.json';
+import SEO from '../../components/SEO';
+import Image from '../../components/Image';
+import { sponsorsByTier } from '../../utils/sponsors.js';
+import tiers from './tiers.json';
 import './index.css';
 
 class SponsorsPage extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      // The sponsors are rotated once the page is in the browser, the built
+      // page has them in the order of sponsors.json.
+      now: null
+    };
+  }
+
+  componentDidMount() {
+    this.setState({
+      now: Date.now()
+    });
+  }
+
   render() {
+    let sponsors = this.props.data.allSponsorsJson
+      ? this.props.data.allSponsorsJson.edges.map(edge => edge.node)
+      : [];
+    let groups = sponsorsByTier(sponsors, tiers, this.state.now);
+
     return (
       <div id='sponsors'>
+        <SEO
+          title='Sponsors'
+          description='The amazing companies and people who sponsor The Bastion Bot Project.'
+          path={ this.props.location.pathname }
+        />
+
         <div className='header'>
           <h1>Sponsors</h1>
           <p>
@@ -15,29 +44,79 @@ class SponsorsPage extends React.Component {
           </p>
         </div>
 
-        <div className='container'>
-          {
-            sponsors.map((sponsor, i) => {
-              return (
-                <div className='sponsor' key={ i }>
-                  <ExternalLink to={ sponsor.url }>
-                    <div className='image'>
-                      <img
-                        src={ sponsor.image }
-                        width='150'
-                        height='150'
-                        alt='Sponsor Logo'
-                      />
-                    </div>
-                    <div className='details'>
-                      <h4>{ sponsor.title }</h4>
-                      <p>{ sponsor.description }</p>
-                    </div>
-                  </ExternalLink>
+        {
+          groups.length
+          ? groups.map(group => {
+            return (
+              <div className={ `container tier ${group.tier.name}` } key={ group.tier.name }>
+                <h2>{ group.tier.title } Sponsors</h2>
+                <div className='sponsors'>
+                  {
+                    group.sponsors.map(sponsor => {
+                      return (
+                        <div className='sponsor' key={ sponsor.url }>
+                          <ExternalLink to={ sponsor.url }>
+                            <div className='image'>
+                              <Image
+                                image={ sponsor.image }
+                                resolutions={ group.tier.name }
+                                width={ group.tier.logoSize }
+                                height={ group.tier.logoSize }
+                                alt={ `${sponsor.title} Logo` }
+                              />
+                            </div>
+                            <div className='details'>
+                              <h4>{ sponsor.title }</h4>
+                              {
+                                group.tier.name === 'community'
+                                ? null
+                                : <p>{ sponsor.description }</p>
+                              }
+                            </div>
+                          </ExternalLink>
+                        </div>
+                      );
+                    })
+                  }
                 </div>
-              );
-            })
-          }
+              </div>
+            );
+          })
+          : <div className='container'>
+            <p>There aren't any sponsors right now. You could be the first one!</p>
+          </div>
+        }
+
+        <div className='container become' id='become-a-sponsor'>
+          <h2>Become a Sponsor</h2>
+          <p>
+            Sponsoring Bastion helps us pay for the servers and keep working on
+            it, and puts your name in front of the people who use it.
+          </p>
+          <div className='tiers'>
+            {
+              tiers.map(tier => {
+                return (
+                  <div className={ `tierInfo ${tier.name}` } key={ tier.name }>
+                    <h3>{ tier.title }</h3>
+                    <p>{ tier.description }</p>
+                    <ul>
+                      {
+                        tier.perks.map(perk => <li key={ perk }>{ perk }</li>)
+                      }
+                    </ul>
+                  </div>
+                );
+              })
+            }
+          </div>
+          <p>
+            Sponsorships run for a set time and can be renewed. Get in touch with
+            us in Bastion HQ to talk about sponsoring.
+          </p>
+          <ExternalLink to='https://discord.gg/fzx8fkt'>
+            <button className='primary'>Contact Us in Bastion HQ</button>
+          </ExternalLink>
         </div>
       </div>
     );
@@ -45,3 +124,34 @@ class SponsorsPage extends React.Component {
 }
 
 export default SponsorsPage;
+
+// The logo sizes are the `logoSize` of the tiers in tiers.json, and their
+// aliases are the names of the tiers. `npm test` checks that they match.
+export const query = graphql`
+  query SponsorsQuery {
+    allSponsorsJson(filter: { fields: { active: { eq: true } } }) {
+      edges {
+        node {
+          title
+          description
+          url
+          tier
+          image {
+            publicURL
+            childImageSharp {
+              platinum: resolutions(width: 200, height: 200) {
+                ...GatsbyImageSharpResolutions_withWebp
+              }
+              gold: resolutions(width: 120, height: 120) {
+                ...GatsbyImageSharpResolutions_withWebp
+              }
+              community: resolutions(width: 64, height: 64) {
+                ...GatsbyImageSharpResolutions_withWebp
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
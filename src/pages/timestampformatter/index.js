@@ -0,0 +1,119 @@
+import React from 'react';
+import SEO from '../../components/SEO';
+import {
+  TIMESTAMP_STYLES,
+  discordTimestamp,
+  formatTimestamp,
+  parseLocalDateTime,
+  toLocalDateTime
+} from '../../utils/timestamp.js';
+import { copyText } from '../../utils/clipboard.js';
+import './index.css';
+
+class TimestampFormatterPage extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      value: '',
+      copied: ''
+    };
+  }
+
+  componentDidMount() {
+    // The time is set after mounting, so the page rendered at build time
+    // doesn't have the time it was built at. The Snowflake Decoder links here
+    // with the time in `?t=`.
+    let seconds = (this.props.location.search || '').match(/[?&]t=(\d+)/);
+    let date = seconds ? new Date(Number(seconds[1]) * 1000) : new Date();
+
+    this.setState({
+      value: toLocalDateTime(date)
+    });
+  }
+
+  copy(markdown) {
+    copyText(markdown).then(copied => {
+      this.setState({
+        copied: copied ? markdown : ''
+      });
+    });
+  }
+
+  renderResult() {
+    if (!this.state.value) return null;
+
+    let date = parseLocalDateTime(this.state.value);
+    if (!date) {
+      return <div className='error'>Pick a date and a time.</div>;
+    }
+
+    return (
+      <div className='result'>
+        <table>
+          <thead>
+            <tr>
+              <th>Style</th>
+              <th>Markdown</th>
+              <th>Shows as</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {
+              TIMESTAMP_STYLES.map(format => {
+                let markdown = discordTimestamp(date, format.style);
+                return (
+                  <tr key={ format.style }>
+                    <td>{ format.title }</td>
+                    <td><code>{ markdown }</code></td>
+                    <td>{ formatTimestamp(date, format.style) }</td>
+                    <td>
+                      <button onClick={ () => this.copy(markdown) }>
+                        { this.state.copied === markdown ? 'Copied!' : 'Copy' }
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })
+            }
+          </tbody>
+        </table>
+      </div>
+    );
+  }
+
+  render() {
+    return (
+      <div id='timestampFormatter'>
+        <SEO
+          title='Timestamp Formatter'
+          description='Create Discord timestamps that show the time in the time zone of everyone who reads them.'
+          path={ this.props.location.pathname }
+        />
+
+        <div className='header'>
+          <h1>Timestamp Formatter</h1>
+          <p>
+            Put a timestamp in a message, and everyone sees the time in their
+            own time zone and language.
+          </p>
+        </div>
+
+        <div className='container'>
+          <label>
+            Date and time
+            <input
+              type='datetime-local'
+              step='1'
+              value={ this.state.value }
+              onChange={ e => this.setState({ value: e.target.value, copied: '' }) }
+            />
+          </label>
+          { this.renderResult() }
+        </div>
+      </div>
+    );
+  }
+}
+
+export default TimestampFormatterPage;
@@ -1,12 +1,20 @@
 import React from 'react';
+import Link from 'gatsby-link';
 import ExternalLink from '../../components/ExternalLink.js';
-import tools from './tools.json';
+import SEO from '../../components/SEO';
+import Image from '../../components/Image';
 import './index.css';
 
 class ToolsPage extends React.Component {
   render() {
     return (
       <div id='tools'>
+        <SEO
+          title='Tools'
+          description='Some very useful tools that can be used with Bastion.'
+          path={ this.props.location.pathname }
+        />
+
         <div className='header'>
           <h1>Tools</h1>
           <p>Some very useful tools that can be used with Bastion.</p>
@@ -14,18 +22,25 @@ class ToolsPage extends React.Component {
 
         <div className='container'>
           {
-            tools.map((tool, i) => {
+            this.props.data.allToolsJson.edges.map(edge => edge.node).map((tool, i) => {
+              let card = [
+                <div className='image' key='image'>
+                  <Image image={ tool.image } alt='Tool Logo' />
+                </div>,
+                <div className='details' key='details'>
+                  <h4>{ tool.title }</h4>
+                  <p>{ tool.description }</p>
+                </div>
+              ];
+
+              // The tools hosted on this site have paths instead of URLs.
               return (
                 <div className='tool' key={ i }>
-                  <ExternalLink to={ tool.url }>
-                    <div className='image'>
-                      <img src={ tool.image } alt='Tool Logo' />
-                    </div>
-                    <div className='details'>
-                      <h4>{ tool.title }</h4>
-                      <p>{ tool.description }</p>
-                    </div>
-                  </ExternalLink>
+                  {
+                    tool.url.startsWith('/')
+                    ? <Link to={ tool.url }>{ card }</Link>
+                    : <ExternalLink to={ tool.url }>{ card }</ExternalLink>
+                  }
                 </div>
               );
             })
@@ -37,3 +52,24 @@ class ToolsPage extends React.Component {
 }
 
 export default ToolsPage;
+
+export const query = graphql`
+  query ToolsQuery {
+    allToolsJson {
+      edges {
+        node {
+          title
+          description
+          url
+          image {
+            publicURL
+            fields {
+              width
+              height
+            }
+          }
+        }
+      }
+    }
+  }
+`;
@@ -0,0 +1,106 @@
+import React from 'react';
+import Link from 'gatsby-link';
+import Helmet from 'react-helmet';
+import LanguageSwitcher from '../components/LanguageSwitcher';
+import SEO from '../components/SEO';
+import { renderMarkdown } from '../utils/markdown.js';
+import './command.css';
+
+class CommandTemplate extends React.Component {
+  render() {
+    let command = this.props.data.bastionCommand;
+    let module = command.module.replace(/_/g, ' ');
+    let commandsPath = command.locale === 'en' ? '/commands' : `/${command.locale}/commands`;
+
+    let coverage = {};
+    for (let edge of this.props.data.allBastionLocale.edges) {
+      coverage[edge.node.locale] = edge.node.coverage;
+    }
+    let locales = this.props.data.allBastionCommand.edges.map(edge => {
+      return {
+        locale: edge.node.locale,
+        path: edge.node.slug,
+        coverage: coverage[edge.node.locale]
+      };
+    });
+
+    return (
+      <div id='command'>
+        <Helmet>
+          <html lang={ command.locale } />
+        </Helmet>
+        <SEO
+          title={ `${command.name} - Bastion Commands` }
+          description={ command.text }
+          path={ this.props.location.pathname }
+        />
+
+        <div className='header'>
+          <h1><code>{ command.name }</code></h1>
+          <p>
+            This command belongs to the <Link
+            to={ `${commandsPath}?module=${encodeURIComponent(command.module)}` }
+            className='commandModule'><code>{ module }</code></Link> module.
+          </p>
+          <LanguageSwitcher locales={ locales } current={ command.locale } />
+        </div>
+
+        <div className='container'>
+          <div
+            className='commandDescription'
+            dangerouslySetInnerHTML={{ __html: renderMarkdown(command.description) }}
+          />
+          {
+            command.translated
+            ? null
+            : <p className='commandUntranslated'>
+                This description isn't translated to { command.locale } yet,
+                and is shown in English.
+              </p>
+          }
+          <Link to={ `${commandsPath}?module=${encodeURIComponent(command.module)}` }>
+            <button>See all the { module } commands</button>
+          </Link>
+        </div>
+      </div>
+    );
+  }
+}
+
+export default CommandTemplate;
+
+export const query = graphql`
+  query CommandQuery($id: String!, $name: String!, $module: String!, $channel: String!) {
+    bastionCommand(id: { eq: $id }) {
+      name
+      module
+      locale
+      translated
+      description
+      text
+    }
+    allBastionCommand(
+      filter: {
+        name: { eq: $name }
+        module: { eq: $module }
+        channel: { eq: $channel }
+      }
+      sort: { fields: [locale] }
+    ) {
+      edges {
+        node {
+          locale
+          slug
+        }
+      }
+    }
+    allBastionLocale(filter: { channel: { eq: $channel } }) {
+      edges {
+        node {
+          locale
+          coverage
+        }
+      }
+    }
+  }
+`;
@@ -0,0 +1,130 @@
+import React from 'react';
+import Link from 'gatsby-link';
+import Helmet from 'react-helmet';
+import ExternalLink from '../components/ExternalLink.js';
+import SEO from '../components/SEO';
+import versions from '../pages/add/versions.json';
+import { FEED_PATH, formatReleaseDate, releaseVersions } from '../utils/releases.js';
+import { renderMarkdown } from '../utils/markdown.js';
+import './release.css';
+
+class ReleaseTemplate extends React.Component {
+  render() {
+    let release = this.props.data.bastionRelease;
+    let newer = this.props.data.newer;
+    let older = this.props.data.older;
+
+    return (
+      <div id='release'>
+        <Helmet>
+          <link
+            rel='alternate'
+            type='application/atom+xml'
+            title='Bastion Releases'
+            href={ FEED_PATH }
+          />
+        </Helmet>
+        <SEO
+          title={ `${release.title} - Changelog` }
+          description={ release.summary || `What changed in Bastion ${release.version}.` }
+          path={ this.props.location.pathname }
+        />
+
+        <div className='header'>
+          <h1>{ release.title }</h1>
+          <p>
+            <code className='version'>{ release.version }</code>
+            {
+              release.prerelease
+              ? <code className='prerelease'>Pre-release</code>
+              : null
+            }
+            Released on <time dateTime={ release.date }>{ formatReleaseDate(release.date) }</time>
+          </p>
+        </div>
+
+        <div className='container'>
+          {
+            release.summary
+            ? <div
+                className='summary'
+                dangerouslySetInnerHTML={{ __html: renderMarkdown(release.summary) }}
+              />
+            : null
+          }
+          {
+            release.sections.map(section => {
+              return (
+                <section className={ section.type } key={ section.type }>
+                  <h2>{ section.title }</h2>
+                  <div dangerouslySetInnerHTML={{ __html: renderMarkdown(section.markdown) }} />
+                </section>
+              );
+            })
+          }
+
+          <div className='versions'>
+            <h3>Get Bastion { release.version }</h3>
+            <p>
+              It's in the <strong>{ release.channel }</strong> release channel.
+              See its <Link to={ `/commands?channel=${release.channel}` }>commands</Link>,
+              or <ExternalLink to={ release.url }>see the release on GitHub</ExternalLink>.
+            </p>
+            {
+              releaseVersions(versions, release).map(version => {
+                return (
+                  <Link to='/add' className='button' key={ version.title }>
+                    <button>{ version.title }</button>
+                  </Link>
+                );
+              })
+            }
+          </div>
+        </div>
+
+        <div className='navigation'>
+          {
+            older
+            ? <Link to={ older.slug } className='older'>&larr; { older.version }</Link>
+            : <span />
+          }
+          <Link to='/changelog'>All releases</Link>
+          {
+            newer
+            ? <Link to={ newer.slug } className='newer'>{ newer.version } &rarr;</Link>
+            : <span />
+          }
+        </div>
+      </div>
+    );
+  }
+}
+
+export default ReleaseTemplate;
+
+export const query = graphql`
+  query ReleaseQuery($id: String!, $newer: String!, $older: String!) {
+    bastionRelease(id: { eq: $id }) {
+      version
+      title
+      date
+      prerelease
+      channel
+      url
+      summary
+      sections {
+        type
+        title
+        markdown
+      }
+    }
+    newer: bastionRelease(id: { eq: $newer }) {
+      version
+      slug
+    }
+    older: bastionRelease(id: { eq: $older }) {
+      version
+      slug
+    }
+  }
+`;
@@ -0,0 +1,153 @@
+import {
+  DISMISSED_KEY,
+  isScheduled,
+  isTargeted,
+  activeAnnouncement,
+  getDismissed,
+  dismiss
+} from '../announcements.js';
+
+function createStorage(items) {
+  items = Object.assign({}, items);
+  return {
+    getItem: key => key in items ? items[key] : null,
+    setItem: (key, value) => {
+      items[key] = String(value);
+    }
+  };
+}
+
+function announcement(fields) {
+  return Object.assign({
+    id: 'announcement',
+    start: null,
+    end: null,
+    level: 'info',
+    description: 'Hello',
+    pages: []
+  }, fields);
+}
+
+describe('isScheduled', () => {
+  test('is always scheduled without dates', () => {
+    expect(isScheduled(announcement(), 0)).toBe(true);
+  });
+
+  test('starts at the start of the start date, in the local time zone', () => {
+    let scheduled = announcement({ start: '2018-03-01' });
+
+    expect(isScheduled(scheduled, new Date(2018, 1, 28, 23, 59, 59, 999).getTime())).toBe(false);
+    expect(isScheduled(scheduled, new Date(2018, 2, 1).getTime())).toBe(true);
+  });
+
+  test('ends at the end of the end date, in the local time zone', () => {
+    let scheduled = announcement({ end: '2018-03-31' });
+
+    expect(isScheduled(scheduled, new Date(2018, 2, 31, 23, 59, 59, 999).getTime())).toBe(true);
+    expect(isScheduled(scheduled, new Date(2018, 3, 1).getTime())).toBe(false);
+  });
+
+  test('is scheduled on a day that starts and ends it', () => {
+    let scheduled = announcement({ start: '2018-03-01', end: '2018-03-01' });
+
+    expect(isScheduled(scheduled, new Date(2018, 2, 1, 12).getTime())).toBe(true);
+    expect(isScheduled(scheduled, new Date(2018, 2, 2).getTime())).toBe(false);
+  });
+
+  test('uses the time zone of dates with a time', () => {
+    let scheduled = announcement({ start: '2018-03-01T12:00:00Z' });
+
+    expect(isScheduled(scheduled, Date.UTC(2018, 2, 1, 11, 59))).toBe(false);
+    expect(isScheduled(scheduled, Date.UTC(2018, 2, 1, 12))).toBe(true);
+  });
+});
+
+describe('isTargeted', () => {
+  test('is shown on every page without pages', () => {
+    expect(isTargeted(announcement(), '/faq/')).toBe(true);
+  });
+
+  test('is shown on the pages and the pages under them', () => {
+    let targeted = announcement({ pages: [ '/commands/', '/add' ] });
+
+    expect(isTargeted(targeted, '/commands')).toBe(true);
+    expect(isTargeted(targeted, '/commands/music/play')).toBe(true);
+    expect(isTargeted(targeted, '/add/')).toBe(true);
+    expect(isTargeted(targeted, '/addons')).toBe(false);
+    expect(isTargeted(targeted, '/')).toBe(false);
+  });
+
+  test('is only shown on the home page for /', () => {
+    let targeted = announcement({ pages: [ '/' ] });
+
+    expect(isTargeted(targeted, '/')).toBe(true);
+    expect(isTargeted(targeted, '/faq/')).toBe(false);
+  });
+});
+
+describe('activeAnnouncement', () => {
+  const NOW = new Date(2018, 5, 15).getTime();
+  const OPTIONS = { now: NOW, pathname: '/', dismissed: [] };
+
+  test('shows the most severe announcement, then the latest one', () => {
+    let announcements = [
+      announcement({ id: 'old-warning', level: 'warning', start: '2018-01-01' }),
+      announcement({ id: 'info', level: 'info', start: '2018-06-01' }),
+      announcement({ id: 'new-warning', level: 'warning', start: '2018-06-01' })
+    ];
+
+    expect(activeAnnouncement(announcements, OPTIONS).id).toBe('new-warning');
+    expect(activeAnnouncement(announcements.concat(announcement({ id: 'critical', level: 'critical' })), OPTIONS).id)
+      .toBe('critical');
+  });
+
+  test('leaves out dismissed, unscheduled and untargeted announcements', () => {
+    let announcements = [
+      announcement({ id: 'dismissed', level: 'critical' }),
+      announcement({ id: 'ended', level: 'critical', end: '2018-06-14' }),
+      announcement({ id: 'elsewhere', level: 'critical', pages: [ '/faq' ] }),
+      announcement({ id: 'shown' })
+    ];
+
+    expect(activeAnnouncement(announcements, Object.assign({}, OPTIONS, { dismissed: [ 'dismissed' ] })).id).toBe('shown');
+    expect(activeAnnouncement(announcements.slice(1, 3), OPTIONS)).toBe(null);
+  });
+});
+
+describe('getDismissed', () => {
+  test('reads the dismissed announcements', () => {
+    expect(getDismissed(createStorage({ [DISMISSED_KEY]: '["a","b"]' }))).toEqual([ 'a', 'b' ]);
+  });
+
+  test('ignores missing and invalid values', () => {
+    expect(getDismissed(createStorage())).toEqual([]);
+    expect(getDismissed(createStorage({ [DISMISSED_KEY]: '{' }))).toEqual([]);
+    expect(getDismissed(createStorage({ [DISMISSED_KEY]: '"a"' }))).toEqual([]);
+  });
+
+  test('works without storage', () => {
+    expect(getDismissed(null)).toEqual([]);
+    expect(getDismissed({ getItem: () => { throw new Error('SecurityError'); } })).toEqual([]);
+  });
+});
+
+describe('dismiss', () => {
+  test('remembers the dismissed announcement once', () => {
+    let storage = createStorage();
+
+    expect(dismiss(storage, 'a')).toEqual([ 'a' ]);
+    expect(dismiss(storage, 'b')).toEqual([ 'a', 'b' ]);
+    expect(dismiss(storage, 'a')).toEqual([ 'a', 'b' ]);
+    expect(getDismissed(storage)).toEqual([ 'a', 'b' ]);
+  });
+
+  test('hides the announcement without storage', () => {
+    let full = createStorage();
+    full.setItem = () => {
+      throw new Error('QuotaExceededError');
+    };
+
+    expect(dismiss(null, 'a')).toEqual([ 'a' ]);
+    expect(dismiss(full, 'a')).toEqual([ 'a' ]);
+  });
+});
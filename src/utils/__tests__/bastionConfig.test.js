@@ -0,0 +1,103 @@
+import {
+  TOKEN_PLACEHOLDER,
+  defaultValues,
+  parseIds,
+  validateValues,
+  buildConfig,
+  buildCredentials
+} from '../bastionConfig.js';
+
+const MODULES = [ 'fun', 'game_stats', 'music', 'searches' ];
+
+function createValues(values) {
+  return Object.assign(defaultValues(MODULES), {
+    ownerIds: '266290969974931457'
+  }, values);
+}
+
+describe('parseIds', () => {
+  test('splits the IDs on spaces and commas', () => {
+    expect(parseIds(' 266290969974931457, 267035345537728512\n80351110224678912 ')).toEqual([
+      '266290969974931457',
+      '267035345537728512',
+      '80351110224678912'
+    ]);
+    expect(parseIds('')).toEqual([]);
+  });
+});
+
+describe('validateValues', () => {
+  test('accepts the default values with an owner', () => {
+    expect(validateValues(createValues())).toEqual({});
+  });
+
+  test('needs a token and an owner', () => {
+    let errors = validateValues(createValues({ token: ' ', ownerIds: '' }));
+    expect(Object.keys(errors)).toEqual([ 'token', 'ownerIds' ]);
+  });
+
+  test('rejects owner IDs that aren\'t Discord IDs', () => {
+    let errors = validateValues(createValues({ ownerIds: '266290969974931457, bastion, 123' }));
+    expect(errors.ownerIds).toBe('These aren\'t valid Discord user IDs: bastion, 123');
+  });
+
+  test('rejects an empty prefix, or one with spaces', () => {
+    expect(validateValues(createValues({ prefix: ' ' })).prefix).toBe('Enter a prefix for the commands.');
+    expect(validateValues(createValues({ prefix: 'bas ?' })).prefix).toBe('The prefix can\'t have spaces.');
+  });
+
+  test('rejects a volume and a queue size out of range', () => {
+    for (let [ volume, maxQueueSize ] of [ [ 0, 0 ], [ 101, -1 ], [ 50.5, 1.5 ], [ '', 'a' ] ]) {
+      let errors = validateValues(createValues({ music: { status: true, volume, maxQueueSize } }));
+      expect(Object.keys(errors)).toEqual([ 'volume', 'maxQueueSize' ]);
+    }
+  });
+});
+
+describe('buildConfig', () => {
+  test('builds the config of the values', () => {
+    let values = createValues({
+      ownerIds: '266290969974931457, 267035345537728512',
+      prefix: ' ! ',
+      modules: [ 'fun', 'music' ],
+      music: { status: true, volume: '80', maxQueueSize: '20' }
+    });
+
+    expect(buildConfig(values, MODULES)).toEqual({
+      ownerId: [ '266290969974931457', '267035345537728512' ],
+      prefix: [ '!' ],
+      status: 'online',
+      game: {
+        type: 'Playing',
+        name: [ 'with !help' ]
+      },
+      disabledModules: [ 'game_stats', 'searches' ],
+      music: {
+        status: true,
+        volume: 80,
+        maxQueueSize: 20
+      }
+    });
+  });
+
+  test('turns the music off when its module is disabled', () => {
+    let values = createValues({ modules: [ 'fun' ] });
+    expect(buildConfig(values, MODULES).music.status).toBe(false);
+  });
+});
+
+describe('buildCredentials', () => {
+  test('builds the credentials of the values', () => {
+    let values = createValues({ token: ' token ' });
+    values.apiKeys.googleAPIkey = 'key';
+
+    let credentials = buildCredentials(values);
+    expect(credentials.token).toBe('token');
+    expect(credentials.googleAPIkey).toBe('key');
+    expect(credentials.cleverbotAPIkey).toBe('');
+  });
+
+  test('keeps the placeholder of the token', () => {
+    expect(buildCredentials(createValues()).token).toBe(TOKEN_PLACEHOLDER);
+  });
+});
@@ -0,0 +1,90 @@
+import {
+  normalizeHex,
+  hexToDecimal,
+  decimalToHex,
+  rgbToDecimal,
+  decimalToRGB,
+  parseColor
+} from '../color.js';
+
+const BLURPLE = {
+  hex: '#7289da',
+  rgb: [ 114, 137, 218 ],
+  decimal: 7506394
+};
+
+describe('normalizeHex', () => {
+  test('returns the 6 digit, lowercase hex code', () => {
+    expect(normalizeHex('#7289DA')).toBe('#7289da');
+    expect(normalizeHex('7289da')).toBe('#7289da');
+    expect(normalizeHex(' #6dF ')).toBe('#66ddff');
+  });
+
+  test('returns null for what isn\'t a hex color', () => {
+    expect(normalizeHex('#7289d')).toBe(null);
+    expect(normalizeHex('#7289dg')).toBe(null);
+    expect(normalizeHex('##7289da')).toBe(null);
+  });
+});
+
+describe('hexToDecimal and decimalToHex', () => {
+  test('convert between hex codes and decimal integers', () => {
+    expect(hexToDecimal('#7289da')).toBe(BLURPLE.decimal);
+    expect(decimalToHex(BLURPLE.decimal)).toBe(BLURPLE.hex);
+    expect(hexToDecimal('#000')).toBe(0);
+    expect(decimalToHex(0)).toBe('#000000');
+    expect(decimalToHex(255)).toBe('#0000ff');
+    expect(decimalToHex(0xffffff)).toBe('#ffffff');
+  });
+
+  test('return null for what isn\'t a color', () => {
+    expect(hexToDecimal('blurple')).toBe(null);
+    expect(decimalToHex(-1)).toBe(null);
+    expect(decimalToHex(0x1000000)).toBe(null);
+    expect(decimalToHex(1.5)).toBe(null);
+  });
+});
+
+describe('rgbToDecimal and decimalToRGB', () => {
+  test('convert between RGB channels and decimal integers', () => {
+    expect(rgbToDecimal(114, 137, 218)).toBe(BLURPLE.decimal);
+    expect(decimalToRGB(BLURPLE.decimal)).toEqual(BLURPLE.rgb);
+    expect(rgbToDecimal(255, 255, 255)).toBe(0xffffff);
+    expect(decimalToRGB(0)).toEqual([ 0, 0, 0 ]);
+  });
+
+  test('return null for what isn\'t a color', () => {
+    expect(rgbToDecimal(256, 0, 0)).toBe(null);
+    expect(rgbToDecimal(0, -1, 0)).toBe(null);
+    expect(rgbToDecimal(0, 0, 1.5)).toBe(null);
+    expect(decimalToRGB(0x1000000)).toBe(null);
+  });
+});
+
+describe('parseColor', () => {
+  test('parses hex codes', () => {
+    expect(parseColor('#7289da')).toEqual(BLURPLE);
+    expect(parseColor('7289DA')).toEqual(BLURPLE);
+    expect(parseColor('#fff').decimal).toBe(0xffffff);
+  });
+
+  test('parses RGB', () => {
+    expect(parseColor('rgb(114, 137, 218)')).toEqual(BLURPLE);
+    expect(parseColor('RGB(114,137,218)')).toEqual(BLURPLE);
+    expect(parseColor('114, 137, 218')).toEqual(BLURPLE);
+  });
+
+  test('parses decimal integers, including hex codes that only have digits', () => {
+    expect(parseColor('7506394')).toEqual(BLURPLE);
+    expect(parseColor('123456').hex).toBe('#01e240');
+  });
+
+  test('returns null for what isn\'t a color', () => {
+    expect(parseColor('')).toBe(null);
+    expect(parseColor('blurple')).toBe(null);
+    expect(parseColor('rgb(114, 137, 218')).toBe(null);
+    expect(parseColor('114, 137, 218)')).toBe(null);
+    expect(parseColor('rgb(256, 0, 0)')).toBe(null);
+    expect(parseColor('16777216')).toBe(null);
+  });
+});
@@ -0,0 +1,168 @@
+import {
+  parseQuery,
+  stringifyQuery,
+  createCommandIndex,
+  searchCommands,
+  countByModule,
+  filterCommands,
+  diffCommands
+} from '../commands.js';
+
+const COMMANDS = [
+  { name: 'play', module: 'music', description: 'Plays a song.', text: 'Plays a song.' },
+  { name: 'ban', module: 'moderation', description: 'Bans a user.', text: 'Bans a user.' },
+  { name: 'kick', module: 'moderation', description: 'Kicks a user.', text: 'Kicks a user.' },
+  { name: 'userInfo', module: 'info', description: 'Shows info about a user.', text: 'Shows info about a user.' }
+];
+
+const DEFAULT_FILTERS = {
+  channel: '',
+  compare: '',
+  query: '',
+  modules: [],
+  sort: 'module'
+};
+
+function names(results) {
+  return results.map(result => result.document.name);
+}
+
+describe('parseQuery', () => {
+  test('returns the default filters without a query string', () => {
+    expect(parseQuery('')).toEqual(DEFAULT_FILTERS);
+    expect(parseQuery(undefined)).toEqual(DEFAULT_FILTERS);
+    expect(parseQuery('?')).toEqual(DEFAULT_FILTERS);
+  });
+
+  test('reads the filters from the query string', () => {
+    expect(parseQuery('?channel=development&compare=stable&module=music,info&q=play+a%20song&sort=name')).toEqual({
+      channel: 'development',
+      compare: 'stable',
+      query: 'play a song',
+      modules: [ 'music', 'info' ],
+      sort: 'name'
+    });
+  });
+
+  test('ignores unknown sort orders and empty modules', () => {
+    expect(parseQuery('?sort=random&module=music,,')).toEqual(Object.assign({}, DEFAULT_FILTERS, {
+      modules: [ 'music' ]
+    }));
+  });
+
+  test('keeps the values that have a =', () => {
+    expect(parseQuery('?q=a=b&channel=dev=1').query).toBe('a=b');
+    expect(parseQuery('?q=a%3Db=').query).toBe('a=b=');
+  });
+
+  test('ignores the parameters that are malformed', () => {
+    expect(parseQuery('?q=100%&channel=development')).toEqual(Object.assign({}, DEFAULT_FILTERS, {
+      channel: 'development'
+    }));
+    expect(parseQuery('?%E0%A4%A=1&q=play')).toEqual(Object.assign({}, DEFAULT_FILTERS, {
+      query: 'play'
+    }));
+  });
+});
+
+describe('stringifyQuery', () => {
+  test('leaves out the default filters', () => {
+    expect(stringifyQuery(DEFAULT_FILTERS, 'stable')).toBe('');
+    expect(stringifyQuery(Object.assign({}, DEFAULT_FILTERS, { channel: 'stable' }), 'stable')).toBe('');
+  });
+
+  test('encodes the filters', () => {
+    let filters = {
+      channel: 'development',
+      compare: 'stable',
+      query: 'play & pause',
+      modules: [ 'music', 'info' ],
+      sort: 'name'
+    };
+    let query = stringifyQuery(filters, 'stable');
+
+    expect(query).toBe('?channel=development&compare=stable&module=music,info&q=play%20%26%20pause&sort=name');
+    expect(parseQuery(query)).toEqual(filters);
+  });
+});
+
+describe('searchCommands', () => {
+  let index = createCommandIndex(COMMANDS);
+
+  test('returns every command without a query', () => {
+    expect(names(searchCommands(index, '  '))).toEqual([ 'play', 'ban', 'kick', 'userInfo' ]);
+  });
+
+  test('ranks matches of the name above matches of the description', () => {
+    expect(names(searchCommands(index, 'info'))).toEqual([ 'userInfo' ]);
+    expect(names(searchCommands(index, 'user'))[0]).toBe('userInfo');
+  });
+
+  test('tolerates typos', () => {
+    expect(names(searchCommands(index, 'kikc'))).toEqual([ 'kick' ]);
+  });
+});
+
+describe('filterCommands', () => {
+  let index = createCommandIndex(COMMANDS);
+
+  test('sorts by module, then by name', () => {
+    let results = filterCommands(searchCommands(index, ''), DEFAULT_FILTERS);
+    expect(names(results)).toEqual([ 'userInfo', 'ban', 'kick', 'play' ]);
+  });
+
+  test('sorts by name', () => {
+    let results = filterCommands(searchCommands(index, ''), Object.assign({}, DEFAULT_FILTERS, { sort: 'name' }));
+    expect(names(results)).toEqual([ 'ban', 'kick', 'play', 'userInfo' ]);
+  });
+
+  test('keeps the commands of the selected modules', () => {
+    let results = filterCommands(searchCommands(index, ''), Object.assign({}, DEFAULT_FILTERS, {
+      modules: [ 'music', 'info' ]
+    }));
+    expect(names(results)).toEqual([ 'userInfo', 'play' ]);
+  });
+
+  test('keeps the results of a query in their ranking', () => {
+    let filters = Object.assign({}, DEFAULT_FILTERS, { query: 'user', modules: [ 'moderation', 'info' ] });
+    let results = filterCommands(searchCommands(index, filters.query), filters);
+    expect(names(results)[0]).toBe('userInfo');
+    expect(names(results).slice(1).sort()).toEqual([ 'ban', 'kick' ]);
+  });
+});
+
+describe('countByModule', () => {
+  test('counts the commands of every module', () => {
+    expect(countByModule(COMMANDS)).toEqual({ music: 1, moderation: 2, info: 1 });
+  });
+});
+
+describe('diffCommands', () => {
+  test('marks new, removed and changed commands', () => {
+    let target = [
+      COMMANDS[0],
+      Object.assign({}, COMMANDS[1], { description: 'Bans a user from the server.' }),
+      Object.assign({}, COMMANDS[3], { module: 'utility' }),
+      { name: 'skip', module: 'music', description: 'Skips a song.', text: 'Skips a song.' }
+    ];
+
+    expect(diffCommands(COMMANDS, target).map(command => [ command.status, command.module, command.name ])).toEqual([
+      [ 'changed', 'moderation', 'ban' ],
+      [ 'removed', 'moderation', 'kick' ],
+      [ 'new', 'music', 'skip' ],
+      [ 'changed', 'utility', 'userInfo' ]
+    ]);
+  });
+
+  test('keeps both versions of changed commands', () => {
+    let after = Object.assign({}, COMMANDS[0], { description: 'Plays music.' });
+    let diff = diffCommands(COMMANDS, [ after ]).find(command => command.status === 'changed');
+
+    expect(diff.before).toBe(COMMANDS[0]);
+    expect(diff.after).toBe(after);
+  });
+
+  test('leaves out unchanged commands', () => {
+    expect(diffCommands(COMMANDS, COMMANDS.slice())).toEqual([]);
+  });
+});
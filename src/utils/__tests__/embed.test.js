@@ -0,0 +1,210 @@
+import {
+  LIMITS,
+  emptyEmbed,
+  emptyField,
+  buildEmbed,
+  embedLength,
+  validateEmbed,
+  parseEmbed,
+  embedCommand
+} from '../embed.js';
+
+function createValues(values) {
+  return Object.assign(emptyEmbed(), values);
+}
+
+function createField(field) {
+  return Object.assign(emptyField(), field);
+}
+
+function repeat(length) {
+  return 'a'.repeat(length);
+}
+
+const VALUES = createValues({
+  title: 'Bastion',
+  url: 'https://bastionbot.org',
+  description: 'Give awesome perks to your Discord server!',
+  color: '#7289da',
+  author: {
+    name: 'The Bastion Bot Project',
+    url: 'https://github.com/TheBastionBot',
+    icon_url: 'https://bastionbot.org/favicon.png'
+  },
+  thumbnail: 'https://bastionbot.org/thumbnail.png',
+  image: 'https://bastionbot.org/image.png',
+  footer: {
+    text: 'bastionbot.org',
+    icon_url: 'https://bastionbot.org/favicon.png'
+  },
+  fields: [
+    createField({ name: 'Servers', value: '1000', inline: true }),
+    createField({ name: 'Users', value: '100000', inline: false })
+  ]
+});
+
+describe('buildEmbed', () => {
+  test('builds the embed of the values', () => {
+    expect(buildEmbed(VALUES)).toEqual({
+      title: 'Bastion',
+      url: 'https://bastionbot.org',
+      description: 'Give awesome perks to your Discord server!',
+      color: 7506394,
+      author: {
+        name: 'The Bastion Bot Project',
+        url: 'https://github.com/TheBastionBot',
+        icon_url: 'https://bastionbot.org/favicon.png'
+      },
+      thumbnail: { url: 'https://bastionbot.org/thumbnail.png' },
+      image: { url: 'https://bastionbot.org/image.png' },
+      footer: {
+        text: 'bastionbot.org',
+        icon_url: 'https://bastionbot.org/favicon.png'
+      },
+      fields: [
+        { name: 'Servers', value: '1000', inline: true },
+        { name: 'Users', value: '100000', inline: false }
+      ]
+    });
+  });
+
+  test('leaves out what is empty', () => {
+    expect(buildEmbed(emptyEmbed())).toEqual({});
+    expect(buildEmbed(createValues({
+      description: ' Description ',
+      color: 'not a color',
+      author: { name: ' ', url: 'https://bastionbot.org', icon_url: '' }
+    }))).toEqual({ description: 'Description' });
+  });
+});
+
+describe('embedLength', () => {
+  test('counts the title, description, author, footer and fields', () => {
+    expect(embedLength(buildEmbed(VALUES))).toBe(7 + 42 + 23 + 14 + 7 + 4 + 5 + 6);
+    expect(embedLength({})).toBe(0);
+  });
+});
+
+describe('validateEmbed', () => {
+  test('accepts a valid embed', () => {
+    expect(validateEmbed(VALUES)).toEqual({});
+  });
+
+  test('rejects an empty embed', () => {
+    expect(validateEmbed(emptyEmbed())).toEqual({
+      total: 'The embed is empty, fill in at least one of its fields.'
+    });
+  });
+
+  test('checks the length of each field', () => {
+    let errors = validateEmbed(createValues({
+      title: repeat(LIMITS.title + 1),
+      description: repeat(LIMITS.description + 1),
+      author: { name: repeat(LIMITS.author + 1), url: '', icon_url: '' },
+      footer: { text: repeat(LIMITS.footer + 1), icon_url: '' },
+      fields: [ createField({ name: repeat(LIMITS.fieldName + 1), value: repeat(LIMITS.fieldValue + 1) }) ]
+    }));
+
+    expect(Object.keys(errors).sort()).toEqual([
+      'author.name',
+      'description',
+      'fields.0.name',
+      'fields.0.value',
+      'footer.text',
+      'title'
+    ]);
+  });
+
+  test('accepts fields at their limits', () => {
+    expect(validateEmbed(createValues({
+      title: repeat(LIMITS.title),
+      description: repeat(LIMITS.description)
+    }))).toEqual({});
+  });
+
+  test('checks the total length', () => {
+    let fields = [];
+    for (let i = 0; i < 6; i++) {
+      fields.push(createField({ name: 'Field', value: repeat(LIMITS.fieldValue) }));
+    }
+    let errors = validateEmbed(createValues({ fields }));
+
+    expect(errors).toEqual({
+      total: `All the text in an embed can't be longer than ${LIMITS.total} characters.`
+    });
+  });
+
+  test('checks the number of fields', () => {
+    let fields = [];
+    for (let i = 0; i <= LIMITS.fields; i++) {
+      fields.push(createField({ name: 'Field', value: 'Value' }));
+    }
+    expect(Object.keys(validateEmbed(createValues({ fields })))).toEqual([ 'fields' ]);
+  });
+
+  test('needs the fields to have a name and a value', () => {
+    let errors = validateEmbed(createValues({ fields: [ createField({ name: ' ' }) ] }));
+    expect(errors).toEqual({
+      'fields.0.name': 'Fields need a name.',
+      'fields.0.value': 'Fields need a value.'
+    });
+  });
+
+  test('rejects invalid colors and URLs', () => {
+    let errors = validateEmbed(createValues({
+      title: 'Bastion',
+      color: 'blurple',
+      url: 'javascript:alert(1)',
+      author: { name: '', url: 'bastionbot.org', icon_url: '' },
+      image: 'ftp://bastionbot.org/image.png'
+    }));
+
+    expect(Object.keys(errors).sort()).toEqual([ 'author.url', 'color', 'image', 'url' ]);
+  });
+});
+
+describe('parseEmbed', () => {
+  test('imports what buildEmbed exports', () => {
+    expect(parseEmbed(JSON.stringify(buildEmbed(VALUES)))).toEqual(VALUES);
+    expect(parseEmbed('{}')).toEqual(emptyEmbed());
+  });
+
+  test('rejects what is not an embed', () => {
+    expect(() => parseEmbed('{ "title": ')).toThrow('This isn\'t valid JSON');
+    expect(() => parseEmbed('null')).toThrow('The embed JSON should be an object.');
+    expect(() => parseEmbed('[]')).toThrow('The embed JSON should be an object.');
+    expect(() => parseEmbed('"embed"')).toThrow('The embed JSON should be an object.');
+    expect(() => parseEmbed('{ "fields": {} }')).toThrow('The fields of the embed should be an array.');
+  });
+
+  test('ignores the fields it doesn\'t know, and values of the wrong type', () => {
+    let values = parseEmbed(JSON.stringify({
+      type: 'rich',
+      title: 10,
+      color: '#7289da',
+      author: 'Bastion',
+      thumbnail: 'https://bastionbot.org/thumbnail.png',
+      footer: null,
+      fields: [ null, { name: 'Servers', value: 1000, inline: 'yes' } ]
+    }));
+
+    expect(values).toEqual(createValues({
+      fields: [
+        createField(),
+        createField({ name: 'Servers', inline: true })
+      ]
+    }));
+  });
+
+  test('ignores colors out of range', () => {
+    expect(parseEmbed('{ "color": 16777216 }').color).toBe('');
+    expect(parseEmbed('{ "color": 16777215 }').color).toBe('#ffffff');
+  });
+});
+
+describe('embedCommand', () => {
+  test('sends the embed with the prefix', () => {
+    expect(embedCommand({ title: 'Bastion' })).toBe('bas?sendEmbed {"title":"Bastion"}');
+    expect(embedCommand({ title: 'Bastion' }, '!')).toBe('!sendEmbed {"title":"Bastion"}');
+  });
+});
@@ -0,0 +1,105 @@
+import { parseFunding, fundingProgress, formatMoney, formatMonth } from '../funding.js';
+import { mockFunding, handleRequest } from '../../../gatsby/funding-mock.js';
+import { requestMock } from '../../../gatsby/mock-server.js';
+
+const NOW = Date.UTC(2018, 9, 15);
+
+const request = path => requestMock(handleRequest, path);
+
+describe('parseFunding', () => {
+  test('adds up the costs to the goal', () => {
+    let funding = parseFunding(mockFunding('partial', NOW));
+
+    expect(funding.goal).toBe(50);
+    expect(funding.income).toBe(32);
+    expect(funding.month).toBe('2018-10');
+    expect(funding.updatedAt).toBe('2018-10-15');
+  });
+
+  test('rejects what is not a funding', () => {
+    expect(() => parseFunding(null)).toThrow('invalid');
+    expect(() => parseFunding({ costs: 'unknown' })).toThrow('invalid');
+    expect(() => parseFunding({ costs: [], income: -1, currency: 'USD' })).toThrow('invalid');
+    expect(() => parseFunding({ costs: [], income: 0, currency: 'usd' })).toThrow('invalid currency');
+  });
+
+  test('drops invalid costs and fields', () => {
+    let funding = parseFunding({
+      month: 'June',
+      currency: 'EUR',
+      costs: [ null, { title: 'Hosting', amount: -5 }, { title: 'Domains', amount: 5 }, { amount: 10 } ],
+      income: 2
+    });
+
+    expect(funding).toEqual({
+      month: null,
+      currency: 'EUR',
+      costs: [ { title: 'Domains', amount: 5 } ],
+      goal: 5,
+      income: 2,
+      updatedAt: null
+    });
+  });
+});
+
+describe('fundingProgress', () => {
+  test('shows the part of the goal that is funded', () => {
+    expect(fundingProgress(parseFunding(mockFunding('partial', NOW)))).toEqual({
+      percent: 64,
+      remaining: 18,
+      isFunded: false
+    });
+  });
+
+  test('is funded once the goal is reached, and stops at 100%', () => {
+    expect(fundingProgress(parseFunding(mockFunding('funded', NOW)))).toEqual({
+      percent: 100,
+      remaining: 0,
+      isFunded: true
+    });
+  });
+
+  test('starts at nothing', () => {
+    expect(fundingProgress(parseFunding(mockFunding('empty', NOW)))).toEqual({
+      percent: 0,
+      remaining: 50,
+      isFunded: false
+    });
+  });
+
+  test('rounds down, so an almost reached goal does not show as reached', () => {
+    let progress = fundingProgress({ goal: 1000, income: 999.9 });
+    expect(progress.percent).toBe(99);
+    expect(progress.isFunded).toBe(false);
+  });
+
+  test('is funded without costs', () => {
+    expect(fundingProgress({ goal: 0, income: 0 })).toEqual({ percent: 100, remaining: 0, isFunded: true });
+  });
+});
+
+describe('formatting', () => {
+  test('formats the money in the currency', () => {
+    expect(formatMoney(12.5, 'USD')).toBe('$12.50');
+  });
+
+  test('formats the month', () => {
+    expect(formatMonth('2018-06')).toBe('June 2018');
+  });
+});
+
+describe('the mock endpoint', () => {
+  test('returns the funding of the scenario', async () => {
+    let res = await request('/funding.json?scenario=funded');
+    expect(res.statusCode).toBe(200);
+    expect(fundingProgress(parseFunding(res.body)).isFunded).toBe(true);
+  });
+
+  test('returns errors and invalid fundings', async () => {
+    expect((await request('/funding.json?scenario=error')).statusCode).toBe(500);
+    expect((await request('/other.json')).statusCode).toBe(404);
+
+    let res = await request('/funding.json?scenario=invalid');
+    expect(() => parseFunding(res.body)).toThrow('invalid');
+  });
+});
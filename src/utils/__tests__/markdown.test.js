@@ -0,0 +1,118 @@
+import { renderMarkdown, sanitizeHTML, plainText } from '../markdown.js';
+
+describe('renderMarkdown', () => {
+  test('renders markdown', () => {
+    expect(renderMarkdown('Plays **music** from `YouTube`.')).toBe('<p>Plays <strong>music</strong> from <code>YouTube</code>.</p>');
+    expect(renderMarkdown(null)).toBe('');
+  });
+
+  test('strips script tags and their contents', () => {
+    let html = renderMarkdown('Hi<script>alert(1)</script> <SCRIPT src="https://evil.example/x.js"></SCRIPT>there');
+
+    expect(html).not.toMatch(/script/i);
+    expect(html).not.toMatch(/alert/);
+    expect(html).toBe('<p>Hi there</p>');
+  });
+
+  test('strips style tags and their contents', () => {
+    expect(renderMarkdown('<style>body { display: none; }</style>Hi').trim()).toBe('<p>Hi</p>');
+  });
+
+  test('strips event handlers', () => {
+    let html = renderMarkdown([
+      '<img src="https://bastionbot.org/a.png" onerror="alert(1)">',
+      '<a href="https://bastionbot.org" onclick="alert(2)" onmouseover=alert(3)>link</a>',
+      '<p ONLOAD="alert(4)">text</p>'
+    ].join('\n\n'));
+
+    expect(html).not.toMatch(/\bon[a-z]+=/i);
+    expect(html).not.toMatch(/alert/);
+    expect(html).toMatch('<img src="https://bastionbot.org/a.png">');
+  });
+
+  test('strips tags that aren\'t allowed, keeping their text', () => {
+    let html = renderMarkdown('<iframe src="https://evil.example"></iframe><svg onload="alert(1)"><text>svg</text></svg><div class="x">div</div>');
+
+    expect(html).not.toMatch(/<(iframe|svg|text|div)\b/);
+    expect(html).not.toMatch(/alert/);
+    expect(html).toMatch('svg');
+    expect(html).toMatch('div');
+  });
+
+  test('strips javascript: URLs', () => {
+    let payloads = [
+      '[link](javascript:alert(1))',
+      '<a href="javascript:alert(1)">link</a>',
+      '<a href="JaVaScRiPt:alert(1)">link</a>',
+      '<a href=" javascript:alert(1)">link</a>',
+      '<a href="java\tscript:alert(1)">link</a>',
+      '<a href="jav&#x09;ascript:alert(1)">link</a>',
+      '<a href="&#106;avascript:alert(1)">link</a>',
+      '<a href="&#106avascript&colon;alert(1)">link</a>',
+      '<a href="java&Tab;script:alert(1)">link</a>',
+      '![image](javascript:alert(1))',
+      '<img src="data:text/html,<script>alert(1)</script>">',
+      '<a href="vbscript:msgbox(1)">link</a>'
+    ];
+
+    for (let payload of payloads) {
+      let html = renderMarkdown(payload);
+      expect(html).not.toMatch(/(javascript|vbscript|data):/i);
+      expect(html).not.toMatch(/&#/);
+    }
+  });
+
+  test('keeps http, https, mailto, relative and fragment URLs', () => {
+    expect(renderMarkdown('[a](http://example.com) [b](mailto:hi@bastionbot.org) [c](/commands) [d](#top)'))
+      .toBe('<p><a href="http://example.com" target="_blank" rel="noopener noreferrer">a</a> <a href="mailto:hi@bastionbot.org">b</a> <a href="/commands">c</a> <a href="#top">d</a></p>');
+  });
+
+  test('keeps relative URLs without a scheme', () => {
+    expect(renderMarkdown('[a](faq#invite) [b](../changelog) [c](commands?module=music) [d](./docs/a:b)'))
+      .toBe('<p><a href="faq#invite">a</a> <a href="../changelog">b</a> <a href="commands?module=music">c</a> <a href="./docs/a:b">d</a></p>');
+  });
+
+  test('opens links to other sites in a new tab, without access to the page', () => {
+    expect(renderMarkdown('[Discord](https://discord.gg/fzx8fkt)'))
+      .toBe('<p><a href="https://discord.gg/fzx8fkt" target="_blank" rel="noopener noreferrer">Discord</a></p>');
+  });
+
+  test('doesn\'t let links set their own target and rel', () => {
+    let html = renderMarkdown('<a href="https://example.com" target="_self" rel="opener">link</a>');
+    expect(html).toBe('<p><a href="https://example.com" target="_blank" rel="noopener noreferrer">link</a></p>');
+  });
+
+  test('opens links to the site in the same tab', () => {
+    expect(renderMarkdown('[Docs](https://docs.bastionbot.org) [Home](https://bastionbot.org)'))
+      .toBe('<p><a href="https://docs.bastionbot.org">Docs</a> <a href="https://bastionbot.org">Home</a></p>');
+  });
+});
+
+describe('sanitizeHTML', () => {
+  test('sanitizes HTML', () => {
+    expect(sanitizeHTML('<b onclick="alert(1)">bold</b><script>alert(2)</script>')).toBe('<b>bold</b>');
+    expect(sanitizeHTML(undefined)).toBe('');
+  });
+
+  test('keeps escaped quotes in attributes escaped', () => {
+    expect(sanitizeHTML('<img src="/a.png" alt="&quot; onerror=&quot;alert(1)">'))
+      .toBe('<img src="/a.png" alt="&quot; onerror=&quot;alert(1)">');
+  });
+});
+
+describe('plainText', () => {
+  test('returns the text of rendered markdown', () => {
+    expect(plainText(renderMarkdown('Plays **music** from [YouTube](https://youtube.com).\n\n- Queues\n- Playlists')))
+      .toBe('Plays music from YouTube. Queues Playlists');
+  });
+
+  test('decodes the character references', () => {
+    expect(plainText('<p>Music &amp; Games, &lt;prefix&gt;, &#39;quoted&#x27; &hellip;</p>'))
+      .toBe('Music & Games, <prefix>, \'quoted\'');
+    expect(plainText('&#1114112;')).toBe('');
+  });
+
+  test('is empty without HTML', () => {
+    expect(plainText(undefined)).toBe('');
+  });
+});
@@ -0,0 +1,110 @@
+import { isCurrentPath, focusableElements, trapFocus } from '../navigation.js';
+
+function createElement(name, isVisible = true) {
+  return {
+    name: name,
+    offsetWidth: isVisible ? 100 : 0,
+    offsetHeight: isVisible ? 20 : 0,
+    getClientRects: () => isVisible ? [ {} ] : [],
+    focus: jest.fn()
+  };
+}
+
+function createContainer(elements, activeElement) {
+  return {
+    ownerDocument: { activeElement: activeElement },
+    querySelectorAll: () => elements,
+    contains: element => elements.includes(element)
+  };
+}
+
+function createEvent(key, shiftKey = false) {
+  return {
+    key: key,
+    shiftKey: shiftKey,
+    preventDefault: jest.fn()
+  };
+}
+
+describe('isCurrentPath', () => {
+  test('matches the page and the pages under it', () => {
+    expect(isCurrentPath('/commands/', '/commands/')).toBe(true);
+    expect(isCurrentPath('/commands', '/commands/')).toBe(true);
+    expect(isCurrentPath('/commands/music/play/', '/commands/')).toBe(true);
+  });
+
+  test('doesn\'t match pages that only start the same', () => {
+    expect(isCurrentPath('/commands-list/', '/commands/')).toBe(false);
+    expect(isCurrentPath('/faq/', '/commands/')).toBe(false);
+  });
+
+  test('only matches the home page on itself', () => {
+    expect(isCurrentPath('/', '/')).toBe(true);
+    expect(isCurrentPath('', '/')).toBe(true);
+    expect(isCurrentPath('/commands/', '/')).toBe(false);
+  });
+});
+
+describe('focusableElements', () => {
+  test('leaves out the hidden elements', () => {
+    let visible = createElement('link');
+    let hidden = createElement('button', false);
+
+    expect(focusableElements(createContainer([ visible, hidden ]))).toEqual([ visible ]);
+  });
+});
+
+describe('trapFocus', () => {
+  const first = createElement('first');
+  const middle = createElement('middle');
+  const last = createElement('last');
+  const hidden = createElement('hidden', false);
+  const elements = [ first, middle, last, hidden ];
+
+  beforeEach(() => {
+    for (let element of elements) {
+      element.focus.mockReset();
+    }
+  });
+
+  test('moves the focus from the last element to the first', () => {
+    let e = createEvent('Tab');
+    trapFocus(e, createContainer(elements, last));
+
+    expect(e.preventDefault).toHaveBeenCalled();
+    expect(first.focus).toHaveBeenCalled();
+  });
+
+  test('moves the focus from the first element to the last with Shift', () => {
+    let e = createEvent('Tab', true);
+    trapFocus(e, createContainer(elements, first));
+
+    expect(e.preventDefault).toHaveBeenCalled();
+    expect(last.focus).toHaveBeenCalled();
+  });
+
+  test('brings the focus back into the container', () => {
+    let e = createEvent('Tab');
+    trapFocus(e, createContainer(elements, createElement('outside')));
+
+    expect(first.focus).toHaveBeenCalled();
+  });
+
+  test('lets the focus move inside the container', () => {
+    let e = createEvent('Tab');
+    trapFocus(e, createContainer(elements, middle));
+
+    expect(e.preventDefault).not.toHaveBeenCalled();
+    expect(elements.some(element => element.focus.mock.calls.length)).toBe(false);
+  });
+
+  test('ignores other keys, and containers without focusable elements', () => {
+    let e = createEvent('Enter');
+    trapFocus(e, createContainer(elements, last));
+    expect(e.preventDefault).not.toHaveBeenCalled();
+
+    e = createEvent('Tab');
+    trapFocus(e, createContainer([ hidden ], null));
+    expect(e.preventDefault).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,102 @@
+import {
+  permissionValue,
+  hasPermission,
+  computePermissions,
+  decodePermissions,
+  presetPermissions,
+  inviteURL
+} from '../permissions.js';
+import data from '../../pages/add/permissions.json';
+
+const { permissions, presets } = data;
+
+function preset(name) {
+  return presets.find(preset => preset.name === name);
+}
+
+describe('computePermissions', () => {
+  test('adds up the values of the permissions', () => {
+    expect(computePermissions(permissions, [])).toBe(0);
+    expect(computePermissions(permissions, [ 'KICK_MEMBERS' ])).toBe(2);
+    expect(computePermissions(permissions, [ 'VIEW_CHANNEL', 'SEND_MESSAGES', 'EMBED_LINKS' ])).toBe(1024 + 2048 + 16384);
+  });
+
+  test('ignores unknown and repeated names', () => {
+    expect(computePermissions(permissions, [ 'KICK_MEMBERS', 'KICK_MEMBERS', 'FLY' ])).toBe(2);
+  });
+
+  test('works above 32 bits', () => {
+    let large = [ { name: 'HIGH', bit: 31 }, { name: 'HIGHER', bit: 40 } ];
+    expect(computePermissions(large, [ 'HIGH', 'HIGHER' ])).toBe(Math.pow(2, 31) + Math.pow(2, 40));
+    expect(decodePermissions(large, Math.pow(2, 40))).toEqual([ 'HIGHER' ]);
+  });
+});
+
+describe('decodePermissions', () => {
+  test('returns the names of the permissions in the integer', () => {
+    expect(decodePermissions(permissions, 0)).toEqual([]);
+    expect(decodePermissions(permissions, 8)).toEqual([ 'ADMINISTRATOR' ]);
+    expect(decodePermissions(permissions, 2 + 4 + 1024)).toEqual([ 'KICK_MEMBERS', 'BAN_MEMBERS', 'VIEW_CHANNEL' ]);
+  });
+
+  test('ignores unknown bits', () => {
+    expect(decodePermissions(permissions, 512 + 2)).toEqual([ 'KICK_MEMBERS' ]);
+  });
+
+  test('is the inverse of computePermissions', () => {
+    for (let permission of permissions) {
+      expect(hasPermission(permissionValue(permission), permission)).toBe(true);
+      expect(decodePermissions(permissions, computePermissions(permissions, [ permission.name ]))).toEqual([ permission.name ]);
+    }
+  });
+});
+
+describe('permissions.json', () => {
+  test('has a bit and a name for every permission, once', () => {
+    let bits = permissions.map(permission => permission.bit);
+    let names = permissions.map(permission => permission.name);
+
+    expect(new Set(bits).size).toBe(bits.length);
+    expect(new Set(names).size).toBe(names.length);
+    expect(bits.every(bit => Number.isInteger(bit) && bit >= 0)).toBe(true);
+  });
+
+  test('presets only have known permissions', () => {
+    let names = permissions.map(permission => permission.name);
+    for (let preset of presets.filter(preset => Array.isArray(preset.permissions))) {
+      expect(preset.permissions.filter(name => !names.includes(name))).toEqual([]);
+    }
+  });
+});
+
+describe('presetPermissions', () => {
+  test('round-trips the recommended 2146958463 preset', () => {
+    let names = presetPermissions(permissions, preset('recommended'));
+
+    expect(names).toContain('ADMINISTRATOR');
+    expect(names).not.toContain('VIEW_AUDIT_LOG');
+    expect(names).not.toContain('PRIORITY_SPEAKER');
+    expect(computePermissions(permissions, names)).toBe(2146958463);
+  });
+
+  test('returns every permission for `all`', () => {
+    let names = presetPermissions(permissions, preset('everything'));
+
+    expect(names).toEqual(permissions.map(permission => permission.name));
+    expect(computePermissions(permissions, names)).toBe(2146958847);
+  });
+
+  test('returns the listed permissions, in the order of permissions.json', () => {
+    let names = presetPermissions(permissions, { permissions: [ 'SEND_MESSAGES', 'VIEW_CHANNEL', 'FLY' ] });
+
+    expect(names).toEqual([ 'VIEW_CHANNEL', 'SEND_MESSAGES' ]);
+    expect(computePermissions(permissions, presetPermissions(permissions, preset('minimal')))).toBe(379968);
+  });
+});
+
+describe('inviteURL', () => {
+  test('has the client id and the permissions', () => {
+    expect(inviteURL(data.clientId, 2146958463))
+      .toBe('https://discordapp.com/oauth2/authorize?client_id=267035345537728512&scope=bot&permissions=2146958463');
+  });
+});
@@ -0,0 +1,138 @@
+import {
+  tokenize,
+  editDistance,
+  createIndex,
+  search,
+  highlight,
+  highlightHTML
+} from '../search.js';
+
+describe('tokenize', () => {
+  test('splits the text into lowercase words', () => {
+    expect(tokenize('Plays a song, from Spotify!')).toEqual([ 'plays', 'a', 'song', 'from', 'spotify' ]);
+    expect(tokenize(null)).toEqual([]);
+  });
+
+  test('splits camelCased words into their parts too', () => {
+    expect(tokenize('nowPlaying')).toEqual([ 'nowplaying', 'now', 'playing' ]);
+  });
+});
+
+describe('editDistance', () => {
+  test('counts insertions, deletions, substitutions and transpositions', () => {
+    expect(editDistance('play', 'play', 2)).toBe(0);
+    expect(editDistance('play', 'plays', 2)).toBe(1);
+    expect(editDistance('play', 'pay', 2)).toBe(1);
+    expect(editDistance('play', 'plan', 2)).toBe(1);
+    expect(editDistance('play', 'paly', 2)).toBe(1);
+  });
+
+  test('stops at the maximum distance', () => {
+    expect(editDistance('play', 'stop', 1)).toBe(2);
+    expect(editDistance('a', 'abcdef', 2)).toBe(3);
+  });
+});
+
+describe('search', () => {
+  const DOCUMENTS = [
+    { name: 'playlist', text: 'Shows the songs in the queue.' },
+    { name: 'play', text: 'Plays a song.' },
+    { name: 'skip', text: 'Skips the song that is playing.' }
+  ];
+  let index = createIndex(DOCUMENTS, {
+    name: {
+      weight: 3,
+      text: document => document.name
+    },
+    text: {
+      weight: 1,
+      text: document => document.text
+    }
+  });
+
+  function names(results) {
+    return results.map(result => result.document.name);
+  }
+
+  test('ranks exact matches above prefix matches, and the name above the text', () => {
+    expect(names(search(index, 'play'))).toEqual([ 'play', 'playlist', 'skip' ]);
+  });
+
+  test('only returns documents that match every word', () => {
+    expect(names(search(index, 'song queue'))).toEqual([ 'playlist' ]);
+  });
+
+  test('tolerates typos in longer words', () => {
+    expect(names(search(index, 'plyalist'))).toEqual([ 'playlist' ]);
+    expect(search(index, 'ply')).toEqual([]);
+  });
+
+  test('returns the words that matched', () => {
+    expect(search(index, 'skip')[0].matches).toEqual([ 'skip', 'skips' ]);
+  });
+
+  test('returns nothing without a query', () => {
+    expect(search(index, ' !? ')).toEqual([]);
+  });
+});
+
+describe('highlight', () => {
+  test('marks the matched words', () => {
+    expect(highlight('Plays a song.', [ 'plays' ])).toEqual([
+      { text: 'Plays', match: true },
+      { text: ' a song.', match: false }
+    ]);
+  });
+
+  test('only marks whole words', () => {
+    expect(highlight('Sets the username of the user.', [ 'user' ])).toEqual([
+      { text: 'Sets the username of the ', match: false },
+      { text: 'user', match: true },
+      { text: '.', match: false }
+    ]);
+  });
+
+  test('marks the parts of camelCased words', () => {
+    expect(highlight('nowPlaying', [ 'playing' ])).toEqual([
+      { text: 'now', match: false },
+      { text: 'Playing', match: true }
+    ]);
+  });
+
+  test('prefers the longest match', () => {
+    expect(highlight('playlist play', [ 'play', 'playlist' ]).filter(part => part.match)).toEqual([
+      { text: 'playlist', match: true },
+      { text: 'play', match: true }
+    ]);
+  });
+
+  test('returns the text without matches', () => {
+    expect(highlight('Plays a song.', [])).toEqual([ { text: 'Plays a song.', match: false } ]);
+    expect(highlight('', [ 'song' ])).toEqual([ { text: '', match: false } ]);
+  });
+});
+
+describe('highlightHTML', () => {
+  test('marks the matched words in the text', () => {
+    expect(highlightHTML('<p>Plays a <strong>song</strong>.</p>', [ 'song' ]))
+      .toBe('<p>Plays a <strong><mark>song</mark></strong>.</p>');
+  });
+
+  test('leaves the tags and their attributes alone', () => {
+    expect(highlightHTML('<a href="/song" title="song">link</a>', [ 'song', 'a', 'href' ]))
+      .toBe('<a href="/song" title="song">link</a>');
+  });
+
+  test('leaves character references alone', () => {
+    expect(highlightHTML('Tom &amp; Jerry &#39;amp&#39; &#x27;', [ 'amp', 'x27', '39' ]))
+      .toBe('Tom &amp; Jerry &#39;<mark>amp</mark>&#39; &#x27;');
+  });
+
+  test('marks words next to an ampersand that isn\'t a reference', () => {
+    expect(highlightHTML('rock & roll', [ 'roll' ])).toBe('rock & <mark>roll</mark>');
+  });
+
+  test('only marks whole words', () => {
+    expect(highlightHTML('<p>username</p>', [ 'user' ])).toBe('<p>username</p>');
+  });
+});
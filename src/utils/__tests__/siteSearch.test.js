@@ -0,0 +1,41 @@
+import { createSiteIndex, searchSite, flattenGroups, samePageHash } from '../siteSearch.js';
+
+const DOCUMENTS = [
+  { type: 'tool', title: 'Invite Builder', text: 'Builds the invite link of Bastion.', path: '/tools/invite/' },
+  { type: 'faq', title: 'How do I invite Bastion?', text: 'Use the invite link.', path: '/faq#how-do-i-invite-bastion' },
+  { type: 'command', title: 'invite', text: 'Shows the invite link.', module: 'info', path: '/commands/invite/' }
+];
+
+describe('searchSite', () => {
+  test('groups the results by their type', () => {
+    let groups = searchSite(createSiteIndex(DOCUMENTS), 'invite');
+
+    expect(groups.map(group => group.type)).toEqual([ 'command', 'faq', 'tool' ]);
+    expect(flattenGroups(groups).map(result => result.document.path)).toEqual([
+      '/commands/invite/',
+      '/faq#how-do-i-invite-bastion',
+      '/tools/invite/'
+    ]);
+  });
+
+  test('limits the results of each type', () => {
+    let documents = [ 1, 2, 3 ].map(i => ({ type: 'tool', title: `Tool ${i}`, text: '', path: `/tools/${i}/` }));
+    let groups = searchSite(createSiteIndex(documents), 'tool', 2);
+
+    expect(groups[0].results.length).toBe(2);
+  });
+});
+
+describe('samePageHash', () => {
+  test('returns the hash of a path on the page', () => {
+    expect(samePageHash('/faq#support', '/faq/')).toBe('#support');
+    expect(samePageHash('/faq#support', '/faq')).toBe('#support');
+    expect(samePageHash('/#features', '/')).toBe('#features');
+  });
+
+  test('returns null for other pages and paths without a hash', () => {
+    expect(samePageHash('/faq#support', '/features/')).toBe(null);
+    expect(samePageHash('/faq', '/faq/')).toBe(null);
+    expect(samePageHash('/faq#', '/faq/')).toBe(null);
+  });
+});
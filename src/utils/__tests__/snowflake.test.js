@@ -0,0 +1,56 @@
+import { DISCORD_EPOCH, decodeSnowflake, isSnowflake } from '../snowflake.js';
+
+describe('decodeSnowflake', () => {
+  test('decodes the parts of a snowflake', () => {
+    // The example in Discord's documentation.
+    expect(decodeSnowflake('175928847299117063')).toEqual({
+      timestamp: 1462015105796,
+      date: new Date('2016-04-30T11:18:25.796Z'),
+      workerId: 1,
+      processId: 0,
+      increment: 7
+    });
+  });
+
+  test('decodes IDs above 2^53 exactly', () => {
+    let snowflake = decodeSnowflake('18446744073709551615');
+
+    expect(snowflake.timestamp).toBe(Math.pow(2, 42) - 1 + DISCORD_EPOCH);
+    expect(snowflake.workerId).toBe(31);
+    expect(snowflake.processId).toBe(31);
+    expect(snowflake.increment).toBe(4095);
+  });
+
+  test('accepts numbers, whitespace and leading zeros', () => {
+    expect(decodeSnowflake(' 0175928847299117063 ').increment).toBe(7);
+    expect(decodeSnowflake(0).timestamp).toBe(DISCORD_EPOCH);
+  });
+
+  test('returns null for what isn\'t a snowflake', () => {
+    expect(decodeSnowflake('')).toBe(null);
+    expect(decodeSnowflake('abc')).toBe(null);
+    expect(decodeSnowflake('-175928847299117063')).toBe(null);
+    expect(decodeSnowflake('1759288472991170631234')).toBe(null);
+    // One more than the largest 64-bit integer.
+    expect(decodeSnowflake('18446744073709551616')).toBe(null);
+  });
+});
+
+describe('isSnowflake', () => {
+  const NOW = Date.UTC(2018, 5, 1);
+
+  test('accepts IDs made between the Discord epoch and now', () => {
+    expect(isSnowflake('175928847299117063', NOW)).toBe(true);
+    expect(isSnowflake('267035345537728512', NOW)).toBe(true);
+  });
+
+  test('rejects IDs from the future', () => {
+    expect(isSnowflake('175928847299117063', Date.UTC(2016, 0, 1))).toBe(false);
+  });
+
+  test('rejects IDs that are too short or too long', () => {
+    expect(isSnowflake('1234567890123456', NOW)).toBe(false);
+    expect(isSnowflake('123456789012345678901', NOW)).toBe(false);
+    expect(isSnowflake('00000000000000000', NOW)).toBe(false);
+  });
+});
@@ -0,0 +1,62 @@
+import { ROTATION_PERIOD, rotate, rotateSponsors, sponsorsByTier } from '../sponsors.js';
+
+const TIERS = [
+  { name: 'platinum', title: 'Platinum' },
+  { name: 'gold', title: 'Gold' },
+  { name: 'community', title: 'Community' }
+];
+
+function sponsor(title, tier) {
+  return { title: title, tier: tier };
+}
+
+describe('rotate', () => {
+  test('rotates the items to the left', () => {
+    expect(rotate([ 'a', 'b', 'c' ], 1)).toEqual([ 'b', 'c', 'a' ]);
+    expect(rotate([ 'a', 'b', 'c' ], 4)).toEqual([ 'b', 'c', 'a' ]);
+    expect(rotate([ 'a', 'b', 'c' ], -1)).toEqual([ 'c', 'a', 'b' ]);
+    expect(rotate([], 2)).toEqual([]);
+  });
+
+  test('does not change the items', () => {
+    let items = [ 'a', 'b' ];
+    rotate(items, 1);
+    expect(items).toEqual([ 'a', 'b' ]);
+  });
+});
+
+describe('rotateSponsors', () => {
+  test('lets each sponsor lead once every period', () => {
+    let sponsors = [ 'a', 'b', 'c' ];
+    let leaders = [ 0, 1, 2, 3 ].map(i => rotateSponsors(sponsors, i * ROTATION_PERIOD)[0]);
+
+    expect(leaders).toEqual([ 'a', 'b', 'c', 'a' ]);
+  });
+
+  test('keeps the order during a period', () => {
+    let sponsors = [ 'a', 'b', 'c' ];
+    expect(rotateSponsors(sponsors, ROTATION_PERIOD)).toEqual(rotateSponsors(sponsors, 2 * ROTATION_PERIOD - 1));
+  });
+});
+
+describe('sponsorsByTier', () => {
+  const SPONSORS = [
+    sponsor('A', 'gold'),
+    sponsor('B', 'platinum'),
+    sponsor('C', 'gold')
+  ];
+
+  test('groups the sponsors in the order of the tiers, leaving out empty tiers', () => {
+    let groups = sponsorsByTier(SPONSORS, TIERS);
+
+    expect(groups.map(group => group.tier.name)).toEqual([ 'platinum', 'gold' ]);
+    expect(groups[1].sponsors.map(sponsor => sponsor.title)).toEqual([ 'A', 'C' ]);
+  });
+
+  test('rotates the sponsors of each tier', () => {
+    let groups = sponsorsByTier(SPONSORS, TIERS, ROTATION_PERIOD);
+
+    expect(groups[0].sponsors.map(sponsor => sponsor.title)).toEqual([ 'B' ]);
+    expect(groups[1].sponsors.map(sponsor => sponsor.title)).toEqual([ 'C', 'A' ]);
+  });
+});
@@ -0,0 +1,134 @@
+import {
+  CACHE_KEY,
+  parseStatus,
+  shardHealth,
+  formatUptime,
+  getCachedStatus,
+  cacheStatus
+} from '../status.js';
+import { mockStatus, handleRequest } from '../../../gatsby/status-mock.js';
+import { requestMock } from '../../../gatsby/mock-server.js';
+
+// The mock counts the uptime from when it was loaded.
+const NOW = Date.now();
+
+function createStorage(items) {
+  items = Object.assign({}, items);
+  return {
+    getItem: key => key in items ? items[key] : null,
+    setItem: (key, value) => {
+      items[key] = String(value);
+    }
+  };
+}
+
+const request = path => requestMock(handleRequest, path);
+
+describe('parseStatus', () => {
+  test('keeps the statuses of the mock endpoint', () => {
+    for (let scenario of [ 'operational', 'degraded', 'outage' ]) {
+      let status = mockStatus(scenario, NOW);
+      expect(parseStatus(status)).toEqual(status);
+    }
+  });
+
+  test('rejects what is not a status', () => {
+    expect(() => parseStatus(null)).toThrow('invalid status');
+    expect(() => parseStatus([ 'not', 'a', 'status' ])).toThrow('invalid status');
+    expect(() => parseStatus({ online: 'yes' })).toThrow('invalid status');
+  });
+
+  test('drops invalid fields and shards', () => {
+    let status = parseStatus({
+      online: true,
+      uptime: -1,
+      guilds: 1.5,
+      latency: '60',
+      shards: [ null, { id: 'a' }, { id: 0, status: 3, guilds: 10, latency: null } ]
+    });
+
+    expect(status).toEqual({
+      online: true,
+      uptime: null,
+      guilds: null,
+      latency: null,
+      shards: [ { id: 0, status: 'unknown', guilds: 10, latency: null } ],
+      updatedAt: null
+    });
+  });
+});
+
+describe('shardHealth', () => {
+  test('is operational when every shard is ready', () => {
+    expect(shardHealth(mockStatus('operational', NOW))).toEqual({ ready: 4, total: 4, level: 'operational' });
+  });
+
+  test('is degraded when only some shards are ready', () => {
+    expect(shardHealth(mockStatus('degraded', NOW))).toEqual({ ready: 3, total: 4, level: 'degraded' });
+  });
+
+  test('is an outage when the bot is offline', () => {
+    expect(shardHealth(mockStatus('outage', NOW))).toEqual({ ready: 0, total: 4, level: 'outage' });
+  });
+
+  test('is an outage when no shard is ready, even if the bot is online', () => {
+    let status = Object.assign(mockStatus('outage', NOW), { online: true });
+    expect(shardHealth(status).level).toBe('outage');
+  });
+
+  test('goes by whether the bot is online without shards', () => {
+    expect(shardHealth({ online: true, shards: [] }).level).toBe('operational');
+    expect(shardHealth({ online: false, shards: [] }).level).toBe('outage');
+  });
+});
+
+describe('formatUptime', () => {
+  test('starts at the largest unit', () => {
+    expect(formatUptime(3 * 86400 + 4 * 3600 + 12 * 60 + 30)).toBe('3d 4h 12m');
+    expect(formatUptime(3600)).toBe('1h 0m');
+    expect(formatUptime(59)).toBe('< 1m');
+  });
+});
+
+describe('the last known status', () => {
+  test('is cached and read back', () => {
+    let storage = createStorage();
+    let status = mockStatus('degraded', NOW);
+    cacheStatus(storage, status, NOW);
+
+    expect(getCachedStatus(storage)).toEqual({ status: status, fetchedAt: NOW });
+  });
+
+  test('is ignored when it is invalid', () => {
+    expect(getCachedStatus(createStorage({ [CACHE_KEY]: '{' }))).toBe(null);
+    expect(getCachedStatus(createStorage({ [CACHE_KEY]: '{"status":{}}' }))).toBe(null);
+    expect(getCachedStatus(createStorage({ [CACHE_KEY]: '{"status":{},"fetchedAt":1}' }))).toBe(null);
+  });
+
+  test('is not kept without storage', () => {
+    expect(() => cacheStatus(null, mockStatus('operational', NOW), NOW)).not.toThrow();
+    expect(getCachedStatus(null)).toBe(null);
+  });
+});
+
+describe('the mock endpoint', () => {
+  test('returns the status of the scenario', async () => {
+    let res = await request('/status.json?scenario=degraded');
+    expect(res.statusCode).toBe(200);
+    expect(shardHealth(parseStatus(res.body)).level).toBe('degraded');
+  });
+
+  test('is operational by default', async () => {
+    let res = await request('/status.json');
+    expect(shardHealth(parseStatus(res.body)).level).toBe('operational');
+  });
+
+  test('returns errors and invalid statuses', async () => {
+    expect((await request('/status.json?scenario=error')).statusCode).toBe(500);
+    expect((await request('/other.json')).statusCode).toBe(404);
+
+    let res = await request('/status.json?scenario=invalid');
+    expect(res.statusCode).toBe(200);
+    expect(() => parseStatus(res.body)).toThrow('invalid status');
+  });
+});
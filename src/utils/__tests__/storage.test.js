@@ -0,0 +1,59 @@
+import { getLocalStorage, readItem, writeItem, readJSON, writeJSON } from '../storage.js';
+
+function createStorage(items) {
+  items = Object.assign({}, items);
+  return {
+    getItem: key => key in items ? items[key] : null,
+    setItem: (key, value) => {
+      items[key] = String(value);
+    }
+  };
+}
+
+const BLOCKED_STORAGE = {
+  getItem: () => {
+    throw new Error('SecurityError');
+  },
+  setItem: () => {
+    throw new Error('QuotaExceededError');
+  }
+};
+
+describe('getLocalStorage', () => {
+  test('is null when the storage is blocked', () => {
+    global.window = {};
+    Object.defineProperty(global.window, 'localStorage', {
+      get: () => {
+        throw new Error('SecurityError');
+      }
+    });
+
+    expect(getLocalStorage()).toBe(null);
+    delete global.window;
+  });
+});
+
+describe('reading and writing', () => {
+  test('keeps the items', () => {
+    let storage = createStorage();
+    writeItem(storage, 'theme', 'light');
+    writeJSON(storage, 'dismissed', [ 'launch' ]);
+
+    expect(readItem(storage, 'theme')).toBe('light');
+    expect(readJSON(storage, 'dismissed')).toEqual([ 'launch' ]);
+    expect(readItem(storage, 'missing')).toBe(null);
+  });
+
+  test('never throws', () => {
+    for (let storage of [ null, BLOCKED_STORAGE ]) {
+      expect(() => writeItem(storage, 'theme', 'light')).not.toThrow();
+      expect(() => writeJSON(storage, 'dismissed', [])).not.toThrow();
+      expect(readItem(storage, 'theme')).toBe(null);
+      expect(readJSON(storage, 'dismissed')).toBe(null);
+    }
+  });
+
+  test('reads invalid JSON as null', () => {
+    expect(readJSON(createStorage({ dismissed: '[' }), 'dismissed')).toBe(null);
+  });
+});
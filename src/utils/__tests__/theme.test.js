@@ -0,0 +1,61 @@
+import { THEME_KEY, getStoredTheme, storeTheme, preferredTheme, applyTheme } from '../theme.js';
+import tokens from '../../theme.json';
+
+function createDocument() {
+  let attributes = {};
+  let metas = [ {}, {} ].map(() => ({
+    setAttribute: function (name, value) {
+      this[name] = value;
+    }
+  }));
+  return {
+    metas: metas,
+    documentElement: {
+      setAttribute: (name, value) => {
+        attributes[name] = value;
+      },
+      getAttribute: name => attributes[name]
+    },
+    querySelectorAll: () => metas
+  };
+}
+
+describe('the stored theme', () => {
+  test('is read back', () => {
+    let items = {};
+    let storage = {
+      getItem: key => items[key],
+      setItem: (key, value) => {
+        items[key] = value;
+      }
+    };
+    storeTheme(storage, 'light');
+
+    expect(items[THEME_KEY]).toBe('light');
+    expect(getStoredTheme(storage)).toBe('light');
+  });
+
+  test('is ignored when it is unknown or there is no storage', () => {
+    expect(getStoredTheme({ getItem: () => 'blue' })).toBe(null);
+    expect(getStoredTheme(null)).toBe(null);
+    expect(() => storeTheme(null, 'light')).not.toThrow();
+  });
+});
+
+describe('preferredTheme', () => {
+  test('follows the system, and is dark without a preference', () => {
+    expect(preferredTheme(() => ({ matches: true }))).toBe('light');
+    expect(preferredTheme(() => ({ matches: false }))).toBe('dark');
+    expect(preferredTheme(undefined)).toBe('dark');
+  });
+});
+
+describe('applyTheme', () => {
+  test('sets the theme and the color of every color scheme', () => {
+    let document = createDocument();
+    applyTheme(document, 'light');
+
+    expect(document.documentElement.getAttribute('data-theme')).toBe('light');
+    expect(document.metas.map(meta => meta.content)).toEqual([ tokens.light.background, tokens.light.background ]);
+  });
+});
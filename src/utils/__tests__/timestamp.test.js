@@ -0,0 +1,89 @@
+import {
+  TIMESTAMP_STYLES,
+  toUnixSeconds,
+  discordTimestamp,
+  relativeTime,
+  formatTimestamp,
+  parseLocalDateTime,
+  toLocalDateTime
+} from '../timestamp.js';
+
+const DATE = new Date('2018-03-02T15:05:09.500Z');
+const SECONDS = 1520003109;
+
+describe('discordTimestamp', () => {
+  test('returns the markdown of the timestamp in the style', () => {
+    expect(toUnixSeconds(DATE)).toBe(SECONDS);
+    expect(discordTimestamp(DATE, 'R')).toBe(`<t:${SECONDS}:R>`);
+    expect(discordTimestamp(DATE, 'D')).toBe(`<t:${SECONDS}:D>`);
+  });
+
+  test('leaves out the default style', () => {
+    expect(discordTimestamp(DATE, 'f')).toBe(`<t:${SECONDS}>`);
+    expect(discordTimestamp(DATE)).toBe(`<t:${SECONDS}>`);
+  });
+});
+
+describe('relativeTime', () => {
+  const NOW = DATE.getTime();
+
+  test('returns how long ago the date was', () => {
+    expect(relativeTime(NOW - 1000, NOW)).toBe('1 second ago');
+    expect(relativeTime(NOW - 90 * 1000, NOW)).toBe('1 minute ago');
+    expect(relativeTime(NOW - 3 * 24 * 60 * 60 * 1000, NOW)).toBe('3 days ago');
+    expect(relativeTime(NOW - 400 * 24 * 60 * 60 * 1000, NOW)).toBe('1 year ago');
+  });
+
+  test('returns how long until the date', () => {
+    expect(relativeTime(NOW + 2 * 60 * 60 * 1000, NOW)).toBe('in 2 hours');
+    expect(relativeTime(NOW + 45 * 24 * 60 * 60 * 1000, NOW)).toBe('in 1 month');
+  });
+
+  test('returns now for less than a second', () => {
+    expect(relativeTime(NOW + 400, NOW)).toBe('now');
+  });
+});
+
+describe('formatTimestamp', () => {
+  function format(style) {
+    return formatTimestamp(DATE, style, DATE.getTime(), 'en-US', 'UTC');
+  }
+
+  test('formats the date in every style', () => {
+    expect(format('t')).toMatch(/^3:05\sPM$/);
+    expect(format('T')).toMatch(/^3:05:09\sPM$/);
+    expect(format('d')).toBe('03/02/2018');
+    expect(format('D')).toBe('March 2, 2018');
+    expect(format('f')).toMatch(/^March 2, 2018(,| at) 3:05\sPM$/);
+    expect(format('F')).toMatch(/^Friday, March 2, 2018(,| at) 3:05\sPM$/);
+    expect(formatTimestamp(DATE, 'R', DATE.getTime() + 60 * 1000)).toBe('1 minute ago');
+  });
+
+  test('uses the time zone', () => {
+    expect(formatTimestamp(DATE, 't', DATE.getTime(), 'en-US', 'Asia/Kolkata')).toMatch(/^8:35\sPM$/);
+  });
+
+  test('uses the default style for unknown styles', () => {
+    expect(format('x')).toBe(format('f'));
+    expect(TIMESTAMP_STYLES.map(format => format.style)).toEqual([ 't', 'T', 'd', 'D', 'f', 'F', 'R' ]);
+  });
+});
+
+describe('parseLocalDateTime and toLocalDateTime', () => {
+  test('convert between dates and datetime-local values, in local time', () => {
+    let date = new Date(2018, 2, 2, 15, 5, 9);
+
+    expect(toLocalDateTime(date)).toBe('2018-03-02T15:05:09');
+    expect(parseLocalDateTime('2018-03-02T15:05:09')).toEqual(date);
+    expect(parseLocalDateTime('2018-03-02T15:05')).toEqual(new Date(2018, 2, 2, 15, 5));
+    expect(toLocalDateTime(parseLocalDateTime('2018-12-31T23:59:59'))).toBe('2018-12-31T23:59:59');
+  });
+
+  test('returns null for what isn\'t a date', () => {
+    expect(parseLocalDateTime('')).toBe(null);
+    expect(parseLocalDateTime('2018-03-02')).toBe(null);
+    expect(parseLocalDateTime('2018-02-30T10:00')).toBe(null);
+    expect(parseLocalDateTime('2018-13-01T10:00')).toBe(null);
+    expect(parseLocalDateTime('2018-03-02T25:00')).toBe(null);
+  });
+});
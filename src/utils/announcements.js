@@ -0,0 +1,76 @@
+/**
+ * Picks the announcement to show in the SiteBanner, from the ones in
+ * banner.json, and remembers the ones that were dismissed.
+ *
+ * Announcements have an `id`, optional `start` and `end` dates (in the
+ * visitor's time zone, the end date is inclusive), a `level` of `info`,
+ * `warning` or `critical`, and optional `pages` (path prefixes) that they're
+ * shown on.
+ */
+
+import { readJSON, writeJSON } from './storage.js';
+
+export const LEVELS = [ 'info', 'warning', 'critical' ];
+
+export const DISMISSED_KEY = 'SiteBanner.dismissed';
+
+function parseDate(date, isEnd) {
+  if (!date) return null;
+
+  let day = date.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (day) {
+    let next = isEnd ? 1 : 0;
+    return new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3]) + next).getTime() - next;
+  }
+
+  let time = new Date(date).getTime();
+  return isNaN(time) ? null : time;
+}
+
+export function isScheduled(announcement, now) {
+  let start = parseDate(announcement.start);
+  let end = parseDate(announcement.end, true);
+
+  return (start === null || start <= now) && (end === null || now <= end);
+}
+
+export function isTargeted(announcement, pathname) {
+  if (!announcement.pages || !announcement.pages.length) return true;
+
+  return announcement.pages.some(page => {
+    page = page.replace(/\/+$/, '');
+    // Every path is under `/`, so it only targets the home page.
+    if (!page) return pathname === '/';
+    return pathname === page || pathname.startsWith(`${page}/`);
+  });
+}
+
+export function activeAnnouncement(announcements, options) {
+  let active = announcements.filter(announcement => {
+    return isScheduled(announcement, options.now)
+      && isTargeted(announcement, options.pathname)
+      && !options.dismissed.includes(announcement.id);
+  });
+
+  active.sort((a, b) => {
+    return LEVELS.indexOf(b.level) - LEVELS.indexOf(a.level)
+      || (parseDate(b.start) || 0) - (parseDate(a.start) || 0);
+  });
+
+  return active[0] || null;
+}
+
+export function getDismissed(storage) {
+  let dismissed = readJSON(storage, DISMISSED_KEY);
+  return Array.isArray(dismissed) ? dismissed : [];
+}
+
+export function dismiss(storage, id) {
+  let dismissed = getDismissed(storage);
+  if (!dismissed.includes(id)) {
+    dismissed.push(id);
+  }
+
+  writeJSON(storage, DISMISSED_KEY, dismissed);
+  return dismissed;
+}
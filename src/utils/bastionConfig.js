@@ -0,0 +1,136 @@
+/**
+ * Builds the `config.json` and `credentials.json` files of a self-hosted
+ * Bastion, from the values of the setup wizard.
+ */
+
+import { isSnowflake } from './snowflake.js';
+
+export const TOKEN_PLACEHOLDER = 'YOUR_BOT_TOKEN';
+
+export const API_KEYS = [
+  {
+    key: 'googleAPIkey',
+    title: 'Google API Key',
+    description: 'Needed for playing music from YouTube and for the search commands.',
+    modules: [ 'music', 'searches' ]
+  },
+  {
+    key: 'twitchClientID',
+    title: 'Twitch Client ID',
+    description: 'Needed for the Twitch commands and stream notifications.',
+    modules: [ 'searches' ]
+  },
+  {
+    key: 'theMovieDBApiKey',
+    title: 'The Movie DB API Key',
+    description: 'Needed for the movie and TV show commands.',
+    modules: [ 'searches' ]
+  },
+  {
+    key: 'fortniteAPIkey',
+    title: 'Fortnite Tracker API Key',
+    description: 'Needed for the Fortnite stats command.',
+    modules: [ 'game_stats' ]
+  },
+  {
+    key: 'battlenetAPIkey',
+    title: 'Battle.net API Key',
+    description: 'Needed for the Overwatch stats command.',
+    modules: [ 'game_stats' ]
+  },
+  {
+    key: 'steamWebAPIKey',
+    title: 'Steam Web API Key',
+    description: 'Needed for the Steam commands.',
+    modules: [ 'game_stats' ]
+  },
+  {
+    key: 'cleverbotAPIkey',
+    title: 'Cleverbot API Key',
+    description: 'Needed for chatting with Bastion by mentioning it.',
+    modules: [ 'fun' ]
+  }
+];
+
+export function defaultValues(modules) {
+  let apiKeys = {};
+  for (let apiKey of API_KEYS) {
+    apiKeys[apiKey.key] = '';
+  }
+
+  return {
+    token: TOKEN_PLACEHOLDER,
+    ownerIds: '',
+    prefix: 'bas?',
+    modules: modules.slice(),
+    music: {
+      status: true,
+      volume: 50,
+      maxQueueSize: 100
+    },
+    apiKeys: apiKeys
+  };
+}
+
+export function parseIds(ids) {
+  return ids.split(/[\s,]+/).filter(id => id);
+}
+
+export function validateValues(values) {
+  let errors = {};
+
+  if (!values.token.trim()) {
+    errors.token = `Enter the token of your bot, or leave ${TOKEN_PLACEHOLDER} to fill it in later.`;
+  }
+
+  let ownerIds = parseIds(values.ownerIds);
+  let invalidIds = ownerIds.filter(id => !isSnowflake(id));
+  if (!ownerIds.length) {
+    errors.ownerIds = 'Enter the user ID of at least one owner of the bot.';
+  }
+  else if (invalidIds.length) {
+    errors.ownerIds = `These aren't valid Discord user IDs: ${invalidIds.join(', ')}`;
+  }
+
+  if (!values.prefix.trim()) {
+    errors.prefix = 'Enter a prefix for the commands.';
+  }
+  else if (/\s/.test(values.prefix.trim())) {
+    errors.prefix = 'The prefix can\'t have spaces.';
+  }
+
+  let volume = Number(values.music.volume);
+  if (!Number.isInteger(volume) || volume < 1 || volume > 100) {
+    errors.volume = 'The volume should be between 1 and 100.';
+  }
+  let maxQueueSize = Number(values.music.maxQueueSize);
+  if (!Number.isInteger(maxQueueSize) || maxQueueSize < 1) {
+    errors.maxQueueSize = 'The queue size should be at least 1.';
+  }
+
+  return errors;
+}
+
+export function buildConfig(values, modules) {
+  return {
+    ownerId: parseIds(values.ownerIds),
+    prefix: [ values.prefix.trim() ],
+    status: 'online',
+    game: {
+      type: 'Playing',
+      name: [ `with ${values.prefix.trim()}help` ]
+    },
+    disabledModules: modules.filter(module => !values.modules.includes(module)),
+    music: {
+      status: values.music.status && values.modules.includes('music'),
+      volume: Number(values.music.volume),
+      maxQueueSize: Number(values.music.maxQueueSize)
+    }
+  };
+}
+
+export function buildCredentials(values) {
+  return Object.assign({
+    token: values.token.trim()
+  }, values.apiKeys);
+}
@@ -0,0 +1,28 @@
+/**
+ * Copies the text to the clipboard, falling back to `execCommand` in browsers
+ * that don't have the Clipboard API. Resolves to whether it was copied.
+ */
+export function copyText(text) {
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    return navigator.clipboard.writeText(text).then(() => true, () => false);
+  }
+
+  let textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.style.position = 'absolute';
+  textarea.style.left = '-9999px';
+  document.body.appendChild(textarea);
+  textarea.select();
+
+  let copied = false;
+  try {
+    copied = document.execCommand('copy');
+  }
+  catch (e) {
+    copied = false;
+  }
+  document.body.removeChild(textarea);
+
+  return Promise.resolve(copied);
+}
@@ -0,0 +1,73 @@
+/**
+ * Converts colors between the hex codes used on the web and the decimal
+ * integers Discord and Bastion use.
+ */
+
+export function normalizeHex(hex) {
+  let match = String(hex).trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (!match) return null;
+
+  let digits = match[1].toLowerCase();
+  if (digits.length === 3) {
+    digits = digits.split('').map(digit => digit + digit).join('');
+  }
+  return `#${digits}`;
+}
+
+export function hexToDecimal(hex) {
+  let normalized = normalizeHex(hex);
+  return normalized === null ? null : parseInt(normalized.slice(1), 16);
+}
+
+export function decimalToHex(decimal) {
+  if (!Number.isInteger(decimal) || decimal < 0 || decimal > 0xffffff) return null;
+
+  let hex = decimal.toString(16);
+  while (hex.length < 6) {
+    hex = `0${hex}`;
+  }
+  return `#${hex}`;
+}
+
+export function rgbToDecimal(red, green, blue) {
+  let channels = [ red, green, blue ];
+  if (!channels.every(channel => Number.isInteger(channel) && channel >= 0 && channel <= 255)) {
+    return null;
+  }
+  return red * 65536 + green * 256 + blue;
+}
+
+export function decimalToRGB(decimal) {
+  if (!Number.isInteger(decimal) || decimal < 0 || decimal > 0xffffff) return null;
+
+  return [
+    Math.floor(decimal / 65536),
+    Math.floor(decimal / 256) % 256,
+    decimal % 256
+  ];
+}
+
+export function parseColor(input) {
+  input = String(input).trim();
+
+  let decimal = null;
+  let rgb = input.match(/^(?:rgb\s*\()?\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*\)?$/i);
+  if (rgb && /^rgb/i.test(input) === /\)$/.test(input)) {
+    decimal = rgbToDecimal(Number(rgb[1]), Number(rgb[2]), Number(rgb[3]));
+  }
+  else if (/^\d+$/.test(input)) {
+    // Hex codes without the `#` that only have digits are read as decimals.
+    decimal = Number(input);
+  }
+  else {
+    decimal = hexToDecimal(input);
+  }
+
+  if (decimal === null || decimal > 0xffffff) return null;
+
+  return {
+    hex: decimalToHex(decimal),
+    rgb: decimalToRGB(decimal),
+    decimal: decimal
+  };
+}
@@ -0,0 +1,134 @@
+/**
+ * Helpers for filtering and sorting the commands on the Commands page, and
+ * for keeping the filters in the URL's query string.
+ */
+
+import { createIndex, search } from './search.js';
+
+export const SORT_OPTIONS = [ 'module', 'name' ];
+
+export function parseQuery(queryString) {
+  let params = {};
+  for (let pair of (queryString || '').replace(/^\?/, '').split('&')) {
+    if (!pair) continue;
+
+    let index = pair.indexOf('=');
+    let key = index === -1 ? pair : pair.slice(0, index);
+    let value = index === -1 ? '' : pair.slice(index + 1);
+    try {
+      params[decodeURIComponent(key)] = decodeURIComponent(value.replace(/\+/g, ' '));
+    }
+    catch (e) {
+      // Parameters with a malformed `%` sequence are ignored.
+    }
+  }
+
+  return {
+    channel: params.channel || '',
+    compare: params.compare || '',
+    query: params.q || '',
+    modules: params.module ? params.module.split(',').filter(module => module) : [],
+    sort: SORT_OPTIONS.includes(params.sort) ? params.sort : SORT_OPTIONS[0]
+  };
+}
+
+export function stringifyQuery(filters, defaultChannel) {
+  let params = [];
+  if (filters.channel && filters.channel !== defaultChannel) {
+    params.push(`channel=${encodeURIComponent(filters.channel)}`);
+  }
+  if (filters.compare) {
+    params.push(`compare=${encodeURIComponent(filters.compare)}`);
+  }
+  if (filters.modules.length) {
+    params.push(`module=${filters.modules.map(encodeURIComponent).join(',')}`);
+  }
+  if (filters.query) {
+    params.push(`q=${encodeURIComponent(filters.query)}`);
+  }
+  if (filters.sort !== SORT_OPTIONS[0]) {
+    params.push(`sort=${filters.sort}`);
+  }
+  return params.length ? `?${params.join('&')}` : '';
+}
+
+export function createCommandIndex(commands) {
+  return createIndex(commands, {
+    name: {
+      weight: 3,
+      text: command => command.name
+    },
+    module: {
+      weight: 2,
+      text: command => command.module.replace(/_/g, ' ')
+    },
+    description: {
+      weight: 1,
+      text: command => command.text
+    }
+  });
+}
+
+export function searchCommands(index, query) {
+  if (!query.trim()) {
+    return index.entries.map(entry => {
+      return {
+        document: entry.document,
+        score: 0,
+        matches: []
+      };
+    });
+  }
+  return search(index, query);
+}
+
+export function countByModule(commands) {
+  let counts = {};
+  for (let command of commands) {
+    counts[command.module] = (counts[command.module] || 0) + 1;
+  }
+  return counts;
+}
+
+function compareCommands(a, b, sort) {
+  if (sort === 'module' && a.module !== b.module) {
+    return a.module.localeCompare(b.module);
+  }
+  return a.name.localeCompare(b.name);
+}
+
+export function filterCommands(results, filters) {
+  results = results.filter(result => {
+    return !filters.modules.length || filters.modules.includes(result.document.module);
+  });
+  if (filters.query.trim()) return results;
+
+  return results.sort((a, b) => compareCommands(a.document, b.document, filters.sort));
+}
+
+export function diffCommands(baseCommands, targetCommands) {
+  let base = {};
+  for (let command of baseCommands) {
+    base[command.name] = command;
+  }
+
+  let diff = [];
+  for (let command of targetCommands) {
+    let before = base[command.name];
+    delete base[command.name];
+
+    if (!before) {
+      diff.push({ status: 'new', name: command.name, module: command.module, after: command });
+    }
+    else if (before.module !== command.module || before.description !== command.description) {
+      diff.push({ status: 'changed', name: command.name, module: command.module, before: before, after: command });
+    }
+  }
+  for (let name of Object.keys(base)) {
+    diff.push({ status: 'removed', name: name, module: base[name].module, before: base[name] });
+  }
+
+  return diff.sort((a, b) => {
+    return a.module.localeCompare(b.module) || a.name.localeCompare(b.name);
+  });
+}
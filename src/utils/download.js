@@ -0,0 +1,16 @@
+/**
+ * Makes the browser download the text as a file, without sending it anywhere.
+ */
+export function downloadFile(filename, content, type = 'application/json') {
+  let blob = new Blob([ content ], { type: type });
+  let url = URL.createObjectURL(blob);
+
+  let link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,202 @@
+/**
+ * Builds the embed JSON used with commands like `sendEmbed`, from the values
+ * of the Embed Builder, and checks it against Discord's limits.
+ */
+
+import { hexToDecimal, decimalToHex } from './color.js';
+
+export const LIMITS = {
+  title: 256,
+  description: 2048,
+  fields: 25,
+  fieldName: 256,
+  fieldValue: 1024,
+  footer: 2048,
+  author: 256,
+  total: 6000
+};
+
+export const DEFAULT_PREFIX = 'bas?';
+
+export function emptyField() {
+  return {
+    name: '',
+    value: '',
+    inline: false
+  };
+}
+
+export function emptyEmbed() {
+  return {
+    title: '',
+    url: '',
+    description: '',
+    color: '',
+    author: {
+      name: '',
+      url: '',
+      icon_url: ''
+    },
+    thumbnail: '',
+    image: '',
+    footer: {
+      text: '',
+      icon_url: ''
+    },
+    fields: []
+  };
+}
+
+function isURL(url) {
+  return /^https?:\/\/\S+$/i.test(url);
+}
+
+export function buildEmbed(values) {
+  let embed = {};
+
+  if (values.title.trim()) embed.title = values.title.trim();
+  if (values.url.trim()) embed.url = values.url.trim();
+  if (values.description.trim()) embed.description = values.description.trim();
+
+  let color = hexToDecimal(values.color);
+  if (color !== null) embed.color = color;
+
+  if (values.author.name.trim()) {
+    embed.author = { name: values.author.name.trim() };
+    if (values.author.url.trim()) embed.author.url = values.author.url.trim();
+    if (values.author.icon_url.trim()) embed.author.icon_url = values.author.icon_url.trim();
+  }
+
+  if (values.thumbnail.trim()) embed.thumbnail = { url: values.thumbnail.trim() };
+  if (values.image.trim()) embed.image = { url: values.image.trim() };
+
+  if (values.footer.text.trim()) {
+    embed.footer = { text: values.footer.text.trim() };
+    if (values.footer.icon_url.trim()) embed.footer.icon_url = values.footer.icon_url.trim();
+  }
+
+  if (values.fields.length) {
+    embed.fields = values.fields.map(field => ({
+      name: field.name.trim(),
+      value: field.value.trim(),
+      inline: !!field.inline
+    }));
+  }
+
+  return embed;
+}
+
+export function embedLength(embed) {
+  let length = (embed.title || '').length + (embed.description || '').length;
+  if (embed.author) length += embed.author.name.length;
+  if (embed.footer) length += embed.footer.text.length;
+  for (let field of embed.fields || []) {
+    length += field.name.length + field.value.length;
+  }
+  return length;
+}
+
+export function validateEmbed(values) {
+  let errors = {};
+  let embed = buildEmbed(values);
+
+  if ((embed.title || '').length > LIMITS.title) {
+    errors.title = `The title can't be longer than ${LIMITS.title} characters.`;
+  }
+  if ((embed.description || '').length > LIMITS.description) {
+    errors.description = `The description can't be longer than ${LIMITS.description} characters.`;
+  }
+  if (values.color.trim() && hexToDecimal(values.color) === null) {
+    errors.color = 'The color should be a hex code, like #61d6fb.';
+  }
+  if (embed.author && embed.author.name.length > LIMITS.author) {
+    errors['author.name'] = `The author name can't be longer than ${LIMITS.author} characters.`;
+  }
+  if (embed.footer && embed.footer.text.length > LIMITS.footer) {
+    errors['footer.text'] = `The footer can't be longer than ${LIMITS.footer} characters.`;
+  }
+
+  for (let url of [ 'url', 'author.url', 'author.icon_url', 'thumbnail', 'image', 'footer.icon_url' ]) {
+    let value = url.split('.').reduce((object, key) => object[key], values).trim();
+    if (value && !isURL(value)) {
+      errors[url] = 'This should be an http or https URL.';
+    }
+  }
+
+  if (values.fields.length > LIMITS.fields) {
+    errors.fields = `An embed can't have more than ${LIMITS.fields} fields.`;
+  }
+  (embed.fields || []).forEach((field, i) => {
+    if (!field.name) {
+      errors[`fields.${i}.name`] = 'Fields need a name.';
+    }
+    else if (field.name.length > LIMITS.fieldName) {
+      errors[`fields.${i}.name`] = `Field names can't be longer than ${LIMITS.fieldName} characters.`;
+    }
+    if (!field.value) {
+      errors[`fields.${i}.value`] = 'Fields need a value.';
+    }
+    else if (field.value.length > LIMITS.fieldValue) {
+      errors[`fields.${i}.value`] = `Field values can't be longer than ${LIMITS.fieldValue} characters.`;
+    }
+  });
+
+  if (!Object.keys(embed).length) {
+    errors.total = 'The embed is empty, fill in at least one of its fields.';
+  }
+  else if (embedLength(embed) > LIMITS.total) {
+    errors.total = `All the text in an embed can't be longer than ${LIMITS.total} characters.`;
+  }
+
+  return errors;
+}
+
+function text(value) {
+  return typeof value === 'string' ? value : '';
+}
+
+export function parseEmbed(json) {
+  let embed;
+  try {
+    embed = JSON.parse(json);
+  }
+  catch (e) {
+    throw new Error(`This isn't valid JSON: ${e.message}`);
+  }
+  if (!embed || typeof embed !== 'object' || Array.isArray(embed)) {
+    throw new Error('The embed JSON should be an object.');
+  }
+  if (embed.fields !== undefined && !Array.isArray(embed.fields)) {
+    throw new Error('The fields of the embed should be an array.');
+  }
+
+  let author = embed.author || {};
+  let footer = embed.footer || {};
+
+  return {
+    title: text(embed.title),
+    url: text(embed.url),
+    description: text(embed.description),
+    color: Number.isInteger(embed.color) ? decimalToHex(embed.color) || '' : '',
+    author: {
+      name: text(author.name),
+      url: text(author.url),
+      icon_url: text(author.icon_url)
+    },
+    thumbnail: text((embed.thumbnail || {}).url),
+    image: text((embed.image || {}).url),
+    footer: {
+      text: text(footer.text),
+      icon_url: text(footer.icon_url)
+    },
+    fields: (embed.fields || []).map(field => ({
+      name: text((field || {}).name),
+      value: text((field || {}).value),
+      inline: !!(field || {}).inline
+    }))
+  };
+}
+
+export function embedCommand(embed, prefix = DEFAULT_PREFIX) {
+  return `${prefix}sendEmbed ${JSON.stringify(embed)}`;
+}
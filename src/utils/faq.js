@@ -0,0 +1,78 @@
+/**
+ * Prepares the questions in faq.json for rendering, without changing the
+ * imported data.
+ */
+
+import { renderMarkdown, sanitizeHTML, plainText } from './markdown.js';
+import { questionSlug } from './slugify.js';
+import { createIndex, search } from './search.js';
+
+export const CATEGORY_TITLES = {
+  general: 'General',
+  help: 'Help & Support',
+  install: 'Installation',
+  configuration: 'Configuration',
+  commands: 'Commands',
+  currency: 'Currency',
+  music: 'Music'
+};
+
+export function faqCategories(faq) {
+  let slugs = {};
+
+  return Object.keys(faq).map(category => {
+    return {
+      name: category,
+      title: CATEGORY_TITLES[category] || category,
+      questions: faq[category].map(question => {
+        let slug = questionSlug(slugs, question);
+        let answer = renderMarkdown(question.answer);
+        return {
+          slug: slug,
+          category: category,
+          question: sanitizeHTML(question.question),
+          answer: answer,
+          image: question.image
+        };
+      })
+    };
+  });
+}
+
+export function createFAQIndex(categories) {
+  let questions = [].concat(...categories.map(category => category.questions));
+
+  return createIndex(questions, {
+    question: {
+      weight: 2,
+      text: question => plainText(question.question)
+    },
+    answer: {
+      weight: 1,
+      text: question => plainText(question.answer)
+    }
+  });
+}
+
+export function searchFAQ(index, query) {
+  return search(index, query).map(result => result.document.slug);
+}
+
+export function faqStructuredData(categories) {
+  let questions = [].concat(...categories.map(category => category.questions));
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'FAQPage',
+    mainEntity: questions.map(question => {
+      return {
+        '@type': 'Question',
+        name: plainText(question.question),
+        acceptedAnswer: {
+          '@type': 'Answer',
+          text: question.answer
+        }
+      };
+    })
+  };
+}
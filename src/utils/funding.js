@@ -0,0 +1,76 @@
+/**
+ * Reads the monthly funding of Bastion: what hosting it costs and how much
+ * the donations bring in.
+ *
+ * It's read from `src/pages/donate/funding.json` when the site is built, and
+ * from the endpoint in `GATSBY_FUNDING_URL` in the browser, if it's set. Both
+ * look like `{ month, currency, costs: [ { title, amount } ], income, updatedAt }`,
+ * `gatsby/funding-mock.js` serves an example. funding.json is `null` until
+ * there are real figures to show.
+ */
+
+import axios from 'axios';
+
+export const FUNDING_URL = process.env.GATSBY_FUNDING_URL || null;
+
+export const FUNDING_TIMEOUT = 5000;
+
+function isAmount(value) {
+  return typeof value === 'number' && isFinite(value) && value >= 0;
+}
+
+export function parseFunding(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.costs) || !isAmount(data.income)) {
+    throw new Error('The funding is invalid.');
+  }
+  if (typeof data.currency !== 'string' || !/^[A-Z]{3}$/.test(data.currency)) {
+    throw new Error('The funding has an invalid currency.');
+  }
+
+  let costs = data.costs
+    .filter(cost => cost && typeof cost.title === 'string' && isAmount(cost.amount))
+    .map(cost => ({
+      title: cost.title,
+      amount: cost.amount
+    }));
+
+  return {
+    month: typeof data.month === 'string' && /^\d{4}-\d{2}$/.test(data.month) ? data.month : null,
+    currency: data.currency,
+    costs: costs,
+    goal: costs.reduce((goal, cost) => goal + cost.amount, 0),
+    income: data.income,
+    updatedAt: typeof data.updatedAt === 'string' ? data.updatedAt : null
+  };
+}
+
+export function fetchFunding(url = FUNDING_URL, timeout = FUNDING_TIMEOUT) {
+  return axios.get(url, { timeout: timeout }).then(res => parseFunding(res.data));
+}
+
+export function fundingProgress(funding) {
+  // Rounded down, so the goal only shows as reached when it is.
+  let percent = funding.goal ? Math.floor(funding.income / funding.goal * 100) : 100;
+
+  return {
+    percent: Math.min(percent, 100),
+    remaining: Math.max(funding.goal - funding.income, 0),
+    isFunded: funding.income >= funding.goal
+  };
+}
+
+export function formatMoney(amount, currency) {
+  return amount.toLocaleString('en-US', {
+    style: 'currency',
+    currency: currency
+  });
+}
+
+export function formatMonth(month) {
+  let parts = month.split('-').map(Number);
+  return new Date(Date.UTC(parts[0], parts[1] - 1)).toLocaleDateString('en-US', {
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+}
@@ -0,0 +1,122 @@
+/**
+ * Renders markdown from the content files and from Bastion's modules data to
+ * HTML that is safe to use with `dangerouslySetInnerHTML`.
+ *
+ * Only the tags and attributes listed below are kept, every other tag is
+ * stripped (along with the contents of `script` and `style` tags), and URLs
+ * are only allowed to be relative or use the `http`, `https` and `mailto`
+ * schemes.
+ *
+ * It's a CommonJS module so that what's written when the site is built, like
+ * the Atom feed of the changelog and the site search, is rendered with it too.
+ */
+
+const showdown = require('showdown');
+const xss = require('xss');
+
+const converter = new showdown.Converter();
+
+const ALLOWED_TAGS = {
+  a: [ 'href', 'title' ],
+  b: [],
+  blockquote: [],
+  br: [],
+  code: [],
+  del: [],
+  em: [],
+  h1: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  h5: [],
+  h6: [],
+  hr: [],
+  i: [],
+  img: [ 'src', 'alt', 'title', 'width', 'height' ],
+  li: [],
+  ol: [],
+  p: [],
+  pre: [],
+  strong: [],
+  table: [],
+  tbody: [],
+  td: [],
+  th: [],
+  thead: [],
+  tr: [],
+  ul: []
+};
+
+const ALLOWED_SCHEMES = /^(https?|mailto):/i;
+
+// A URL is relative when there's no `:` before its path, query or fragment.
+const RELATIVE_URL = /^[^:/?#]*([/?#]|$)/;
+
+const INTERNAL_HOSTS = /^https?:\/\/([a-z0-9-]+\.)*bastionbot\.org(\/|$)/i;
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' '
+};
+
+const filter = new xss.FilterXSS({
+  whiteList: ALLOWED_TAGS,
+  stripIgnoreTag: true,
+  stripIgnoreTagBody: [ 'script', 'style' ],
+  allowCommentTag: false,
+  safeAttrValue: (tag, name, value) => {
+    if (name === 'href' || name === 'src') {
+      // Decode the character references and remove the whitespace and
+      // control characters browsers ignore, so they can't be used to hide a
+      // `javascript:` URL.
+      value = xss.friendlyAttrValue(value).replace(/[\u0000- ]/g, '');
+      if (!ALLOWED_SCHEMES.test(value) && !RELATIVE_URL.test(value)) return '';
+    }
+    return xss.escapeAttrValue(value);
+  }
+});
+
+// Links to other sites open in a new tab, without `window.opener`.
+function setLinkTargets(html) {
+  return html.replace(/<a\b([^>]*)>/g, (tag, attributes) => {
+    let href = attributes.match(/\bhref="([^"]*)"/);
+    if (!href || !/^https?:/i.test(href[1]) || INTERNAL_HOSTS.test(href[1])) {
+      return tag;
+    }
+    return `<a${attributes} target="_blank" rel="noopener noreferrer">`;
+  });
+}
+
+function sanitizeHTML(html) {
+  return setLinkTargets(filter.process(html || ''));
+}
+
+function renderMarkdown(markdown) {
+  return sanitizeHTML(converter.makeHtml(markdown || ''));
+}
+
+// The text of rendered HTML, render markdown with `renderMarkdown` first.
+function plainText(html) {
+  return String(html || '')
+    // Block tags separate words, inline ones don't.
+    .replace(/<\/?(p|br|hr|li|ul|ol|h[1-6]|blockquote|pre|table|thead|tbody|tr|td|th|div)\b[^>]*>/gi, ' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] !== '#') return ENTITIES[name.toLowerCase()] || ' ';
+
+      let code = /^#x/i.test(name) ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : ' ';
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = {
+  sanitizeHTML,
+  renderMarkdown,
+  plainText
+};
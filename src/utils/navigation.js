@@ -0,0 +1,51 @@
+/**
+ * Helpers of the site's navigation: which of its links is the current page,
+ * and keeping the keyboard focus in the menu while it's open on small screens.
+ */
+
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+function trimSlashes(path) {
+  return path.replace(/\/+$/, '');
+}
+
+export function isCurrentPath(pathname, to) {
+  pathname = trimSlashes(pathname);
+  to = trimSlashes(to);
+
+  if (!to) return !pathname;
+  return pathname === to || pathname.startsWith(`${to}/`);
+}
+
+export function focusableElements(container) {
+  return Array.from(container.querySelectorAll(FOCUSABLE)).filter(element => {
+    return element.offsetWidth > 0 || element.offsetHeight > 0 || element.getClientRects().length > 0;
+  });
+}
+
+export function trapFocus(e, container) {
+  if (e.key !== 'Tab') return;
+
+  let elements = focusableElements(container);
+  if (!elements.length) return;
+
+  let first = elements[0];
+  let last = elements[elements.length - 1];
+  let active = container.ownerDocument.activeElement;
+
+  if (e.shiftKey && (active === first || !container.contains(active))) {
+    e.preventDefault();
+    last.focus();
+  }
+  else if (!e.shiftKey && (active === last || !container.contains(active))) {
+    e.preventDefault();
+    first.focus();
+  }
+}
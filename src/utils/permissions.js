@@ -0,0 +1,41 @@
+/**
+ * Helpers for the Discord permissions of Bastion's invite link. Permission
+ * integers go above 2^31, so they're added up instead of using the bitwise
+ * operators, which only work on 32-bit integers.
+ */
+
+export function permissionValue(permission) {
+  return Math.pow(2, permission.bit);
+}
+
+export function hasPermission(integer, permission) {
+  return Math.floor(integer / permissionValue(permission)) % 2 === 1;
+}
+
+export function computePermissions(permissions, names) {
+  return permissions
+    .filter(permission => names.includes(permission.name))
+    .reduce((integer, permission) => integer + permissionValue(permission), 0);
+}
+
+export function decodePermissions(permissions, integer) {
+  return permissions
+    .filter(permission => hasPermission(integer, permission))
+    .map(permission => permission.name);
+}
+
+export function presetPermissions(permissions, preset) {
+  if (preset.permissions === 'all') {
+    return permissions.map(permission => permission.name);
+  }
+  if (typeof preset.permissions === 'number') {
+    return decodePermissions(permissions, preset.permissions);
+  }
+  return permissions
+    .filter(permission => preset.permissions.includes(permission.name))
+    .map(permission => permission.name);
+}
+
+export function inviteURL(clientId, integer) {
+  return `https://discordapp.com/oauth2/authorize?client_id=${clientId}&scope=bot&permissions=${integer}`;
+}
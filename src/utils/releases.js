@@ -0,0 +1,28 @@
+/**
+ * Helpers for the Changelog pages, which show the releases sourced by
+ * `gatsby-source-bastion-releases`. This is a CommonJS module, since the
+ * build also needs the path of the feed.
+ */
+
+// The feed is written by `gatsby/feed.js` after the build.
+const FEED_PATH = '/changelog/atom.xml';
+
+// In UTC, so the date is the same when the page is built and in the browser.
+function formatReleaseDate(date) {
+  return new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+function releaseVersions(versions, release) {
+  return versions.filter(version => version.channels.includes(release.channel));
+}
+
+module.exports = {
+  FEED_PATH,
+  formatReleaseDate,
+  releaseVersions
+};
@@ -0,0 +1,177 @@
+/**
+ * A small client side full text search, that tolerates typos and ranks the
+ * results by the weight of the fields that matched.
+ */
+
+export function tokenize(text) {
+  let tokens = [];
+  for (let word of String(text || '').match(/[a-z0-9]+/gi) || []) {
+    tokens.push(word.toLowerCase());
+
+    let parts = word.split(/(?=[A-Z][a-z])/);
+    if (parts.length > 1) {
+      tokens.push(...parts.map(part => part.toLowerCase()));
+    }
+  }
+  return tokens;
+}
+
+// The optimal string alignment distance, or `max + 1` once it's known to be
+// more than `max`.
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous2 = [];
+  let previous = [];
+  for (let j = 0; j <= b.length; j++) {
+    previous[j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    let current = [ i ];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      let cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+
+    previous2 = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+function matchScore(term, token) {
+  if (token === term) return 1;
+  if (term.length > 1 && token.startsWith(term)) return .8;
+
+  let maxDistance = term.length > 6 ? 2 : term.length > 3 ? 1 : 0;
+  if (!maxDistance) return 0;
+
+  // Compare against the beginning of the token too, so a typo in a partly
+  // typed word (e.g. `playl` for `playlist`) still matches.
+  let distance = Math.min(
+    editDistance(term, token, maxDistance),
+    editDistance(term, token.slice(0, term.length), maxDistance)
+  );
+  return distance <= maxDistance ? .6 - distance * .2 : 0;
+}
+
+export function createIndex(documents, fields) {
+  return {
+    fields: fields,
+    entries: documents.map(document => {
+      let tokens = {};
+      for (let field of Object.keys(fields)) {
+        tokens[field] = Array.from(new Set(tokenize(fields[field].text(document))));
+      }
+      return {
+        document: document,
+        tokens: tokens
+      };
+    })
+  };
+}
+
+export function search(index, query) {
+  let terms = Array.from(new Set(tokenize(query)));
+  if (!terms.length) return [];
+
+  let results = [];
+  for (let entry of index.entries) {
+    let score = 0;
+    let matches = [];
+
+    let matchedAll = terms.every(term => {
+      let best = 0;
+      for (let field of Object.keys(index.fields)) {
+        for (let token of entry.tokens[field]) {
+          let tokenScore = matchScore(term, token);
+          if (!tokenScore) continue;
+
+          matches.push(token);
+          best = Math.max(best, tokenScore * index.fields[field].weight);
+        }
+      }
+      score += best;
+      return best > 0;
+    });
+
+    if (matchedAll) {
+      results.push({
+        document: entry.document,
+        score: score,
+        matches: Array.from(new Set(matches))
+      });
+    }
+  }
+
+  return results.sort((a, b) => b.score - a.score);
+}
+
+function isWordChar(char) {
+  return !!char && /[a-z0-9]/i.test(char);
+}
+
+function isWordEdge(text, index) {
+  if (!isWordChar(text[index - 1]) || !isWordChar(text[index])) return true;
+  return /[A-Z]/.test(text[index]) && /[a-z]/.test(text[index + 1] || '');
+}
+
+function findMatches(text, matches) {
+  let words = Array.from(new Set((matches || []).map(match => match.toLowerCase())))
+    .sort((a, b) => b.length - a.length);
+  let lowerCase = text.toLowerCase();
+  let ranges = [];
+  if (!words.length) return ranges;
+
+  for (let i = 0; i < text.length; i++) {
+    if (!isWordEdge(text, i)) continue;
+
+    let word = words.find(word => lowerCase.startsWith(word, i) && isWordEdge(text, i + word.length));
+    if (word) {
+      ranges.push({ start: i, end: i + word.length });
+      i += word.length - 1;
+    }
+  }
+  return ranges;
+}
+
+export function highlight(text, matches) {
+  let parts = [];
+  let index = 0;
+  for (let range of findMatches(text, matches)) {
+    if (range.start > index) {
+      parts.push({ text: text.slice(index, range.start), match: false });
+    }
+    parts.push({ text: text.slice(range.start, range.end), match: true });
+    index = range.end;
+  }
+  if (index < text.length || !parts.length) {
+    parts.push({ text: text.slice(index), match: false });
+  }
+  return parts;
+}
+
+export function highlightHTML(html, matches) {
+  if (!matches || !matches.length) return html;
+
+  // Every other part is a tag or a character reference.
+  return html.split(/(<[^>]*>|&(?:[a-z][a-z0-9]*|#\d+|#x[0-9a-f]+);)/i).map((part, i) => {
+    if (i % 2) return part;
+
+    return highlight(part, matches).map(part => {
+      return part.match ? `<mark>${part.text}</mark>` : part.text;
+    }).join('');
+  }).join('');
+}
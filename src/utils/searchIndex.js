@@ -0,0 +1,11 @@
+/**
+ * The path of the documents of the site search, which `gatsby/search-index.js`
+ * writes at build time. This is a CommonJS module, since the build needs it
+ * too.
+ */
+
+const SEARCH_INDEX_PATH = '/search.json';
+
+module.exports = {
+  SEARCH_INDEX_PATH
+};
@@ -0,0 +1,76 @@
+/**
+ * Searches the whole site: the commands, FAQ, features and tools in
+ * `/search.json`, which is written at build time by `gatsby/search-index.js`.
+ */
+
+import axios from 'axios';
+import { createIndex, search } from './search.js';
+import { SEARCH_INDEX_PATH } from './searchIndex.js';
+
+export const RESULT_TYPES = [
+  { type: 'command', title: 'Commands' },
+  { type: 'feature', title: 'Features' },
+  { type: 'faq', title: 'FAQ' },
+  { type: 'tool', title: 'Tools' }
+];
+
+export const RESULTS_PER_TYPE = 5;
+
+let documentsRequest = null;
+
+export function loadSearchDocuments() {
+  if (!documentsRequest) {
+    documentsRequest = axios.get(SEARCH_INDEX_PATH).then(res => res.data, e => {
+      documentsRequest = null;
+      throw e;
+    });
+  }
+  return documentsRequest;
+}
+
+export function createSiteIndex(documents) {
+  return createIndex(documents, {
+    title: {
+      weight: 3,
+      text: document => document.title
+    },
+    module: {
+      weight: 2,
+      text: document => document.module
+    },
+    text: {
+      weight: 1,
+      text: document => document.text
+    }
+  });
+}
+
+export function searchSite(index, query, limit = RESULTS_PER_TYPE) {
+  let results = search(index, query);
+
+  return RESULT_TYPES
+    .map(type => {
+      return {
+        type: type.type,
+        title: type.title,
+        results: results.filter(result => result.document.type === type.type).slice(0, limit)
+      };
+    })
+    .filter(group => group.results.length);
+}
+
+export function flattenGroups(groups) {
+  return [].concat(...groups.map(group => group.results));
+}
+
+export function isExternalPath(path) {
+  return /^https?:\/\//i.test(path);
+}
+
+export function samePageHash(path, pathname) {
+  let match = path.match(/^([^#]*)(#.+)$/);
+  if (!match) return null;
+
+  let trim = path => path.replace(/\/+$/, '') || '/';
+  return trim(match[1]) === trim(pathname) ? match[2] : null;
+}
@@ -0,0 +1,25 @@
+/**
+ * Makes the slugs that anchor the sections of the pages. This is a CommonJS
+ * module, since the site search index is built with the same slugs.
+ */
+
+function slugify(text) {
+  return String(text || '')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&[a-z]+;|&#\d+;/gi, '')
+    .replace(/['’]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function questionSlug(slugs, question) {
+  let slug = question.slug || slugify(question.question);
+  slugs[slug] = (slugs[slug] || 0) + 1;
+  return slugs[slug] > 1 ? `${slug}-${slugs[slug]}` : slug;
+}
+
+module.exports = {
+  slugify,
+  questionSlug
+};
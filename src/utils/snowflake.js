@@ -0,0 +1,50 @@
+/**
+ * Helpers for Discord snowflakes, the 64-bit IDs of users, channels, servers,
+ * etc. They don't fit in JavaScript numbers, so they're decoded from their
+ * decimal strings bit by bit.
+ */
+
+export const DISCORD_EPOCH = 1420070400000;
+
+function toBinary(decimal) {
+  let binary = '';
+  while (decimal !== '0') {
+    let quotient = '';
+    let remainder = 0;
+    for (let digit of decimal) {
+      let value = remainder * 10 + Number(digit);
+      quotient += Math.floor(value / 2);
+      remainder = value % 2;
+    }
+    binary = remainder + binary;
+    decimal = quotient.replace(/^0+/, '') || '0';
+  }
+  while (binary.length < 64) {
+    binary = `0${binary}`;
+  }
+  return binary;
+}
+
+export function decodeSnowflake(id) {
+  id = String(id).trim();
+  if (!/^\d{1,20}$/.test(id)) return null;
+
+  let binary = toBinary(id.replace(/^0+/, '') || '0');
+  if (binary.length > 64) return null;
+
+  let timestamp = parseInt(binary.slice(0, 42), 2) + DISCORD_EPOCH;
+  return {
+    timestamp: timestamp,
+    date: new Date(timestamp),
+    workerId: parseInt(binary.slice(42, 47), 2),
+    processId: parseInt(binary.slice(47, 52), 2),
+    increment: parseInt(binary.slice(52), 2)
+  };
+}
+
+export function isSnowflake(id, now = Date.now()) {
+  if (!/^\d{17,20}$/.test(String(id).trim())) return false;
+
+  let snowflake = decodeSnowflake(id);
+  return !!snowflake && snowflake.timestamp > DISCORD_EPOCH && snowflake.timestamp <= now;
+}
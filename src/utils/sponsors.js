@@ -0,0 +1,29 @@
+/**
+ * Orders the sponsors on the Sponsors page and in the Footer.
+ *
+ * The sponsors of a tier take turns being shown first: they're rotated once
+ * every `ROTATION_PERIOD`, so each of them leads the tier equally often.
+ */
+
+export const ROTATION_PERIOD = 24 * 60 * 60 * 1000;
+
+export function rotate(items, offset) {
+  if (!items.length) return [];
+
+  offset = ((offset % items.length) + items.length) % items.length;
+  return items.slice(offset).concat(items.slice(0, offset));
+}
+
+export function rotateSponsors(sponsors, now) {
+  return rotate(sponsors, Math.floor(now / ROTATION_PERIOD));
+}
+
+export function sponsorsByTier(sponsors, tiers, now) {
+  return tiers.map(tier => {
+    let tierSponsors = sponsors.filter(sponsor => sponsor.tier === tier.name);
+    return {
+      tier: tier,
+      sponsors: now ? rotateSponsors(tierSponsors, now) : tierSponsors
+    };
+  }).filter(group => group.sponsors.length);
+}
@@ -0,0 +1,109 @@
+/**
+ * Reads the status of the public Bastion from the status endpoint, and keeps
+ * the last known status to show when the endpoint can't be reached.
+ *
+ * The endpoint returns JSON like `gatsby/status-mock.js` does:
+ * `{ online, uptime, guilds, latency, shards: [ { id, status, guilds, latency } ], updatedAt }`
+ * with the uptime in seconds and the latencies in milliseconds.
+ */
+
+import axios from 'axios';
+import siteMetadata from '../siteMetadata.json';
+import { readJSON, writeJSON } from './storage.js';
+
+// Bastion doesn't have a public status endpoint yet, so `statusURL` in the
+// site metadata is `null` and the status isn't shown. Set `GATSBY_STATUS_URL`
+// to use an endpoint, like the mock one.
+export const STATUS_URL = process.env.GATSBY_STATUS_URL || siteMetadata.statusURL || null;
+
+export const STATUS_TIMEOUT = 5000;
+
+export const CACHE_KEY = 'BotStatus.lastKnown';
+
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+export function parseStatus(data) {
+  if (!data || typeof data !== 'object' || typeof data.online !== 'boolean') {
+    throw new Error('The status endpoint returned an invalid status.');
+  }
+
+  let shards = Array.isArray(data.shards) ? data.shards : [];
+  return {
+    online: data.online,
+    uptime: isCount(data.uptime) ? data.uptime : null,
+    guilds: isCount(data.guilds) ? data.guilds : null,
+    latency: isCount(data.latency) ? data.latency : null,
+    shards: shards
+      .filter(shard => shard && isCount(shard.id))
+      .map(shard => ({
+        id: shard.id,
+        status: typeof shard.status === 'string' ? shard.status : 'unknown',
+        guilds: isCount(shard.guilds) ? shard.guilds : null,
+        latency: isCount(shard.latency) ? shard.latency : null
+      })),
+    updatedAt: typeof data.updatedAt === 'string' ? data.updatedAt : null
+  };
+}
+
+export function fetchStatus(url = STATUS_URL, timeout = STATUS_TIMEOUT) {
+  return axios.get(url, { timeout: timeout }).then(res => parseStatus(res.data));
+}
+
+export function shardHealth(status) {
+  let total = status.shards.length;
+  let ready = status.shards.filter(shard => shard.status === 'ready').length;
+
+  let level = 'operational';
+  if (!status.online || (total && !ready)) {
+    level = 'outage';
+  }
+  else if (ready < total) {
+    level = 'degraded';
+  }
+
+  return {
+    ready: ready,
+    total: total,
+    level: level
+  };
+}
+
+export function formatUptime(seconds) {
+  let parts = [
+    [ 'd', Math.floor(seconds / 86400) ],
+    [ 'h', Math.floor(seconds / 3600) % 24 ],
+    [ 'm', Math.floor(seconds / 60) % 60 ]
+  ];
+  let start = parts.findIndex(part => part[1] > 0);
+  if (start === -1) return '< 1m';
+
+  return parts.slice(start).map(part => `${part[1]}${part[0]}`).join(' ');
+}
+
+export function formatCount(count) {
+  return count.toLocaleString('en-US');
+}
+
+export function getCachedStatus(storage) {
+  let cached = readJSON(storage, CACHE_KEY);
+  if (!cached || typeof cached.fetchedAt !== 'number') return null;
+
+  try {
+    return {
+      status: parseStatus(cached.status),
+      fetchedAt: cached.fetchedAt
+    };
+  }
+  catch (e) {
+    return null;
+  }
+}
+
+export function cacheStatus(storage, status, now) {
+  writeJSON(storage, CACHE_KEY, {
+    status: status,
+    fetchedAt: now
+  });
+}
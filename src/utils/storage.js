@@ -0,0 +1,51 @@
+/**
+ * Access to the browser's localStorage that never throws. Just reading
+ * `window.localStorage` throws a SecurityError when the browser blocks storage
+ * for the site (e.g. with third-party cookies disabled in an iframe), and then
+ * the storage is `null`. What can't be read is `null` too.
+ */
+
+export function getLocalStorage() {
+  try {
+    return window.localStorage || null;
+  }
+  catch (e) {
+    return null;
+  }
+}
+
+export function readItem(storage, key) {
+  if (!storage) return null;
+
+  try {
+    return storage.getItem(key);
+  }
+  catch (e) {
+    return null;
+  }
+}
+
+export function writeItem(storage, key, value) {
+  if (!storage) return;
+
+  try {
+    storage.setItem(key, value);
+  }
+  catch (e) {
+    // Storage can be full or disabled, what's written is only kept until
+    // the page is reloaded.
+  }
+}
+
+export function readJSON(storage, key) {
+  try {
+    return JSON.parse(readItem(storage, key));
+  }
+  catch (e) {
+    return null;
+  }
+}
+
+export function writeJSON(storage, key, value) {
+  writeItem(storage, key, JSON.stringify(value));
+}
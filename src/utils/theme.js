@@ -0,0 +1,76 @@
+/**
+ * The light and dark themes. Their colors are the design tokens in
+ * `src/theme.json`, which are set as CSS variables like `--color-accent`
+ * and used by the CSS of the components and pages.
+ *
+ * The theme is set on the `<html>` element, as `data-theme`, by a script in
+ * the `<head>` so the page is painted in the right theme from the start. It's
+ * the one the visitor picked, or the one their system prefers.
+ */
+
+import tokens from '../theme.json';
+import { readItem, writeItem } from './storage.js';
+
+export const THEMES = [ 'dark', 'light' ];
+
+export const DEFAULT_THEME = 'dark';
+
+export const THEME_KEY = 'Theme.preference';
+
+export const LIGHT_QUERY = '(prefers-color-scheme: light)';
+
+export const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+function variables(theme) {
+  return Object.keys(tokens[theme]).map(name => `--color-${name}: ${tokens[theme][name]};`).join(' ');
+}
+
+export function themeCSS() {
+  return [
+    `:root, :root[data-theme='dark'] { ${variables('dark')} }`,
+    `@media ${LIGHT_QUERY} { :root:not([data-theme]) { ${variables('light')} } }`,
+    `:root[data-theme='light'] { ${variables('light')} }`
+  ].join('\n');
+}
+
+export function getStoredTheme(storage) {
+  let theme = readItem(storage, THEME_KEY);
+  return THEMES.includes(theme) ? theme : null;
+}
+
+export function storeTheme(storage, theme) {
+  writeItem(storage, THEME_KEY, theme);
+}
+
+export function preferredTheme(matchMedia) {
+  return matchMedia && matchMedia(LIGHT_QUERY).matches ? 'light' : DEFAULT_THEME;
+}
+
+export function applyTheme(document, theme) {
+  document.documentElement.setAttribute('data-theme', theme);
+
+  let metas = document.querySelectorAll('meta[name="theme-color"]');
+  for (let i = 0; i < metas.length; i++) {
+    metas[i].setAttribute('content', tokens[theme].background);
+  }
+}
+
+// Applies the theme before the rest of the site's scripts are loaded, so it
+// repeats `getStoredTheme`, `preferredTheme` and `applyTheme` in ES5.
+export const THEME_SCRIPT = `(function () {
+  var themes = ${JSON.stringify(THEMES)};
+  var colors = ${JSON.stringify({ dark: tokens.dark.background, light: tokens.light.background })};
+  var theme = null;
+  try {
+    theme = window.localStorage.getItem(${JSON.stringify(THEME_KEY)});
+  }
+  catch (e) {}
+  if (themes.indexOf(theme) === -1) {
+    theme = window.matchMedia && window.matchMedia(${JSON.stringify(LIGHT_QUERY)}).matches ? 'light' : ${JSON.stringify(DEFAULT_THEME)};
+  }
+  document.documentElement.setAttribute('data-theme', theme);
+  var metas = document.querySelectorAll('meta[name="theme-color"]');
+  for (var i = 0; i < metas.length; i++) {
+    metas[i].setAttribute('content', colors[theme]);
+  }
+})();`;
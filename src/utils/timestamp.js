@@ -0,0 +1,99 @@
+/**
+ * Helpers for Discord's timestamp markdown, `<t:seconds:style>`, which Discord
+ * shows in the time zone and language of whoever reads the message.
+ */
+
+export const TIMESTAMP_STYLES = [
+  {
+    style: 't',
+    title: 'Short Time',
+    options: { hour: 'numeric', minute: '2-digit' }
+  },
+  {
+    style: 'T',
+    title: 'Long Time',
+    options: { hour: 'numeric', minute: '2-digit', second: '2-digit' }
+  },
+  {
+    style: 'd',
+    title: 'Short Date',
+    options: { day: '2-digit', month: '2-digit', year: 'numeric' }
+  },
+  {
+    style: 'D',
+    title: 'Long Date',
+    options: { day: 'numeric', month: 'long', year: 'numeric' }
+  },
+  {
+    style: 'f',
+    title: 'Short Date/Time',
+    options: { day: 'numeric', month: 'long', year: 'numeric', hour: 'numeric', minute: '2-digit' }
+  },
+  {
+    style: 'F',
+    title: 'Long Date/Time',
+    options: { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', hour: 'numeric', minute: '2-digit' }
+  },
+  {
+    style: 'R',
+    title: 'Relative Time'
+  }
+];
+
+const UNITS = [
+  { unit: 'year', seconds: 365 * 24 * 60 * 60 },
+  { unit: 'month', seconds: 30 * 24 * 60 * 60 },
+  { unit: 'day', seconds: 24 * 60 * 60 },
+  { unit: 'hour', seconds: 60 * 60 },
+  { unit: 'minute', seconds: 60 },
+  { unit: 'second', seconds: 1 }
+];
+
+export function toUnixSeconds(date) {
+  return Math.floor(new Date(date).getTime() / 1000);
+}
+
+export function discordTimestamp(date, style) {
+  let seconds = toUnixSeconds(date);
+  return style && style !== 'f' ? `<t:${seconds}:${style}>` : `<t:${seconds}>`;
+}
+
+export function relativeTime(date, now = Date.now()) {
+  let difference = Math.round((new Date(date).getTime() - now) / 1000);
+  let seconds = Math.abs(difference);
+  if (seconds < 1) return 'now';
+
+  let unit = UNITS.find(unit => seconds >= unit.seconds);
+  let count = Math.floor(seconds / unit.seconds);
+  let amount = `${count} ${unit.unit}${count === 1 ? '' : 's'}`;
+
+  return difference < 0 ? `${amount} ago` : `in ${amount}`;
+}
+
+export function formatTimestamp(date, style, now = Date.now(), locale, timeZone) {
+  let format = TIMESTAMP_STYLES.find(format => format.style === style) || TIMESTAMP_STYLES[4];
+  if (!format.options) return relativeTime(date, now);
+
+  return new Date(date).toLocaleString(locale, Object.assign({ timeZone: timeZone }, format.options));
+}
+
+export function parseLocalDateTime(value) {
+  let match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/);
+  if (!match) return null;
+
+  let parts = match.slice(1).map(part => Number(part || 0));
+  let date = new Date(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5]);
+
+  // Dates that don't exist, like February 30th, roll over to the next month.
+  let isValid = date.getMonth() === parts[1] - 1 && date.getDate() === parts[2]
+    && date.getHours() === parts[3] && date.getMinutes() === parts[4];
+  return isValid ? date : null;
+}
+
+export function toLocalDateTime(date) {
+  let pad = number => number < 10 ? `0${number}` : `${number}`;
+  date = new Date(date);
+
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}